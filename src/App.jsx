@@ -2,7 +2,9 @@ import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import Layout from './components/Layout';
 import DashboardPage from './pages/DashboardPage';
 import PerformancePage from './pages/PerformancePage';
+import BenchmarksPage from './pages/BenchmarksPage';
 import AttributionPage from './pages/AttributionPage';
+import RiskPage from './pages/RiskPage';
 import ReportPage from './pages/ReportPage';
 import NotFoundPage from './pages/NotFoundPage';
 
@@ -13,7 +15,9 @@ export default function App() {
         <Route element={<Layout />}>
           <Route index element={<DashboardPage />} />
           <Route path="performance" element={<PerformancePage />} />
+          <Route path="benchmarks" element={<BenchmarksPage />} />
           <Route path="attribution" element={<AttributionPage />} />
+          <Route path="risk" element={<RiskPage />} />
           <Route path="report" element={<ReportPage />} />
           <Route path="*" element={<NotFoundPage />} />
         </Route>
@@ -0,0 +1,197 @@
+import { useState } from 'react';
+import { Columns3, Save, Trash2, CheckCircle2 } from 'lucide-react';
+import { COLUMN_SCHEMAS, MATCH_CONFIDENCE } from '../utils/csvParser';
+import usePortfolioStore from '../store/usePortfolioStore';
+
+const PREVIEW_ROWS = 5;
+
+/**
+ * Badge for how a field got its column.
+ */
+function MatchBadge({ mapped, required, source, confidence }) {
+  let text = 'Optional';
+  let style = 'bg-slate-700/50 text-slate-400';
+  if (!mapped) {
+    if (required) {
+      text = 'Required';
+      style = 'bg-rose-900/40 text-rose-400';
+    }
+  } else if (source === 'manual') {
+    text = 'Manual';
+    style = 'bg-slate-700 text-slate-200';
+  } else if (source === 'profile') {
+    text = 'Profile';
+    style = 'bg-sky-900/40 text-sky-400';
+  } else if (confidence >= MATCH_CONFIDENCE.exact) {
+    text = 'Exact · 100%';
+    style = 'bg-emerald-900/40 text-emerald-400';
+  } else {
+    text = `${confidence >= MATCH_CONFIDENCE.head ? 'Likely' : 'Weak'} · ${Math.round(confidence * 100)}%`;
+    style = 'bg-amber-900/40 text-amber-400';
+  }
+  return <span className={`inline-block px-2 py-0.5 rounded-md text-xs font-medium whitespace-nowrap ${style}`}>{text}</span>;
+}
+
+/**
+ * Column-mapping wizard: previews the first rows of a file, shows the
+ * automatic guess for each field with its confidence, lets the user override
+ * any field and saves the result as a named profile.
+ *
+ * @param {Object} props
+ * @param {keyof COLUMN_SCHEMAS} props.schema
+ * @param {{data: Object[], headers: string[]}} props.table
+ * @param {Object<string, string>} props.mapping     - Initial { targetField → rawHeader }
+ * @param {Object<string, number>} [props.confidence] - Auto-mapping confidence per field
+ * @param {string} [props.profileName]               - Profile the initial mapping came from
+ * @param {(mapping: Object<string, string>) => void} props.onApply
+ * @param {() => void} [props.onCancel]
+ */
+export default function ColumnMapper({ schema, table, mapping, confidence = {}, profileName, onApply, onCancel }) {
+  const { aliases, required, labels } = COLUMN_SCHEMAS[schema];
+  const { mappingProfiles, saveMappingProfile, deleteMappingProfile } = usePortfolioStore();
+  const [draft, setDraft] = useState(mapping);
+  const [overridden, setOverridden] = useState(() => new Set());
+  const [appliedProfile, setAppliedProfile] = useState(profileName || '');
+  const [newProfileName, setNewProfileName] = useState(profileName || '');
+
+  const profiles = mappingProfiles.filter((p) => p.schema === schema);
+  const targets = Object.keys(aliases);
+  const missingRequired = required.filter((t) => !draft[t]);
+  const columnLabels = Object.fromEntries(Object.entries(draft).filter(([, raw]) => raw).map(([t, raw]) => [raw, labels[t]]));
+
+  const setField = (target, raw) => {
+    setDraft((prev) => ({ ...prev, [target]: raw }));
+    setOverridden((prev) => new Set(prev).add(target));
+  };
+
+  const applyProfile = (id) => {
+    const profile = profiles.find((p) => p.id === id);
+    if (!profile) return;
+    setDraft(Object.fromEntries(Object.entries(profile.mapping).filter(([, raw]) => table.headers.includes(raw))));
+    setOverridden(new Set());
+    setAppliedProfile(profile.name);
+    setNewProfileName(profile.name);
+  };
+
+  const handleSaveProfile = () => {
+    saveMappingProfile({ name: newProfileName, schema, mapping: draft });
+    setAppliedProfile(newProfileName.trim());
+    setOverridden(new Set());
+  };
+
+  const sourceOf = (target) => (overridden.has(target) ? 'manual' : appliedProfile ? 'profile' : 'auto');
+
+  return (
+    <div className="bg-slate-900/50 border border-slate-700 rounded-xl p-4 space-y-4">
+      <h3 className="text-sm font-semibold text-white flex items-center gap-2">
+        <Columns3 className="w-4 h-4 text-[#d4a843]" /> Column Mapping
+      </h3>
+
+      {/* Preview */}
+      <div className="overflow-x-auto border border-slate-700 rounded-lg">
+        <table className="w-full text-xs text-left whitespace-nowrap">
+          <thead className="bg-slate-800/50 text-slate-400 border-b border-slate-700">
+            <tr>
+              {table.headers.map((h) => (
+                <th key={h} className="px-3 py-2">
+                  <span className="block font-medium text-slate-300">{h}</span>
+                  <span className={`block ${columnLabels[h] ? 'text-[#d4a843]' : 'text-slate-600'}`}>{columnLabels[h] ? `→ ${columnLabels[h]}` : 'unused'}</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-700/50">
+            {table.data.slice(0, PREVIEW_ROWS).map((row, i) => (
+              <tr key={i}>
+                {table.headers.map((h) => (
+                  <td key={h} className={`px-3 py-1.5 font-mono ${columnLabels[h] ? 'text-slate-200' : 'text-slate-500'}`}>{String(row[h] ?? '')}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-slate-500">
+        Showing {Math.min(PREVIEW_ROWS, table.data.length)} of {table.data.length} rows.
+      </p>
+
+      {/* Field mapping */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+        {targets.map((target) => (
+          <div key={target} className="flex items-center gap-2">
+            <label className="w-40 shrink-0 text-sm text-slate-300">
+              {labels[target]}
+              {required.includes(target) && <span className="text-rose-400"> *</span>}
+            </label>
+            <select
+              value={draft[target] || ''}
+              onChange={(e) => setField(target, e.target.value)}
+              className="flex-1 min-w-0 px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-sm focus:ring-2 focus:ring-[#d4a843] outline-none"
+            >
+              <option value="">— Not mapped —</option>
+              {table.headers.map((h) => (
+                <option key={h} value={h}>{h}</option>
+              ))}
+            </select>
+            <MatchBadge
+              mapped={Boolean(draft[target])}
+              required={required.includes(target)}
+              source={sourceOf(target)}
+              confidence={confidence[target] ?? 0}
+            />
+          </div>
+        ))}
+      </div>
+
+      {/* Profiles */}
+      <div className="border-t border-slate-700 pt-4 space-y-2">
+        <p className="text-xs font-medium text-slate-400">Mapping Profiles</p>
+        {profiles.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {profiles.map((p) => (
+              <span key={p.id} className={`flex items-center gap-1 text-xs rounded-lg border px-2 py-1 ${appliedProfile === p.name ? 'border-[#d4a843] text-[#d4a843]' : 'border-slate-600 text-slate-300'}`}>
+                <button onClick={() => applyProfile(p.id)} className="hover:underline">{p.name}</button>
+                <button onClick={() => deleteMappingProfile(p.id)} className="text-slate-500 hover:text-rose-400" title="Delete profile">
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newProfileName}
+            onChange={(e) => setNewProfileName(e.target.value)}
+            placeholder="Profile name, e.g. custodian"
+            className="flex-1 px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-sm focus:ring-2 focus:ring-[#d4a843] outline-none"
+          />
+          <button
+            onClick={handleSaveProfile}
+            disabled={!newProfileName.trim() || missingRequired.length > 0}
+            className="flex items-center gap-1.5 text-sm font-medium text-slate-300 bg-slate-700/50 hover:bg-slate-700 px-3 py-1.5 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Save className="w-4 h-4" /> Save Profile
+          </button>
+        </div>
+        <p className="text-xs text-slate-500">Saved profiles are applied automatically to future files with the same columns.</p>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => onApply(draft)}
+          disabled={missingRequired.length > 0}
+          className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <CheckCircle2 className="w-4 h-4" /> Apply Mapping
+        </button>
+        {onCancel && (
+          <button onClick={onCancel} className="text-sm text-slate-400 hover:text-white px-3 py-1.5">Cancel</button>
+        )}
+        {missingRequired.length > 0 && (
+          <span className="text-xs text-rose-400">Map {missingRequired.map((t) => labels[t]).join(', ')} to continue.</span>
+        )}
+      </div>
+    </div>
+  );
+}
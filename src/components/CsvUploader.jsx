@@ -1,29 +1,96 @@
 import { useState, useRef } from 'react';
-import { Upload, FileText, AlertCircle, CheckCircle2 } from 'lucide-react';
+import { Upload, FileText, AlertCircle, CheckCircle2, FileSpreadsheet, Columns3 } from 'lucide-react';
+import { isWorkbookFile, readWorkbook, detectHeaderRow, sheetToTable } from '../utils/xlsxParser';
+import { readTable, autoMapColumns, COLUMN_SCHEMAS, MATCH_CONFIDENCE } from '../utils/csvParser';
+import { findProfile } from '../utils/mappingProfiles';
+import usePortfolioStore from '../store/usePortfolioStore';
+import ColumnMapper from './ColumnMapper';
 
 /**
- * Reusable CSV file uploader with drag-and-drop support.
+ * Reusable CSV / Excel file uploader with drag-and-drop support.
+ *
+ * CSV files are passed straight to `onFileSelected`. For XLSX workbooks the
+ * user picks the sheet and header row first, and the sheet is passed as a
+ * table that every csvParser function accepts.
+ *
+ * With a `schema`, the columns are matched first: a saved profile that fits
+ * the file, or an automatic mapping with every required field matched
+ * exactly, is applied straight away; otherwise the column-mapping wizard
+ * opens. The chosen mapping is passed as the second argument.
  *
  * @param {Object} props
  * @param {string} props.label           - Upload area label
  * @param {string} [props.description]   - Help text
- * @param {(file: File) => Promise<void>} props.onFileSelected - Callback when file is selected
+ * @param {(file: File|import('../utils/xlsxParser').SheetTable, options?: {mapping: Object<string, string>}) => Promise<void>} props.onFileSelected
+ *   Callback when a file (or worksheet) is selected
+ * @param {keyof COLUMN_SCHEMAS} [props.schema] - Column schema for the mapping wizard
  * @param {string[]} [props.errors]      - Parse/validation errors to display
  * @param {boolean} [props.success]      - Show success state
  */
-export default function CsvUploader({ label, description, onFileSelected, errors = [], success = false }) {
+export default function CsvUploader({ label, description, onFileSelected, schema, errors = [], success = false }) {
+  const mappingProfiles = usePortfolioStore((state) => state.mappingProfiles);
   const [dragging, setDragging] = useState(false);
   const [fileName, setFileName] = useState('');
+  const [workbook, setWorkbook] = useState(null);
+  const [sheetIndex, setSheetIndex] = useState(0);
+  const [headerRow, setHeaderRow] = useState(0);
+  const [readError, setReadError] = useState('');
+  const [columns, setColumns] = useState(null);
+  const [mapperOpen, setMapperOpen] = useState(false);
   const inputRef = useRef(null);
 
+  const loadSource = async (source) => {
+    if (!schema) return onFileSelected(source);
+    const table = await readTable(source);
+    if (table.errors.length > 0) return onFileSelected(table);
+
+    const profile = findProfile(mappingProfiles, schema, table.headers);
+    const { required, aliases } = COLUMN_SCHEMAS[schema];
+    const auto = profile ? { mapping: profile.mapping, confidence: {} } : autoMapColumns(table.headers, aliases);
+    const certain = Boolean(profile) || required.every((t) => auto.confidence[t] >= MATCH_CONFIDENCE.exact);
+    setColumns({ table, mapping: auto.mapping, confidence: auto.confidence, profileName: profile?.name, applied: certain });
+    setMapperOpen(!certain);
+    if (certain) await onFileSelected(table, { mapping: auto.mapping });
+  };
+
+  const applyMapping = async (mapping) => {
+    setColumns((prev) => ({ ...prev, mapping, confidence: {}, profileName: undefined, manual: true, applied: true }));
+    setMapperOpen(false);
+    await onFileSelected(columns.table, { mapping });
+  };
+
   const handleFile = async (file) => {
-    if (!file || !file.name.toLowerCase().endsWith('.csv')) {
+    if (!file) return;
+    setReadError('');
+    setWorkbook(null);
+    setColumns(null);
+    setMapperOpen(false);
+    if (isWorkbookFile(file)) {
+      setFileName(file.name);
+      try {
+        const sheets = await readWorkbook(file);
+        setWorkbook(sheets);
+        setSheetIndex(0);
+        setHeaderRow(detectHeaderRow(sheets[0]?.rows || []));
+      } catch (err) {
+        setReadError(err.message);
+      }
+      return;
+    }
+    if (!file.name.toLowerCase().endsWith('.csv')) {
       return;
     }
     setFileName(file.name);
-    await onFileSelected(file);
+    await loadSource(file);
   };
 
+  const selectSheet = (index) => {
+    setSheetIndex(index);
+    setHeaderRow(detectHeaderRow(workbook[index].rows));
+  };
+
+  const sheet = workbook?.[sheetIndex];
+
   const handleDrop = (e) => {
     e.preventDefault();
     setDragging(false);
@@ -54,7 +121,7 @@ export default function CsvUploader({ label, description, onFileSelected, errors
         <input
           ref={inputRef}
           type="file"
-          accept=".csv"
+          accept=".csv,.xlsx"
           className="hidden"
           onChange={(e) => handleFile(e.target.files[0])}
         />
@@ -72,6 +139,76 @@ export default function CsvUploader({ label, description, onFileSelected, errors
         )}
       </div>
 
+      {workbook && sheet && (
+        <div className="bg-slate-900/50 border border-slate-700 rounded-xl p-4 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-slate-400 mb-1">Sheet</label>
+              <select
+                value={sheetIndex}
+                onChange={(e) => selectSheet(Number(e.target.value))}
+                className="w-full px-3 py-2 bg-slate-900 border border-slate-600 text-white rounded-lg text-sm focus:ring-2 focus:ring-[#d4a843] outline-none"
+              >
+                {workbook.map((ws, i) => (
+                  <option key={ws.name} value={i}>{ws.name} ({ws.rows.length} rows)</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-slate-400 mb-1">Header Row</label>
+              <input
+                type="number"
+                min="1"
+                max={Math.max(1, sheet.rows.length)}
+                value={headerRow + 1}
+                onChange={(e) => setHeaderRow(Math.max(0, (parseInt(e.target.value, 10) || 1) - 1))}
+                className="w-full px-3 py-2 bg-slate-900 border border-slate-600 text-white rounded-lg text-sm text-right focus:ring-2 focus:ring-[#d4a843] outline-none"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-slate-400 truncate">
+            Columns: {(sheet.rows[headerRow] || []).filter((c) => c !== null && c !== '').join(', ') || '—'}
+          </p>
+          <button
+            onClick={() => loadSource(sheetToTable(sheet.rows, headerRow))}
+            className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
+          >
+            <FileSpreadsheet className="w-4 h-4" /> Load Sheet
+          </button>
+        </div>
+      )}
+
+      {columns?.applied && !mapperOpen && (
+        <p className="text-xs text-slate-400 flex items-center gap-1.5">
+          <Columns3 className="w-3.5 h-3.5 text-[#d4a843]" />
+          {columns.manual
+            ? 'Columns mapped manually'
+            : columns.profileName
+            ? `Columns mapped with profile "${columns.profileName}"`
+            : 'Columns mapped automatically'}
+          {' · '}
+          <button onClick={() => setMapperOpen(true)} className="text-[#d4a843] hover:underline">Review mapping</button>
+        </p>
+      )}
+
+      {columns && mapperOpen && (
+        <ColumnMapper
+          schema={schema}
+          table={columns.table}
+          mapping={columns.mapping}
+          confidence={columns.confidence}
+          profileName={columns.profileName}
+          onApply={applyMapping}
+          onCancel={() => setMapperOpen(false)}
+        />
+      )}
+
+      {readError && (
+        <div className="bg-rose-900/30 border border-rose-700/50 rounded-lg p-3 text-sm text-rose-300 flex items-start gap-2">
+          <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" /> {readError}
+        </div>
+      )}
+
       {errors.length > 0 && (
         <div className="bg-rose-900/30 border border-rose-700/50 rounded-lg p-3 text-sm text-rose-300 space-y-1">
           {errors.map((err, i) => (
@@ -8,8 +8,9 @@ import { ArrowUpRight, ArrowDownRight } from 'lucide-react';
  * @param {string} props.value         - Formatted value (e.g. "+12.00%")
  * @param {string} [props.variant]     - "positive" | "negative" | "neutral" (default)
  * @param {import('lucide-react').LucideIcon} [props.icon] - Optional icon component
+ * @param {string} [props.note]        - Optional footnote shown under the value
  */
-export default function KpiCard({ label, value, variant = 'neutral', icon: Icon }) {
+export default function KpiCard({ label, value, variant = 'neutral', icon: Icon, note }) {
   const styles = {
     positive: 'bg-emerald-900/30 border-emerald-700/50 text-emerald-400',
     negative: 'bg-rose-900/30 border-rose-700/50 text-rose-400',
@@ -26,6 +27,7 @@ export default function KpiCard({ label, value, variant = 'neutral', icon: Icon
         {Icon && !ArrowIcon && <Icon className="w-5 h-5 text-slate-500" />}
       </div>
       <h3 className="text-3xl font-bold">{value}</h3>
+      {note && <p className="text-xs text-slate-400 mt-1">{note}</p>}
     </div>
   );
 }
@@ -1,12 +1,21 @@
+import { useSyncExternalStore } from 'react';
 import { Outlet } from 'react-router-dom';
 import Sidebar from './Sidebar';
+import usePortfolioStore from '../store/usePortfolioStore';
+
+const { onFinishHydration, hasHydrated } = usePortfolioStore.persist;
 
 export default function Layout() {
+  // Pages read the store when they mount, so wait for the saved workspace to load
+  const hydrated = useSyncExternalStore(onFinishHydration, hasHydrated);
+  const activePortfolioId = usePortfolioStore((state) => state.activePortfolioId);
+
   return (
     <div className="flex h-screen bg-[#0a1628] overflow-hidden">
       <Sidebar />
       <main className="flex-1 overflow-y-auto">
-        <Outlet />
+        {/* Keyed by portfolio so a switch remounts the page and clears its local state */}
+        {hydrated ? <Outlet key={activePortfolioId} /> : <p className="p-8 text-center text-sm text-slate-400">Loading workspace…</p>}
       </main>
     </div>
   );
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import { Briefcase, Plus, FolderOpen, Pencil, Copy, Archive, ArchiveRestore, Check, X } from 'lucide-react';
+import usePortfolioStore from '../store/usePortfolioStore';
+import { latestPerformance } from '../utils/portfolioOverview';
+import { formatSignedPct } from '../utils/formatters';
+
+const signClass = (x) => (!Number.isFinite(x) ? 'text-slate-500' : x >= 0 ? 'text-emerald-400' : 'text-rose-400');
+
+/**
+ * Portfolio registry: every portfolio with its latest return and active
+ * return, and the controls to create, open, rename, clone and archive them.
+ */
+export default function PortfolioOverview() {
+  const {
+    portfolios, activePortfolioId, switchPortfolio, createPortfolio, clonePortfolio, renamePortfolio,
+    setPortfolioArchived, getPortfolioData, benchmarkIndices, policyBenchmarks,
+  } = usePortfolioStore();
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [showArchived, setShowArchived] = useState(false);
+
+  const openCount = portfolios.filter((p) => !p.archived).length;
+  const archivedCount = portfolios.length - openCount;
+  const rows = portfolios
+    .filter((p) => showArchived || !p.archived)
+    .map((p) => ({ ...p, latest: latestPerformance(getPortfolioData(p.id), { benchmarkIndices, policyBenchmarks }) }));
+
+  const handleCreate = () => {
+    if (!newName.trim()) return;
+    createPortfolio(newName.trim());
+    setNewName('');
+  };
+
+  const handleRename = () => {
+    if (editing.name.trim()) renamePortfolio(editing.id, editing.name.trim());
+    setEditing(null);
+  };
+
+  const iconButton = 'text-slate-400 hover:text-[#d4a843] p-1.5 rounded-md hover:bg-[#d4a843]/10 transition-colors disabled:opacity-30 disabled:cursor-not-allowed';
+
+  return (
+    <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+      <div className="p-5 border-b border-slate-700 bg-slate-800/50 flex items-center justify-between flex-wrap gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+            <Briefcase className="w-5 h-5 text-blue-500" />
+            Portfolios
+          </h2>
+          <p className="text-xs text-slate-400 mt-1">
+            Latest return of each portfolio and its active return against its benchmark.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+            placeholder="New portfolio name"
+            className="px-3 py-1.5 text-sm bg-slate-900 border border-slate-600 text-white rounded-lg focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+          />
+          <button
+            onClick={handleCreate}
+            disabled={!newName.trim()}
+            className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <Plus className="w-4 h-4" /> New Portfolio
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left whitespace-nowrap">
+          <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+            <tr>
+              <th className="px-4 py-3">Portfolio</th>
+              <th className="px-4 py-3">Latest Period</th>
+              <th className="px-4 py-3 text-right">Return</th>
+              <th className="px-4 py-3 text-right">Benchmark</th>
+              <th className="px-4 py-3 text-right">Active Return</th>
+              <th className="px-4 py-3 text-center">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-700/50">
+            {rows.map((p) => {
+              const active = p.id === activePortfolioId;
+              return (
+                <tr key={p.id} className={`hover:bg-slate-700/30 transition-colors ${p.archived ? 'opacity-50' : ''}`}>
+                  <td className="px-4 py-2">
+                    {editing?.id === p.id ? (
+                      <div className="flex items-center gap-1">
+                        <input
+                          type="text"
+                          autoFocus
+                          value={editing.name}
+                          onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                          onKeyDown={(e) => (e.key === 'Enter' ? handleRename() : e.key === 'Escape' && setEditing(null))}
+                          className="px-2 py-1 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] outline-none"
+                        />
+                        <button onClick={handleRename} className={iconButton}><Check className="w-4 h-4" /></button>
+                        <button onClick={() => setEditing(null)} className={iconButton}><X className="w-4 h-4" /></button>
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-slate-200">{p.name}</span>
+                        {active && (
+                          <span className="text-[10px] font-semibold uppercase tracking-wide text-[#d4a843] bg-[#d4a843]/10 px-1.5 py-0.5 rounded">Active</span>
+                        )}
+                        {p.archived && (
+                          <span className="text-[10px] font-semibold uppercase tracking-wide text-slate-400 bg-slate-700 px-1.5 py-0.5 rounded">Archived</span>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-slate-400">
+                    {p.latest ? (
+                      <>
+                        {p.latest.label}
+                        {!p.latest.saved && <span className="text-xs text-slate-500"> (unsaved)</span>}
+                      </>
+                    ) : (
+                      'No results yet'
+                    )}
+                  </td>
+                  <td className={`px-4 py-2 text-right font-mono ${signClass(p.latest?.portfolioReturn)}`}>{formatSignedPct(p.latest?.portfolioReturn)}</td>
+                  <td className="px-4 py-2 text-right font-mono text-slate-300">{formatSignedPct(p.latest?.benchmarkReturn)}</td>
+                  <td className={`px-4 py-2 text-right font-mono font-semibold ${signClass(p.latest?.activeReturn)}`}>{formatSignedPct(p.latest?.activeReturn)}</td>
+                  <td className="px-4 py-2">
+                    <div className="flex justify-center gap-1">
+                      <button onClick={() => switchPortfolio(p.id)} disabled={active} title="Open" className={iconButton}>
+                        <FolderOpen className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => setEditing({ id: p.id, name: p.name })} title="Rename" className={iconButton}>
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => clonePortfolio(p.id)} title="Clone" className={iconButton}>
+                        <Copy className="w-4 h-4" />
+                      </button>
+                      {p.archived ? (
+                        <button onClick={() => setPortfolioArchived(p.id, false)} title="Restore" className={iconButton}>
+                          <ArchiveRestore className="w-4 h-4" />
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => setPortfolioArchived(p.id, true)}
+                          disabled={openCount < 2}
+                          title={openCount < 2 ? 'The last open portfolio cannot be archived' : 'Archive'}
+                          className={iconButton}
+                        >
+                          <Archive className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {archivedCount > 0 && (
+        <button
+          onClick={() => setShowArchived((s) => !s)}
+          className="w-full px-5 py-2.5 border-t border-slate-700 text-xs text-slate-400 hover:text-slate-200 transition-colors"
+        >
+          {showArchived ? 'Hide' : 'Show'} {archivedCount} archived portfolio{archivedCount === 1 ? '' : 's'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -1,16 +1,20 @@
 import { NavLink } from 'react-router-dom';
-import { LayoutDashboard, TrendingUp, Calculator, FileText, ChevronLeft, ChevronRight } from 'lucide-react';
+import { LayoutDashboard, TrendingUp, Target, Calculator, ShieldAlert, FileText, ChevronLeft, ChevronRight } from 'lucide-react';
 import { useState } from 'react';
+import usePortfolioStore from '../store/usePortfolioStore';
 
 const NAV_ITEMS = [
   { to: '/', label: 'Dashboard', icon: LayoutDashboard },
   { to: '/performance', label: 'Performance', icon: TrendingUp },
+  { to: '/benchmarks', label: 'Benchmarks', icon: Target },
   { to: '/attribution', label: 'Attribution', icon: Calculator },
+  { to: '/risk', label: 'Risk', icon: ShieldAlert },
   { to: '/report', label: 'IC Report', icon: FileText },
 ];
 
 export default function Sidebar() {
   const [collapsed, setCollapsed] = useState(false);
+  const { portfolios, activePortfolioId, switchPortfolio } = usePortfolioStore();
 
   return (
     <aside
@@ -31,6 +35,24 @@ export default function Sidebar() {
         )}
       </div>
 
+      {/* Portfolio switcher */}
+      {!collapsed && (
+        <div className="px-3 py-3 border-b border-slate-800">
+          <label className="block text-[10px] font-medium uppercase tracking-wide text-slate-500 mb-1">Portfolio</label>
+          <select
+            value={activePortfolioId}
+            onChange={(e) => switchPortfolio(e.target.value)}
+            className="w-full px-2 py-1.5 bg-slate-900 border border-slate-700 text-slate-200 rounded-md text-sm focus:ring-2 focus:ring-[#d4a843] outline-none"
+          >
+            {portfolios
+              .filter((p) => !p.archived)
+              .map((p) => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+          </select>
+        </div>
+      )}
+
       {/* Navigation */}
       <nav className="flex-1 py-4 space-y-1 px-2">
         {NAV_ITEMS.map(({ to, label, icon: Icon }) => (
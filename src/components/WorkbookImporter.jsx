@@ -0,0 +1,173 @@
+import { useState, useRef } from 'react';
+import { FileSpreadsheet, FileText, AlertCircle, CheckCircle2 } from 'lucide-react';
+import { isWorkbookFile, readWorkbook, detectHeaderRow, classifySheet, sheetToTable, SHEET_ROLES } from '../utils/xlsxParser';
+
+/**
+ * Loads several sheets of one XLSX workbook in a single drop. Each sheet is
+ * given a role (guessed from its name) and a header row, then the tables are
+ * handed to `onImport` keyed by role.
+ *
+ * @param {Object} props
+ * @param {string} props.label           - Drop area label
+ * @param {string} [props.description]   - Help text
+ * @param {(tables: Object<string, import('../utils/xlsxParser').SheetTable>) => Promise<void>} props.onImport
+ *   Called with { assets?, cashflows?, benchmark? }
+ * @param {string[]} [props.errors]      - Parse/validation errors to display
+ * @param {boolean} [props.success]      - Show success state
+ */
+export default function WorkbookImporter({ label, description, onImport, errors = [], success = false }) {
+  const [dragging, setDragging] = useState(false);
+  const [fileName, setFileName] = useState('');
+  const [sheets, setSheets] = useState([]);
+  const [readError, setReadError] = useState('');
+  const inputRef = useRef(null);
+
+  const handleFile = async (file) => {
+    if (!isWorkbookFile(file)) return;
+    setFileName(file.name);
+    setReadError('');
+    try {
+      const workbook = await readWorkbook(file);
+      setSheets(workbook.map((ws) => ({ ...ws, role: classifySheet(ws.name) || '', headerRow: detectHeaderRow(ws.rows) })));
+    } catch (err) {
+      setSheets([]);
+      setReadError(err.message);
+    }
+  };
+
+  const updateSheet = (index, updates) =>
+    setSheets((prev) => prev.map((ws, i) => (i === index ? { ...ws, ...updates } : ws)));
+
+  const handleImport = () => {
+    const tables = {};
+    for (const ws of sheets) {
+      if (ws.role && !tables[ws.role]) tables[ws.role] = sheetToTable(ws.rows, ws.headerRow);
+    }
+    onImport(tables);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setDragging(true);
+  };
+
+  const assignedRoles = sheets.map((ws) => ws.role).filter(Boolean);
+  const duplicateRole = assignedRoles.find((role, i) => assignedRoles.indexOf(role) !== i);
+
+  return (
+    <div className="space-y-2">
+      <div
+        onDrop={handleDrop}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setDragging(false)}
+        onClick={() => inputRef.current?.click()}
+        className={`border-2 border-dashed rounded-xl p-6 text-center cursor-pointer transition-colors ${
+          dragging
+            ? 'border-[#d4a843] bg-[#d4a843]/10'
+            : success
+            ? 'border-emerald-600 bg-emerald-900/30'
+            : 'border-slate-600 hover:border-[#d4a843] hover:bg-slate-800/50'
+        }`}
+      >
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".xlsx"
+          className="hidden"
+          onChange={(e) => handleFile(e.target.files[0])}
+        />
+        {success ? (
+          <CheckCircle2 className="w-8 h-8 text-emerald-400 mx-auto mb-2" />
+        ) : (
+          <FileSpreadsheet className="w-8 h-8 text-slate-500 mx-auto mb-2" />
+        )}
+        <p className="text-sm font-medium text-white">{label}</p>
+        {description && <p className="text-xs text-slate-400 mt-1">{description}</p>}
+        {fileName && (
+          <p className="text-xs text-[#d4a843] mt-2 flex items-center justify-center gap-1">
+            <FileText className="w-3 h-3" /> {fileName}
+          </p>
+        )}
+      </div>
+
+      {sheets.length > 0 && (
+        <div className="bg-slate-900/50 border border-slate-700 rounded-xl p-4 space-y-3">
+          <table className="w-full text-sm text-left">
+            <thead className="text-slate-400 font-medium border-b border-slate-700">
+              <tr>
+                <th className="px-2 py-2">Sheet</th>
+                <th className="px-2 py-2">Load As</th>
+                <th className="px-2 py-2 text-right">Header Row</th>
+                <th className="px-2 py-2">Columns</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-700/50">
+              {sheets.map((ws, i) => (
+                <tr key={ws.name}>
+                  <td className="px-2 py-1.5 text-slate-200">{ws.name}</td>
+                  <td className="px-2 py-1.5">
+                    <select
+                      value={ws.role}
+                      onChange={(e) => updateSheet(i, { role: e.target.value })}
+                      className="w-full px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-sm focus:ring-2 focus:ring-[#d4a843] outline-none"
+                    >
+                      <option value="">Ignore</option>
+                      {SHEET_ROLES.map((role) => (
+                        <option key={role.id} value={role.id}>{role.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-2 py-1.5">
+                    <input
+                      type="number"
+                      min="1"
+                      max={Math.max(1, ws.rows.length)}
+                      value={ws.headerRow + 1}
+                      onChange={(e) => updateSheet(i, { headerRow: Math.max(0, (parseInt(e.target.value, 10) || 1) - 1) })}
+                      className="w-20 ml-auto block px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-sm text-right focus:ring-2 focus:ring-[#d4a843] outline-none"
+                    />
+                  </td>
+                  <td className="px-2 py-1.5 text-xs text-slate-400 max-w-xs truncate">
+                    {(ws.rows[ws.headerRow] || []).filter((c) => c !== null && c !== '').join(', ') || '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {duplicateRole && (
+            <p className="text-xs text-amber-400">More than one sheet is set to the same role — only the first is loaded.</p>
+          )}
+          <button
+            onClick={handleImport}
+            disabled={assignedRoles.length === 0}
+            className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FileSpreadsheet className="w-4 h-4" /> Import Sheets
+          </button>
+        </div>
+      )}
+
+      {readError && (
+        <div className="bg-rose-900/30 border border-rose-700/50 rounded-lg p-3 text-sm text-rose-300 flex items-start gap-2">
+          <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" /> {readError}
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <div className="bg-rose-900/30 border border-rose-700/50 rounded-lg p-3 text-sm text-rose-300 space-y-1">
+          {errors.map((err, i) => (
+            <p key={i} className="flex items-start gap-2">
+              <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" /> {err}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,21 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useCallback, Fragment } from 'react';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
   ResponsiveContainer, ReferenceLine, Cell
 } from 'recharts';
-import { Plus, Trash2, Calculator, PieChart, AlertCircle, Info, Import } from 'lucide-react';
+import {
+  Plus, Trash2, Calculator, PieChart, AlertCircle, Info, Import, ListTree, ChevronRight, ChevronDown, Coins, Landmark, Target,
+} from 'lucide-react';
 import usePortfolioStore from '../store/usePortfolioStore';
 import { brinsonFachler } from '../utils/brinsonFachler';
+import { geometricAttribution } from '../utils/geometricAttribution';
+import { hierarchicalAttribution } from '../utils/hierarchicalAttribution';
+import { karnoskySinger } from '../utils/currencyAttribution';
+import { campisiAttribution } from '../utils/fixedIncomeAttribution';
+import { parseBondHoldingsCSV } from '../utils/csvParser';
 import { formatPct, formatSignedPct } from '../utils/formatters';
 import KpiCard from '../components/KpiCard';
+import CsvUploader from '../components/CsvUploader';
 import CustomTooltip from '../components/CustomTooltip';
 import AiAnalyst from '../components/AiAnalyst';
 import { generateExecutiveSummary, generateRecommendations } from '../services/aiService';
@@ -18,15 +26,221 @@ const COLORS = {
   interaction: '#f59e0b',
 };
 
+const MODES = [
+  { id: 'arithmetic', label: 'Arithmetic' },
+  { id: 'geometric', label: 'Geometric (Bacon)' },
+];
+
+const MODELS = [
+  { id: 'bf', label: 'Brinson-Fachler', allocationFormula: '(Wp - Wb) x (Rb - Rb_total)' },
+  { id: 'bhb', label: 'Brinson-Hood-Beebower', allocationFormula: '(Wp - Wb) x Rb' },
+];
+
+const INTERACTION_TREATMENTS = [
+  { id: 'separate', label: 'Separate' },
+  { id: 'selection', label: 'Merged into Selection' },
+  { id: 'allocation', label: 'Merged into Allocation' },
+];
+
+const TABS = [
+  { id: 'asset-class', label: 'Asset Class', icon: PieChart },
+  { id: 'hierarchy', label: 'Multi-Level', icon: ListTree },
+  { id: 'currency', label: 'Currency', icon: Coins },
+  { id: 'fixed-income', label: 'Fixed Income', icon: Landmark },
+];
+
+const CURRENCIES = ['NGN', 'USD', 'EUR', 'GBP', 'ZAR', 'KES', 'GHS', 'JPY', 'CHF'];
+
+const LEVEL_NAMES = ['Asset Class', 'Sector', 'Security'];
+
 const DEFAULT_DATA = [
   { id: 1, name: 'Equities', wp: 60, rp: 12, wb: 50, rb: 10 },
   { id: 2, name: 'Fixed Income', wp: 30, rp: 4, wb: 40, rb: 5 },
   { id: 3, name: 'Cash', wp: 10, rp: 1, wb: 10, rb: 1 },
 ];
 
+// Local returns, currency returns, forward premia and hedge ratios in %;
+// currency returns and forward premia quoted against DEFAULT_CURRENCY_QUOTE
+const DEFAULT_CURRENCY_QUOTE = 'NGN';
+const DEFAULT_CURRENCY_DATA = [
+  { id: 1, name: 'Nigerian Equities', currency: 'NGN', wp: 50, wb: 45, rpl: 14, rbl: 12, fx: 0, fwd: 0, hp: 0, hb: 0 },
+  { id: 2, name: 'US Equities', currency: 'USD', wp: 25, wb: 30, rpl: 8, rbl: 9, fx: 9, fwd: 6, hp: 0, hb: 0 },
+  { id: 3, name: 'Eurobonds', currency: 'USD', wp: 15, wb: 15, rpl: 5, rbl: 4.5, fx: 9, fwd: 6, hp: 50, hb: 0 },
+  { id: 4, name: 'UK Equities', currency: 'GBP', wp: 10, wb: 10, rpl: 3, rbl: 4, fx: 4, fwd: 5, hp: 0, hb: 0 },
+];
+
+// Decimals: yields/returns annual/period, yield changes (0.005 = 50bp)
+const DEFAULT_BONDS = [
+  { name: 'FGN 2029', marketValue: 40_000_000, modifiedDuration: 3.2, yield: 0.152, treasuryChange: 0.005, spreadChange: 0, totalReturn: 0.059 },
+  { name: 'FGN 2034', marketValue: 30_000_000, modifiedDuration: 6.1, yield: 0.16, treasuryChange: 0.008, spreadChange: 0, totalReturn: 0.03 },
+  { name: 'Corporate Bond 2030', marketValue: 20_000_000, modifiedDuration: 4.0, yield: 0.185, treasuryChange: 0.006, spreadChange: -0.0025, totalReturn: 0.079 },
+  { name: 'Eurobond 2032', marketValue: 10_000_000, modifiedDuration: 5.5, yield: 0.095, treasuryChange: -0.002, spreadChange: 0.004, totalReturn: 0.036 },
+];
+
+const FI_COLORS = {
+  income: '#d4a843',
+  treasury: '#3b82f6',
+  spread: '#10b981',
+  residual: '#94a3b8',
+};
+
+// Weights are relative to the parent group; returns on groups are derived
+const DEFAULT_TREE = [
+  {
+    id: 1, name: 'Equities', wp: 60, rp: 0, wb: 50, rb: 0,
+    children: [
+      { id: 2, name: 'Banking', wp: 45, rp: 15, wb: 35, rb: 12, children: [] },
+      { id: 3, name: 'Telecoms', wp: 30, rp: 9, wb: 40, rb: 10, children: [] },
+      { id: 4, name: 'Consumer Goods', wp: 25, rp: 11, wb: 25, rb: 7, children: [] },
+    ],
+  },
+  {
+    id: 5, name: 'Fixed Income', wp: 30, rp: 0, wb: 40, rb: 0,
+    children: [
+      { id: 6, name: 'Government', wp: 70, rp: 4, wb: 80, rb: 4.5, children: [] },
+      { id: 7, name: 'Corporate', wp: 30, rp: 6, wb: 20, rb: 6.5, children: [] },
+    ],
+  },
+  { id: 8, name: 'Cash', wp: 10, rp: 1, wb: 10, rb: 1, children: [] },
+];
+
+const signClass = (v) => (v >= 0 ? 'text-emerald-400' : 'text-rose-400');
+
+// ── Tree helpers ──
+const maxNodeId = (nodes) => nodes.reduce((m, n) => Math.max(m, n.id, maxNodeId(n.children)), 0);
+
+const mapNode = (nodes, id, fn) =>
+  nodes.map((n) => (n.id === id ? fn(n) : { ...n, children: mapNode(n.children, id, fn) }));
+
+const removeNode = (nodes, id) =>
+  nodes.filter((n) => n.id !== id).map((n) => ({ ...n, children: removeNode(n.children, id) }));
+
+const toHierarchyInput = (nodes) =>
+  nodes.map((n) => ({
+    name: n.name,
+    portfolioWeight: n.wp / 100,
+    portfolioReturn: n.rp / 100,
+    benchmarkWeight: n.wb / 100,
+    benchmarkReturn: n.rb / 100,
+    children: toHierarchyInput(n.children),
+  }));
+
+/**
+ * Rows of the multi-level tree table. Input nodes and attribution results
+ * are walked in parallel — the engine preserves child order.
+ */
+function HierarchyRows({ nodes, results, level = 0, collapsed, onToggle, onChange, onAddChild, onRemove }) {
+  const inputClass = 'w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none';
+
+  return nodes.map((node, i) => {
+    const result = results[i];
+    const isGroup = node.children.length > 0;
+    const isCollapsed = collapsed.has(node.id);
+
+    return (
+      <Fragment key={node.id}>
+        <tr className={`hover:bg-slate-700/30 transition-colors ${level === 0 ? 'bg-slate-800/30' : ''}`}>
+          <td className="px-4 py-2">
+            <div className="flex items-center gap-1" style={{ paddingLeft: `${level * 1.25}rem` }}>
+              {isGroup ? (
+                <button onClick={() => onToggle(node.id)} className="text-slate-400 hover:text-white p-0.5 rounded">
+                  {isCollapsed ? <ChevronRight className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                </button>
+              ) : (
+                <span className="w-5" />
+              )}
+              <input
+                type="text"
+                value={node.name}
+                onChange={(e) => onChange(node.id, 'name', e.target.value)}
+                className={`min-w-36 w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none ${isGroup ? 'font-semibold' : ''}`}
+              />
+            </div>
+          </td>
+          <td className="px-4 py-2">
+            <input type="number" step="0.01" value={node.wp} onChange={(e) => onChange(node.id, 'wp', e.target.value)} className={inputClass} />
+          </td>
+          <td className="px-4 py-2">
+            {isGroup ? (
+              <div className="px-3 text-right font-mono text-slate-300">{formatPct(result.portfolioReturn)}</div>
+            ) : (
+              <input type="number" step="0.01" value={node.rp} onChange={(e) => onChange(node.id, 'rp', e.target.value)} className={inputClass} />
+            )}
+          </td>
+          <td className="px-4 py-2">
+            <input type="number" step="0.01" value={node.wb} onChange={(e) => onChange(node.id, 'wb', e.target.value)} className={inputClass} />
+          </td>
+          <td className="px-4 py-2">
+            {isGroup ? (
+              <div className="px-3 text-right font-mono text-slate-300">{formatPct(result.benchmarkReturn)}</div>
+            ) : (
+              <input type="number" step="0.01" value={node.rb} onChange={(e) => onChange(node.id, 'rb', e.target.value)} className={inputClass} />
+            )}
+          </td>
+          <td className={`px-4 py-2 text-right font-mono ${signClass(result.allocation)}`}>{formatSignedPct(result.allocation)}</td>
+          <td className={`px-4 py-2 text-right font-mono ${signClass(result.selection)}`}>{formatSignedPct(result.selection)}</td>
+          <td className={`px-4 py-2 text-right font-mono ${isGroup ? 'text-slate-500' : signClass(result.interaction)}`}>
+            {isGroup ? '-' : formatSignedPct(result.interaction)}
+          </td>
+          <td className={`px-4 py-2 text-right font-mono font-bold ${signClass(result.total)}`}>{formatSignedPct(result.total)}</td>
+          <td className="px-4 py-2 text-center whitespace-nowrap">
+            {level < LEVEL_NAMES.length - 1 && (
+              <button onClick={() => onAddChild(node.id)} title="Add sub-group" className="text-slate-400 hover:text-[#d4a843] p-1.5 rounded-md hover:bg-[#d4a843]/10 transition-colors">
+                <Plus className="w-4 h-4" />
+              </button>
+            )}
+            <button onClick={() => onRemove(node.id)} title="Remove" className="text-slate-400 hover:text-rose-400 p-1.5 rounded-md hover:bg-rose-900/30 transition-colors">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </td>
+        </tr>
+        {isGroup && !isCollapsed && (
+          <HierarchyRows
+            nodes={node.children}
+            results={result.children}
+            level={level + 1}
+            collapsed={collapsed}
+            onToggle={onToggle}
+            onChange={onChange}
+            onAddChild={onAddChild}
+            onRemove={onRemove}
+          />
+        )}
+      </Fragment>
+    );
+  });
+}
+
+// Like useState, but kept in the store so the tables are saved with the workspace
+function useAttributionInput(name, initial) {
+  const value = usePortfolioStore((state) => state.attributionInputs[name]);
+  const setAttributionInput = usePortfolioStore((state) => state.setAttributionInput);
+  const setValue = useCallback((next) => setAttributionInput(name, next), [name, setAttributionInput]);
+  return [value ?? initial, setValue];
+}
+
 export default function AttributionPage() {
-  const [data, setData] = useState(DEFAULT_DATA);
-  const { getPerformanceAsAttributionInput, performanceResults } = usePortfolioStore();
+  const [activeTab, setActiveTab] = useState('asset-class');
+  const [data, setData] = useAttributionInput('data', DEFAULT_DATA);
+  const [mode, setMode] = useAttributionInput('mode', 'arithmetic');
+  const [model, setModel] = useAttributionInput('model', 'bf');
+  const [interactionTreatment, setInteractionTreatment] = useAttributionInput('interactionTreatment', 'separate');
+  const [tree, setTree] = useAttributionInput('tree', DEFAULT_TREE);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [currencyData, setCurrencyData] = useAttributionInput('currencyData', DEFAULT_CURRENCY_DATA);
+  const [currencyQuote, setCurrencyQuote] = useAttributionInput('currencyQuote', DEFAULT_CURRENCY_QUOTE);
+  const [bonds, setBonds] = useAttributionInput('bonds', DEFAULT_BONDS);
+  const [bondErrors, setBondErrors] = useState([]);
+  const [bondSuccess, setBondSuccess] = useState(false);
+  const {
+    getPerformanceAsAttributionInput, performanceResults, baseCurrency, setBaseCurrency, startDate, endDate,
+    getHoldingsHierarchy, securities, policyBenchmarks, activePolicyId, setActivePolicy, getPolicyAttributionInputs,
+  } = usePortfolioStore();
+  const [benchmarkFill, setBenchmarkFill] = useState(null);
+  const [periodYears, setPeriodYears] = useAttributionInput(
+    'periodYears',
+    startDate && endDate ? Number(((endDate.getTime() - startDate.getTime()) / 86_400_000 / 365).toFixed(4)) : 0.5
+  );
 
   // ── Data Handlers ──
   const handleAddRow = () => {
@@ -50,13 +264,155 @@ export default function AttributionPage() {
         name: a.name,
         wp: Number((a.portfolioWeight * 100).toFixed(2)),
         rp: Number((a.portfolioReturn * 100).toFixed(2)),
-        wb: 0,
-        rb: 0,
+        wb: Number((a.benchmarkWeight * 100).toFixed(2)),
+        rb: Number((a.benchmarkReturn * 100).toFixed(2)),
       }))
     );
   };
 
-  // ── Brinson-Fachler Calculations ──
+  // ── Fill benchmark weights and returns from the active policy benchmark ──
+  // Rows the policy does not cover get no benchmark weight; policy asset classes with no row are added
+  const handleFillFromBenchmark = () => {
+    const input = getPolicyAttributionInputs();
+    if (!input) return;
+    const pct = (x) => Number(((Number.isFinite(x) ? x : 0) * 100).toFixed(2));
+    let nextId = data.length > 0 ? Math.max(...data.map((d) => d.id)) : 0;
+    setData([
+      ...data.map((d) => {
+        const b = input.rows.find((r) => r.name === d.name.trim());
+        return { ...d, wb: b ? pct(b.benchmarkWeight) : 0, rb: b ? pct(b.benchmarkReturn) : 0 };
+      }),
+      ...input.rows
+        .filter((r) => !data.some((d) => d.name.trim() === r.name))
+        .map((r) => ({ id: ++nextId, name: r.name, wp: 0, rp: 0, wb: pct(r.benchmarkWeight), rb: pct(r.benchmarkReturn) })),
+    ]);
+    setBenchmarkFill({ name: input.policy.name, total: input.total, issues: input.issues });
+  };
+
+  // ── Hierarchy Handlers ──
+
+  const handleAddNode = (parentId) => {
+    const id = maxNodeId(tree) + 1;
+    const node = { id, name: `Group ${id}`, wp: 0, rp: 0, wb: 0, rb: 0, children: [] };
+    if (parentId === null) {
+      setTree([...tree, node]);
+    } else {
+      setTree(mapNode(tree, parentId, (n) => ({ ...n, children: [...n.children, node] })));
+      setCollapsed((prev) => {
+        const next = new Set(prev);
+        next.delete(parentId);
+        return next;
+      });
+    }
+  };
+
+  const handleRemoveNode = (id) => setTree(removeNode(tree, id));
+
+  // Asset class → sector → security tree from the Performance holdings
+  const handleImportFromHoldings = () => {
+    const hierarchyInput = getHoldingsHierarchy();
+    if (!hierarchyInput || hierarchyInput.length === 0) return;
+    let nextId = 0;
+    const toTree = (nodes) =>
+      nodes.map((n) => ({
+        id: ++nextId,
+        name: n.name,
+        wp: Number((n.portfolioWeight * 100).toFixed(2)),
+        rp: Number(((n.portfolioReturn || 0) * 100).toFixed(2)),
+        wb: 0,
+        rb: 0,
+        children: toTree(n.children),
+      }));
+    setTree(toTree(hierarchyInput));
+    setCollapsed(new Set());
+  };
+
+  const handleNodeChange = (id, field, value) => {
+    setTree(mapNode(tree, id, (n) => ({ ...n, [field]: field === 'name' ? value : parseFloat(value) || 0 })));
+  };
+
+  const handleToggleNode = (id) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const hierarchy = useMemo(() => hierarchicalAttribution(toHierarchyInput(tree)), [tree]);
+
+  // ── Currency Handlers ──
+  const handleAddCurrencyRow = () => {
+    const newId = currencyData.length > 0 ? Math.max(...currencyData.map((d) => d.id)) + 1 : 1;
+    setCurrencyData([
+      ...currencyData,
+      { id: newId, name: `Asset Class ${newId}`, currency: baseCurrency, wp: 0, wb: 0, rpl: 0, rbl: 0, fx: 0, fwd: 0, hp: 0, hb: 0 },
+    ]);
+  };
+
+  const handleRemoveCurrencyRow = (id) => setCurrencyData(currencyData.filter((d) => d.id !== id));
+
+  const handleCurrencyChange = (id, field, value) => {
+    const text = field === 'name' || field === 'currency';
+    setCurrencyData(currencyData.map((d) => (d.id === id ? { ...d, [field]: text ? value : parseFloat(value) || 0 } : d)));
+  };
+
+  const currencyResults = useMemo(() => {
+    try {
+      const results = karnoskySinger(
+        currencyData.map((d) => ({
+          name: d.name,
+          currency: d.currency,
+          portfolioWeight: d.wp / 100,
+          benchmarkWeight: d.wb / 100,
+          portfolioLocalReturn: d.rpl / 100,
+          benchmarkLocalReturn: d.rbl / 100,
+          currencyReturn: d.fx / 100,
+          forwardPremium: d.fwd / 100,
+          portfolioHedgeRatio: d.hp / 100,
+          benchmarkHedgeRatio: d.hb / 100,
+        })),
+        { baseCurrency, quoteCurrency: currencyQuote }
+      );
+      return { ...results, error: null };
+    } catch (err) {
+      return { ...karnoskySinger([], { baseCurrency }), error: err.message };
+    }
+  }, [currencyData, baseCurrency, currencyQuote]);
+
+  // ── Fixed Income Handlers ──
+  const handleBondsUpload = useCallback(async (file, options) => {
+    setBondErrors([]);
+    setBondSuccess(false);
+    const { holdings, errors } = await parseBondHoldingsCSV(file, options);
+    if (errors.length > 0) {
+      setBondErrors(errors);
+    } else {
+      setBonds(holdings);
+      setBondSuccess(true);
+    }
+  }, [setBonds]);
+
+  const fixedIncome = useMemo(() => {
+    try {
+      return { ...campisiAttribution(bonds, { periodYears }), error: null };
+    } catch (err) {
+      return { holdings: [], totals: null, error: err.message };
+    }
+  }, [bonds, periodYears]);
+
+  const fiChartData = fixedIncome.totals
+    ? [
+        { name: 'Income', value: Number((fixedIncome.totals.income * 100).toFixed(2)), fill: FI_COLORS.income },
+        { name: 'Treasury', value: Number((fixedIncome.totals.treasury * 100).toFixed(2)), fill: FI_COLORS.treasury },
+        { name: 'Spread', value: Number((fixedIncome.totals.spread * 100).toFixed(2)), fill: FI_COLORS.spread },
+        { name: 'Residual', value: Number((fixedIncome.totals.residual * 100).toFixed(2)), fill: FI_COLORS.residual },
+        { name: 'Total', value: Number((fixedIncome.totals.totalReturn * 100).toFixed(2)), fill: '#6366f1' },
+      ]
+    : [];
+
+  // ── Brinson / Geometric Calculations ──
   const results = useMemo(() => {
     const assets = data.map((d) => ({
       name: d.name,
@@ -65,22 +421,33 @@ export default function AttributionPage() {
       benchmarkWeight: d.wb / 100,
       benchmarkReturn: d.rb / 100,
     }));
-    return brinsonFachler(assets);
-  }, [data]);
+    if (mode === 'geometric') return geometricAttribution(assets);
+    return brinsonFachler(assets, { model, interaction: interactionTreatment });
+  }, [data, mode, model, interactionTreatment]);
+
+  const geometric = mode === 'geometric';
+  const modelInfo = MODELS.find((m) => m.id === model);
+  const methodLabel = geometric ? 'Geometric (Bacon)' : modelInfo.label;
+  const showInteraction = !geometric && interactionTreatment === 'separate';
+  const allocationLabel = !geometric && interactionTreatment === 'allocation' ? 'Allocation (incl. Interaction)' : 'Allocation';
+  const selectionLabel = !geometric && interactionTreatment === 'selection' ? 'Selection (incl. Interaction)' : 'Selection';
+  const activeLabel = geometric ? 'Geometric Active Return' : 'Total Active Return';
 
   // ── Chart Data ──
   const chartData = results.attribution.map((d) => ({
     name: d.name,
     Allocation: Number((d.allocation * 100).toFixed(2)),
     Selection: Number((d.selection * 100).toFixed(2)),
-    Interaction: Number((d.interaction * 100).toFixed(2)),
+    ...(showInteraction && { Interaction: Number((d.interaction * 100).toFixed(2)) }),
   }));
 
   const totalChartData = [
     { name: 'Allocation', value: Number((results.totals.allocation * 100).toFixed(2)), fill: COLORS.allocation },
     { name: 'Selection', value: Number((results.totals.selection * 100).toFixed(2)), fill: COLORS.selection },
-    { name: 'Interaction', value: Number((results.totals.interaction * 100).toFixed(2)), fill: COLORS.interaction },
-    { name: 'Total Active', value: Number((results.totals.activeReturn * 100).toFixed(2)), fill: '#6366f1' },
+    ...(showInteraction
+      ? [{ name: 'Interaction', value: Number((results.totals.interaction * 100).toFixed(2)), fill: COLORS.interaction }]
+      : []),
+    { name: geometric ? 'Geometric Active' : 'Total Active', value: Number((results.totals.activeReturn * 100).toFixed(2)), fill: '#6366f1' },
   ];
 
   // ── Weight Warnings ──
@@ -92,268 +459,980 @@ export default function AttributionPage() {
       {/* Header */}
       <div>
         <h1 className="text-2xl font-bold text-white">Performance Attribution</h1>
-        <p className="text-sm text-slate-400 mt-1">Brinson-Fachler Methodology</p>
+        <p className="text-sm text-slate-400 mt-1">
+          {activeTab === 'hierarchy'
+            ? 'Hierarchical Brinson-Fachler'
+            : activeTab === 'currency'
+            ? 'Karnosky-Singer'
+            : activeTab === 'fixed-income'
+            ? 'Campisi Fixed Income'
+            : methodLabel}{' '}
+          Methodology
+        </p>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex gap-1 bg-slate-800/50 rounded-xl p-1">
+        {TABS.map((tab) => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`flex items-center gap-2 px-4 py-2.5 rounded-lg text-sm font-medium transition-colors flex-1 justify-center ${
+              activeTab === tab.id
+                ? 'bg-slate-700 text-[#d4a843] shadow-sm'
+                : 'text-slate-400 hover:text-white'
+            }`}
+          >
+            <tab.icon className="w-4 h-4" />
+            <span className="hidden sm:inline">{tab.label}</span>
+          </button>
+        ))}
       </div>
 
-      {/* Warnings */}
-      {(wpWarning || wbWarning) && (
-        <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 flex items-start gap-3 text-amber-800 shadow-sm">
-          <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
-          <div>
-            <h3 className="font-semibold">Weight Allocation Warning</h3>
-            <ul className="list-disc list-inside text-sm mt-1">
-              {wpWarning && <li>Portfolio weights sum to {(results.totalPortfolioWeight * 100).toFixed(1)}% (expected 100%)</li>}
-              {wbWarning && <li>Benchmark weights sum to {(results.totalBenchmarkWeight * 100).toFixed(1)}% (expected 100%)</li>}
-            </ul>
+      {/* ─── Tab 1: Asset Class ─────────────────────── */}
+      {activeTab === 'asset-class' && (
+        <div className="space-y-6">
+          {/* Methodology Selector */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-5 grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-slate-300 mb-2">Attribution Mode</label>
+              <div className="flex gap-1 bg-slate-800/50 rounded-xl p-1 md:w-1/2">
+                {MODES.map((m) => (
+                  <button
+                    key={m.id}
+                    onClick={() => setMode(m.id)}
+                    className={`flex-1 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                      mode === m.id ? 'bg-slate-700 text-[#d4a843] shadow-sm' : 'text-slate-400 hover:text-white'
+                    }`}
+                  >
+                    {m.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {!geometric && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Attribution Model</label>
+                  <div className="flex gap-1 bg-slate-800/50 rounded-xl p-1">
+                    {MODELS.map((m) => (
+                      <button
+                        key={m.id}
+                        onClick={() => setModel(m.id)}
+                        className={`flex-1 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                          model === m.id ? 'bg-slate-700 text-[#d4a843] shadow-sm' : 'text-slate-400 hover:text-white'
+                        }`}
+                      >
+                        {m.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Interaction Effect</label>
+                  <div className="flex gap-1 bg-slate-800/50 rounded-xl p-1">
+                    {INTERACTION_TREATMENTS.map((t) => (
+                      <button
+                        key={t.id}
+                        onClick={() => setInteractionTreatment(t.id)}
+                        className={`flex-1 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                          interactionTreatment === t.id ? 'bg-slate-700 text-[#d4a843] shadow-sm' : 'text-slate-400 hover:text-white'
+                        }`}
+                      >
+                        {t.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Warnings */}
+          {(wpWarning || wbWarning) && (
+            <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 flex items-start gap-3 text-amber-800 shadow-sm">
+              <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+              <div>
+                <h3 className="font-semibold">Weight Allocation Warning</h3>
+                <ul className="list-disc list-inside text-sm mt-1">
+                  {wpWarning && <li>Portfolio weights sum to {(results.totalPortfolioWeight * 100).toFixed(1)}% (expected 100%)</li>}
+                  {wbWarning && <li>Benchmark weights sum to {(results.totalBenchmarkWeight * 100).toFixed(1)}% (expected 100%)</li>}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          {/* Data Input Table */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+            <div className="p-5 border-b border-slate-700 bg-slate-800/50 flex items-center justify-between flex-wrap gap-2">
+              <h2 className="text-lg font-semibold flex items-center gap-2">
+                <PieChart className="w-5 h-5 text-blue-500" />
+                Portfolio & Benchmark Data
+              </h2>
+              <div className="flex gap-2 flex-wrap">
+                {policyBenchmarks.length > 0 && (
+                  <>
+                    <select
+                      value={activePolicyId ?? ''}
+                      onChange={(e) => setActivePolicy(e.target.value || null)}
+                      className="px-3 py-1.5 text-sm bg-slate-900 border border-slate-600 text-white rounded-lg focus:ring-2 focus:ring-[#d4a843] outline-none"
+                    >
+                      <option value="">No policy benchmark</option>
+                      {policyBenchmarks.map((p) => (
+                        <option key={p.id} value={p.id}>{p.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleFillFromBenchmark}
+                      disabled={!activePolicyId || !startDate || !endDate}
+                      title={!startDate || !endDate ? 'Set the period on the Performance page first' : undefined}
+                      className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      <Target className="w-4 h-4" /> Fill from Benchmark
+                    </button>
+                  </>
+                )}
+                {performanceResults && (
+                  <button
+                    onClick={handleImportFromPerformance}
+                    className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
+                  >
+                    <Import className="w-4 h-4" /> Import from Performance
+                  </button>
+                )}
+                <button
+                  onClick={handleAddRow}
+                  className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
+                >
+                  <Plus className="w-4 h-4" /> Add Asset Class
+                </button>
+              </div>
+            </div>
+            {benchmarkFill && (
+              <div className="px-5 py-3 border-b border-slate-700 text-sm text-slate-400">
+                Benchmark from <span className="text-slate-200 font-medium">{benchmarkFill.name}</span>
+                {startDate && endDate && <> for {startDate.toLocaleDateString()} – {endDate.toLocaleDateString()}</>}
+                {Number.isFinite(benchmarkFill.total) && <> · blended return {formatPct(benchmarkFill.total)}</>}
+                {benchmarkFill.issues.length > 0 && (
+                  <ul className="list-disc list-inside text-amber-400 mt-1">
+                    {benchmarkFill.issues.map((issue) => <li key={issue}>{issue}</li>)}
+                  </ul>
+                )}
+              </div>
+            )}
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left whitespace-nowrap">
+                <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                  <tr>
+                    <th className="px-4 py-3">Asset Class</th>
+                    <th className="px-4 py-3 text-right">Portfolio Wgt (%)</th>
+                    <th className="px-4 py-3 text-right">Portfolio Rtn (%)</th>
+                    <th className="px-4 py-3 text-right">Benchmark Wgt (%)</th>
+                    <th className="px-4 py-3 text-right">Benchmark Rtn (%)</th>
+                    <th className="px-4 py-3 text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                  {data.map((row) => (
+                    <tr key={row.id} className="hover:bg-slate-700/30 transition-colors">
+                      <td className="px-4 py-2">
+                        <input type="text" value={row.name} onChange={(e) => handleChange(row.id, 'name', e.target.value)} className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none" />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input type="number" step="0.01" value={row.wp} onChange={(e) => handleChange(row.id, 'wp', e.target.value)} className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none" />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input type="number" step="0.01" value={row.rp} onChange={(e) => handleChange(row.id, 'rp', e.target.value)} className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none" />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input type="number" step="0.01" value={row.wb} onChange={(e) => handleChange(row.id, 'wb', e.target.value)} className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none" />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input type="number" step="0.01" value={row.rb} onChange={(e) => handleChange(row.id, 'rb', e.target.value)} className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none" />
+                      </td>
+                      <td className="px-4 py-2 text-center">
+                        <button onClick={() => handleRemoveRow(row.id)} className="text-slate-400 hover:text-rose-400 p-1.5 rounded-md hover:bg-rose-900/30 transition-colors">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                  {data.length === 0 && (
+                    <tr><td colSpan="6" className="px-4 py-8 text-center text-slate-400">No asset classes added. Click "Add Asset Class" to begin.</td></tr>
+                  )}
+                </tbody>
+                <tfoot className="bg-slate-800/50 font-semibold text-slate-200 border-t border-slate-700">
+                  <tr>
+                    <td className="px-4 py-3 text-right">Totals:</td>
+                    <td className={`px-4 py-3 text-right ${wpWarning ? 'text-amber-600' : ''}`}>{(results.totalPortfolioWeight * 100).toFixed(1)}%</td>
+                    <td className="px-4 py-3 text-right bg-[#d4a843]/10">{formatPct(results.portfolioReturn)}</td>
+                    <td className={`px-4 py-3 text-right ${wbWarning ? 'text-amber-600' : ''}`}>{(results.totalBenchmarkWeight * 100).toFixed(1)}%</td>
+                    <td className="px-4 py-3 text-right bg-[#d4a843]/10">{formatPct(results.benchmarkReturn)}</td>
+                    <td></td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          </div>
+
+          {/* KPI Cards */}
+          {geometric ? (
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <KpiCard label="Portfolio Return" value={formatPct(results.portfolioReturn)} />
+              <KpiCard label="Benchmark Return" value={formatPct(results.benchmarkReturn)} />
+              <KpiCard label="Semi-Notional Return" value={formatPct(results.semiNotionalReturn)} />
+              <KpiCard
+                label="Geometric Active Return"
+                value={formatSignedPct(results.totals.activeReturn)}
+                variant={results.totals.activeReturn >= 0 ? 'positive' : 'negative'}
+              />
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <KpiCard label="Portfolio Return" value={formatPct(results.portfolioReturn)} />
+              <KpiCard label="Benchmark Return" value={formatPct(results.benchmarkReturn)} />
+              <KpiCard
+                label="Active Return"
+                value={formatSignedPct(results.totals.activeReturn)}
+                variant={results.totals.activeReturn >= 0 ? 'positive' : 'negative'}
+              />
+            </div>
+          )}
+
+          {/* AI Analyst */}
+          <AiAnalyst
+            disabled={results.attribution.length === 0}
+            fallbackInsight={results.insight}
+            onGenerateSummary={() =>
+              generateExecutiveSummary({
+                methodology: methodLabel,
+                activeReturn: results.totals.activeReturn,
+                totalAllocation: results.totals.allocation,
+                totalSelection: results.totals.selection,
+                assetBreakdown: results.attribution.map((d) => ({
+                  AssetClass: d.name,
+                  AllocationEffect: `${(d.allocation * 100).toFixed(2)}%`,
+                  SelectionEffect: `${(d.selection * 100).toFixed(2)}%`,
+                  TotalEffect: `${(d.total * 100).toFixed(2)}%`,
+                })),
+              })
+            }
+            onGenerateRecommendations={() =>
+              generateRecommendations({
+                methodology: methodLabel,
+                activeReturn: results.totals.activeReturn,
+                assetBreakdown: results.attribution.map((d) => ({
+                  AssetClass: d.name,
+                  AllocationEffect: `${(d.allocation * 100).toFixed(2)}%`,
+                  SelectionEffect: `${(d.selection * 100).toFixed(2)}%`,
+                })),
+              })
+            }
+          />
+
+          {/* Attribution Breakdown Table */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+            <div className="p-5 border-b border-slate-700 bg-slate-800/50">
+              <h2 className="text-lg font-semibold flex items-center gap-2">
+                <Calculator className="w-5 h-5 text-indigo-500" />
+                {methodLabel} Attribution Breakdown
+              </h2>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left whitespace-nowrap">
+                <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                  <tr>
+                    <th className="px-4 py-3">Asset Class</th>
+                    <th className="px-4 py-3 text-right">{allocationLabel} Effect</th>
+                    <th className="px-4 py-3 text-right">{selectionLabel} Effect</th>
+                    {showInteraction && <th className="px-4 py-3 text-right">Interaction Effect</th>}
+                    <th className="px-4 py-3 text-right font-bold text-white">Total Contribution</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50 font-mono">
+                  {results.attribution.map((row, i) => (
+                    <tr key={i} className="hover:bg-slate-700/30 transition-colors">
+                      <td className="px-4 py-3 font-sans font-medium text-slate-200">{row.name}</td>
+                      <td className={`px-4 py-3 text-right ${row.allocation >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                        {formatSignedPct(row.allocation)}
+                      </td>
+                      <td className={`px-4 py-3 text-right ${row.selection >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                        {formatSignedPct(row.selection)}
+                      </td>
+                      {showInteraction && (
+                        <td className={`px-4 py-3 text-right ${row.interaction >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                          {formatSignedPct(row.interaction)}
+                        </td>
+                      )}
+                      <td className={`px-4 py-3 text-right font-bold ${row.total >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                        {formatSignedPct(row.total)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot className="bg-[#d4a843]/10 font-bold border-t border-slate-700 font-mono">
+                  <tr>
+                    <td className="px-4 py-4 text-right font-sans text-slate-200">{activeLabel}:</td>
+                    <td className={`px-4 py-4 text-right ${results.totals.allocation >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                      {formatSignedPct(results.totals.allocation)}
+                    </td>
+                    <td className={`px-4 py-4 text-right ${results.totals.selection >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                      {formatSignedPct(results.totals.selection)}
+                    </td>
+                    {showInteraction && (
+                      <td className={`px-4 py-4 text-right ${results.totals.interaction >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                        {formatSignedPct(results.totals.interaction)}
+                      </td>
+                    )}
+                    <td className={`px-4 py-4 text-right text-lg ${results.totals.activeReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                      {formatSignedPct(results.totals.activeReturn)}
+                    </td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          </div>
+
+          {/* Charts */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-5">
+              <h2 className="text-lg font-semibold mb-4 text-white">Effects by Asset Class (%)</h2>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={chartData} margin={{ top: 20, right: 30, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#334155" />
+                  <XAxis dataKey="name" axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} />
+                  <YAxis axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} tickFormatter={(v) => `${v}%`} />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Legend iconType="circle" wrapperStyle={{ fontSize: '14px', paddingTop: '10px' }} />
+                  <ReferenceLine y={0} stroke="#475569" />
+                  <Bar dataKey="Allocation" fill={COLORS.allocation} radius={[4, 4, 0, 0]} maxBarSize={50} />
+                  <Bar dataKey="Selection" fill={COLORS.selection} radius={[4, 4, 0, 0]} maxBarSize={50} />
+                  {showInteraction && <Bar dataKey="Interaction" fill={COLORS.interaction} radius={[4, 4, 0, 0]} maxBarSize={50} />}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="lg:col-span-1 bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-5">
+              <h2 className="text-lg font-semibold mb-4 text-white">Total Active Summary</h2>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={totalChartData} margin={{ top: 20, right: 30, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#334155" />
+                  <XAxis dataKey="name" axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} />
+                  <YAxis axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} tickFormatter={(v) => `${v}%`} />
+                  <Tooltip content={<CustomTooltip />} cursor={{ fill: 'transparent' }} />
+                  <ReferenceLine y={0} stroke="#475569" />
+                  <Bar dataKey="value" radius={[4, 4, 0, 0]} maxBarSize={60}>
+                    {totalChartData.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={entry.fill} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {/* Methodology Notes */}
+          <div className="bg-slate-800/50 rounded-2xl p-6 text-slate-300 text-sm border border-slate-700">
+            <h4 className="font-semibold text-white mb-3 flex items-center gap-2">
+              <Info className="w-4 h-4 text-blue-500" />
+              Methodology Notes ({methodLabel})
+            </h4>
+            <div className={`grid grid-cols-1 ${showInteraction ? 'md:grid-cols-3' : 'md:grid-cols-2'} gap-6`}>
+              <div>
+                <strong className="text-slate-200 block mb-1">{allocationLabel} Effect</strong>
+                <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-[#d4a843] mb-2 block w-fit">
+                  {geometric
+                    ? '(Wp - Wb) x ((1 + Rb) / (1 + Rb_total) - 1)'
+                    : interactionTreatment === 'allocation'
+                    ? (model === 'bhb' ? '(Wp - Wb) x Rp' : '(Wp - Wb) x (Rp - Rb_total)')
+                    : modelInfo.allocationFormula}
+                </code>
+                Measures the manager's ability to effectively over-weight outperforming asset classes.
+                {!geometric && model === 'bhb' && ' BHB measures each bet against zero rather than the total benchmark return.'}
+              </div>
+              <div>
+                <strong className="text-slate-200 block mb-1">{selectionLabel} Effect</strong>
+                <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-emerald-400 mb-2 block w-fit">
+                  {geometric
+                    ? 'Wp x (Rp - Rb) / (1 + Rs)'
+                    : interactionTreatment === 'selection' ? 'Wp x (Rp - Rb)' : 'Wb x (Rp - Rb)'}
+                </code>
+                Measures the manager's ability to select outperforming securities within each asset class.
+                {geometric && ' Rs = Σ(Wp x Rb) is the semi-notional return; allocation and selection compound to (1 + Rp) / (1 + Rb) - 1.'}
+              </div>
+              {showInteraction && (
+                <div>
+                  <strong className="text-slate-200 block mb-1">Interaction Effect</strong>
+                  <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-amber-600 mb-2 block w-fit">
+                    (Wp - Wb) x (Rp - Rb)
+                  </code>
+                  The combined impact of allocation and selection acting together.
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ─── Tab 2: Multi-Level Hierarchy ───────────────── */}
+      {activeTab === 'hierarchy' && (
+        <div className="space-y-6">
+          {/* Issues */}
+          {hierarchy.issues.length > 0 && (
+            <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 flex items-start gap-3 text-amber-800 shadow-sm">
+              <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+              <div>
+                <h3 className="font-semibold">Hierarchy Warning</h3>
+                <ul className="list-disc list-inside text-sm mt-1">
+                  {hierarchy.issues.map((issue, i) => <li key={i}>{issue}</li>)}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          {/* KPI Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <KpiCard label="Portfolio Return" value={formatPct(hierarchy.portfolioReturn)} />
+            <KpiCard label="Benchmark Return" value={formatPct(hierarchy.benchmarkReturn)} />
+            <KpiCard
+              label="Active Return"
+              value={formatSignedPct(hierarchy.totals.activeReturn)}
+              variant={hierarchy.totals.activeReturn >= 0 ? 'positive' : 'negative'}
+            />
+          </div>
+
+          {/* Tree Table */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+            <div className="p-5 border-b border-slate-700 bg-slate-800/50 flex items-center justify-between flex-wrap gap-2">
+              <h2 className="text-lg font-semibold flex items-center gap-2">
+                <ListTree className="w-5 h-5 text-blue-500" />
+                Asset Class → Sector → Security
+              </h2>
+              <div className="flex gap-2">
+                {securities.length > 0 && (
+                  <button
+                    onClick={handleImportFromHoldings}
+                    className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
+                  >
+                    <Import className="w-4 h-4" /> Import from Holdings
+                  </button>
+                )}
+                <button
+                  onClick={() => handleAddNode(null)}
+                  className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
+                >
+                  <Plus className="w-4 h-4" /> Add Group
+                </button>
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left whitespace-nowrap">
+                <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                  <tr>
+                    <th className="px-4 py-3">Group</th>
+                    <th className="px-4 py-3 text-right">Port. Wgt (%)</th>
+                    <th className="px-4 py-3 text-right">Port. Rtn (%)</th>
+                    <th className="px-4 py-3 text-right">Bench. Wgt (%)</th>
+                    <th className="px-4 py-3 text-right">Bench. Rtn (%)</th>
+                    <th className="px-4 py-3 text-right">Allocation</th>
+                    <th className="px-4 py-3 text-right">Selection</th>
+                    <th className="px-4 py-3 text-right">Interaction</th>
+                    <th className="px-4 py-3 text-right font-bold text-white">Total</th>
+                    <th className="px-4 py-3 text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                  <HierarchyRows
+                    nodes={tree}
+                    results={hierarchy.nodes}
+                    collapsed={collapsed}
+                    onToggle={handleToggleNode}
+                    onChange={handleNodeChange}
+                    onAddChild={handleAddNode}
+                    onRemove={handleRemoveNode}
+                  />
+                  {tree.length === 0 && (
+                    <tr><td colSpan="10" className="px-4 py-8 text-center text-slate-400">No groups added. Click "Add Group" to begin.</td></tr>
+                  )}
+                </tbody>
+                <tfoot className="bg-[#d4a843]/10 font-bold border-t border-slate-700 font-mono">
+                  <tr>
+                    <td className="px-4 py-4 text-right font-sans text-slate-200">Roll-up:</td>
+                    <td></td>
+                    <td className="px-4 py-4 text-right text-slate-200">{formatPct(hierarchy.portfolioReturn)}</td>
+                    <td></td>
+                    <td className="px-4 py-4 text-right text-slate-200">{formatPct(hierarchy.benchmarkReturn)}</td>
+                    <td className={`px-4 py-4 text-right ${signClass(hierarchy.totals.allocation)}`}>{formatSignedPct(hierarchy.totals.allocation)}</td>
+                    <td className={`px-4 py-4 text-right ${signClass(hierarchy.totals.selection)}`}>{formatSignedPct(hierarchy.totals.selection)}</td>
+                    <td className={`px-4 py-4 text-right ${signClass(hierarchy.totals.interaction)}`}>{formatSignedPct(hierarchy.totals.interaction)}</td>
+                    <td className={`px-4 py-4 text-right text-lg ${signClass(hierarchy.totals.activeReturn)}`}>{formatSignedPct(hierarchy.totals.activeReturn)}</td>
+                    <td></td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          </div>
+
+          {/* Reconciliation */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-5">
+            <h2 className="text-lg font-semibold mb-4 text-white flex items-center gap-2">
+              <Calculator className="w-5 h-5 text-indigo-500" />
+              Reconciliation
+            </h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm">
+              <table className="w-full">
+                <tbody className="divide-y divide-slate-700/50 font-mono">
+                  {hierarchy.allocationByLevel.map((value, level) => (
+                    <tr key={level}>
+                      <td className="py-2 font-sans text-slate-300">Allocation — Level {level + 1}{LEVEL_NAMES[level] ? ` (${LEVEL_NAMES[level]})` : ''}</td>
+                      <td className={`py-2 text-right ${signClass(value)}`}>{formatSignedPct(value)}</td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td className="py-2 font-sans text-slate-300">Selection (leaves)</td>
+                    <td className={`py-2 text-right ${signClass(hierarchy.totals.selection)}`}>{formatSignedPct(hierarchy.totals.selection)}</td>
+                  </tr>
+                  <tr>
+                    <td className="py-2 font-sans text-slate-300">Interaction (leaves)</td>
+                    <td className={`py-2 text-right ${signClass(hierarchy.totals.interaction)}`}>{formatSignedPct(hierarchy.totals.interaction)}</td>
+                  </tr>
+                </tbody>
+              </table>
+              <div className="space-y-2 text-slate-300">
+                <div className="flex justify-between">
+                  <span>Sum of effects</span>
+                  <span className="font-mono">{formatSignedPct(hierarchy.totals.activeReturn + hierarchy.residual)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>Active return (Rp − Rb)</span>
+                  <span className="font-mono">{formatSignedPct(hierarchy.totals.activeReturn)}</span>
+                </div>
+                <div className={`flex justify-between font-semibold ${Math.abs(hierarchy.residual) > 1e-10 ? 'text-amber-400' : 'text-emerald-400'}`}>
+                  <span>Residual</span>
+                  <span className="font-mono">{(hierarchy.residual * 100).toFixed(4)}%</span>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Methodology Notes */}
+          <div className="bg-slate-800/50 rounded-2xl p-6 text-slate-300 text-sm border border-slate-700">
+            <h4 className="font-semibold text-white mb-3 flex items-center gap-2">
+              <Info className="w-4 h-4 text-blue-500" />
+              Methodology Notes (Hierarchical Brinson-Fachler)
+            </h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <strong className="text-slate-200 block mb-1">Allocation at each level</strong>
+                <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-[#d4a843] mb-2 block w-fit">
+                  Wp_parent x (wp - wb) x (Rb - Rb_parent)
+                </code>
+                Weights are entered relative to the parent group. Each layer's over- and under-weights are measured against the parent's benchmark return and scaled to total-portfolio terms.
+              </div>
+              <div>
+                <strong className="text-slate-200 block mb-1">Selection at the leaves</strong>
+                <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-emerald-400 mb-2 block w-fit">
+                  Wp_parent x wb x (Rp - Rb)
+                </code>
+                A group's selection column is the roll-up of every decision beneath it. Group returns are derived from their members, so the top-level totals reconcile to Rp − Rb.
+              </div>
+            </div>
           </div>
         </div>
       )}
 
-      {/* Data Input Table */}
-      <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
-        <div className="p-5 border-b border-slate-700 bg-slate-800/50 flex items-center justify-between flex-wrap gap-2">
-          <h2 className="text-lg font-semibold flex items-center gap-2">
-            <PieChart className="w-5 h-5 text-blue-500" />
-            Portfolio & Benchmark Data
-          </h2>
-          <div className="flex gap-2">
-            {performanceResults && (
+      {/* ─── Tab 3: Currency (Karnosky-Singer) ──────────── */}
+      {activeTab === 'currency' && (
+        <div className="space-y-6">
+          {/* Base Currency */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-5 flex flex-col md:flex-row md:items-center gap-4">
+            <div className="md:w-48">
+              <label className="block text-sm font-medium text-slate-300 mb-2">Base Currency</label>
+              <select
+                value={baseCurrency}
+                onChange={(e) => setBaseCurrency(e.target.value)}
+                className="w-full px-3 py-2 bg-slate-900 border border-slate-600 text-white rounded-lg focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+              >
+                {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+              </select>
+            </div>
+            <div className="md:w-48">
+              <label className="block text-sm font-medium text-slate-300 mb-2">Rates Quoted Against</label>
+              <select
+                value={currencyQuote}
+                onChange={(e) => setCurrencyQuote(e.target.value)}
+                className="w-full px-3 py-2 bg-slate-900 border border-slate-600 text-white rounded-lg focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+              >
+                {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+              </select>
+            </div>
+            <p className="text-sm text-slate-400">
+              All returns are measured in {baseCurrency}. Currency returns and forward premia are entered against{' '}
+              {currencyQuote}
+              {currencyQuote !== baseCurrency && <> and converted to {baseCurrency} with the {baseCurrency} row's rates</>}.
+              Asset classes held in {baseCurrency} carry no currency return or hedge. Hedge ratios are the share of the
+              currency exposure sold forward.
+            </p>
+          </div>
+
+          {/* Warnings */}
+          {currencyResults.error && (
+            <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 flex items-start gap-3 text-amber-800 shadow-sm">
+              <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+              <p className="text-sm">{currencyResults.error}</p>
+            </div>
+          )}
+          {!currencyResults.error && (Math.abs(currencyResults.totalPortfolioWeight - 1) > 0.001 || Math.abs(currencyResults.totalBenchmarkWeight - 1) > 0.001) && (
+            <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 flex items-start gap-3 text-amber-800 shadow-sm">
+              <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+              <div>
+                <h3 className="font-semibold">Weight Allocation Warning</h3>
+                <p className="text-sm mt-1">
+                  Portfolio weights sum to {(currencyResults.totalPortfolioWeight * 100).toFixed(1)}% and benchmark weights to{' '}
+                  {(currencyResults.totalBenchmarkWeight * 100).toFixed(1)}% (expected 100%) — effects will not reconcile.
+                </p>
+              </div>
+            </div>
+          )}
+
+          {/* Data Input Table */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+            <div className="p-5 border-b border-slate-700 bg-slate-800/50 flex items-center justify-between flex-wrap gap-2">
+              <h2 className="text-lg font-semibold flex items-center gap-2">
+                <Coins className="w-5 h-5 text-blue-500" />
+                Local & Currency Returns
+              </h2>
               <button
-                onClick={handleImportFromPerformance}
+                onClick={handleAddCurrencyRow}
                 className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
               >
-                <Import className="w-4 h-4" /> Import from Performance
+                <Plus className="w-4 h-4" /> Add Asset Class
               </button>
-            )}
-            <button
-              onClick={handleAddRow}
-              className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
-            >
-              <Plus className="w-4 h-4" /> Add Asset Class
-            </button>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left whitespace-nowrap">
+                <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                  <tr>
+                    <th className="px-3 py-3">Asset Class</th>
+                    <th className="px-3 py-3">Currency</th>
+                    <th className="px-3 py-3 text-right">Port. Wgt (%)</th>
+                    <th className="px-3 py-3 text-right">Bench. Wgt (%)</th>
+                    <th className="px-3 py-3 text-right">Port. Local Rtn (%)</th>
+                    <th className="px-3 py-3 text-right">Bench. Local Rtn (%)</th>
+                    <th className="px-3 py-3 text-right">Currency Rtn (%)</th>
+                    <th className="px-3 py-3 text-right">Fwd Premium (%)</th>
+                    <th className="px-3 py-3 text-right">Port. Hedge (%)</th>
+                    <th className="px-3 py-3 text-right">Bench. Hedge (%)</th>
+                    <th className="px-3 py-3 text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                  {currencyData.map((row) => {
+                    const isBase = row.currency === baseCurrency;
+                    const isQuote = row.currency === currencyQuote;
+                    return (
+                      <tr key={row.id} className="hover:bg-slate-700/30 transition-colors">
+                        <td className="px-3 py-2">
+                          <input type="text" value={row.name} onChange={(e) => handleCurrencyChange(row.id, 'name', e.target.value)} className="min-w-36 w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none" />
+                        </td>
+                        <td className="px-3 py-2">
+                          <select value={row.currency} onChange={(e) => handleCurrencyChange(row.id, 'currency', e.target.value)} className="px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none">
+                            {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+                          </select>
+                        </td>
+                        {['wp', 'wb', 'rpl', 'rbl', 'fx', 'fwd', 'hp', 'hb'].map((field) => {
+                          const disabled = (isQuote && ['fx', 'fwd'].includes(field)) || (isBase && ['hp', 'hb'].includes(field));
+                          return (
+                            <td key={field} className="px-3 py-2">
+                              <input
+                                type="number"
+                                step="0.01"
+                                value={disabled ? 0 : row[field]}
+                                disabled={disabled}
+                                onChange={(e) => handleCurrencyChange(row.id, field, e.target.value)}
+                                className="w-24 px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none disabled:opacity-40"
+                              />
+                            </td>
+                          );
+                        })}
+                        <td className="px-3 py-2 text-center">
+                          <button onClick={() => handleRemoveCurrencyRow(row.id)} className="text-slate-400 hover:text-rose-400 p-1.5 rounded-md hover:bg-rose-900/30 transition-colors">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                  {currencyData.length === 0 && (
+                    <tr><td colSpan="11" className="px-4 py-8 text-center text-slate-400">No asset classes added. Click "Add Asset Class" to begin.</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
           </div>
-        </div>
-        <div className="overflow-x-auto">
-          <table className="w-full text-sm text-left whitespace-nowrap">
-            <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
-              <tr>
-                <th className="px-4 py-3">Asset Class</th>
-                <th className="px-4 py-3 text-right">Portfolio Wgt (%)</th>
-                <th className="px-4 py-3 text-right">Portfolio Rtn (%)</th>
-                <th className="px-4 py-3 text-right">Benchmark Wgt (%)</th>
-                <th className="px-4 py-3 text-right">Benchmark Rtn (%)</th>
-                <th className="px-4 py-3 text-center">Actions</th>
-              </tr>
-            </thead>
-            <tbody className="divide-y divide-slate-700/50">
-              {data.map((row) => (
-                <tr key={row.id} className="hover:bg-slate-700/30 transition-colors">
-                  <td className="px-4 py-2">
-                    <input type="text" value={row.name} onChange={(e) => handleChange(row.id, 'name', e.target.value)} className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none" />
-                  </td>
-                  <td className="px-4 py-2">
-                    <input type="number" step="0.01" value={row.wp} onChange={(e) => handleChange(row.id, 'wp', e.target.value)} className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none" />
-                  </td>
-                  <td className="px-4 py-2">
-                    <input type="number" step="0.01" value={row.rp} onChange={(e) => handleChange(row.id, 'rp', e.target.value)} className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none" />
-                  </td>
-                  <td className="px-4 py-2">
-                    <input type="number" step="0.01" value={row.wb} onChange={(e) => handleChange(row.id, 'wb', e.target.value)} className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none" />
-                  </td>
-                  <td className="px-4 py-2">
-                    <input type="number" step="0.01" value={row.rb} onChange={(e) => handleChange(row.id, 'rb', e.target.value)} className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none" />
-                  </td>
-                  <td className="px-4 py-2 text-center">
-                    <button onClick={() => handleRemoveRow(row.id)} className="text-slate-400 hover:text-rose-400 p-1.5 rounded-md hover:bg-rose-900/30 transition-colors">
-                      <Trash2 className="w-4 h-4" />
-                    </button>
-                  </td>
-                </tr>
-              ))}
-              {data.length === 0 && (
-                <tr><td colSpan="6" className="px-4 py-8 text-center text-slate-400">No asset classes added. Click "Add Asset Class" to begin.</td></tr>
-              )}
-            </tbody>
-            <tfoot className="bg-slate-800/50 font-semibold text-slate-200 border-t border-slate-700">
-              <tr>
-                <td className="px-4 py-3 text-right">Totals:</td>
-                <td className={`px-4 py-3 text-right ${wpWarning ? 'text-amber-600' : ''}`}>{(results.totalPortfolioWeight * 100).toFixed(1)}%</td>
-                <td className="px-4 py-3 text-right bg-[#d4a843]/10">{formatPct(results.portfolioReturn)}</td>
-                <td className={`px-4 py-3 text-right ${wbWarning ? 'text-amber-600' : ''}`}>{(results.totalBenchmarkWeight * 100).toFixed(1)}%</td>
-                <td className="px-4 py-3 text-right bg-[#d4a843]/10">{formatPct(results.benchmarkReturn)}</td>
-                <td></td>
-              </tr>
-            </tfoot>
-          </table>
-        </div>
-      </div>
 
-      {/* KPI Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-        <KpiCard label="Portfolio Return" value={formatPct(results.portfolioReturn)} />
-        <KpiCard label="Benchmark Return" value={formatPct(results.benchmarkReturn)} />
-        <KpiCard
-          label="Active Return"
-          value={formatSignedPct(results.totals.activeReturn)}
-          variant={results.totals.activeReturn >= 0 ? 'positive' : 'negative'}
-        />
-      </div>
+          {/* KPI Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <KpiCard label={`Portfolio Return (${baseCurrency})`} value={formatPct(currencyResults.portfolioReturn)} />
+            <KpiCard label={`Benchmark Return (${baseCurrency})`} value={formatPct(currencyResults.benchmarkReturn)} />
+            <KpiCard
+              label="Local Market Effects"
+              value={formatSignedPct(currencyResults.totals.local)}
+              variant={currencyResults.totals.local >= 0 ? 'positive' : 'negative'}
+            />
+            <KpiCard
+              label="Currency Effects"
+              value={formatSignedPct(currencyResults.totals.currency)}
+              variant={currencyResults.totals.currency >= 0 ? 'positive' : 'negative'}
+            />
+          </div>
 
-      {/* AI Analyst */}
-      <AiAnalyst
-        disabled={results.attribution.length === 0}
-        fallbackInsight={results.insight}
-        onGenerateSummary={() =>
-          generateExecutiveSummary({
-            activeReturn: results.totals.activeReturn,
-            totalAllocation: results.totals.allocation,
-            totalSelection: results.totals.selection,
-            assetBreakdown: results.attribution.map((d) => ({
-              AssetClass: d.name,
-              AllocationEffect: `${(d.allocation * 100).toFixed(2)}%`,
-              SelectionEffect: `${(d.selection * 100).toFixed(2)}%`,
-              TotalEffect: `${(d.total * 100).toFixed(2)}%`,
-            })),
-          })
-        }
-        onGenerateRecommendations={() =>
-          generateRecommendations({
-            activeReturn: results.totals.activeReturn,
-            assetBreakdown: results.attribution.map((d) => ({
-              AssetClass: d.name,
-              AllocationEffect: `${(d.allocation * 100).toFixed(2)}%`,
-              SelectionEffect: `${(d.selection * 100).toFixed(2)}%`,
-            })),
-          })
-        }
-      />
-
-      {/* Attribution Breakdown Table */}
-      <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
-        <div className="p-5 border-b border-slate-700 bg-slate-800/50">
-          <h2 className="text-lg font-semibold flex items-center gap-2">
-            <Calculator className="w-5 h-5 text-indigo-500" />
-            Brinson-Fachler Attribution Breakdown
-          </h2>
-        </div>
-        <div className="overflow-x-auto">
-          <table className="w-full text-sm text-left whitespace-nowrap">
-            <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
-              <tr>
-                <th className="px-4 py-3">Asset Class</th>
-                <th className="px-4 py-3 text-right">Allocation Effect</th>
-                <th className="px-4 py-3 text-right">Selection Effect</th>
-                <th className="px-4 py-3 text-right">Interaction Effect</th>
-                <th className="px-4 py-3 text-right font-bold text-white">Total Contribution</th>
-              </tr>
-            </thead>
-            <tbody className="divide-y divide-slate-700/50 font-mono">
-              {results.attribution.map((row, i) => (
-                <tr key={i} className="hover:bg-slate-700/30 transition-colors">
-                  <td className="px-4 py-3 font-sans font-medium text-slate-200">{row.name}</td>
-                  <td className={`px-4 py-3 text-right ${row.allocation >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                    {formatSignedPct(row.allocation)}
-                  </td>
-                  <td className={`px-4 py-3 text-right ${row.selection >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                    {formatSignedPct(row.selection)}
-                  </td>
-                  <td className={`px-4 py-3 text-right ${row.interaction >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                    {formatSignedPct(row.interaction)}
-                  </td>
-                  <td className={`px-4 py-3 text-right font-bold ${row.total >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                    {formatSignedPct(row.total)}
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-            <tfoot className="bg-[#d4a843]/10 font-bold border-t border-slate-700 font-mono">
-              <tr>
-                <td className="px-4 py-4 text-right font-sans text-slate-200">Total Active Return:</td>
-                <td className={`px-4 py-4 text-right ${results.totals.allocation >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                  {formatSignedPct(results.totals.allocation)}
-                </td>
-                <td className={`px-4 py-4 text-right ${results.totals.selection >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                  {formatSignedPct(results.totals.selection)}
-                </td>
-                <td className={`px-4 py-4 text-right ${results.totals.interaction >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                  {formatSignedPct(results.totals.interaction)}
-                </td>
-                <td className={`px-4 py-4 text-right text-lg ${results.totals.activeReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                  {formatSignedPct(results.totals.activeReturn)}
-                </td>
-              </tr>
-            </tfoot>
-          </table>
-        </div>
-      </div>
+          {/* Attribution Breakdown Table */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+            <div className="p-5 border-b border-slate-700 bg-slate-800/50">
+              <h2 className="text-lg font-semibold flex items-center gap-2">
+                <Calculator className="w-5 h-5 text-indigo-500" />
+                Karnosky-Singer Attribution Breakdown
+              </h2>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left whitespace-nowrap">
+                <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                  <tr>
+                    <th className="px-4 py-3">Asset Class</th>
+                    <th className="px-4 py-3">Currency</th>
+                    <th className="px-4 py-3 text-right">Local Allocation</th>
+                    <th className="px-4 py-3 text-right">Local Selection</th>
+                    <th className="px-4 py-3 text-right">Currency Allocation</th>
+                    <th className="px-4 py-3 text-right">Hedging</th>
+                    <th className="px-4 py-3 text-right font-bold text-white">Total Contribution</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50 font-mono">
+                  {currencyResults.attribution.map((row, i) => (
+                    <tr key={i} className="hover:bg-slate-700/30 transition-colors">
+                      <td className="px-4 py-3 font-sans font-medium text-slate-200">{row.name}</td>
+                      <td className="px-4 py-3 font-sans text-slate-400">{row.currency}</td>
+                      <td className={`px-4 py-3 text-right ${signClass(row.localAllocation)}`}>{formatSignedPct(row.localAllocation)}</td>
+                      <td className={`px-4 py-3 text-right ${signClass(row.localSelection)}`}>{formatSignedPct(row.localSelection)}</td>
+                      <td className={`px-4 py-3 text-right ${signClass(row.currencyAllocation)}`}>{formatSignedPct(row.currencyAllocation)}</td>
+                      <td className={`px-4 py-3 text-right ${signClass(row.hedging)}`}>{formatSignedPct(row.hedging)}</td>
+                      <td className={`px-4 py-3 text-right font-bold ${signClass(row.total)}`}>{formatSignedPct(row.total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot className="bg-[#d4a843]/10 font-bold border-t border-slate-700 font-mono">
+                  <tr>
+                    <td colSpan="2" className="px-4 py-4 text-right font-sans text-slate-200">Total Active Return:</td>
+                    <td className={`px-4 py-4 text-right ${signClass(currencyResults.totals.localAllocation)}`}>{formatSignedPct(currencyResults.totals.localAllocation)}</td>
+                    <td className={`px-4 py-4 text-right ${signClass(currencyResults.totals.localSelection)}`}>{formatSignedPct(currencyResults.totals.localSelection)}</td>
+                    <td className={`px-4 py-4 text-right ${signClass(currencyResults.totals.currencyAllocation)}`}>{formatSignedPct(currencyResults.totals.currencyAllocation)}</td>
+                    <td className={`px-4 py-4 text-right ${signClass(currencyResults.totals.hedging)}`}>{formatSignedPct(currencyResults.totals.hedging)}</td>
+                    <td className={`px-4 py-4 text-right text-lg ${signClass(currencyResults.totals.activeReturn)}`}>{formatSignedPct(currencyResults.totals.activeReturn)}</td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+            <p className="px-5 py-3 text-sm text-slate-400 border-t border-slate-700">{currencyResults.insight}</p>
+          </div>
 
-      {/* Charts */}
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-        <div className="lg:col-span-2 bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-5">
-          <h2 className="text-lg font-semibold mb-4 text-white">Effects by Asset Class (%)</h2>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={chartData} margin={{ top: 20, right: 30, left: 0, bottom: 5 }}>
-              <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#334155" />
-              <XAxis dataKey="name" axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} />
-              <YAxis axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} tickFormatter={(v) => `${v}%`} />
-              <Tooltip content={<CustomTooltip />} />
-              <Legend iconType="circle" wrapperStyle={{ fontSize: '14px', paddingTop: '10px' }} />
-              <ReferenceLine y={0} stroke="#475569" />
-              <Bar dataKey="Allocation" fill={COLORS.allocation} radius={[4, 4, 0, 0]} maxBarSize={50} />
-              <Bar dataKey="Selection" fill={COLORS.selection} radius={[4, 4, 0, 0]} maxBarSize={50} />
-              <Bar dataKey="Interaction" fill={COLORS.interaction} radius={[4, 4, 0, 0]} maxBarSize={50} />
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
-        <div className="lg:col-span-1 bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-5">
-          <h2 className="text-lg font-semibold mb-4 text-white">Total Active Summary</h2>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={totalChartData} margin={{ top: 20, right: 30, left: 0, bottom: 5 }}>
-              <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#334155" />
-              <XAxis dataKey="name" axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} />
-              <YAxis axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} tickFormatter={(v) => `${v}%`} />
-              <Tooltip content={<CustomTooltip />} cursor={{ fill: 'transparent' }} />
-              <ReferenceLine y={0} stroke="#475569" />
-              <Bar dataKey="value" radius={[4, 4, 0, 0]} maxBarSize={60}>
-                {totalChartData.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={entry.fill} />
-                ))}
-              </Bar>
-            </BarChart>
-          </ResponsiveContainer>
+          {/* Methodology Notes */}
+          <div className="bg-slate-800/50 rounded-2xl p-6 text-slate-300 text-sm border border-slate-700">
+            <h4 className="font-semibold text-white mb-3 flex items-center gap-2">
+              <Info className="w-4 h-4 text-blue-500" />
+              Methodology Notes (Karnosky-Singer)
+            </h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <strong className="text-slate-200 block mb-1">Local Allocation / Selection</strong>
+                <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-[#d4a843] mb-2 block w-fit">
+                  (Wp - Wb) x (Rb_local + f - Lb) &nbsp;|&nbsp; Wp x (Rp_local - Rb_local)
+                </code>
+                Market bets are measured on hedged local returns (local return plus the forward premium f), so they are
+                independent of the currency view.
+              </div>
+              <div>
+                <strong className="text-slate-200 block mb-1">Currency Allocation / Hedging</strong>
+                <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-emerald-400 mb-2 block w-fit">
+                  (Wp - Wb) x (x - Xb) &nbsp;|&nbsp; -(Wp x hp - Wb x hb) x x
+                </code>
+                x = currency return - f is the currency surprise over the forward rate. Currency allocation comes from
+                market weights; hedging from forwards that differ from the benchmark's hedge.
+              </div>
+            </div>
+          </div>
         </div>
-      </div>
+      )}
 
-      {/* Methodology Notes */}
-      <div className="bg-slate-800/50 rounded-2xl p-6 text-slate-300 text-sm border border-slate-700">
-        <h4 className="font-semibold text-white mb-3 flex items-center gap-2">
-          <Info className="w-4 h-4 text-blue-500" />
-          Methodology Notes (Brinson-Fachler)
-        </h4>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-          <div>
-            <strong className="text-slate-200 block mb-1">Allocation Effect</strong>
-            <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-[#d4a843] mb-2 block w-fit">
-              (Wp - Wb) x (Rb - Rb_total)
-            </code>
-            Measures the manager's ability to effectively over-weight outperforming asset classes.
+      {/* ─── Tab 4: Fixed Income (Campisi) ──────────────── */}
+      {activeTab === 'fixed-income' && (
+        <div className="space-y-6">
+          {/* Holdings Upload */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6 grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="md:col-span-2">
+              <h2 className="text-lg font-semibold text-white mb-4">Bond Holdings</h2>
+              <CsvUploader
+                label="Upload Bond Holdings CSV"
+                description="Columns: Security, Market Value, Modified Duration, Yield (%), Treasury Change (bp), Spread Change (bp), Total Return (%)"
+                onFileSelected={handleBondsUpload}
+                schema="bonds"
+                errors={bondErrors}
+                success={bondSuccess}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Period Length (years)</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={periodYears}
+                onChange={(e) => setPeriodYears(parseFloat(e.target.value) || 0)}
+                className="w-full px-3 py-2 bg-slate-900 border border-slate-600 text-white rounded-lg text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+              />
+              <p className="text-xs text-slate-500 mt-2">
+                Income accrues as yield x period length. Defaults to the Performance period when one is set.
+              </p>
+            </div>
           </div>
-          <div>
-            <strong className="text-slate-200 block mb-1">Selection Effect</strong>
-            <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-emerald-400 mb-2 block w-fit">
-              Wb x (Rp - Rb)
-            </code>
-            Measures the manager's ability to select outperforming securities within each asset class.
-          </div>
-          <div>
-            <strong className="text-slate-200 block mb-1">Interaction Effect</strong>
-            <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-amber-600 mb-2 block w-fit">
-              (Wp - Wb) x (Rp - Rb)
-            </code>
-            The combined impact of allocation and selection acting together.
+
+          {fixedIncome.error ? (
+            <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 flex items-start gap-3 text-amber-800 shadow-sm">
+              <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+              <p className="text-sm">{fixedIncome.error}</p>
+            </div>
+          ) : (
+            <>
+              {/* KPI Cards */}
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <KpiCard label="Fixed Income Return" value={formatPct(fixedIncome.totals.totalReturn)} />
+                <KpiCard label="Income / Carry" value={formatSignedPct(fixedIncome.totals.income)} />
+                <KpiCard
+                  label="Treasury Curve"
+                  value={formatSignedPct(fixedIncome.totals.treasury)}
+                  variant={fixedIncome.totals.treasury >= 0 ? 'positive' : 'negative'}
+                />
+                <KpiCard
+                  label="Spread Change"
+                  value={formatSignedPct(fixedIncome.totals.spread)}
+                  variant={fixedIncome.totals.spread >= 0 ? 'positive' : 'negative'}
+                />
+              </div>
+
+              {/* Holdings Breakdown */}
+              <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+                <div className="p-5 border-b border-slate-700 bg-slate-800/50 flex items-center justify-between flex-wrap gap-2">
+                  <h2 className="text-lg font-semibold flex items-center gap-2">
+                    <Landmark className="w-5 h-5 text-indigo-500" />
+                    Campisi Attribution by Holding
+                  </h2>
+                  <span className="text-sm text-slate-400">
+                    Duration {fixedIncome.portfolioDuration.toFixed(2)} · Yield {formatPct(fixedIncome.portfolioYield)}
+                  </span>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left whitespace-nowrap">
+                    <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                      <tr>
+                        <th className="px-4 py-3">Security</th>
+                        <th className="px-4 py-3 text-right">Weight</th>
+                        <th className="px-4 py-3 text-right">Mod. Duration</th>
+                        <th className="px-4 py-3 text-right">Yield</th>
+                        <th className="px-4 py-3 text-right">Δ Treasury (bp)</th>
+                        <th className="px-4 py-3 text-right">Δ Spread (bp)</th>
+                        <th className="px-4 py-3 text-right">Income</th>
+                        <th className="px-4 py-3 text-right">Treasury</th>
+                        <th className="px-4 py-3 text-right">Spread</th>
+                        <th className="px-4 py-3 text-right">Residual</th>
+                        <th className="px-4 py-3 text-right font-bold text-white">Total Return</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-700/50 font-mono">
+                      {fixedIncome.holdings.map((h, i) => (
+                        <tr key={i} className="hover:bg-slate-700/30 transition-colors">
+                          <td className="px-4 py-3 font-sans font-medium text-slate-200">{h.name}</td>
+                          <td className="px-4 py-3 text-right text-slate-300">{formatPct(h.weight, 1)}</td>
+                          <td className="px-4 py-3 text-right text-slate-300">{h.modifiedDuration.toFixed(2)}</td>
+                          <td className="px-4 py-3 text-right text-slate-300">{formatPct(h.yield)}</td>
+                          <td className="px-4 py-3 text-right text-slate-300">{(h.treasuryChange * 10000).toFixed(0)}</td>
+                          <td className="px-4 py-3 text-right text-slate-300">{(h.spreadChange * 10000).toFixed(0)}</td>
+                          <td className={`px-4 py-3 text-right ${signClass(h.income)}`}>{formatSignedPct(h.income)}</td>
+                          <td className={`px-4 py-3 text-right ${signClass(h.treasury)}`}>{formatSignedPct(h.treasury)}</td>
+                          <td className={`px-4 py-3 text-right ${signClass(h.spread)}`}>{formatSignedPct(h.spread)}</td>
+                          <td className="px-4 py-3 text-right text-slate-400">{formatSignedPct(h.residual)}</td>
+                          <td className={`px-4 py-3 text-right font-bold ${signClass(h.totalReturn)}`}>{formatSignedPct(h.totalReturn)}</td>
+                        </tr>
+                      ))}
+                      {fixedIncome.holdings.length === 0 && (
+                        <tr><td colSpan="11" className="px-4 py-8 text-center text-slate-400">No bond holdings loaded. Upload a CSV to begin.</td></tr>
+                      )}
+                    </tbody>
+                    <tfoot className="bg-[#d4a843]/10 font-bold border-t border-slate-700 font-mono">
+                      <tr>
+                        <td colSpan="6" className="px-4 py-4 text-right font-sans text-slate-200">Portfolio Contribution:</td>
+                        <td className={`px-4 py-4 text-right ${signClass(fixedIncome.totals.income)}`}>{formatSignedPct(fixedIncome.totals.income)}</td>
+                        <td className={`px-4 py-4 text-right ${signClass(fixedIncome.totals.treasury)}`}>{formatSignedPct(fixedIncome.totals.treasury)}</td>
+                        <td className={`px-4 py-4 text-right ${signClass(fixedIncome.totals.spread)}`}>{formatSignedPct(fixedIncome.totals.spread)}</td>
+                        <td className="px-4 py-4 text-right text-slate-400">{formatSignedPct(fixedIncome.totals.residual)}</td>
+                        <td className={`px-4 py-4 text-right text-lg ${signClass(fixedIncome.totals.totalReturn)}`}>{formatSignedPct(fixedIncome.totals.totalReturn)}</td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
+              </div>
+
+              {/* Chart */}
+              <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-5">
+                <h2 className="text-lg font-semibold mb-4 text-white">Return Decomposition (%)</h2>
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart data={fiChartData} margin={{ top: 20, right: 30, left: 0, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#334155" />
+                    <XAxis dataKey="name" axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} />
+                    <YAxis axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} tickFormatter={(v) => `${v}%`} />
+                    <Tooltip content={<CustomTooltip />} cursor={{ fill: 'transparent' }} />
+                    <ReferenceLine y={0} stroke="#475569" />
+                    <Bar dataKey="value" radius={[4, 4, 0, 0]} maxBarSize={60}>
+                      {fiChartData.map((entry, index) => (
+                        <Cell key={`cell-${index}`} fill={entry.fill} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </>
+          )}
+
+          {/* Methodology Notes */}
+          <div className="bg-slate-800/50 rounded-2xl p-6 text-slate-300 text-sm border border-slate-700">
+            <h4 className="font-semibold text-white mb-3 flex items-center gap-2">
+              <Info className="w-4 h-4 text-blue-500" />
+              Methodology Notes (Campisi)
+            </h4>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <div>
+                <strong className="text-slate-200 block mb-1">Income / Carry</strong>
+                <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-[#d4a843] mb-2 block w-fit">
+                  Yield x t
+                </code>
+                Return earned from holding the bond at its starting yield over the period.
+              </div>
+              <div>
+                <strong className="text-slate-200 block mb-1">Treasury Curve / Spread</strong>
+                <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-emerald-400 mb-2 block w-fit">
+                  -ModDur x ΔTreasury &nbsp;|&nbsp; -ModDur x ΔSpread
+                </code>
+                Price impact of moves in the matched-maturity government yield and in the bond&apos;s credit spread.
+              </div>
+              <div>
+                <strong className="text-slate-200 block mb-1">Residual</strong>
+                <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-slate-400 mb-2 block w-fit">
+                  Total - Income - Treasury - Spread
+                </code>
+                Convexity, roll-down and pricing effects the duration approximation does not capture.
+              </div>
+            </div>
           </div>
         </div>
-      </div>
+      )}
     </div>
   );
 }
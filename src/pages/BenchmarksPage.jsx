@@ -0,0 +1,363 @@
+import { useState, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { LineChart, Layers, Plus, Trash2, AlertCircle, Target } from 'lucide-react';
+import usePortfolioStore from '../store/usePortfolioStore';
+import { parseIndexReturnsCSV } from '../utils/csvParser';
+import { REBALANCE_FREQUENCIES, indexReturn, policyAttributionInputs } from '../utils/benchmarks';
+import { DATE_FORMATS, dateFormatLabel } from '../utils/dateParser';
+import { formatPct } from '../utils/formatters';
+import CsvUploader from '../components/CsvUploader';
+
+const VALUE_TYPES = [
+  { id: 'returns', label: 'Returns (%)' },
+  { id: 'levels', label: 'Index Levels' },
+];
+
+export default function BenchmarksPage() {
+  const {
+    startDate, endDate, assets, benchmarkIndices, importBenchmarkIndices, removeBenchmarkIndex,
+    policyBenchmarks, addPolicyBenchmark, updatePolicyBenchmark, removePolicyBenchmark,
+    activePolicyId, setActivePolicy,
+  } = usePortfolioStore();
+  const [csvErrors, setCsvErrors] = useState([]);
+  const [csvSuccess, setCsvSuccess] = useState(false);
+  const [valueType, setValueType] = useState('returns');
+  const [dateFormat, setDateFormat] = useState('auto');
+  const [lastUpload, setLastUpload] = useState(null); // re-read when the value type or date format changes
+  const [detectedFormat, setDetectedFormat] = useState(null);
+
+  const hasPeriod = Boolean(startDate && endDate);
+
+  // ── Handlers ──
+  const readIndices = useCallback(async (file, values, format) => {
+    setCsvErrors([]);
+    setCsvSuccess(false);
+    setLastUpload(file);
+    const { indices, errors, dateFormat: detected } = await parseIndexReturnsCSV(file, { dateFormat: format, values });
+    setDetectedFormat(detected);
+    if (errors.length > 0) {
+      setCsvErrors(errors);
+    } else {
+      importBenchmarkIndices(indices);
+      setCsvSuccess(true);
+    }
+  }, [importBenchmarkIndices]);
+
+  const handleValueType = (values) => {
+    setValueType(values);
+    if (lastUpload) readIndices(lastUpload, values, dateFormat);
+  };
+
+  const handleDateFormat = (format) => {
+    setDateFormat(format);
+    if (lastUpload) readIndices(lastUpload, valueType, format);
+  };
+
+  // A new policy starts with one component per asset class in the Performance module
+  const handleAddPolicy = () => {
+    addPolicyBenchmark({
+      id: `policy_${Date.now()}`,
+      name: `Policy ${policyBenchmarks.length + 1}`,
+      rebalance: 'quarterly',
+      components: assets.map((a) => ({ assetClass: a.name, indexId: '', weight: 0 })),
+    });
+  };
+
+  const handleComponentChange = (policy, index, updates) => {
+    updatePolicyBenchmark(policy.id, {
+      components: policy.components.map((c, i) => (i === index ? { ...c, ...updates } : c)),
+    });
+  };
+
+  const handleAddComponent = (policy) => {
+    updatePolicyBenchmark(policy.id, {
+      components: [...policy.components, { assetClass: '', indexId: benchmarkIndices[0]?.id ?? '', weight: 0 }],
+    });
+  };
+
+  const handleRemoveComponent = (policy, index) => {
+    updatePolicyBenchmark(policy.id, { components: policy.components.filter((_, i) => i !== index) });
+  };
+
+  // ── Period Returns ──
+  const indexReturns = useMemo(
+    () => Object.fromEntries(benchmarkIndices.map((index) => [index.id, hasPeriod ? indexReturn(index, startDate, endDate).value : NaN])),
+    [benchmarkIndices, startDate, endDate, hasPeriod]
+  );
+
+  const policyResults = useMemo(() => {
+    if (!hasPeriod) return {};
+    return Object.fromEntries(
+      policyBenchmarks.map((policy) => {
+        try {
+          return [policy.id, policyAttributionInputs(policy, benchmarkIndices, startDate, endDate)];
+        } catch (err) {
+          return [policy.id, { rows: [], total: NaN, issues: [err.message] }];
+        }
+      })
+    );
+  }, [policyBenchmarks, benchmarkIndices, startDate, endDate, hasPeriod]);
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white">Benchmarks</h1>
+        <p className="text-sm text-slate-400 mt-1">Index Returns &amp; Blended Policy Benchmarks</p>
+      </div>
+
+      <div className="bg-slate-800/50 border border-slate-700 rounded-xl p-4 text-sm text-slate-400">
+        {hasPeriod ? (
+          <>
+            Returns are for the Performance period{' '}
+            <span className="text-slate-200 font-medium">{startDate.toLocaleDateString()} – {endDate.toLocaleDateString()}</span>.
+            The active policy fills benchmark weights and returns in{' '}
+            <Link to="/attribution" className="text-[#d4a843] hover:underline">Attribution</Link>.
+          </>
+        ) : (
+          <>
+            Set the period in the{' '}
+            <Link to="/performance" className="text-[#d4a843] hover:underline">Performance</Link> module to see benchmark returns.
+          </>
+        )}
+      </div>
+
+      {/* Index Returns */}
+      <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+        <div className="p-5 border-b border-slate-700 bg-slate-800/50">
+          <h2 className="text-lg font-semibold flex items-center gap-2">
+            <LineChart className="w-5 h-5 text-blue-500" />
+            Index Returns
+          </h2>
+          <p className="text-xs text-slate-400 mt-1">
+            An index re-imported under the same name replaces its series; policies using it keep pointing at it.
+          </p>
+        </div>
+        <div className="p-5 space-y-3">
+          <CsvUploader
+            label="Upload Index Returns CSV"
+            description="Columns: Date, then one column per index headed by its name"
+            onFileSelected={(file) => readIndices(file, valueType, dateFormat)}
+            errors={csvErrors}
+            success={csvSuccess}
+          />
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="text-sm font-medium text-slate-300">Values</label>
+            <select
+              value={valueType}
+              onChange={(e) => handleValueType(e.target.value)}
+              className="px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-lg text-sm focus:ring-2 focus:ring-[#d4a843] outline-none"
+            >
+              {VALUE_TYPES.map((v) => (
+                <option key={v.id} value={v.id}>{v.label}</option>
+              ))}
+            </select>
+            <label className="text-sm font-medium text-slate-300">Date Format</label>
+            <select
+              value={dateFormat}
+              onChange={(e) => handleDateFormat(e.target.value)}
+              className="px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-lg text-sm focus:ring-2 focus:ring-[#d4a843] outline-none"
+            >
+              <option value="auto">Detect automatically</option>
+              {DATE_FORMATS.map((f) => (
+                <option key={f.id} value={f.id}>{f.label}</option>
+              ))}
+            </select>
+            {detectedFormat && (
+              <span className="text-xs text-slate-400">
+                Dates read as {dateFormatLabel(detectedFormat)}{dateFormat === 'auto' ? ' (detected)' : ''}
+              </span>
+            )}
+          </div>
+        </div>
+        {benchmarkIndices.length > 0 && (
+          <div className="overflow-x-auto border-t border-slate-700">
+            <table className="w-full text-sm text-left whitespace-nowrap">
+              <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                <tr>
+                  <th className="px-4 py-3">Index</th>
+                  <th className="px-4 py-3 text-right">Returns</th>
+                  <th className="px-4 py-3">Coverage</th>
+                  <th className="px-4 py-3 text-right">Period Return</th>
+                  <th className="px-4 py-3 text-center">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-700/50">
+                {benchmarkIndices.map((index) => (
+                  <tr key={index.id} className="hover:bg-slate-700/30 transition-colors">
+                    <td className="px-4 py-2 text-slate-200 font-medium">{index.name}</td>
+                    <td className="px-4 py-2 text-right font-mono text-slate-300">{index.returns.length}</td>
+                    <td className="px-4 py-2 text-slate-400">
+                      {index.returns.length > 0
+                        ? `${index.returns[0].date.toLocaleDateString()} – ${index.returns[index.returns.length - 1].date.toLocaleDateString()}`
+                        : '-'}
+                    </td>
+                    <td className="px-4 py-2 text-right font-mono text-slate-200">{formatPct(indexReturns[index.id])}</td>
+                    <td className="px-4 py-2 text-center">
+                      <button onClick={() => removeBenchmarkIndex(index.id)} className="text-slate-400 hover:text-rose-400 p-1.5 rounded-md hover:bg-rose-900/30 transition-colors">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Policy Benchmarks */}
+      <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+        <div className="p-5 border-b border-slate-700 bg-slate-800/50 flex items-center justify-between flex-wrap gap-2">
+          <div>
+            <h2 className="text-lg font-semibold flex items-center gap-2">
+              <Layers className="w-5 h-5 text-blue-500" />
+              Policy Benchmarks
+            </h2>
+            <p className="text-xs text-slate-400 mt-1">
+              Fixed weights in several indices, one per asset class. Weights drift with returns and are reset at each rebalance.
+            </p>
+          </div>
+          <button
+            onClick={handleAddPolicy}
+            className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
+          >
+            <Plus className="w-4 h-4" /> New Policy
+          </button>
+        </div>
+
+        {policyBenchmarks.length === 0 ? (
+          <p className="p-8 text-center text-sm text-slate-400">
+            No policy benchmarks yet. Upload index returns, then click "New Policy", e.g. 50% equity index + 40% bond index + 10% T-bills.
+          </p>
+        ) : (
+          <div className="divide-y divide-slate-700">
+            {policyBenchmarks.map((policy) => {
+              const result = policyResults[policy.id];
+              const totalWeight = policy.components.reduce((s, c) => s + c.weight, 0);
+              const active = policy.id === activePolicyId;
+              return (
+                <div key={policy.id} className="p-5 space-y-4">
+                  <div className="flex flex-wrap items-center gap-3">
+                    <input
+                      type="text"
+                      value={policy.name}
+                      onChange={(e) => updatePolicyBenchmark(policy.id, { name: e.target.value })}
+                      className="px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md font-medium focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+                    />
+                    <label className="text-sm font-medium text-slate-300">Rebalancing</label>
+                    <select
+                      value={policy.rebalance}
+                      onChange={(e) => updatePolicyBenchmark(policy.id, { rebalance: e.target.value })}
+                      className="px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-lg text-sm focus:ring-2 focus:ring-[#d4a843] outline-none"
+                    >
+                      {REBALANCE_FREQUENCIES.map((f) => (
+                        <option key={f.id} value={f.id}>{f.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => setActivePolicy(active ? null : policy.id)}
+                      className={`flex items-center gap-1.5 text-sm font-medium px-3 py-1.5 rounded-lg transition-colors ${
+                        active ? 'bg-[#d4a843] text-slate-900' : 'text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20'
+                      }`}
+                    >
+                      <Target className="w-4 h-4" /> {active ? 'Used in Attribution' : 'Use in Attribution'}
+                    </button>
+                    <button
+                      onClick={() => removePolicyBenchmark(policy.id)}
+                      className="ml-auto text-slate-400 hover:text-rose-400 p-1.5 rounded-md hover:bg-rose-900/30 transition-colors"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+
+                  <div className="overflow-x-auto rounded-xl border border-slate-700">
+                    <table className="w-full text-sm text-left whitespace-nowrap">
+                      <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                        <tr>
+                          <th className="px-4 py-3">Asset Class</th>
+                          <th className="px-4 py-3">Index</th>
+                          <th className="px-4 py-3 text-right">Weight (%)</th>
+                          <th className="px-4 py-3 text-right">Period Return</th>
+                          <th className="px-4 py-3 text-center">Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-700/50">
+                        {policy.components.map((c, i) => (
+                          <tr key={i} className="hover:bg-slate-700/30 transition-colors">
+                            <td className="px-4 py-2">
+                              <input
+                                type="text"
+                                value={c.assetClass}
+                                onChange={(e) => handleComponentChange(policy, i, { assetClass: e.target.value })}
+                                className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+                              />
+                            </td>
+                            <td className="px-4 py-2">
+                              <select
+                                value={c.indexId}
+                                onChange={(e) => handleComponentChange(policy, i, { indexId: e.target.value })}
+                                className="w-full px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] outline-none"
+                              >
+                                <option value="">Choose an index</option>
+                                {benchmarkIndices.map((index) => (
+                                  <option key={index.id} value={index.id}>{index.name}</option>
+                                ))}
+                              </select>
+                            </td>
+                            <td className="px-4 py-2">
+                              <input
+                                type="number"
+                                step="0.01"
+                                value={Number((c.weight * 100).toFixed(4))}
+                                onChange={(e) => handleComponentChange(policy, i, { weight: (parseFloat(e.target.value) || 0) / 100 })}
+                                className="w-28 ml-auto block px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+                              />
+                            </td>
+                            <td className="px-4 py-2 text-right font-mono text-slate-200">{formatPct(indexReturns[c.indexId])}</td>
+                            <td className="px-4 py-2 text-center">
+                              <button onClick={() => handleRemoveComponent(policy, i)} className="text-slate-400 hover:text-rose-400 p-1.5 rounded-md hover:bg-rose-900/30 transition-colors">
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                      <tfoot className="bg-[#d4a843]/10 font-bold border-t border-slate-700">
+                        <tr>
+                          <td className="px-4 py-3">
+                            <button
+                              onClick={() => handleAddComponent(policy)}
+                              className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843]"
+                            >
+                              <Plus className="w-4 h-4" /> Add Component
+                            </button>
+                          </td>
+                          <td className="px-4 py-3 text-right text-slate-300">Blended</td>
+                          <td className={`px-4 py-3 text-right ${Math.abs(totalWeight - 1) > 1e-6 ? 'text-amber-400' : 'text-slate-200'}`}>
+                            {(totalWeight * 100).toFixed(1)}%
+                          </td>
+                          <td className="px-4 py-3 text-right font-mono text-[#d4a843]">{formatPct(result?.total)}</td>
+                          <td />
+                        </tr>
+                      </tfoot>
+                    </table>
+                  </div>
+
+                  {result?.issues.length > 0 && (
+                    <div className="bg-amber-900/30 border border-amber-700/50 rounded-xl p-4 flex items-start gap-3 text-amber-300">
+                      <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+                      <ul className="list-disc list-inside text-sm">
+                        {result.issues.map((issue) => <li key={issue}>{issue}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,32 @@
 import { Link } from 'react-router-dom';
-import { TrendingUp, Calculator, ArrowRight, BarChart3, PieChart, Info } from 'lucide-react';
+import { useMemo } from 'react';
+import { TrendingUp, Calculator, ArrowRight, BarChart3, PieChart, Info, ShieldAlert, Activity } from 'lucide-react';
 import usePortfolioStore from '../store/usePortfolioStore';
 import KpiCard from '../components/KpiCard';
+import PortfolioOverview from '../components/PortfolioOverview';
 import { formatPct, formatSignedPct, formatNumber } from '../utils/formatters';
+import { computeRiskStatistics, periodReturnSeries } from '../utils/riskStatistics';
+import { DAY_COUNTS, shortPeriodNote } from '../utils/annualize';
 
 export default function DashboardPage() {
-  const { performanceResults, assets, startDate, endDate } = usePortfolioStore();
+  const {
+    performanceResults, assets, startDate, endDate,
+    riskSource, returnSeries, periods, periodBenchmarks, riskFreeRate,
+  } = usePortfolioStore();
 
   const hasData = performanceResults && performanceResults.assetResults?.length > 0;
+  const annualization = performanceResults?.annualization;
+  const dayCountLabel = DAY_COUNTS.find((d) => d.id === annualization?.dayCount)?.label || 'ACT/365';
+
+  // Risk KPIs — hidden until the Risk page's series has enough returns
+  const riskStats = useMemo(() => {
+    const series = riskSource === 'csv' ? returnSeries : periodReturnSeries(periods, periodBenchmarks);
+    try {
+      return computeRiskStatistics(series, { riskFreeRate });
+    } catch {
+      return null;
+    }
+  }, [riskSource, returnSeries, periods, periodBenchmarks, riskFreeRate]);
 
   return (
     <div className="p-6 max-w-7xl mx-auto space-y-8">
@@ -59,17 +78,25 @@ export default function DashboardPage() {
         </Link>
       </div>
 
+      {/* Portfolio Registry */}
+      <PortfolioOverview />
+
       {/* KPI Section — shows when performance data exists */}
       {hasData ? (
         <>
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
             <KpiCard
               label="Portfolio Return"
               value={formatPct(performanceResults.portfolio.periodReturn)}
             />
             <KpiCard
-              label="Annualized Return"
+              label="Money-Weighted Return"
+              value={formatPct(performanceResults.portfolio.mwrReturn)}
+            />
+            <KpiCard
+              label={`Annualized Return (${dayCountLabel})`}
               value={formatPct(performanceResults.portfolio.annualizedReturn)}
+              note={shortPeriodNote(annualization)}
             />
             <KpiCard
               label="Asset Classes"
@@ -97,6 +124,7 @@ export default function DashboardPage() {
                     <th className="px-4 py-3 text-right">Beginning MV</th>
                     <th className="px-4 py-3 text-right">Ending MV</th>
                     <th className="px-4 py-3 text-right">Period Return</th>
+                    <th className="px-4 py-3 text-right">MWR</th>
                     <th className="px-4 py-3 text-right">Contribution</th>
                   </tr>
                 </thead>
@@ -110,6 +138,9 @@ export default function DashboardPage() {
                       <td className={`px-4 py-3 text-right font-mono ${a.periodReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
                         {formatSignedPct(a.periodReturn)}
                       </td>
+                      <td className={`px-4 py-3 text-right font-mono ${a.mwrReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                        {formatSignedPct(a.mwrReturn)}
+                      </td>
                       <td className={`px-4 py-3 text-right font-mono ${a.contribution >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
                         {formatSignedPct(a.contribution)}
                       </td>
@@ -125,6 +156,9 @@ export default function DashboardPage() {
                     <td className={`px-4 py-3 text-right font-mono font-bold ${performanceResults.portfolio.periodReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
                       {formatSignedPct(performanceResults.portfolio.periodReturn)}
                     </td>
+                    <td className={`px-4 py-3 text-right font-mono ${performanceResults.portfolio.mwrReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                      {formatSignedPct(performanceResults.portfolio.mwrReturn)}
+                    </td>
                     <td></td>
                   </tr>
                 </tfoot>
@@ -159,6 +193,31 @@ export default function DashboardPage() {
         </div>
       )}
 
+      {/* Risk KPIs */}
+      {riskStats && (
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-sm font-semibold text-slate-400 uppercase tracking-wide">
+              Risk · {riskStats.observations} {riskStats.frequency.toLowerCase()} returns
+            </h2>
+            <Link to="/risk" className="text-sm text-[#d4a843] hover:text-[#e0b84e] flex items-center gap-1">
+              Risk Analytics <ArrowRight className="w-4 h-4" />
+            </Link>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <KpiCard label="Volatility (ann.)" value={formatPct(riskStats.volatility)} icon={Activity} />
+            <KpiCard label="Sharpe Ratio" value={formatNumber(riskStats.sharpe)} />
+            <KpiCard label="Tracking Error" value={formatPct(riskStats.benchmark?.trackingError)} />
+            <KpiCard
+              label="Maximum Drawdown"
+              value={formatPct(riskStats.maxDrawdown.depth)}
+              variant={riskStats.maxDrawdown.depth < 0 ? 'negative' : 'neutral'}
+              icon={ShieldAlert}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Methodology Footer */}
       <div className="bg-slate-800/50 rounded-2xl p-6 text-slate-300 text-sm border border-slate-700">
         <h4 className="font-semibold text-white mb-3 flex items-center gap-2">
@@ -170,7 +229,7 @@ export default function DashboardPage() {
             <strong className="text-slate-200 block mb-1">Performance Measurement</strong>
             <p>
               Uses the <strong>Modified Dietz</strong> method to calculate time-weighted returns,
-              accounting for the timing and size of cashflows within the evaluation period (ACT/365 annualization).
+              accounting for the timing and size of cashflows within the evaluation period ({dayCountLabel} annualization).
             </p>
           </div>
           <div>
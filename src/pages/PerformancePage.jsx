@@ -1,21 +1,79 @@
 import { useState, useMemo, useCallback, useEffect } from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+  ResponsiveContainer, ReferenceLine
+} from 'recharts';
 import {
   Settings, Upload, TableProperties, BarChart3, Plus, Trash2, AlertCircle,
-  CheckCircle2, Download, Calculator, DatabaseZap, BookmarkPlus
+  CheckCircle2, Download, Calculator, DatabaseZap, BookmarkPlus, CalendarClock, Receipt, Layers, RotateCcw,
+  ClipboardCheck, XCircle
 } from 'lucide-react';
 import usePortfolioStore from '../store/usePortfolioStore';
 import CsvUploader from '../components/CsvUploader';
+import WorkbookImporter from '../components/WorkbookImporter';
+import CustomTooltip from '../components/CustomTooltip';
 import KpiCard from '../components/KpiCard';
 import AiAnalyst from '../components/AiAnalyst';
-import { parseAssetsCSV, parseCashflowsCSV } from '../utils/csvParser';
-import { modifiedDietz, computeCashflowWeights, computePortfolioReturns } from '../utils/modifiedDietz';
+import { parseAssetsCSV, parseCashflowsCSV, parseHoldingsCSV, parseBenchmarkCSV } from '../utils/csvParser';
+import { modifiedDietz, computeCashflowWeights, computePortfolioReturns, isIncomeFlow } from '../utils/modifiedDietz';
+import { getValuationDates, isSameDay } from '../utils/twr';
+import { DATE_FORMATS, dateFormatLabel } from '../utils/dateParser';
+import { DEFAULT_TAXONOMY, FLOW_CATEGORIES, FLOW_DIRECTIONS, normalizeTypeCode } from '../utils/transactionTypes';
+import { DAY_COUNTS, shortPeriodNote } from '../utils/annualize';
+import { LEDGER_TYPES, derivePositions, ledgerAmount } from '../utils/holdings';
+import { reconcile, isAcknowledged } from '../utils/reconciliation';
 import { formatPct, formatSignedPct, formatNumber, toFloat } from '../utils/formatters';
 import { generatePerformanceCommentary } from '../services/aiService';
 
+const METHODOLOGIES = [
+  { id: 'dietz', label: 'Modified Dietz', description: 'Single-period approximation weighting each cashflow by time invested.' },
+  { id: 'twr', label: 'True TWR', description: 'Revalues at every cashflow and chains the sub-period returns geometrically.' },
+];
+
+const CASHFLOW_TIMINGS = [
+  { id: 'start', label: 'Start of Day', description: 'Flows are invested for the whole of the day they occur.', k: '1' },
+  { id: 'mid', label: 'Mid-Day', description: 'Flows are invested for half of the day they occur.', k: '0.5' },
+  { id: 'end', label: 'End of Day', description: 'Flows are invested from the following day.', k: '0' },
+];
+
+const TYPE_BADGES = {
+  INFLOW: 'bg-emerald-900/40 text-emerald-400',
+  OUTFLOW: 'bg-rose-900/40 text-rose-400',
+  FEE: 'bg-amber-900/40 text-amber-400',
+  TAX: 'bg-orange-900/40 text-orange-400',
+  INCOME: 'bg-sky-900/40 text-sky-400',
+  TRANSFER: 'bg-violet-900/40 text-violet-400',
+};
+
+const RECON_STATUS = {
+  pass: { label: 'Pass', icon: CheckCircle2, badge: 'bg-emerald-900/40 text-emerald-400', text: 'text-emerald-400' },
+  warn: { label: 'Warn', icon: AlertCircle, badge: 'bg-amber-900/40 text-amber-400', text: 'text-amber-400' },
+  fail: { label: 'Fail', icon: XCircle, badge: 'bg-rose-900/40 text-rose-400', text: 'text-rose-400' },
+};
+
+// Type code from the file when there is one; transfers carry their sign
+const flowLabel = (cf) => cf.code || cf.type;
+const flowAmount = (cf) => (cf.type === 'TRANSFER' ? cf.amount : cf.rawAmount);
+
+const ASSET_SOURCES = [
+  { id: 'manual', label: 'Manual Entry', description: 'Beginning and ending market values are typed in or uploaded per asset class.' },
+  { id: 'holdings', label: 'Holdings & Ledger', description: 'Market values and cashflows are derived from security holdings and the transaction ledger.' },
+];
+
+const SHORT_PERIOD_POLICIES = [
+  { id: 'annualize', label: 'Annualize' },
+  { id: 'flag', label: 'Flag' },
+  { id: 'suppress', label: 'Suppress' },
+];
+
 const TABS = [
   { id: 'settings', label: 'Global Settings', icon: Settings },
+  { id: 'holdings', label: 'Holdings', icon: Layers },
   { id: 'cashflows', label: 'Cashflows Upload', icon: Upload },
   { id: 'adjusted', label: 'Adjusted Cashflows', icon: TableProperties },
+  { id: 'valuations', label: 'Valuations', icon: CalendarClock },
+  { id: 'fees', label: 'Fees', icon: Receipt },
+  { id: 'reconciliation', label: 'Reconciliation', icon: ClipboardCheck },
   { id: 'results', label: 'Results', icon: BarChart3 },
 ];
 
@@ -25,6 +83,16 @@ export default function PerformancePage() {
     startDate, endDate, setDates,
     assets, setAssets, addAsset, updateAsset, removeAsset,
     cashflows, setCashflows,
+    transactionTaxonomy, setTransactionTaxonomy, addTaxonomyEntry, updateTaxonomyEntry, removeTaxonomyEntry,
+    assetSource, setAssetSource, holdingsIssues,
+    securities, setSecurities, addSecurity, updateSecurity, removeSecurity,
+    ledger, addLedgerEntry, updateLedgerEntry, removeLedgerEntry,
+    valuations, setValuation,
+    methodology, setMethodology,
+    feeSchedule, setFeeSchedule,
+    cashflowTiming, setCashflowTiming, largeFlowThreshold, setLargeFlowThreshold,
+    dayCount, setDayCount, shortPeriodPolicy, setShortPeriodPolicy,
+    assetBenchmarks, setAssetBenchmarks,
     setPerformanceResults,
     savePeriodSnapshot, periods,
   } = usePortfolioStore();
@@ -34,12 +102,19 @@ export default function PerformancePage() {
   const [assetSuccess, setAssetSuccess] = useState(false);
   const [cfErrors, setCfErrors] = useState([]);
   const [cfSuccess, setCfSuccess] = useState(false);
+  const [cfDateFormat, setCfDateFormat] = useState('auto');
+  const [cfUpload, setCfUpload] = useState(null); // last file, re-read when the date format is pinned
+  const [cfDetectedFormat, setCfDetectedFormat] = useState(null);
+  const [holdingsErrors, setHoldingsErrors] = useState([]);
+  const [holdingsSuccess, setHoldingsSuccess] = useState(false);
+  const [workbookErrors, setWorkbookErrors] = useState([]);
+  const [workbookSuccess, setWorkbookSuccess] = useState(false);
 
   // ── Handlers ──
-  const handleAssetsUpload = useCallback(async (file) => {
+  const handleAssetsUpload = useCallback(async (file, options) => {
     setAssetErrors([]);
     setAssetSuccess(false);
-    const { assets: parsed, errors } = await parseAssetsCSV(file);
+    const { assets: parsed, errors } = await parseAssetsCSV(file, options);
     if (errors.length > 0) {
       setAssetErrors(errors);
     } else {
@@ -48,17 +123,69 @@ export default function PerformancePage() {
     }
   }, [setAssets]);
 
-  const handleCashflowsUpload = useCallback(async (file) => {
+  const handleCashflowsUpload = useCallback(async (file, options, dateFormat = cfDateFormat) => {
     setCfErrors([]);
     setCfSuccess(false);
-    const { cashflows: parsed, errors } = await parseCashflowsCSV(file);
+    setCfUpload({ file, options });
+    const { cashflows: parsed, errors, dateFormat: detected } = await parseCashflowsCSV(file, { ...options, dateFormat, taxonomy: transactionTaxonomy });
+    setCfDetectedFormat(detected);
     if (errors.length > 0) {
       setCfErrors(errors);
     } else {
       setCashflows(parsed);
       setCfSuccess(true);
     }
-  }, [setCashflows]);
+  }, [setCashflows, cfDateFormat, transactionTaxonomy]);
+
+  const handleCfDateFormat = (format) => {
+    setCfDateFormat(format);
+    if (cfUpload) handleCashflowsUpload(cfUpload.file, cfUpload.options, format);
+  };
+
+  // One workbook with Assets, Cashflows and Benchmark sheets; each sheet is validated like its CSV
+  const handleWorkbookImport = useCallback(async (tables) => {
+    setWorkbookErrors([]);
+    setWorkbookSuccess(false);
+    const errors = [];
+    if (tables.assets) {
+      const { assets: parsed, errors: sheetErrors } = await parseAssetsCSV(tables.assets);
+      if (sheetErrors.length > 0) errors.push(...sheetErrors.map((e) => `Assets: ${e}`));
+      else {
+        setAssetSource('manual');
+        setAssets(parsed);
+        setAssetSuccess(true);
+      }
+    }
+    if (tables.cashflows) {
+      const { cashflows: parsed, errors: sheetErrors } = await parseCashflowsCSV(tables.cashflows, { dateFormat: cfDateFormat, taxonomy: transactionTaxonomy });
+      if (sheetErrors.length > 0) errors.push(...sheetErrors.map((e) => `Cashflows: ${e}`));
+      else {
+        setCashflows(parsed);
+        setCfSuccess(true);
+      }
+    }
+    if (tables.benchmark) {
+      const { benchmarks, errors: sheetErrors } = await parseBenchmarkCSV(tables.benchmark);
+      if (sheetErrors.length > 0) errors.push(...sheetErrors.map((e) => `Benchmark: ${e}`));
+      else setAssetBenchmarks(benchmarks);
+    }
+    setWorkbookErrors(errors);
+    setWorkbookSuccess(errors.length === 0);
+  }, [setAssetSource, setAssets, setCashflows, setAssetBenchmarks, cfDateFormat, transactionTaxonomy]);
+
+  // Holdings replace the securities list and switch market values to the holdings roll-up
+  const handleHoldingsUpload = useCallback(async (file, options) => {
+    setHoldingsErrors([]);
+    setHoldingsSuccess(false);
+    const { holdings: parsed, errors } = await parseHoldingsCSV(file, options);
+    if (errors.length > 0) {
+      setHoldingsErrors(errors);
+    } else {
+      setSecurities(parsed);
+      setAssetSource('holdings');
+      setHoldingsSuccess(true);
+    }
+  }, [setSecurities, setAssetSource]);
 
   const handleAddRow = () => {
     addAsset({ name: `Asset ${assets.length + 1}`, beginningValue: 0, endingValue: 0 });
@@ -66,6 +193,7 @@ export default function PerformancePage() {
 
   // ── Seed sample data for testing ──
   const handleSeedData = () => {
+    setAssetSource('manual');
     setDates(new Date('2025-01-01T00:00:00'), new Date('2025-06-30T00:00:00'));
     setAssets([
       { name: 'Equities', beginningValue: 500000, endingValue: 560000 },
@@ -80,6 +208,8 @@ export default function PerformancePage() {
       { date: new Date('2025-05-01'), amount: 5000, assetClass: 'Real Estate', details: 'REIT dividend reinvest', type: 'INFLOW', rawAmount: 5000 },
       { date: new Date('2025-05-20'), amount: -8000, assetClass: 'Cash', details: 'Operating expenses', type: 'OUTFLOW', rawAmount: 8000 },
       { date: new Date('2025-06-15'), amount: 20000, assetClass: 'Fixed Income', details: 'Mid-year allocation', type: 'INFLOW', rawAmount: 20000 },
+      { date: new Date('2025-03-31'), amount: 4500, assetClass: 'Real Estate', details: 'Q1 rental income', type: 'INCOME', rawAmount: 4500 },
+      { date: new Date('2025-04-30'), amount: 7200, assetClass: 'Fixed Income', details: 'Semi-annual coupon', type: 'INCOME', rawAmount: 7200 },
     ]);
     setAssetSuccess(true);
     setCfSuccess(true);
@@ -88,29 +218,106 @@ export default function PerformancePage() {
   // ── Adjusted Cashflows (with Modified Dietz weights) ──
   const adjustedFlows = useMemo(() => {
     if (!startDate || !endDate || cashflows.length === 0) return [];
-    return computeCashflowWeights(
-      cashflows.map((cf) => ({ date: cf.date, amount: cf.amount })),
-      startDate,
-      endDate
-    ).map((wf, i) => ({
+    const external = cashflows.filter((cf) => !isIncomeFlow(cf));
+    return computeCashflowWeights(external, startDate, endDate, cashflowTiming).map((wf) => ({
       ...wf,
-      assetClass: cashflows[i]?.assetClass || '',
-      type: cashflows[i]?.type || '',
-      details: cashflows[i]?.details || '',
-      rawAmount: cashflows[i]?.rawAmount || Math.abs(wf.amount),
+      assetClass: wf.assetClass || '',
+      type: wf.type || '',
+      details: wf.details || '',
+      rawAmount: wf.rawAmount || Math.abs(wf.amount),
     }));
-  }, [cashflows, startDate, endDate]);
+  }, [cashflows, startDate, endDate, cashflowTiming]);
+
+  // ── Reconciliation ──
+  // Acknowledging stores the report object; any data change builds a new report and clears it
+  const reconciliation = useMemo(() => {
+    if (!startDate || !endDate || assets.length === 0) return null;
+    return reconcile({ assets, cashflows, startDate, endDate, timing: cashflowTiming });
+  }, [assets, cashflows, startDate, endDate, cashflowTiming]);
+  const [acknowledged, setAcknowledged] = useState(null);
+  const reconAcknowledged = isAcknowledged(acknowledged, reconciliation);
+
+  const handleSavePeriod = () => {
+    if (!reconAcknowledged) return;
+    savePeriodSnapshot({ reconciliation: { status: reconciliation.status, acknowledgedAt: acknowledged.at } });
+  };
 
   // ── Compute Results ──
   const results = useMemo(() => {
     if (!startDate || !endDate || assets.length === 0) return null;
     try {
-      const r = computePortfolioReturns({ assets, cashflows, startDate, endDate });
+      const r = computePortfolioReturns({
+        assets, cashflows, valuations, startDate, endDate, methodology, feeSchedule,
+        timing: cashflowTiming, largeFlowThreshold, dayCount, shortPeriodPolicy,
+      });
       return r;
     } catch (err) {
       return { error: err.message };
     }
-  }, [assets, cashflows, startDate, endDate]);
+  }, [assets, cashflows, valuations, startDate, endDate, methodology, feeSchedule, cashflowTiming, largeFlowThreshold, dayCount, shortPeriodPolicy]);
+
+  // ── Valuation points required for true TWR (one per cashflow day) ──
+  const valuationDates = useMemo(() => {
+    if (!startDate || !endDate) return [];
+    return getValuationDates(cashflows.filter((cf) => !isIncomeFlow(cf)), startDate, endDate);
+  }, [cashflows, startDate, endDate]);
+
+  const getValuation = (date, assetClass) =>
+    valuations.find((v) => v.assetClass === assetClass && isSameDay(v.date, date))?.value;
+
+  const methodologyLabel = METHODOLOGIES.find((m) => m.id === methodology)?.label || 'Modified Dietz';
+  const largeCashflows = results && !results.error ? results.largeCashflows : [];
+  const unvaluedLargeFlows = largeCashflows.filter((f) => !f.valued).length;
+  const timing = CASHFLOW_TIMINGS.find((t) => t.id === cashflowTiming) || CASHFLOW_TIMINGS[2];
+  const dayCountLabel = DAY_COUNTS.find((d) => d.id === dayCount)?.label || 'ACT/365';
+  const annualizationNote = results && !results.error ? shortPeriodNote(results.annualization) : null;
+  const flagAnnualized = annualizationNote && shortPeriodPolicy === 'flag' ? '*' : '';
+
+  // ── Security positions rolled forward through the ledger ──
+  const positions = useMemo(() => {
+    if (!startDate || !endDate) return [];
+    try {
+      return derivePositions({ securities, ledger, startDate, endDate }).positions;
+    } catch {
+      return [];
+    }
+  }, [securities, ledger, startDate, endDate]);
+
+  const handleAddSecurity = () => {
+    addSecurity({
+      symbol: `SEC${securities.length + 1}`,
+      name: '',
+      assetClass: assets[0]?.name || 'Equities',
+      classification: '',
+      currency: '',
+      quantity: 0,
+      price: 0,
+      endPrice: null,
+    });
+  };
+
+  const handleAddLedgerEntry = () => {
+    addLedgerEntry({
+      date: startDate ? new Date(startDate) : new Date(),
+      symbol: securities[0]?.symbol || '',
+      type: 'BUY',
+      quantity: 0,
+      price: 0,
+      amount: 0,
+      ratio: 1,
+      details: '',
+    });
+  };
+
+  // ── Income vs capital return chart data (percentages) ──
+  const incomeChartData = useMemo(() => {
+    if (!results || results.error) return [];
+    return results.assetResults.map((a) => ({
+      name: a.name,
+      'Income Return': Number.isFinite(a.incomeReturn) ? +(a.incomeReturn * 100).toFixed(2) : 0,
+      'Capital Return': Number.isFinite(a.capitalReturn) ? +(a.capitalReturn * 100).toFixed(2) : 0,
+    }));
+  }, [results]);
 
   // Save results to store when computed
   useEffect(() => {
@@ -119,9 +326,18 @@ export default function PerformancePage() {
     }
   }, [results, setPerformanceResults]);
 
+  // ── Management fee tiers ──
+  const updateTier = (index, updates) =>
+    setFeeSchedule({
+      managementTiers: feeSchedule.managementTiers.map((t, i) => (i === index ? { ...t, ...updates } : t)),
+    });
+  const addTier = () => setFeeSchedule({ managementTiers: [...feeSchedule.managementTiers, { upTo: null, rate: 0 }] });
+  const removeTier = (index) =>
+    setFeeSchedule({ managementTiers: feeSchedule.managementTiers.filter((_, i) => i !== index) });
+
   // ── Download cashflow template ──
   const downloadTemplate = () => {
-    const csv = 'Transaction Date,Transaction Type,Amount,Asset Class,Transaction Details\n2025-01-15,INFLOW,50000,Equities,Quarterly investment\n2025-02-01,OUTFLOW,10000,Fixed Income,Withdrawal';
+    const csv = 'Transaction Date,Transaction Type,Amount,Asset Class,Transaction Details\n2025-01-15,INFLOW,50000,Equities,Quarterly investment\n2025-02-01,OUTFLOW,10000,Fixed Income,Withdrawal\n2025-03-31,FEE,1250,Equities,Custody fee\n2025-04-30,INCOME,7200,Fixed Income,Coupon\n2025-05-15,TRANSFER OUT,20000,Equities,Rebalance to bonds\n2025-05-15,TRANSFER IN,20000,Fixed Income,Rebalance from equities';
     const blob = new Blob([csv], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -137,7 +353,7 @@ export default function PerformancePage() {
       <div className="flex items-start justify-between">
         <div>
           <h1 className="text-2xl font-bold text-white">Performance Measurement</h1>
-          <p className="text-sm text-slate-400 mt-1">Modified Dietz Method — One-Period Time-Weighted Return</p>
+          <p className="text-sm text-slate-400 mt-1">Modified Dietz &amp; True Time-Weighted Return</p>
         </div>
         <button
           onClick={handleSeedData}
@@ -193,22 +409,161 @@ export default function PerformancePage() {
             </div>
           </div>
 
+          {/* Return Methodology */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6">
+            <h2 className="text-lg font-semibold text-white mb-4">Return Methodology</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {METHODOLOGIES.map((m) => (
+                <button
+                  key={m.id}
+                  onClick={() => setMethodology(m.id)}
+                  className={`text-left p-4 rounded-xl border transition-colors ${
+                    methodology === m.id
+                      ? 'border-[#d4a843] bg-[#d4a843]/10'
+                      : 'border-slate-600 hover:border-slate-500 bg-slate-900/50'
+                  }`}
+                >
+                  <p className={`text-sm font-semibold ${methodology === m.id ? 'text-[#d4a843]' : 'text-white'}`}>{m.label}</p>
+                  <p className="text-xs text-slate-400 mt-1">{m.description}</p>
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-slate-500 mt-3">
+              Both methodologies are always computed and shown side by side on the Results tab; the selection drives annualized returns, contributions and saved reports.
+            </p>
+          </div>
+
+          {/* Cashflow Timing */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6">
+            <h2 className="text-lg font-semibold text-white mb-4">Cashflow Timing</h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {CASHFLOW_TIMINGS.map((t) => (
+                <button
+                  key={t.id}
+                  onClick={() => setCashflowTiming(t.id)}
+                  className={`text-left p-4 rounded-xl border transition-colors ${
+                    cashflowTiming === t.id
+                      ? 'border-[#d4a843] bg-[#d4a843]/10'
+                      : 'border-slate-600 hover:border-slate-500 bg-slate-900/50'
+                  }`}
+                >
+                  <p className={`text-sm font-semibold ${cashflowTiming === t.id ? 'text-[#d4a843]' : 'text-white'}`}>{t.label}</p>
+                  <p className="text-xs text-slate-400 mt-1">{t.description}</p>
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-slate-500 mt-3">
+              Modified Dietz weights are counted in whole calendar days from the start date, so the time of day on a cashflow never changes its weight.
+            </p>
+          </div>
+
+          {/* Large Cashflow Policy */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6">
+            <h2 className="text-lg font-semibold text-white mb-4">Large Cashflow Policy</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 items-start">
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Revaluation Threshold (% of Beginning Value)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={Number((largeFlowThreshold * 100).toFixed(4))}
+                  onChange={(e) => setLargeFlowThreshold(Math.max(0, parseFloat(e.target.value) || 0) / 100)}
+                  className="w-full px-3 py-2 bg-slate-900 border border-slate-600 text-white rounded-lg text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+                />
+              </div>
+              <p className="text-xs text-slate-500">
+                A day whose net portfolio cashflow reaches this share of beginning value is flagged and needs a valuation.
+                Once every asset class is valued on that day, Modified Dietz is applied to each sub-period and the returns are chained. Set to 0 to disable.
+              </p>
+            </div>
+          </div>
+
+          {/* Annualization */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6">
+            <h2 className="text-lg font-semibold text-white mb-4">Annualization</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Day-Count Convention</label>
+                <select
+                  value={dayCount}
+                  onChange={(e) => setDayCount(e.target.value)}
+                  className="w-full px-3 py-2 bg-slate-900 border border-slate-600 text-white rounded-lg focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+                >
+                  {DAY_COUNTS.map((d) => (
+                    <option key={d.id} value={d.id}>{d.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-slate-500 mt-1">{DAY_COUNTS.find((d) => d.id === dayCount)?.description}</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Periods Shorter Than One Year</label>
+                <div className="flex gap-1 bg-slate-800/50 rounded-xl p-1">
+                  {SHORT_PERIOD_POLICIES.map((p) => (
+                    <button
+                      key={p.id}
+                      onClick={() => setShortPeriodPolicy(p.id)}
+                      className={`flex-1 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                        shortPeriodPolicy === p.id ? 'bg-slate-700 text-[#d4a843] shadow-sm' : 'text-slate-400 hover:text-white'
+                      }`}
+                    >
+                      {p.label}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-xs text-slate-500 mt-1">
+                  GIPS does not permit annualizing returns for periods of less than a year. Flag keeps the figure and marks it; Suppress hides it.
+                </p>
+              </div>
+            </div>
+          </div>
+
+          {/* Workbook Import */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-white">Excel Workbook Import</h2>
+            <WorkbookImporter
+              label="Upload Workbook (.xlsx)"
+              description="Load Assets, Cashflows and Benchmark sheets in one drop — roles are guessed from the sheet names"
+              onImport={handleWorkbookImport}
+              errors={workbookErrors}
+              success={workbookSuccess}
+            />
+            {assetBenchmarks.length > 0 && (
+              <p className="text-xs text-slate-400">
+                Benchmark weights and returns loaded for {assetBenchmarks.length} asset class{assetBenchmarks.length !== 1 ? 'es' : ''} — used when importing into Attribution.
+              </p>
+            )}
+          </div>
+
           {/* Asset Classes Upload */}
           <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6 space-y-4">
             <h2 className="text-lg font-semibold text-white">Asset Classes & Market Values</h2>
-            <CsvUploader
-              label="Upload Assets CSV"
-              description="Columns: Asset Class, Beginning MV, Ending MV (flexible naming supported)"
-              onFileSelected={handleAssetsUpload}
-              errors={assetErrors}
-              success={assetSuccess}
-            />
+            {assetSource === 'holdings' ? (
+              <div className="bg-slate-800/50 border border-slate-700 rounded-xl p-4 flex items-start gap-3 text-slate-300">
+                <Layers className="w-5 h-5 shrink-0 mt-0.5 text-[#d4a843]" />
+                <p className="text-sm">
+                  Market values are derived from security holdings and the transaction ledger.{' '}
+                  <button onClick={() => setActiveTab('holdings')} className="text-[#d4a843] hover:underline">Edit holdings</button>
+                </p>
+              </div>
+            ) : (
+              <>
+                <CsvUploader
+                  label="Upload Assets CSV"
+                  description="CSV or XLSX. Columns: Asset Class, Beginning MV, Ending MV (flexible naming supported)"
+                  onFileSelected={handleAssetsUpload}
+                  schema="assets"
+                  errors={assetErrors}
+                  success={assetSuccess}
+                />
 
-            <div className="flex items-center gap-2 text-sm text-slate-400">
-              <div className="flex-1 h-px bg-slate-700" />
-              <span>or enter manually</span>
-              <div className="flex-1 h-px bg-slate-700" />
-            </div>
+                <div className="flex items-center gap-2 text-sm text-slate-400">
+                  <div className="flex-1 h-px bg-slate-700" />
+                  <span>or enter manually</span>
+                  <div className="flex-1 h-px bg-slate-700" />
+                </div>
+              </>
+            )}
 
             {/* Manual Data Entry Table */}
             <div className="overflow-x-auto">
@@ -229,6 +584,7 @@ export default function PerformancePage() {
                           type="text"
                           value={a.name}
                           onChange={(e) => updateAsset(i, { name: e.target.value })}
+                          disabled={assetSource === 'holdings'}
                           className="w-full px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] outline-none text-sm"
                         />
                       </td>
@@ -237,6 +593,7 @@ export default function PerformancePage() {
                           type="text"
                           value={formatNumber(a.beginningValue, 0)}
                           onChange={(e) => updateAsset(i, { beginningValue: toFloat(e.target.value) || 0 })}
+                          disabled={assetSource === 'holdings'}
                           className="w-full px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] outline-none text-sm"
                         />
                       </td>
@@ -245,30 +602,277 @@ export default function PerformancePage() {
                           type="text"
                           value={formatNumber(a.endingValue, 0)}
                           onChange={(e) => updateAsset(i, { endingValue: toFloat(e.target.value) || 0 })}
+                          disabled={assetSource === 'holdings'}
                           className="w-full px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] outline-none text-sm"
                         />
                       </td>
                       <td className="px-3 py-1.5 text-center">
-                        <button onClick={() => removeAsset(i)} className="text-slate-400 hover:text-rose-400 p-1 rounded hover:bg-rose-900/30">
-                          <Trash2 className="w-4 h-4" />
-                        </button>
+                        {assetSource !== 'holdings' && (
+                          <button onClick={() => removeAsset(i)} className="text-slate-400 hover:text-rose-400 p-1 rounded hover:bg-rose-900/30">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))}
                 </tbody>
               </table>
             </div>
+            {assetSource !== 'holdings' && (
+              <button
+                onClick={handleAddRow}
+                className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
+              >
+                <Plus className="w-4 h-4" /> Add Asset Class
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* ─── Tab 2: Holdings ────────────────────────────── */}
+      {activeTab === 'holdings' && (
+        <div className="space-y-6">
+          {/* Market Value Source */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6">
+            <h2 className="text-lg font-semibold text-white mb-4">Market Value Source</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {ASSET_SOURCES.map((src) => (
+                <button
+                  key={src.id}
+                  onClick={() => setAssetSource(src.id)}
+                  className={`text-left p-4 rounded-xl border transition-colors ${
+                    assetSource === src.id
+                      ? 'border-[#d4a843] bg-[#d4a843]/10'
+                      : 'border-slate-600 hover:border-slate-500 bg-slate-900/50'
+                  }`}
+                >
+                  <p className={`text-sm font-semibold ${assetSource === src.id ? 'text-[#d4a843]' : 'text-white'}`}>{src.label}</p>
+                  <p className="text-xs text-slate-400 mt-1">{src.description}</p>
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-slate-500 mt-3">
+              Buys and sells become inflows and outflows of the asset class, dividends become income held in the class, and splits change quantities only.
+            </p>
+          </div>
+
+          {assetSource === 'holdings' && holdingsIssues.length > 0 && (
+            <div className="bg-amber-900/30 border border-amber-700/50 rounded-xl p-4 text-amber-300 text-sm space-y-1">
+              <p className="font-semibold">Holdings Notes:</p>
+              {holdingsIssues.map((iss, i) => (
+                <p key={i} className="flex items-start gap-2">
+                  <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" /> {iss}
+                </p>
+              ))}
+            </div>
+          )}
+
+          {/* Securities */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-white">Securities</h2>
+            <CsvUploader
+              label="Upload Holdings CSV"
+              description="Columns: Security ID, Asset Class, Quantity, Beginning/Ending Price or Beginning/Ending MV. Optional: Name, Sector, Currency"
+              onFileSelected={handleHoldingsUpload}
+              schema="holdings"
+              errors={holdingsErrors}
+              success={holdingsSuccess}
+            />
+
+            <div className="flex items-center gap-2 text-sm text-slate-400">
+              <div className="flex-1 h-px bg-slate-700" />
+              <span>or enter manually</span>
+              <div className="flex-1 h-px bg-slate-700" />
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                  <tr>
+                    <th className="px-3 py-2">Symbol</th>
+                    <th className="px-3 py-2">Name</th>
+                    <th className="px-3 py-2">Asset Class</th>
+                    <th className="px-3 py-2">Sector</th>
+                    <th className="px-3 py-2">Currency</th>
+                    <th className="px-3 py-2 text-right">Opening Qty</th>
+                    <th className="px-3 py-2 text-right">Opening Price</th>
+                    <th className="px-3 py-2 text-right">Closing Price</th>
+                    <th className="px-3 py-2 text-right">Closing Qty</th>
+                    <th className="px-3 py-2 text-right">Beginning MV</th>
+                    <th className="px-3 py-2 text-right">Ending MV</th>
+                    <th className="px-3 py-2 w-12"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                  {securities.map((sec, i) => {
+                    const pos = positions.find((p) => p.symbol === sec.symbol);
+                    return (
+                      <tr key={i}>
+                        {['symbol', 'name', 'assetClass', 'classification', 'currency'].map((field) => (
+                          <td key={field} className="px-3 py-1.5">
+                            <input
+                              type="text"
+                              value={sec[field] || ''}
+                              onChange={(e) => updateSecurity(i, { [field]: e.target.value })}
+                              className="w-full min-w-24 px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] outline-none text-sm"
+                            />
+                          </td>
+                        ))}
+                        {['quantity', 'price', 'endPrice'].map((field) => (
+                          <td key={field} className="px-3 py-1.5">
+                            <input
+                              type="number"
+                              step="any"
+                              value={sec[field] ?? ''}
+                              onChange={(e) =>
+                                updateSecurity(i, {
+                                  [field]: e.target.value === '' && field === 'endPrice' ? null : parseFloat(e.target.value) || 0,
+                                })
+                              }
+                              className="w-full min-w-24 px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] outline-none text-sm"
+                            />
+                          </td>
+                        ))}
+                        <td className="px-3 py-1.5 text-right font-mono text-slate-300">{pos ? formatNumber(pos.endingQuantity) : '-'}</td>
+                        <td className="px-3 py-1.5 text-right font-mono text-slate-300">{pos ? formatNumber(pos.beginningValue, 0) : '-'}</td>
+                        <td className="px-3 py-1.5 text-right font-mono text-slate-300">{pos ? formatNumber(pos.endingValue, 0) : '-'}</td>
+                        <td className="px-3 py-1.5 text-center">
+                          <button onClick={() => removeSecurity(i)} className="text-slate-400 hover:text-rose-400 p-1 rounded hover:bg-rose-900/30">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
             <button
-              onClick={handleAddRow}
+              onClick={handleAddSecurity}
               className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
             >
-              <Plus className="w-4 h-4" /> Add Asset Class
+              <Plus className="w-4 h-4" /> Add Security
             </button>
           </div>
+
+          {/* Transaction Ledger */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-white">Transaction Ledger</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                  <tr>
+                    <th className="px-3 py-2">Date</th>
+                    <th className="px-3 py-2">Type</th>
+                    <th className="px-3 py-2">Security</th>
+                    <th className="px-3 py-2 text-right">Quantity / Ratio</th>
+                    <th className="px-3 py-2 text-right">Price</th>
+                    <th className="px-3 py-2 text-right">Amount</th>
+                    <th className="px-3 py-2">Details</th>
+                    <th className="px-3 py-2 w-12"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                  {ledger.map((entry, i) => {
+                    const trade = entry.type === 'BUY' || entry.type === 'SELL';
+                    const inputClass = 'w-full min-w-24 px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] outline-none text-sm';
+                    return (
+                      <tr key={i}>
+                        <td className="px-3 py-1.5">
+                          <input
+                            type="date"
+                            value={entry.date ? entry.date.toISOString().split('T')[0] : ''}
+                            onChange={(e) => e.target.value && updateLedgerEntry(i, { date: new Date(e.target.value + 'T00:00:00') })}
+                            className={inputClass}
+                          />
+                        </td>
+                        <td className="px-3 py-1.5">
+                          <select value={entry.type} onChange={(e) => updateLedgerEntry(i, { type: e.target.value })} className={inputClass}>
+                            {LEDGER_TYPES.map((t) => (
+                              <option key={t.id} value={t.id}>{t.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-3 py-1.5">
+                          <select value={entry.symbol} onChange={(e) => updateLedgerEntry(i, { symbol: e.target.value })} className={inputClass}>
+                            {!securities.some((sec) => sec.symbol === entry.symbol) && <option value={entry.symbol}>{entry.symbol || '—'}</option>}
+                            {securities.map((sec) => (
+                              <option key={sec.symbol} value={sec.symbol}>{sec.symbol}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-3 py-1.5">
+                          {(trade || entry.type === 'SPLIT') && (
+                            <input
+                              type="number"
+                              step="any"
+                              value={entry.type === 'SPLIT' ? entry.ratio ?? '' : entry.quantity ?? ''}
+                              onChange={(e) =>
+                                updateLedgerEntry(i, { [entry.type === 'SPLIT' ? 'ratio' : 'quantity']: parseFloat(e.target.value) || 0 })
+                              }
+                              className={`${inputClass} text-right`}
+                            />
+                          )}
+                        </td>
+                        <td className="px-3 py-1.5">
+                          {trade && (
+                            <input
+                              type="number"
+                              step="any"
+                              value={entry.price ?? ''}
+                              onChange={(e) => updateLedgerEntry(i, { price: parseFloat(e.target.value) || 0 })}
+                              className={`${inputClass} text-right`}
+                            />
+                          )}
+                        </td>
+                        <td className="px-3 py-1.5">
+                          {entry.type === 'DIVIDEND' ? (
+                            <input
+                              type="number"
+                              step="any"
+                              value={entry.amount ?? ''}
+                              onChange={(e) => updateLedgerEntry(i, { amount: parseFloat(e.target.value) || 0 })}
+                              className={`${inputClass} text-right`}
+                            />
+                          ) : (
+                            <p className="text-right font-mono text-slate-300">{trade ? formatNumber(ledgerAmount(entry)) : '-'}</p>
+                          )}
+                        </td>
+                        <td className="px-3 py-1.5">
+                          <input
+                            type="text"
+                            value={entry.details || ''}
+                            onChange={(e) => updateLedgerEntry(i, { details: e.target.value })}
+                            className={inputClass}
+                          />
+                        </td>
+                        <td className="px-3 py-1.5 text-center">
+                          <button onClick={() => removeLedgerEntry(i)} className="text-slate-400 hover:text-rose-400 p-1 rounded hover:bg-rose-900/30">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <button
+              onClick={handleAddLedgerEntry}
+              disabled={securities.length === 0}
+              className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Plus className="w-4 h-4" /> Add Transaction
+            </button>
+            {(!startDate || !endDate) && (
+              <p className="text-xs text-slate-500">Set the evaluation period in Global Settings to derive market values.</p>
+            )}
+          </div>
         </div>
       )}
 
-      {/* ─── Tab 2: Cashflows Upload ────────────────────── */}
+      {/* ─── Tab 3: Cashflows Upload ────────────────────── */}
       {activeTab === 'cashflows' && (
         <div className="space-y-6">
           <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6 space-y-4">
@@ -283,11 +887,103 @@ export default function PerformancePage() {
             </div>
             <CsvUploader
               label="Upload Cashflows CSV"
-              description="Columns: Transaction Date, Transaction Type (INFLOW/OUTFLOW), Amount, Asset Class"
+              description="Columns: Transaction Date, Transaction Type (a code from Transaction Types below — leave out for signed amounts), Amount, Asset Class"
               onFileSelected={handleCashflowsUpload}
+              schema="cashflows"
               errors={cfErrors}
               success={cfSuccess}
             />
+            <div className="flex flex-wrap items-center gap-3">
+              <label className="text-sm font-medium text-slate-300">Date Format</label>
+              <select
+                value={cfDateFormat}
+                onChange={(e) => handleCfDateFormat(e.target.value)}
+                className="px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-lg text-sm focus:ring-2 focus:ring-[#d4a843] outline-none"
+              >
+                <option value="auto">Detect automatically</option>
+                {DATE_FORMATS.map((f) => (
+                  <option key={f.id} value={f.id}>{f.label}</option>
+                ))}
+              </select>
+              {cfDetectedFormat && (
+                <span className="text-xs text-slate-400">
+                  Dates read as {dateFormatLabel(cfDetectedFormat)}{cfDateFormat === 'auto' ? ' (detected)' : ''}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {/* Transaction Types */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-white">Transaction Types</h2>
+              <button
+                onClick={() => setTransactionTaxonomy(DEFAULT_TAXONOMY)}
+                className="flex items-center gap-1.5 text-sm text-slate-300 hover:text-[#d4a843] bg-slate-700 hover:bg-[#d4a843]/10 px-3 py-1.5 rounded-lg transition-colors"
+              >
+                <RotateCcw className="w-4 h-4" /> Reset to Defaults
+              </button>
+            </div>
+            <p className="text-sm text-slate-400">
+              Each type code in an uploaded file maps to a category. External flows count for the asset class and the portfolio;
+              internal transfers count for each asset class but cancel at the portfolio level; income is earned inside the asset;
+              fees are withdrawals gross of fees and a cost net of fees; taxes and other expenses are withdrawals in both. In and Out set the sign whatever the file reports. Upload again after a change.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                  <tr>
+                    <th className="px-3 py-2">Type Code</th>
+                    <th className="px-3 py-2">Category</th>
+                    <th className="px-3 py-2">Direction</th>
+                    <th className="px-3 py-2 w-12"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                  {transactionTaxonomy.map((entry, i) => {
+                    const inputClass = 'w-full min-w-24 px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md focus:ring-2 focus:ring-[#d4a843] outline-none text-sm';
+                    return (
+                      <tr key={i}>
+                        <td className="px-3 py-1.5">
+                          <input
+                            type="text"
+                            value={entry.code}
+                            onChange={(e) => updateTaxonomyEntry(i, { code: e.target.value.toUpperCase() })}
+                            onBlur={(e) => updateTaxonomyEntry(i, { code: normalizeTypeCode(e.target.value) })}
+                            className={`${inputClass} font-mono`}
+                          />
+                        </td>
+                        <td className="px-3 py-1.5">
+                          <select value={entry.category} onChange={(e) => updateTaxonomyEntry(i, { category: e.target.value })} className={inputClass}>
+                            {FLOW_CATEGORIES.map((c) => (
+                              <option key={c.id} value={c.id}>{c.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-3 py-1.5">
+                          <select value={entry.direction} onChange={(e) => updateTaxonomyEntry(i, { direction: e.target.value })} className={inputClass}>
+                            {FLOW_DIRECTIONS.map((d) => (
+                              <option key={d.id} value={d.id}>{d.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-3 py-1.5 text-center">
+                          <button onClick={() => removeTaxonomyEntry(i)} className="text-slate-400 hover:text-rose-400 p-1 rounded hover:bg-rose-900/30">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <button
+              onClick={() => addTaxonomyEntry({ code: '', category: 'external', direction: 'signed' })}
+              className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
+            >
+              <Plus className="w-4 h-4" /> Add Type
+            </button>
           </div>
 
           {cashflows.length > 0 && (
@@ -312,12 +1008,12 @@ export default function PerformancePage() {
                       <tr key={i} className="hover:bg-slate-700/30">
                         <td className="px-4 py-2">{cf.date.toLocaleDateString()}</td>
                         <td className="px-4 py-2">
-                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${cf.type === 'INFLOW' ? 'bg-emerald-900/40 text-emerald-400' : 'bg-rose-900/40 text-rose-400'}`}>
-                            {cf.type}
+                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${TYPE_BADGES[cf.type] || TYPE_BADGES.OUTFLOW}`}>
+                            {flowLabel(cf)}
                           </span>
                         </td>
                         <td className="px-4 py-2">{cf.assetClass}</td>
-                        <td className="px-4 py-2 text-right font-mono">{formatNumber(cf.rawAmount)}</td>
+                        <td className="px-4 py-2 text-right font-mono">{formatNumber(flowAmount(cf))}</td>
                         <td className="px-4 py-2 text-slate-400 truncate max-w-xs">{cf.details}</td>
                       </tr>
                     ))}
@@ -329,7 +1025,7 @@ export default function PerformancePage() {
         </div>
       )}
 
-      {/* ─── Tab 3: Adjusted Cashflows ──────────────────── */}
+      {/* ─── Tab 4: Adjusted Cashflows ──────────────────── */}
       {activeTab === 'adjusted' && (
         <div className="space-y-6">
           {!startDate || !endDate ? (
@@ -346,7 +1042,8 @@ export default function PerformancePage() {
               <div className="p-5 border-b border-slate-700 bg-slate-800/50">
                 <h2 className="text-lg font-semibold text-white">Time-Weighted Cashflows</h2>
                 <p className="text-sm text-slate-400 mt-1">
-                  Weight formula: <code className="bg-slate-800 px-1.5 py-0.5 rounded text-xs text-[#d4a843]">w = (T1 - Ti) / (T1 - T0)</code>
+                  Weight formula ({timing.label.toLowerCase()}): <code className="bg-slate-800 px-1.5 py-0.5 rounded text-xs text-[#d4a843]">w = (CD - Di + {timing.k}) / CD</code>
+                  <span className="text-slate-500"> — CD = calendar days in the period, Di = days from the start date to the flow (1 on the start date)</span>
                 </p>
               </div>
               <div className="overflow-x-auto">
@@ -366,12 +1063,12 @@ export default function PerformancePage() {
                       <tr key={i} className="hover:bg-slate-700/30">
                         <td className="px-4 py-2 font-sans">{cf.date.toLocaleDateString()}</td>
                         <td className="px-4 py-2 font-sans">
-                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${cf.type === 'INFLOW' ? 'bg-emerald-900/40 text-emerald-400' : 'bg-rose-900/40 text-rose-400'}`}>
-                            {cf.type}
+                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${TYPE_BADGES[cf.type] || TYPE_BADGES.OUTFLOW}`}>
+                            {flowLabel(cf)}
                           </span>
                         </td>
                         <td className="px-4 py-2 font-sans">{cf.assetClass}</td>
-                        <td className="px-4 py-2 text-right">{formatNumber(cf.rawAmount)}</td>
+                        <td className="px-4 py-2 text-right">{formatNumber(flowAmount(cf))}</td>
                         <td className="px-4 py-2 text-right text-[#d4a843]">{cf.weight.toFixed(4)}</td>
                         <td className="px-4 py-2 text-right">{formatNumber(cf.weightedAmount)}</td>
                       </tr>
@@ -384,7 +1081,345 @@ export default function PerformancePage() {
         </div>
       )}
 
-      {/* ─── Tab 4: Results ─────────────────────────────── */}
+      {/* ─── Tab 5: Valuations ──────────────────────────── */}
+      {activeTab === 'valuations' && (
+        <div className="space-y-6">
+          {!startDate || !endDate ? (
+            <div className="bg-amber-900/30 border border-amber-700/50 rounded-xl p-4 flex items-start gap-3 text-amber-300">
+              <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+              <p className="text-sm">Set the evaluation period in Global Settings first.</p>
+            </div>
+          ) : valuationDates.length === 0 ? (
+            <div className="bg-slate-800/50 rounded-xl p-8 text-center text-slate-400">
+              <p>No intra-period cashflows — true TWR needs no additional valuations.</p>
+            </div>
+          ) : (
+            <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+              <div className="p-5 border-b border-slate-700 bg-slate-800/50">
+                <h2 className="text-lg font-semibold text-white">Intra-Period Valuations</h2>
+                <p className="text-sm text-slate-400 mt-1">
+                  Enter each asset class's market value immediately <strong>before</strong> the cashflows on each date.
+                  Every asset must be valued on a date for the portfolio-level TWR, and on every <strong>large flow</strong> date for the revalued Modified Dietz.
+                </p>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                  <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                    <tr>
+                      <th className="px-4 py-2">Valuation Date</th>
+                      {assets.map((a) => (
+                        <th key={a.name} className="px-4 py-2 text-right">{a.name}</th>
+                      ))}
+                      <th className="px-4 py-2 text-right">Portfolio Total</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-700/50">
+                    {valuationDates.map((date) => {
+                      const values = assets.map((a) => getValuation(date, a.name));
+                      const complete = values.every((v) => v !== undefined);
+                      return (
+                        <tr key={date.getTime()} className="hover:bg-slate-700/30">
+                          <td className="px-4 py-1.5 text-slate-200">
+                            {date.toLocaleDateString()}
+                            {largeCashflows.some((f) => isSameDay(f.date, date)) && (
+                              <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-amber-900/40 text-amber-400">Large flow</span>
+                            )}
+                          </td>
+                          {assets.map((a, i) => {
+                            const hasFlow = cashflows.some((cf) => cf.assetClass === a.name && isSameDay(cf.date, date));
+                            return (
+                              <td key={a.name} className="px-4 py-1.5">
+                                <input
+                                  type="text"
+                                  value={values[i] === undefined ? '' : formatNumber(values[i], 0)}
+                                  placeholder={hasFlow ? 'Required' : '—'}
+                                  onChange={(e) => setValuation(date, a.name, e.target.value.trim() === '' ? NaN : toFloat(e.target.value))}
+                                  className={`w-full px-2 py-1.5 bg-slate-900 border text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] outline-none text-sm ${
+                                    hasFlow && values[i] === undefined ? 'border-amber-600' : 'border-slate-600'
+                                  }`}
+                                />
+                              </td>
+                            );
+                          })}
+                          <td className="px-4 py-1.5 text-right font-mono text-slate-200">
+                            {complete ? formatNumber(values.reduce((s, v) => s + v, 0), 0) : '-'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* ─── Tab 6: Fees ────────────────────────────────── */}
+      {activeTab === 'fees' && (
+        <div className="space-y-6">
+          {/* Management Fee */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6 space-y-4">
+            <div>
+              <h2 className="text-lg font-semibold text-white">Management Fee Schedule</h2>
+              <p className="text-sm text-slate-400 mt-1">
+                Annual rates applied marginally to average invested capital and accrued for the evaluation period. Leave the last tier open-ended.
+              </p>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                  <tr>
+                    <th className="px-3 py-2">Capital From</th>
+                    <th className="px-3 py-2 text-right">Capital Up To</th>
+                    <th className="px-3 py-2 text-right">Annual Rate (%)</th>
+                    <th className="px-3 py-2 w-12"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                  {feeSchedule.managementTiers.map((t, i) => (
+                    <tr key={i}>
+                      <td className="px-3 py-1.5 font-mono text-slate-300">
+                        {formatNumber(i === 0 ? 0 : feeSchedule.managementTiers[i - 1].upTo, 0)}
+                      </td>
+                      <td className="px-3 py-1.5">
+                        <input
+                          type="text"
+                          value={t.upTo === null ? '' : formatNumber(t.upTo, 0)}
+                          placeholder="No limit"
+                          onChange={(e) => updateTier(i, { upTo: e.target.value.trim() === '' ? null : toFloat(e.target.value) || 0 })}
+                          className="w-full px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] outline-none text-sm"
+                        />
+                      </td>
+                      <td className="px-3 py-1.5">
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={Number((t.rate * 100).toFixed(4))}
+                          onChange={(e) => updateTier(i, { rate: Math.max(0, parseFloat(e.target.value) || 0) / 100 })}
+                          className="w-full px-2 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] outline-none text-sm"
+                        />
+                      </td>
+                      <td className="px-3 py-1.5 text-center">
+                        <button
+                          onClick={() => removeTier(i)}
+                          disabled={feeSchedule.managementTiers.length === 1}
+                          className="text-slate-400 hover:text-rose-400 p-1 rounded hover:bg-rose-900/30 disabled:opacity-30 disabled:hover:bg-transparent"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <button
+              onClick={addTier}
+              className="flex items-center gap-1.5 text-sm font-medium text-[#d4a843] hover:text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 px-3 py-1.5 rounded-lg transition-colors"
+            >
+              <Plus className="w-4 h-4" /> Add Tier
+            </button>
+          </div>
+
+          {/* Performance Fee */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6">
+            <h2 className="text-lg font-semibold text-white mb-4">Performance Fee</h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Performance Fee Rate (%)</label>
+                <input
+                  type="number"
+                  step="0.5"
+                  min="0"
+                  max="100"
+                  value={Number((feeSchedule.performanceRate * 100).toFixed(4))}
+                  onChange={(e) => setFeeSchedule({ performanceRate: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100 })}
+                  className="w-full px-3 py-2 bg-slate-900 border border-slate-600 text-white rounded-lg text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Hurdle Rate (% p.a.)</label>
+                <input
+                  type="number"
+                  step="0.25"
+                  value={Number((feeSchedule.hurdleRate * 100).toFixed(4))}
+                  onChange={(e) => setFeeSchedule({ hurdleRate: (parseFloat(e.target.value) || 0) / 100 })}
+                  className="w-full px-3 py-2 bg-slate-900 border border-slate-600 text-white rounded-lg text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">High-Water Mark</label>
+                <input
+                  type="text"
+                  value={feeSchedule.highWaterMark ? formatNumber(feeSchedule.highWaterMark, 0) : ''}
+                  placeholder="None"
+                  onChange={(e) => setFeeSchedule({ highWaterMark: toFloat(e.target.value) || 0 })}
+                  className="w-full px-3 py-2 bg-slate-900 border border-slate-600 text-white rounded-lg text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-slate-500 mt-3">
+              Charged on the ending value, after the management fee, above the higher of beginning value and high-water mark grown at the hurdle rate plus net external flows.
+              Fees already debited from the account belong in the cashflows file as FEE transactions.
+            </p>
+          </div>
+
+          {/* Fee Summary */}
+          {results && !results.error && (
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <KpiCard label="Fee Transactions" value={formatNumber(results.fees.transactions, 0)} icon={Receipt} />
+              <KpiCard label="Management Fee (accrued)" value={formatNumber(results.fees.management, 0)} icon={Receipt} />
+              <KpiCard label="Performance Fee (accrued)" value={formatNumber(results.fees.performance, 0)} icon={Receipt} />
+              <KpiCard
+                label="Gross − Net Return"
+                value={formatPct(results.portfolio.periodReturn - results.portfolio.netReturn)}
+                note={`Total fees ${formatNumber(results.fees.total, 0)}`}
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* ─── Tab 7: Reconciliation ──────────────────────── */}
+      {activeTab === 'reconciliation' && (
+        <div className="space-y-6">
+          {!reconciliation ? (
+            <div className="bg-amber-900/30 border border-amber-700/50 rounded-xl p-4 flex items-start gap-3 text-amber-300">
+              <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+              <p className="text-sm">Set the evaluation period and add at least one asset class in Global Settings first.</p>
+            </div>
+          ) : (
+            <>
+              {/* Checks */}
+              <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6 space-y-4">
+                <div className="flex items-center justify-between">
+                  <h2 className="text-lg font-semibold text-white">Reconciliation Report</h2>
+                  <span className={`px-3 py-1 rounded-lg text-sm font-semibold ${RECON_STATUS[reconciliation.status].badge}`}>
+                    {RECON_STATUS[reconciliation.status].label}
+                  </span>
+                </div>
+                <p className="text-sm text-slate-400">
+                  A missing or misbooked cashflow does not stop the calculation — it shows up as performance. These checks look for the usual causes before the period is saved.
+                </p>
+                <div className="divide-y divide-slate-700/50">
+                  {reconciliation.checks.map((check) => {
+                    const { icon: StatusIcon, text, badge, label } = RECON_STATUS[check.status];
+                    return (
+                      <div key={check.id} className="py-3">
+                        <div className="flex items-center gap-3">
+                          <StatusIcon className={`w-5 h-5 shrink-0 ${text}`} />
+                          <span className="flex-1 text-sm text-slate-200">{check.label}</span>
+                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${badge}`}>{label}</span>
+                        </div>
+                        {check.messages.length > 0 && (
+                          <ul className="mt-2 ml-8 space-y-0.5 text-xs text-slate-400">
+                            {check.messages.map((m, i) => (
+                              <li key={i}>{m}</li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {/* Roll-forward */}
+              <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+                <div className="p-5 border-b border-slate-700 bg-slate-800/50">
+                  <h2 className="text-lg font-semibold text-white">Roll-Forward</h2>
+                  <p className="text-sm text-slate-400 mt-1">
+                    <code className="bg-slate-800 px-1.5 py-0.5 rounded text-xs text-[#d4a843]">BV + Net Flows + Transfers + Gain = EV</code>
+                    <span className="text-slate-500"> — the gain is implied by the values and flows, and includes income</span>
+                  </p>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left">
+                    <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                      <tr>
+                        <th className="px-4 py-3">Asset Class</th>
+                        <th className="px-4 py-3 text-right">Beginning MV</th>
+                        <th className="px-4 py-3 text-right">Net Flows</th>
+                        <th className="px-4 py-3 text-right">Transfers</th>
+                        <th className="px-4 py-3 text-right">Gain</th>
+                        <th className="px-4 py-3 text-right">of which Income</th>
+                        <th className="px-4 py-3 text-right">Ending MV</th>
+                        <th className="px-4 py-3 text-right">Return</th>
+                        <th className="px-4 py-3 text-center">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-700/50 font-mono">
+                      {reconciliation.rollForward.map((row) => (
+                        <tr key={row.name} className="hover:bg-slate-700/30">
+                          <td className="px-4 py-3 font-sans font-medium text-white">{row.name}</td>
+                          <td className="px-4 py-3 text-right">{formatNumber(row.beginningValue)}</td>
+                          <td className="px-4 py-3 text-right">{formatNumber(row.netFlows)}</td>
+                          <td className="px-4 py-3 text-right">{formatNumber(row.transfers)}</td>
+                          <td className="px-4 py-3 text-right">{formatNumber(row.gain)}</td>
+                          <td className="px-4 py-3 text-right text-slate-400">{formatNumber(row.income)}</td>
+                          <td className="px-4 py-3 text-right">{formatNumber(row.endingValue)}</td>
+                          <td className="px-4 py-3 text-right">{formatPct(row.periodReturn)}</td>
+                          <td className="px-4 py-3 text-center font-sans">
+                            <span className={`px-2 py-0.5 rounded text-xs font-medium ${RECON_STATUS[row.status].badge}`}>{RECON_STATUS[row.status].label}</span>
+                          </td>
+                        </tr>
+                      ))}
+                      {reconciliation.unassigned.count > 0 && (
+                        <tr className="bg-rose-900/20">
+                          <td className="px-4 py-3 font-sans font-medium text-rose-300">Unassigned</td>
+                          <td className="px-4 py-3 text-right">-</td>
+                          <td className="px-4 py-3 text-right text-rose-300">{formatNumber(reconciliation.unassigned.netFlows)}</td>
+                          <td colSpan={6} className="px-4 py-3 font-sans text-xs text-rose-300">
+                            {reconciliation.unassigned.count} external flow(s) in asset classes that are not in the asset list
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                    <tfoot className="bg-[#d4a843]/10 font-bold border-t border-slate-700">
+                      <tr>
+                        <td className="px-4 py-4 text-right text-slate-200">Portfolio Total</td>
+                        <td className="px-4 py-4 text-right font-mono">{formatNumber(reconciliation.portfolio.beginningValue)}</td>
+                        <td className="px-4 py-4 text-right font-mono">{formatNumber(reconciliation.portfolio.netFlows)}</td>
+                        <td className="px-4 py-4 text-right font-mono">-</td>
+                        <td className="px-4 py-4 text-right font-mono">{formatNumber(reconciliation.portfolio.gain)}</td>
+                        <td className="px-4 py-4"></td>
+                        <td className="px-4 py-4 text-right font-mono">{formatNumber(reconciliation.portfolio.endingValue)}</td>
+                        <td colSpan={2} className="px-4 py-4"></td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
+              </div>
+
+              {/* Acknowledgement */}
+              <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6">
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={reconAcknowledged}
+                    onChange={(e) => setAcknowledged(e.target.checked ? { report: reconciliation, at: new Date() } : null)}
+                    className="mt-1 accent-[#d4a843]"
+                  />
+                  <span className="text-sm text-slate-300">
+                    {reconciliation.status === 'pass'
+                      ? 'I have reviewed the reconciliation report.'
+                      : reconciliation.status === 'warn'
+                      ? 'I have reviewed the warnings and the figures are correct.'
+                      : 'I have reviewed the failures and want to save this period regardless.'}
+                    <span className="block text-xs text-slate-500 mt-0.5">
+                      Required before saving the period to the report. Any change to the assets, cashflows or period clears it.
+                    </span>
+                  </span>
+                </label>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* ─── Tab 8: Results ─────────────────────────────── */}
       {activeTab === 'results' && (
         <div className="space-y-6">
           {/* Validation */}
@@ -419,33 +1454,65 @@ export default function PerformancePage() {
                       <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" /> {iss}
                     </p>
                   ))}
+                  {unvaluedLargeFlows > 0 && (
+                    <button
+                      onClick={() => setActiveTab('valuations')}
+                      className="mt-2 flex items-center gap-2 text-xs font-medium text-amber-200 bg-amber-800/40 hover:bg-amber-800/60 px-3 py-1.5 rounded-lg transition-colors"
+                    >
+                      <CalendarClock className="w-4 h-4" />
+                      Enter {unvaluedLargeFlows} large-flow valuation{unvaluedLargeFlows !== 1 ? 's' : ''}
+                    </button>
+                  )}
                 </div>
               )}
 
               {/* KPIs */}
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
                 <KpiCard
-                  label="Portfolio Period Return"
+                  label={`Gross Period Return (${methodologyLabel})`}
                   value={formatPct(results.portfolio.periodReturn)}
                   variant={results.portfolio.periodReturn >= 0 ? 'positive' : 'negative'}
                 />
                 <KpiCard
-                  label="Annualized Return (ACT/365)"
+                  label="Net-of-Fees Return"
+                  value={formatPct(results.portfolio.netReturn)}
+                  variant={Number.isFinite(results.portfolio.netReturn) ? (results.portfolio.netReturn >= 0 ? 'positive' : 'negative') : 'neutral'}
+                  note={results.fees.total > 0 ? `Fees ${formatNumber(results.fees.total, 0)}` : undefined}
+                />
+                <KpiCard
+                  label={`Annualized Return (${dayCountLabel})${flagAnnualized}`}
                   value={formatPct(results.portfolio.annualizedReturn)}
-                  variant={results.portfolio.annualizedReturn >= 0 ? 'positive' : 'negative'}
+                  variant={Number.isFinite(results.portfolio.annualizedReturn) ? (results.portfolio.annualizedReturn >= 0 ? 'positive' : 'negative') : 'neutral'}
+                  note={annualizationNote}
+                />
+                <KpiCard
+                  label="Money-Weighted Return (IRR)"
+                  value={formatPct(results.portfolio.mwrReturn)}
+                  variant={Number.isFinite(results.portfolio.mwrReturn) ? (results.portfolio.mwrReturn >= 0 ? 'positive' : 'negative') : 'neutral'}
                 />
                 <KpiCard label="Asset Classes" value={String(results.assetResults.length)} icon={Calculator} />
               </div>
 
               {/* Save Period to Report */}
-              <div className="flex items-center gap-3">
+              <div className="flex flex-wrap items-center gap-3">
                 <button
-                  onClick={savePeriodSnapshot}
-                  className="flex items-center gap-2 text-sm font-medium text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 border border-[#d4a843]/30 px-4 py-2 rounded-lg transition-colors"
+                  onClick={handleSavePeriod}
+                  disabled={!reconAcknowledged}
+                  className="flex items-center gap-2 text-sm font-medium text-[#d4a843] bg-[#d4a843]/10 hover:bg-[#d4a843]/20 border border-[#d4a843]/30 px-4 py-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <BookmarkPlus className="w-4 h-4" />
                   Save Period to Report
                 </button>
+                {reconciliation && (
+                  <button
+                    onClick={() => setActiveTab('reconciliation')}
+                    className={`flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-xs font-medium ${RECON_STATUS[reconciliation.status].badge}`}
+                  >
+                    <ClipboardCheck className="w-3.5 h-3.5" />
+                    Reconciliation: {RECON_STATUS[reconciliation.status].label}
+                    {!reconAcknowledged && ' — review and acknowledge to save'}
+                  </button>
+                )}
                 {periods.length > 0 && (
                   <span className="text-xs text-slate-400">
                     {periods.length} period{periods.length !== 1 ? 's' : ''} saved
@@ -458,8 +1525,13 @@ export default function PerformancePage() {
                 <div className="p-5 border-b border-slate-700 bg-slate-800/50">
                   <h2 className="text-lg font-semibold flex items-center gap-2 text-white">
                     <Calculator className="w-5 h-5 text-[#d4a843]" />
-                    Per-Asset Modified Dietz Returns
+                    Per-Asset Returns — Modified Dietz, True TWR, MWR &amp; Net of Fees
                   </h2>
+                  {largeCashflows.some((f) => f.valued) && (
+                    <p className="text-sm text-slate-400 mt-1">
+                      Modified Dietz is revalued on {largeCashflows.filter((f) => f.valued).length} large cashflow date(s) and the sub-period returns are chained.
+                    </p>
+                  )}
                 </div>
                 <div className="overflow-x-auto">
                   <table className="w-full text-sm text-left">
@@ -469,8 +1541,12 @@ export default function PerformancePage() {
                         <th className="px-4 py-3 text-right">Beginning MV</th>
                         <th className="px-4 py-3 text-right">Ending MV</th>
                         <th className="px-4 py-3 text-right">Weight (BV)</th>
-                        <th className="px-4 py-3 text-right">Period Return</th>
-                        <th className="px-4 py-3 text-right">Annualized</th>
+                        <th className={`px-4 py-3 text-right ${methodology === 'dietz' ? 'text-[#d4a843]' : ''}`}>Modified Dietz</th>
+                        <th className={`px-4 py-3 text-right ${methodology === 'twr' ? 'text-[#d4a843]' : ''}`}>True TWR</th>
+                        <th className="px-4 py-3 text-right" title="Money-weighted return (period IRR)">MWR</th>
+                        <th className="px-4 py-3 text-right border-l border-slate-700">Gross</th>
+                        <th className="px-4 py-3 text-right">Net</th>
+                        <th className="px-4 py-3 text-right" title={annualizationNote || undefined}>Annualized ({dayCountLabel}){flagAnnualized}</th>
                         <th className="px-4 py-3 text-right font-bold">Contribution</th>
                       </tr>
                     </thead>
@@ -481,10 +1557,25 @@ export default function PerformancePage() {
                           <td className="px-4 py-3 text-right font-mono">{formatNumber(a.beginningValue)}</td>
                           <td className="px-4 py-3 text-right font-mono">{formatNumber(a.endingValue)}</td>
                           <td className="px-4 py-3 text-right font-mono">{formatPct(a.weight)}</td>
-                          <td className={`px-4 py-3 text-right font-mono ${a.periodReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                          <td className={`px-4 py-3 text-right font-mono ${a.dietzReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                            {formatSignedPct(a.dietzReturn)}
+                          </td>
+                          <td className={`px-4 py-3 text-right font-mono ${Number.isFinite(a.twrReturn) ? (a.twrReturn >= 0 ? 'text-emerald-400' : 'text-rose-400') : 'text-slate-500'}`}>
+                            {formatSignedPct(a.twrReturn)}
+                          </td>
+                          <td className={`px-4 py-3 text-right font-mono ${Number.isFinite(a.mwrReturn) ? (a.mwrReturn >= 0 ? 'text-emerald-400' : 'text-rose-400') : 'text-slate-500'}`}>
+                            {formatSignedPct(a.mwrReturn)}
+                          </td>
+                          <td className={`px-4 py-3 text-right font-mono border-l border-slate-700 ${a.periodReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
                             {formatSignedPct(a.periodReturn)}
                           </td>
-                          <td className={`px-4 py-3 text-right font-mono ${a.annualizedReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                          <td
+                            className={`px-4 py-3 text-right font-mono ${Number.isFinite(a.netReturn) ? (a.netReturn >= 0 ? 'text-emerald-400' : 'text-rose-400') : 'text-slate-500'}`}
+                            title={a.fees > 0 ? `Fees ${formatNumber(a.fees, 0)}` : undefined}
+                          >
+                            {formatSignedPct(a.netReturn)}
+                          </td>
+                          <td className={`px-4 py-3 text-right font-mono ${Number.isFinite(a.annualizedReturn) ? (a.annualizedReturn >= 0 ? 'text-emerald-400' : 'text-rose-400') : 'text-slate-500'}`}>
                             {formatSignedPct(a.annualizedReturn)}
                           </td>
                           <td className={`px-4 py-3 text-right font-mono font-bold ${a.contribution >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
@@ -499,10 +1590,22 @@ export default function PerformancePage() {
                         <td className="px-4 py-4 text-right font-mono">{formatNumber(results.portfolio.beginningValue)}</td>
                         <td className="px-4 py-4 text-right font-mono">{formatNumber(results.portfolio.endingValue)}</td>
                         <td className="px-4 py-4 text-right font-mono">100.00%</td>
-                        <td className={`px-4 py-4 text-right font-mono text-lg ${results.portfolio.periodReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                        <td className={`px-4 py-4 text-right font-mono ${methodology === 'dietz' ? 'text-lg' : ''} ${results.portfolio.dietzReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                          {formatSignedPct(results.portfolio.dietzReturn)}
+                        </td>
+                        <td className={`px-4 py-4 text-right font-mono ${methodology === 'twr' ? 'text-lg' : ''} ${Number.isFinite(results.portfolio.twrReturn) ? (results.portfolio.twrReturn >= 0 ? 'text-emerald-400' : 'text-rose-400') : 'text-slate-500'}`}>
+                          {formatSignedPct(results.portfolio.twrReturn)}
+                        </td>
+                        <td className={`px-4 py-4 text-right font-mono ${Number.isFinite(results.portfolio.mwrReturn) ? (results.portfolio.mwrReturn >= 0 ? 'text-emerald-400' : 'text-rose-400') : 'text-slate-500'}`}>
+                          {formatSignedPct(results.portfolio.mwrReturn)}
+                        </td>
+                        <td className={`px-4 py-4 text-right font-mono border-l border-slate-700 ${results.portfolio.periodReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
                           {formatSignedPct(results.portfolio.periodReturn)}
                         </td>
-                        <td className={`px-4 py-4 text-right font-mono ${results.portfolio.annualizedReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                        <td className={`px-4 py-4 text-right font-mono ${Number.isFinite(results.portfolio.netReturn) ? (results.portfolio.netReturn >= 0 ? 'text-emerald-400' : 'text-rose-400') : 'text-slate-500'}`}>
+                          {formatSignedPct(results.portfolio.netReturn)}
+                        </td>
+                        <td className={`px-4 py-4 text-right font-mono ${Number.isFinite(results.portfolio.annualizedReturn) ? (results.portfolio.annualizedReturn >= 0 ? 'text-emerald-400' : 'text-rose-400') : 'text-slate-500'}`}>
                           {formatSignedPct(results.portfolio.annualizedReturn)}
                         </td>
                         <td></td>
@@ -510,15 +1613,100 @@ export default function PerformancePage() {
                     </tfoot>
                   </table>
                 </div>
+                {annualizationNote && (
+                  <p className="px-5 py-3 text-xs text-slate-400 border-t border-slate-700">{flagAnnualized}{annualizationNote}</p>
+                )}
+              </div>
+
+              {/* Income vs Capital Return */}
+              <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+                <div className="p-5 border-b border-slate-700 bg-slate-800/50">
+                  <h2 className="text-lg font-semibold text-white">Income vs Capital Return</h2>
+                  <p className="text-sm text-slate-400 mt-1">
+                    Income return is INCOME events over Modified Dietz average capital; capital return is the remainder of the {methodologyLabel} return.
+                  </p>
+                </div>
+                {results.portfolio.income !== 0 && (
+                  <div className="p-5 border-b border-slate-700">
+                    <ResponsiveContainer width="100%" height={280}>
+                      <BarChart data={incomeChartData} margin={{ top: 20, right: 30, left: 0, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#334155" />
+                        <XAxis dataKey="name" axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} />
+                        <YAxis axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} tickFormatter={(v) => `${v}%`} />
+                        <Tooltip content={<CustomTooltip />} />
+                        <Legend wrapperStyle={{ fontSize: '13px', color: '#e2e8f0' }} />
+                        <ReferenceLine y={0} stroke="#475569" />
+                        <Bar dataKey="Income Return" stackId="return" fill="#38bdf8" maxBarSize={60} />
+                        <Bar dataKey="Capital Return" stackId="return" fill="#d4a843" maxBarSize={60} />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                )}
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left">
+                    <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                      <tr>
+                        <th className="px-4 py-3">Asset Class</th>
+                        <th className="px-4 py-3 text-right">Income</th>
+                        <th className="px-4 py-3 text-right">Income Return</th>
+                        <th className="px-4 py-3 text-right">Capital Return</th>
+                        <th className="px-4 py-3 text-right">Total</th>
+                        <th className="px-4 py-3 text-right border-l border-slate-700">Income Contrib.</th>
+                        <th className="px-4 py-3 text-right">Capital Contrib.</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-700/50">
+                      {results.assetResults.map((a, i) => (
+                        <tr key={i} className="hover:bg-slate-700/30">
+                          <td className="px-4 py-3 font-medium text-slate-200">{a.name}</td>
+                          <td className="px-4 py-3 text-right font-mono">{formatNumber(a.income)}</td>
+                          <td className="px-4 py-3 text-right font-mono text-sky-400">{formatSignedPct(a.incomeReturn)}</td>
+                          <td className={`px-4 py-3 text-right font-mono ${Number.isFinite(a.capitalReturn) ? (a.capitalReturn >= 0 ? 'text-emerald-400' : 'text-rose-400') : 'text-slate-500'}`}>
+                            {formatSignedPct(a.capitalReturn)}
+                          </td>
+                          <td className={`px-4 py-3 text-right font-mono ${a.periodReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                            {formatSignedPct(a.periodReturn)}
+                          </td>
+                          <td className="px-4 py-3 text-right font-mono border-l border-slate-700">{formatSignedPct(a.incomeContribution)}</td>
+                          <td className="px-4 py-3 text-right font-mono">{formatSignedPct(a.capitalContribution)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot className="bg-[#d4a843]/10 font-bold border-t border-slate-700">
+                      <tr>
+                        <td className="px-4 py-4 text-right text-slate-200">Portfolio Total</td>
+                        <td className="px-4 py-4 text-right font-mono">{formatNumber(results.portfolio.income)}</td>
+                        <td className="px-4 py-4 text-right font-mono text-sky-400">{formatSignedPct(results.portfolio.incomeReturn)}</td>
+                        <td className={`px-4 py-4 text-right font-mono ${Number.isFinite(results.portfolio.capitalReturn) ? (results.portfolio.capitalReturn >= 0 ? 'text-emerald-400' : 'text-rose-400') : 'text-slate-500'}`}>
+                          {formatSignedPct(results.portfolio.capitalReturn)}
+                        </td>
+                        <td className={`px-4 py-4 text-right font-mono ${results.portfolio.periodReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                          {formatSignedPct(results.portfolio.periodReturn)}
+                        </td>
+                        <td className="px-4 py-4 text-right font-mono border-l border-slate-700">
+                          {formatSignedPct(results.assetResults.reduce((sum, a) => sum + a.incomeContribution, 0))}
+                        </td>
+                        <td className="px-4 py-4 text-right font-mono">
+                          {formatSignedPct(results.assetResults.reduce((sum, a) => sum + a.capitalContribution, 0))}
+                        </td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
               </div>
 
               {/* AI Commentary */}
               <AiAnalyst
                 disabled={!results || results.assetResults.length === 0}
-                fallbackInsight={`Portfolio returned ${formatPct(results.portfolio.periodReturn)} over the evaluation period (${formatPct(results.portfolio.annualizedReturn)} annualized).`}
+                fallbackInsight={
+                  Number.isFinite(results.portfolio.annualizedReturn)
+                    ? `Portfolio returned ${formatPct(results.portfolio.periodReturn)} over the evaluation period (${formatPct(results.portfolio.annualizedReturn)} annualized, ${dayCountLabel}).`
+                    : `Portfolio returned ${formatPct(results.portfolio.periodReturn)} over the evaluation period.`
+                }
                 onGenerateSummary={() =>
                   generatePerformanceCommentary({
                     portfolioReturn: results.portfolio.periodReturn,
+                    netReturn: results.portfolio.netReturn,
                     annualizedReturn: results.portfolio.annualizedReturn,
                     assetResults: results.assetResults,
                   })
@@ -526,6 +1714,7 @@ export default function PerformancePage() {
                 onGenerateRecommendations={() =>
                   generatePerformanceCommentary({
                     portfolioReturn: results.portfolio.periodReturn,
+                    netReturn: results.portfolio.netReturn,
                     annualizedReturn: results.portfolio.annualizedReturn,
                     assetResults: results.assetResults,
                   })
@@ -5,18 +5,33 @@ import {
   ResponsiveContainer, ReferenceLine
 } from 'recharts';
 import {
-  FileText, Printer, Sparkles, Loader2, Trash2, Info, BookmarkX, ClipboardList
+  FileText, Printer, Sparkles, Loader2, Trash2, Info, BookmarkX, ClipboardList, AlertCircle
 } from 'lucide-react';
 import usePortfolioStore from '../store/usePortfolioStore';
 import KpiCard from '../components/KpiCard';
 import CustomTooltip from '../components/CustomTooltip';
 import { formatPct, formatSignedPct, formatNumber } from '../utils/formatters';
+import { linkPeriodReturns } from '../utils/periodLinking';
+import { DAY_COUNTS, shortPeriodNote } from '../utils/annualize';
 import { generateCommitteeReport } from '../services/aiService';
 import { Link } from 'react-router-dom';
 
 const PERIOD_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#6366f1', '#ec4899'];
 const ASSET_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#6366f1', '#ec4899', '#14b8a6', '#f97316'];
 
+const LINKED_COLUMNS = [
+  { key: 'cumulative', label: 'Cumulative' },
+  { key: 'annualized', label: 'Since Inception (Ann.)' },
+  { key: 'ytd', label: 'YTD' },
+  { key: 'qtd', label: 'QTD' },
+  { key: 'oneYear', label: '1Y' },
+  { key: 'threeYear', label: '3Y (Ann.)' },
+];
+
+const dayCountLabel = (id) => DAY_COUNTS.find((d) => d.id === id)?.label || 'ACT/365';
+
+const signClass = (v) => (!Number.isFinite(v) ? 'text-slate-500' : v >= 0 ? 'text-emerald-400' : 'text-rose-400');
+
 function parseReportSections(text) {
   const sections = { executiveSummary: '', performanceAnalysis: '', riskCommentary: '', recommendations: '' };
   const lines = text.split('\n');
@@ -37,7 +52,7 @@ function parseReportSections(text) {
 }
 
 export default function ReportPage() {
-  const { periods, removePeriod, clearPeriods } = usePortfolioStore();
+  const { periods, removePeriod, clearPeriods, dayCount, shortPeriodPolicy } = usePortfolioStore();
 
   const [reportTitle, setReportTitle] = useState('Investment Committee Report');
   const [executiveSummary, setExecutiveSummary] = useState('');
@@ -55,12 +70,23 @@ export default function ReportPage() {
 
   const latestPeriod = sortedPeriods[sortedPeriods.length - 1] || null;
 
+  // Geometrically linked cumulative / trailing returns
+  const linked = useMemo(
+    () => linkPeriodReturns(periods, { dayCount, shortPeriodPolicy }),
+    [periods, dayCount, shortPeriodPolicy]
+  );
+
   // Multi-period return comparison
   const periodComparisonData = useMemo(() =>
     sortedPeriods.map((p) => ({
       name: p.label,
       'Portfolio Return': Number((p.performanceResults.portfolio.periodReturn * 100).toFixed(2)),
-      'Annualized Return': Number((p.performanceResults.portfolio.annualizedReturn * 100).toFixed(2)),
+      'Net of Fees': Number.isFinite(p.performanceResults.portfolio.netReturn)
+        ? Number((p.performanceResults.portfolio.netReturn * 100).toFixed(2))
+        : null,
+      'Annualized Return': Number.isFinite(p.performanceResults.portfolio.annualizedReturn)
+        ? Number((p.performanceResults.portfolio.annualizedReturn * 100).toFixed(2))
+        : null,
     })),
     [sortedPeriods]
   );
@@ -195,6 +221,14 @@ export default function ReportPage() {
               <span className="text-[#d4a843] font-mono text-xs">
                 {formatSignedPct(p.performanceResults.portfolio.periodReturn)}
               </span>
+              {p.reconciliation && p.reconciliation.status !== 'pass' && (
+                <span
+                  className={`text-xs ${p.reconciliation.status === 'fail' ? 'text-rose-400' : 'text-amber-400'}`}
+                  title={`Saved with reconciliation ${p.reconciliation.status === 'fail' ? 'failures' : 'warnings'}, acknowledged ${p.reconciliation.acknowledgedAt.toLocaleString()}`}
+                >
+                  {p.reconciliation.status === 'fail' ? 'Recon fail' : 'Recon warn'}
+                </span>
+              )}
               <button onClick={() => removePeriod(p.id)} className="text-slate-500 hover:text-rose-400 transition-colors">
                 <Trash2 className="w-3 h-3" />
               </button>
@@ -205,16 +239,22 @@ export default function ReportPage() {
 
       {/* KPI Cards — Latest Period */}
       {latestPeriod && (
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           <KpiCard
-            label="Portfolio Return"
+            label="Gross Return"
             value={formatPct(latestPeriod.performanceResults.portfolio.periodReturn)}
             variant={latestPeriod.performanceResults.portfolio.periodReturn >= 0 ? 'positive' : 'negative'}
           />
           <KpiCard
-            label="Annualized Return"
+            label="Net-of-Fees Return"
+            value={formatPct(latestPeriod.performanceResults.portfolio.netReturn)}
+            variant={Number.isFinite(latestPeriod.performanceResults.portfolio.netReturn) ? (latestPeriod.performanceResults.portfolio.netReturn >= 0 ? 'positive' : 'negative') : 'neutral'}
+          />
+          <KpiCard
+            label={`Annualized Return (${dayCountLabel(latestPeriod.performanceResults.annualization?.dayCount)})`}
             value={formatPct(latestPeriod.performanceResults.portfolio.annualizedReturn)}
-            variant={latestPeriod.performanceResults.portfolio.annualizedReturn >= 0 ? 'positive' : 'negative'}
+            variant={Number.isFinite(latestPeriod.performanceResults.portfolio.annualizedReturn) ? (latestPeriod.performanceResults.portfolio.annualizedReturn >= 0 ? 'positive' : 'negative') : 'neutral'}
+            note={shortPeriodNote(latestPeriod.performanceResults.annualization)}
           />
           <KpiCard
             label="Beginning Value"
@@ -244,6 +284,7 @@ export default function ReportPage() {
                 <Legend wrapperStyle={{ fontSize: '13px', color: '#e2e8f0' }} />
                 <ReferenceLine y={0} stroke="#475569" />
                 <Bar dataKey="Portfolio Return" fill="#3b82f6" radius={[4, 4, 0, 0]} maxBarSize={60} />
+                <Bar dataKey="Net of Fees" fill="#d4a843" radius={[4, 4, 0, 0]} maxBarSize={60} />
                 <Bar dataKey="Annualized Return" fill="#10b981" radius={[4, 4, 0, 0]} maxBarSize={60} />
               </BarChart>
             </ResponsiveContainer>
@@ -309,7 +350,8 @@ export default function ReportPage() {
                   <th className="px-4 py-3">Period</th>
                   <th className="px-4 py-3 text-right">Beginning Value</th>
                   <th className="px-4 py-3 text-right">Ending Value</th>
-                  <th className="px-4 py-3 text-right">Period Return</th>
+                  <th className="px-4 py-3 text-right">Gross Return</th>
+                  <th className="px-4 py-3 text-right">Net Return</th>
                   <th className="px-4 py-3 text-right">Annualized Return</th>
                 </tr>
               </thead>
@@ -322,8 +364,16 @@ export default function ReportPage() {
                     <td className={`px-4 py-3 text-right font-mono ${p.performanceResults.portfolio.periodReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
                       {formatSignedPct(p.performanceResults.portfolio.periodReturn)}
                     </td>
-                    <td className={`px-4 py-3 text-right font-mono ${p.performanceResults.portfolio.annualizedReturn >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+                    <td className={`px-4 py-3 text-right font-mono ${signClass(p.performanceResults.portfolio.netReturn)}`}>
+                      {formatSignedPct(p.performanceResults.portfolio.netReturn)}
+                    </td>
+                    <td
+                      className={`px-4 py-3 text-right font-mono ${signClass(p.performanceResults.portfolio.annualizedReturn)}`}
+                      title={shortPeriodNote(p.performanceResults.annualization) || undefined}
+                    >
                       {formatSignedPct(p.performanceResults.portfolio.annualizedReturn)}
+                      {p.performanceResults.annualization?.shortPeriod && p.performanceResults.annualization.policy === 'flag' && '*'}
+                      <span className="text-xs text-slate-500 ml-1">{dayCountLabel(p.performanceResults.annualization?.dayCount)}</span>
                     </td>
                   </tr>
                 ))}
@@ -333,6 +383,64 @@ export default function ReportPage() {
         </div>
       )}
 
+      {/* Linked Returns */}
+      {linked.portfolio && (
+        <div className="bg-[#1e293b] rounded-2xl border border-slate-700 overflow-hidden">
+          <div className="p-5 border-b border-slate-700 bg-slate-800/50">
+            <h2 className="text-lg font-semibold text-white">Linked Returns</h2>
+            <p className="text-sm text-slate-400 mt-1">
+              Geometrically chained across saved periods — inception {linked.inceptionDate.toLocaleDateString()}, as of {linked.asOfDate.toLocaleDateString()}
+            </p>
+          </div>
+          {linked.issues.length > 0 && (
+            <div className="bg-amber-900/30 border-b border-amber-700/50 p-4 text-amber-300 text-sm space-y-1">
+              {linked.issues.map((iss, i) => (
+                <p key={i} className="flex items-start gap-2">
+                  <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" /> {iss.message}
+                </p>
+              ))}
+            </div>
+          )}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                <tr>
+                  <th className="px-4 py-3"></th>
+                  {LINKED_COLUMNS.map((c) => (
+                    <th key={c.key} className="px-4 py-3 text-right">{c.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-700/50">
+                {linked.assets.map((a) => (
+                  <tr key={a.name} className="hover:bg-slate-700/30">
+                    <td className="px-4 py-3 text-slate-200">{a.name}</td>
+                    {LINKED_COLUMNS.map((c) => (
+                      <td key={c.key} className={`px-4 py-3 text-right font-mono ${signClass(a[c.key])}`}>
+                        {formatSignedPct(a[c.key])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="bg-[#d4a843]/10 font-bold border-t border-slate-700">
+                <tr>
+                  <td className="px-4 py-3 text-slate-200">Portfolio</td>
+                  {LINKED_COLUMNS.map((c) => (
+                    <td key={c.key} className={`px-4 py-3 text-right font-mono ${signClass(linked.portfolio[c.key])}`}>
+                      {formatSignedPct(linked.portfolio[c.key])}
+                    </td>
+                  ))}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+          <p className="px-5 py-3 text-xs text-slate-500 border-t border-slate-700">
+            Trailing figures are shown only when a saved period starts on the window boundary; “-” means the saved periods do not cover that window.
+          </p>
+        </div>
+      )}
+
       {/* Editable Report Sections */}
       <div className="space-y-6">
         <div className="bg-[#1e293b] rounded-2xl border border-slate-700 p-5">
@@ -0,0 +1,334 @@
+import { useState, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine,
+} from 'recharts';
+import { ShieldAlert, Activity, AlertCircle, Info, History, Upload } from 'lucide-react';
+import usePortfolioStore from '../store/usePortfolioStore';
+import { computeRiskStatistics, periodReturnSeries } from '../utils/riskStatistics';
+import { parseReturnsCSV } from '../utils/csvParser';
+import { DATE_FORMATS, dateFormatLabel } from '../utils/dateParser';
+import { formatPct, formatSignedPct, formatNumber } from '../utils/formatters';
+import KpiCard from '../components/KpiCard';
+import CsvUploader from '../components/CsvUploader';
+import CustomTooltip from '../components/CustomTooltip';
+
+const SOURCES = [
+  { id: 'periods', label: 'Saved Periods', icon: History },
+  { id: 'csv', label: 'Returns CSV', icon: Upload },
+];
+
+export default function RiskPage() {
+  const {
+    riskSource, setRiskSource, riskFreeRate, setRiskFreeRate,
+    returnSeries, setReturnSeries, periods, periodBenchmarks, setPeriodBenchmark,
+  } = usePortfolioStore();
+  const [csvErrors, setCsvErrors] = useState([]);
+  const [csvSuccess, setCsvSuccess] = useState(returnSeries.length > 0);
+  const [dateFormat, setDateFormat] = useState('auto');
+  const [lastUpload, setLastUpload] = useState(null); // re-read when the date format is pinned
+  const [detectedFormat, setDetectedFormat] = useState(null);
+
+  // ── Handlers ──
+  const handleReturnsUpload = useCallback(async (file, options, format = dateFormat) => {
+    setCsvErrors([]);
+    setCsvSuccess(false);
+    setLastUpload({ file, options });
+    const { series, errors, dateFormat: detected } = await parseReturnsCSV(file, { ...options, dateFormat: format });
+    setDetectedFormat(detected);
+    if (errors.length > 0) {
+      setCsvErrors(errors);
+    } else {
+      setReturnSeries(series);
+      setCsvSuccess(true);
+    }
+  }, [setReturnSeries, dateFormat]);
+
+  const handleDateFormat = (format) => {
+    setDateFormat(format);
+    if (lastUpload) handleReturnsUpload(lastUpload.file, lastUpload.options, format);
+  };
+
+  const sortedPeriods = useMemo(
+    () => [...periods].sort((a, b) => new Date(a.startDate).getTime() - new Date(b.startDate).getTime()),
+    [periods]
+  );
+
+  // ── Risk Statistics ──
+  const series = useMemo(
+    () => (riskSource === 'csv' ? returnSeries : periodReturnSeries(periods, periodBenchmarks)),
+    [riskSource, returnSeries, periods, periodBenchmarks]
+  );
+
+  const risk = useMemo(() => {
+    try {
+      return { stats: computeRiskStatistics(series, { riskFreeRate }), error: null };
+    } catch (err) {
+      return { stats: null, error: err.message };
+    }
+  }, [series, riskFreeRate]);
+
+  const { stats } = risk;
+  const hasBenchmark = Boolean(stats?.benchmark);
+
+  // ── Chart Data: cumulative growth ──
+  const growthData = useMemo(() => {
+    const data = [];
+    let p = 1;
+    let b = 1;
+    for (const s of series) {
+      p *= 1 + s.portfolio;
+      if (Number.isFinite(s.benchmark)) b *= 1 + s.benchmark;
+      data.push({
+        name: s.date ? s.date.toLocaleDateString() : '',
+        Portfolio: Number(((p - 1) * 100).toFixed(2)),
+        ...(hasBenchmark && { Benchmark: Number(((b - 1) * 100).toFixed(2)) }),
+      });
+    }
+    return data;
+  }, [series, hasBenchmark]);
+
+  const dd = stats?.maxDrawdown;
+  const formatDate = (d) => (d ? d.toLocaleDateString() : 'Start');
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white">Risk Analytics</h1>
+        <p className="text-sm text-slate-400 mt-1">Volatility, Risk-Adjusted Returns &amp; Drawdowns</p>
+      </div>
+
+      {/* Settings */}
+      <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-5 grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-slate-300 mb-2">Return Series</label>
+          <div className="flex gap-1 bg-slate-800/50 rounded-xl p-1">
+            {SOURCES.map((source) => (
+              <button
+                key={source.id}
+                onClick={() => setRiskSource(source.id)}
+                className={`flex-1 flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  riskSource === source.id ? 'bg-slate-700 text-[#d4a843] shadow-sm' : 'text-slate-400 hover:text-white'
+                }`}
+              >
+                <source.icon className="w-4 h-4" />
+                {source.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-2">Risk-Free Rate (% p.a.)</label>
+          <input
+            type="number"
+            step="0.01"
+            value={Number((riskFreeRate * 100).toFixed(4))}
+            onChange={(e) => setRiskFreeRate((parseFloat(e.target.value) || 0) / 100)}
+            className="w-full px-3 py-2 bg-slate-900 border border-slate-600 text-white rounded-lg text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+          />
+        </div>
+      </div>
+
+      {/* Source Input */}
+      {riskSource === 'periods' ? (
+        <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 overflow-hidden">
+          <div className="p-5 border-b border-slate-700 bg-slate-800/50">
+            <h2 className="text-lg font-semibold flex items-center gap-2">
+              <History className="w-5 h-5 text-blue-500" />
+              Saved Periods
+            </h2>
+            <p className="text-xs text-slate-400 mt-1">Enter the benchmark return for each period to enable benchmark-relative statistics.</p>
+          </div>
+          {sortedPeriods.length === 0 ? (
+            <p className="p-8 text-center text-sm text-slate-400">
+              No saved periods yet. Save period snapshots from the{' '}
+              <Link to="/performance" className="text-[#d4a843] hover:underline">Performance</Link> module.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left whitespace-nowrap">
+                <thead className="bg-slate-800/50 text-slate-400 font-medium border-b border-slate-700">
+                  <tr>
+                    <th className="px-4 py-3">Period</th>
+                    <th className="px-4 py-3 text-right">Portfolio Return</th>
+                    <th className="px-4 py-3 text-right">Benchmark Return (%)</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700/50">
+                  {sortedPeriods.map((p) => (
+                    <tr key={p.id} className="hover:bg-slate-700/30 transition-colors">
+                      <td className="px-4 py-2 text-slate-200">{p.label}</td>
+                      <td className="px-4 py-2 text-right font-mono text-slate-200">{formatPct(p.performanceResults.portfolio.periodReturn)}</td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          step="0.01"
+                          value={Number.isFinite(periodBenchmarks[p.id]) ? Number((periodBenchmarks[p.id] * 100).toFixed(4)) : ''}
+                          onChange={(e) => setPeriodBenchmark(p.id, e.target.value === '' ? NaN : parseFloat(e.target.value) / 100)}
+                          className="w-32 ml-auto block px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-md text-right focus:ring-2 focus:ring-[#d4a843] focus:border-[#d4a843] outline-none"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-6 space-y-3">
+          <h2 className="text-lg font-semibold text-white">Periodic Returns</h2>
+          <CsvUploader
+            label="Upload Returns CSV"
+            description="Columns: Date, Portfolio Return (%), Benchmark Return (%) — benchmark optional"
+            onFileSelected={handleReturnsUpload}
+            schema="returns"
+            errors={csvErrors}
+            success={csvSuccess}
+          />
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="text-sm font-medium text-slate-300">Date Format</label>
+            <select
+              value={dateFormat}
+              onChange={(e) => handleDateFormat(e.target.value)}
+              className="px-3 py-1.5 bg-slate-900 border border-slate-600 text-white rounded-lg text-sm focus:ring-2 focus:ring-[#d4a843] outline-none"
+            >
+              <option value="auto">Detect automatically</option>
+              {DATE_FORMATS.map((f) => (
+                <option key={f.id} value={f.id}>{f.label}</option>
+              ))}
+            </select>
+            {detectedFormat && (
+              <span className="text-xs text-slate-400">
+                Dates read as {dateFormatLabel(detectedFormat)}{dateFormat === 'auto' ? ' (detected)' : ''}
+              </span>
+            )}
+          </div>
+          {returnSeries.length > 0 && (
+            <p className="text-xs text-slate-400">
+              {returnSeries.length} returns loaded, {returnSeries[0].date.toLocaleDateString()} – {returnSeries[returnSeries.length - 1].date.toLocaleDateString()}
+            </p>
+          )}
+        </div>
+      )}
+
+      {risk.error ? (
+        <div className="bg-amber-900/30 border border-amber-700/50 rounded-xl p-4 flex items-start gap-3 text-amber-300">
+          <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+          <p className="text-sm">{risk.error}</p>
+        </div>
+      ) : (
+        <>
+          {/* Absolute Risk */}
+          <div>
+            <h2 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-3">
+              Absolute Risk · {stats.observations} {stats.frequency.toLowerCase()} returns
+            </h2>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <KpiCard label="Annualized Return" value={formatPct(stats.annualizedReturn)} />
+              <KpiCard label="Volatility (ann.)" value={formatPct(stats.volatility)} icon={Activity} />
+              <KpiCard label="Sharpe Ratio" value={formatNumber(stats.sharpe)} />
+              <KpiCard label="Sortino Ratio" value={formatNumber(stats.sortino)} />
+            </div>
+          </div>
+
+          {/* Relative Risk */}
+          <div>
+            <h2 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-3">Benchmark-Relative Risk</h2>
+            {hasBenchmark ? (
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <KpiCard label="Tracking Error" value={formatPct(stats.benchmark.trackingError)} />
+                <KpiCard label="Information Ratio" value={formatNumber(stats.benchmark.informationRatio)} />
+                <KpiCard label="Beta" value={formatNumber(stats.benchmark.beta)} />
+                <KpiCard
+                  label="Jensen's Alpha"
+                  value={formatSignedPct(stats.benchmark.jensensAlpha)}
+                  variant={stats.benchmark.jensensAlpha >= 0 ? 'positive' : 'negative'}
+                />
+              </div>
+            ) : (
+              <p className="text-sm text-slate-400 bg-slate-800/50 border border-slate-700 rounded-xl p-4">
+                Benchmark-relative statistics need a benchmark return for every period.
+              </p>
+            )}
+          </div>
+
+          {/* Drawdown */}
+          <div>
+            <h2 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-3">Drawdown</h2>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <KpiCard
+                label="Maximum Drawdown"
+                value={formatPct(dd.depth)}
+                variant={dd.depth < 0 ? 'negative' : 'neutral'}
+                icon={ShieldAlert}
+              />
+              <KpiCard label="Peak" value={dd.depth < 0 ? formatDate(dd.peakDate) : '-'} />
+              <KpiCard label="Trough" value={dd.depth < 0 ? formatDate(dd.troughDate) : '-'} />
+              <KpiCard
+                label="Recovery Time"
+                value={
+                  dd.depth === 0
+                    ? '-'
+                    : dd.recoveryPeriods === null
+                    ? 'Not recovered'
+                    : `${dd.recoveryPeriods} period${dd.recoveryPeriods !== 1 ? 's' : ''}`
+                }
+              />
+            </div>
+          </div>
+
+          {/* Cumulative Growth */}
+          <div className="bg-[#1e293b] rounded-2xl shadow-sm border border-slate-700 p-5">
+            <h2 className="text-lg font-semibold mb-4 text-white">Cumulative Return (%)</h2>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={growthData} margin={{ top: 20, right: 30, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#334155" />
+                <XAxis dataKey="name" axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} />
+                <YAxis axisLine={false} tickLine={false} tick={{ fill: '#94a3b8', fontSize: 12 }} tickFormatter={(v) => `${v}%`} />
+                <Tooltip content={<CustomTooltip />} />
+                <Legend iconType="circle" wrapperStyle={{ fontSize: '14px', paddingTop: '10px' }} />
+                <ReferenceLine y={0} stroke="#475569" />
+                <Line type="monotone" dataKey="Portfolio" stroke="#d4a843" strokeWidth={2} dot={false} />
+                {hasBenchmark && <Line type="monotone" dataKey="Benchmark" stroke="#3b82f6" strokeWidth={2} dot={false} />}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+
+      {/* Methodology Notes */}
+      <div className="bg-slate-800/50 rounded-2xl p-6 text-slate-300 text-sm border border-slate-700">
+        <h4 className="font-semibold text-white mb-3 flex items-center gap-2">
+          <Info className="w-4 h-4 text-blue-500" />
+          Methodology Notes
+        </h4>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div>
+            <strong className="text-slate-200 block mb-1">Volatility &amp; Ratios</strong>
+            <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-[#d4a843] mb-2 block w-fit">
+              Sharpe = (R_ann - Rf) / (σ x √P)
+            </code>
+            P is the number of returns per year, inferred from the dates. Sortino replaces σ with the downside
+            deviation below the per-period risk-free rate.
+          </div>
+          <div>
+            <strong className="text-slate-200 block mb-1">Benchmark-Relative</strong>
+            <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-emerald-400 mb-2 block w-fit">
+              IR = (Rp_ann - Rb_ann) / σ(Rp - Rb)√P
+            </code>
+            Beta is cov(Rp, Rb) / var(Rb); Jensen&apos;s alpha is Rp_ann - [Rf + β(Rb_ann - Rf)].
+          </div>
+          <div>
+            <strong className="text-slate-200 block mb-1">Drawdown</strong>
+            <code className="text-xs bg-slate-900 px-2 py-1 rounded border border-slate-700 text-rose-400 mb-2 block w-fit">
+              min(Wealth / Running Peak - 1)
+            </code>
+            Recovery time counts the periods from the trough until the previous peak is regained.
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -70,10 +70,10 @@ export async function callClaude(prompt, systemInstruction) {
 /**
  * Generate an executive summary from attribution data.
  */
-export async function generateExecutiveSummary({ activeReturn, totalAllocation, totalSelection, assetBreakdown }) {
+export async function generateExecutiveSummary({ activeReturn, totalAllocation, totalSelection, assetBreakdown, methodology = 'Brinson-Fachler' }) {
   const stats = JSON.stringify(assetBreakdown);
 
-  const prompt = `Write a 2-paragraph executive summary of the following portfolio performance attribution data (Brinson-Fachler method).
+  const prompt = `Write a 2-paragraph executive summary of the following portfolio performance attribution data (${methodology} method).
 
 Total Active Return: ${(activeReturn * 100).toFixed(2)}%
 Total Allocation Effect: ${(totalAllocation * 100).toFixed(2)}%
@@ -90,10 +90,10 @@ Make it professional, suitable for a client report. Highlight the biggest winner
 /**
  * Generate strategic recommendations from attribution data.
  */
-export async function generateRecommendations({ activeReturn, assetBreakdown }) {
+export async function generateRecommendations({ activeReturn, assetBreakdown, methodology = 'Brinson-Fachler' }) {
   const stats = JSON.stringify(assetBreakdown);
 
-  const prompt = `Based on the following Brinson-Fachler attribution data, provide 3 bullet points of strategic, actionable recommendations for the portfolio manager.
+  const prompt = `Based on the following ${methodology} attribution data, provide 3 bullet points of strategic, actionable recommendations for the portfolio manager.
 
 Total Active Return: ${(activeReturn * 100).toFixed(2)}%
 Asset Breakdown:
@@ -107,20 +107,22 @@ Focus on whether they should improve asset allocation timing, security selection
 /**
  * Generate performance measurement commentary.
  */
-export async function generatePerformanceCommentary({ portfolioReturn, annualizedReturn, assetResults }) {
+export async function generatePerformanceCommentary({ portfolioReturn, netReturn, annualizedReturn, assetResults }) {
   const stats = JSON.stringify(
     assetResults.map((a) => ({
       AssetClass: a.name,
       Weight: `${(a.weight * 100).toFixed(1)}%`,
       PeriodReturn: `${(a.periodReturn * 100).toFixed(2)}%`,
+      NetReturn: Number.isFinite(a.netReturn) ? `${(a.netReturn * 100).toFixed(2)}%` : 'n/a',
       Contribution: `${(a.contribution * 100).toFixed(2)}%`,
     }))
   );
 
   const prompt = `Write a concise 2-paragraph performance commentary for this portfolio.
 
-Portfolio Period Return: ${(portfolioReturn * 100).toFixed(2)}%
-Annualized Return: ${(annualizedReturn * 100).toFixed(2)}%
+Portfolio Period Return (gross of fees): ${(portfolioReturn * 100).toFixed(2)}%
+Portfolio Period Return (net of fees): ${Number.isFinite(netReturn) ? `${(netReturn * 100).toFixed(2)}%` : 'n/a'}
+Annualized Return: ${Number.isFinite(annualizedReturn) ? `${(annualizedReturn * 100).toFixed(2)}%` : 'not annualized (period under one year)'}
 
 Asset Class Results:
 ${stats}
@@ -137,7 +139,12 @@ export async function generateCommitteeReport({ periods }) {
   const periodsData = periods.map((p) => ({
     period: p.label,
     portfolioReturn: `${(p.performanceResults.portfolio.periodReturn * 100).toFixed(2)}%`,
-    annualizedReturn: `${(p.performanceResults.portfolio.annualizedReturn * 100).toFixed(2)}%`,
+    netReturn: Number.isFinite(p.performanceResults.portfolio.netReturn)
+      ? `${(p.performanceResults.portfolio.netReturn * 100).toFixed(2)}%`
+      : 'n/a',
+    annualizedReturn: Number.isFinite(p.performanceResults.portfolio.annualizedReturn)
+      ? `${(p.performanceResults.portfolio.annualizedReturn * 100).toFixed(2)}%`
+      : 'not annualized (period under one year)',
     beginningValue: p.performanceResults.portfolio.beginningValue,
     endingValue: p.performanceResults.portfolio.endingValue,
     assetBreakdown: p.performanceResults.assetResults.map((a) => ({
@@ -0,0 +1,164 @@
+/**
+ * Local persistence of the workspace in IndexedDB.
+ *
+ * State is stored with the structured clone algorithm rather than JSON, so
+ * Dates (the period, cashflow and valuation dates, saved snapshots) come
+ * back as Date objects. Writes are debounced because the store changes on
+ * every keystroke.
+ *
+ * The persisted shape is versioned: when a change to the store would break
+ * state saved by an older release, bump STORE_VERSION and add a migration.
+ *
+ * @module persistence
+ */
+
+const DB_NAME = 'ipas';
+const OBJECT_STORE = 'workspace';
+const WRITE_DELAY_MS = 300;
+
+/** Version of the persisted state shape. */
+export const STORE_VERSION = 4;
+
+// Transaction codes that were fees before version 3
+const TAX_CODES = ['TAX', 'WITHHOLDING TAX', 'EXPENSE'];
+
+/**
+ * MIGRATIONS[n] upgrades state saved at version n − 1 to version n. State
+ * saved before versioning is version 0.
+ * @type {Object<number, (state: Object) => Object>}
+ */
+const MIGRATIONS = {
+  // 2: one portfolio → portfolio registry; the saved data becomes the active portfolio
+  2: (state) => ({
+    ...state,
+    portfolios: [{ id: 'portfolio_1', name: 'Main Portfolio', archived: false, createdAt: null, data: null }],
+    activePortfolioId: 'portfolio_1',
+  }),
+  // 3: taxes and other expenses move out of the fee category into their own
+  3: (state) => {
+    const retag = (cashflows) => cashflows.map((cf) => (
+      cf.type === 'FEE' && TAX_CODES.includes(cf.code) ? { ...cf, type: 'TAX' } : cf
+    ));
+    const migrated = { ...state };
+    if (state.transactionTaxonomy) {
+      migrated.transactionTaxonomy = state.transactionTaxonomy.map((t) => (
+        t.category === 'expense' && TAX_CODES.includes(t.code) ? { ...t, category: 'tax' } : t
+      ));
+    }
+    if (state.cashflows) migrated.cashflows = retag(state.cashflows);
+    if (state.portfolios) {
+      migrated.portfolios = state.portfolios.map((p) => (
+        p.data?.cashflows ? { ...p, data: { ...p.data, cashflows: retag(p.data.cashflows) } } : p
+      ));
+    }
+    return migrated;
+  },
+  // 4: currency rates were entered against the base currency; record it as their quote currency
+  4: (state) => {
+    const withQuote = (data) => (
+      data?.attributionInputs?.currencyData && !data.attributionInputs.currencyQuote && data.baseCurrency
+        ? { ...data, attributionInputs: { ...data.attributionInputs, currencyQuote: data.baseCurrency } }
+        : data
+    );
+    const migrated = withQuote(state);
+    if (state.portfolios) {
+      return { ...migrated, portfolios: state.portfolios.map((p) => (p.data ? { ...p, data: withQuote(p.data) } : p)) };
+    }
+    return migrated;
+  },
+};
+
+/**
+ * Upgrade persisted state to STORE_VERSION, one version at a time.
+ *
+ * @param {Object} state
+ * @param {number} version - Version the state was saved at
+ * @returns {Object}
+ */
+export function migrateState(state, version) {
+  let migrated = state;
+  for (let v = version + 1; v <= STORE_VERSION; v++) {
+    if (MIGRATIONS[v]) migrated = MIGRATIONS[v](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * The data part of the store: actions are not persisted (and functions
+ * cannot be cloned into IndexedDB).
+ * @param {Object} state
+ * @returns {Object}
+ */
+export function persistedState(state) {
+  return Object.fromEntries(Object.entries(state).filter(([, value]) => typeof value !== 'function'));
+}
+
+let database = null;
+
+function openDatabase() {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(OBJECT_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return database;
+}
+
+async function transact(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OBJECT_STORE, mode);
+    const request = operation(tx.objectStore(OBJECT_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Set when the saved workspace cannot be read, so it is never overwritten by an empty one
+let unavailable = false;
+const pending = new Map(); // name → { value, timer }
+
+function write(name) {
+  const entry = pending.get(name);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  pending.delete(name);
+  transact('readwrite', (store) => store.put(entry.value, name)).catch(() => {
+    // Storage full or unavailable — changes last for this session only
+  });
+}
+
+/**
+ * Storage for the Zustand persist middleware.
+ * @type {import('zustand/middleware').PersistStorage<Object>}
+ */
+export const indexedDbStorage = {
+  getItem: async (name) => {
+    if (pending.has(name)) return pending.get(name).value;
+    try {
+      return (await transact('readonly', (store) => store.get(name))) ?? null;
+    } catch {
+      unavailable = true;
+      return null;
+    }
+  },
+  setItem: (name, value) => {
+    if (unavailable) return;
+    clearTimeout(pending.get(name)?.timer);
+    pending.set(name, { value, timer: setTimeout(() => write(name), WRITE_DELAY_MS) });
+  },
+  removeItem: (name) => {
+    clearTimeout(pending.get(name)?.timer);
+    pending.delete(name);
+    return transact('readwrite', (store) => store.delete(name)).catch(() => {});
+  },
+};
+
+// Write anything still waiting when the tab is hidden or closed
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', () => [...pending.keys()].forEach(write));
+}
@@ -4,16 +4,70 @@
  * Uses Zustand for lightweight, hook-based global state.
  * Holds portfolio data, cashflows, dates, and computed results
  * that are shared across the Performance Measurement and Attribution modules.
+ * The data is saved to IndexedDB and restored on reload (see ./persistence).
  */
 
 import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { indexedDbStorage, persistedState, migrateState, STORE_VERSION } from './persistence';
+import { isSameDay } from '../utils/twr';
+import { EMPTY_FEE_SCHEDULE } from '../utils/fees';
+import { DEFAULT_TAXONOMY } from '../utils/transactionTypes';
+import { loadLegacyProfiles, upsertProfile } from '../utils/mappingProfiles';
+import { policyAttributionInputs } from '../utils/benchmarks';
+import { derivePositions, deriveAssetValues, ledgerCashflows, buildHoldingsHierarchy } from '../utils/holdings';
 
-const usePortfolioStore = create((set, get) => ({
+/**
+ * Apply updates and, when market values come from holdings, re-derive the
+ * asset classes and ledger cashflows from the updated state.
+ */
+function withHoldings(state, updates) {
+  const next = { ...state, ...updates };
+  const { assetSource, securities, ledger, startDate, endDate } = next;
+  if (assetSource !== 'holdings' || !startDate || !endDate) return updates;
+  try {
+    const { positions, issues } = derivePositions({ securities, ledger, startDate, endDate });
+    return {
+      ...updates,
+      assets: deriveAssetValues(positions),
+      cashflows: [
+        ...next.cashflows.filter((cf) => cf.source !== 'ledger'),
+        ...ledgerCashflows(securities, ledger, startDate, endDate),
+      ],
+      holdingsIssues: issues,
+    };
+  } catch (err) {
+    return { ...updates, holdingsIssues: [err.message] };
+  }
+}
+
+// Fields that belong to one portfolio. The active portfolio's are at the top level of the
+// store, where the pages read them; every other portfolio's are kept in its registry entry.
+// The transaction taxonomy and the benchmark library are shared by all portfolios.
+const PORTFOLIO_FIELDS = [
+  'startDate', 'endDate', 'assets', 'cashflows', 'assetSource', 'securities', 'ledger', 'holdingsIssues',
+  'valuations', 'methodology', 'feeSchedule', 'cashflowTiming', 'largeFlowThreshold', 'dayCount',
+  'shortPeriodPolicy', 'assetBenchmarks', 'activePolicyId', 'baseCurrency', 'performanceResults', 'periods',
+  'riskSource', 'riskFreeRate', 'returnSeries', 'periodBenchmarks', 'attributionInputs',
+];
+
+const pickPortfolio = (state) => Object.fromEntries(PORTFOLIO_FIELDS.map((field) => [field, state[field]]));
+
+// Fields of a new, empty portfolio
+const blankPortfolio = () => pickPortfolio(usePortfolioStore.getInitialState());
+
+// One past the highest numbered id, so an id is never reused whatever the registry holds
+const nextPortfolioId = (portfolios) => {
+  const numbers = portfolios.map((p) => Number(/^portfolio_(\d+)$/.exec(p.id)?.[1] ?? 0));
+  return `portfolio_${Math.max(0, ...numbers) + 1}`;
+};
+
+const usePortfolioStore = create(persist((set, get) => ({
   // ── Period ──────────────────────────────────────────────────
   startDate: null, // Date object
   endDate: null,   // Date object
 
-  setDates: (startDate, endDate) => set({ startDate, endDate }),
+  setDates: (startDate, endDate) => set((state) => withHoldings(state, { startDate, endDate })),
 
   // ── Assets ──────────────────────────────────────────────────
   // Array of { name, beginningValue, endingValue }
@@ -35,10 +89,204 @@ const usePortfolioStore = create((set, get) => ({
     })),
 
   // ── Cashflows ───────────────────────────────────────────────
-  // Array of { date, amount (signed), assetClass, details, type, rawAmount }
+  // Array of { date, amount (signed), assetClass, details, type, code?, rawAmount, source? }
+  // code is the type code from the file; source 'ledger' marks flows derived from the holdings ledger
   cashflows: [],
 
-  setCashflows: (cashflows) => set({ cashflows }),
+  setCashflows: (cashflows) => set((state) => withHoldings(state, { cashflows })),
+
+  // ── Transaction Taxonomy ────────────────────────────────────
+  // Maps type codes in uploaded files to flow categories (see utils/transactionTypes)
+  transactionTaxonomy: DEFAULT_TAXONOMY,
+
+  setTransactionTaxonomy: (transactionTaxonomy) => set({ transactionTaxonomy }),
+
+  addTaxonomyEntry: (entry) =>
+    set((state) => ({ transactionTaxonomy: [...state.transactionTaxonomy, entry] })),
+
+  updateTaxonomyEntry: (index, updates) =>
+    set((state) => ({
+      transactionTaxonomy: state.transactionTaxonomy.map((t, i) => (i === index ? { ...t, ...updates } : t)),
+    })),
+
+  removeTaxonomyEntry: (index) =>
+    set((state) => ({ transactionTaxonomy: state.transactionTaxonomy.filter((_, i) => i !== index) })),
+
+  // ── Column Mapping Profiles ─────────────────────────────────
+  // Named column mappings of custodian file layouts, shared by all portfolios (see
+  // utils/mappingProfiles). Profiles from before they were saved with the workspace seed the list.
+  mappingProfiles: loadLegacyProfiles(),
+
+  // Throws if the name is blank
+  saveMappingProfile: (profile) =>
+    set((state) => ({ mappingProfiles: upsertProfile(state.mappingProfiles, profile) })),
+
+  deleteMappingProfile: (id) =>
+    set((state) => ({ mappingProfiles: state.mappingProfiles.filter((p) => p.id !== id) })),
+
+  // ── Holdings & Ledger ───────────────────────────────────────
+  // assetSource 'manual' — asset values typed in or uploaded
+  //             'holdings' — derived from securities and the ledger (see utils/holdings)
+  assetSource: 'manual',
+  securities: [],     // Array of { symbol, name, assetClass, classification, currency, quantity, price, endPrice }
+  ledger: [],         // Array of { date, symbol, type, quantity, price, amount, ratio, details }
+  holdingsIssues: [],
+
+  setAssetSource: (assetSource) =>
+    set((state) =>
+      assetSource === 'holdings'
+        ? withHoldings(state, { assetSource })
+        : { assetSource, cashflows: state.cashflows.filter((cf) => cf.source !== 'ledger'), holdingsIssues: [] }
+    ),
+
+  setSecurities: (securities) => set((state) => withHoldings(state, { securities })),
+
+  addSecurity: (security) =>
+    set((state) => withHoldings(state, { securities: [...state.securities, security] })),
+
+  updateSecurity: (index, updates) =>
+    set((state) =>
+      withHoldings(state, {
+        securities: state.securities.map((s, i) => (i === index ? { ...s, ...updates } : s)),
+      })
+    ),
+
+  removeSecurity: (index) =>
+    set((state) => withHoldings(state, { securities: state.securities.filter((_, i) => i !== index) })),
+
+  setLedger: (ledger) => set((state) => withHoldings(state, { ledger })),
+
+  addLedgerEntry: (entry) =>
+    set((state) => withHoldings(state, { ledger: [...state.ledger, entry] })),
+
+  updateLedgerEntry: (index, updates) =>
+    set((state) =>
+      withHoldings(state, {
+        ledger: state.ledger.map((e, i) => (i === index ? { ...e, ...updates } : e)),
+      })
+    ),
+
+  removeLedgerEntry: (index) =>
+    set((state) => withHoldings(state, { ledger: state.ledger.filter((_, i) => i !== index) })),
+
+  // ── Intra-period Valuations (for true TWR) ──────────────────
+  // Array of { date, assetClass, value } — value immediately before that day's flows
+  valuations: [],
+
+  setValuations: (valuations) => set({ valuations }),
+
+  setValuation: (date, assetClass, value) =>
+    set((state) => {
+      const others = state.valuations.filter((v) => !(v.assetClass === assetClass && isSameDay(v.date, date)));
+      return {
+        valuations: Number.isFinite(value) ? [...others, { date, assetClass, value }] : others,
+      };
+    }),
+
+  // ── Return Methodology ──────────────────────────────────────
+  // 'dietz' (Modified Dietz) | 'twr' (true time-weighted return)
+  methodology: 'dietz',
+
+  setMethodology: (methodology) => set({ methodology }),
+
+  // ── Fee Schedule ────────────────────────────────────────────
+  // Scheduled fees accrued for net-of-fees returns (see utils/fees)
+  feeSchedule: EMPTY_FEE_SCHEDULE,
+
+  setFeeSchedule: (updates) =>
+    set((state) => ({ feeSchedule: { ...state.feeSchedule, ...updates } })),
+
+  // ── Cashflow Timing ─────────────────────────────────────────
+  // When during its day a cashflow occurs: 'start' | 'mid' | 'end'
+  cashflowTiming: 'end',
+
+  setCashflowTiming: (cashflowTiming) => set({ cashflowTiming }),
+
+  // ── Large Cashflow Policy ───────────────────────────────────
+  // Net daily flow, as a share of portfolio BV, that triggers a revaluation (0 = off)
+  largeFlowThreshold: 0.1,
+
+  setLargeFlowThreshold: (largeFlowThreshold) => set({ largeFlowThreshold }),
+
+  // ── Annualization ───────────────────────────────────────────
+  // Day count: 'act365' | 'actact' | 'act360' | '30360'
+  // Sub-one-year periods: 'annualize' | 'flag' | 'suppress' (GIPS)
+  dayCount: 'act365',
+  shortPeriodPolicy: 'flag',
+
+  setDayCount: (dayCount) => set({ dayCount }),
+  setShortPeriodPolicy: (shortPeriodPolicy) => set({ shortPeriodPolicy }),
+
+  // ── Asset-Class Benchmarks ──────────────────────────────────
+  // Array of { name, benchmarkWeight, benchmarkReturn } (decimals), matched to assets by name
+  assetBenchmarks: [],
+
+  setAssetBenchmarks: (assetBenchmarks) => set({ assetBenchmarks }),
+
+  // ── Benchmark Library ───────────────────────────────────────
+  // Index return series and blended policy benchmarks (see utils/benchmarks).
+  // The active policy fills benchmark weights and returns for attribution.
+  benchmarkIndices: [],  // Array of { id, name, returns: [{ date, return }] }
+  policyBenchmarks: [],  // Array of { id, name, rebalance, components: [{ assetClass, indexId, weight }] }
+  activePolicyId: null,
+
+  // An imported index replaces the one with the same name, keeping its id so policies still point at it
+  importBenchmarkIndices: (indices) =>
+    set((state) => {
+      const stamp = Date.now();
+      const imported = indices.map((index, i) => ({
+        ...index,
+        id: state.benchmarkIndices.find((b) => b.name === index.name)?.id ?? `index_${stamp}_${i}`,
+      }));
+      return {
+        benchmarkIndices: [
+          ...state.benchmarkIndices.filter((b) => !imported.some((x) => x.id === b.id)),
+          ...imported,
+        ],
+      };
+    }),
+
+  removeBenchmarkIndex: (id) =>
+    set((state) => ({
+      benchmarkIndices: state.benchmarkIndices.filter((b) => b.id !== id),
+      policyBenchmarks: state.policyBenchmarks.map((p) => ({
+        ...p,
+        components: p.components.map((c) => (c.indexId === id ? { ...c, indexId: '' } : c)),
+      })),
+    })),
+
+  addPolicyBenchmark: (policy) =>
+    set((state) => ({
+      policyBenchmarks: [...state.policyBenchmarks, policy],
+      activePolicyId: state.activePolicyId ?? policy.id,
+    })),
+
+  updatePolicyBenchmark: (id, updates) =>
+    set((state) => ({
+      policyBenchmarks: state.policyBenchmarks.map((p) => (p.id === id ? { ...p, ...updates } : p)),
+    })),
+
+  removePolicyBenchmark: (id) =>
+    set((state) => ({
+      policyBenchmarks: state.policyBenchmarks.filter((p) => p.id !== id),
+      activePolicyId: state.activePolicyId === id ? null : state.activePolicyId,
+    })),
+
+  setActivePolicy: (activePolicyId) => set({ activePolicyId }),
+
+  // Benchmark weight and return per asset class from the active policy over the period, or null
+  getPolicyAttributionInputs: () => {
+    const { policyBenchmarks, activePolicyId, benchmarkIndices, startDate, endDate } = get();
+    const policy = policyBenchmarks.find((p) => p.id === activePolicyId);
+    if (!policy || !startDate || !endDate) return null;
+    return { policy, ...policyAttributionInputs(policy, benchmarkIndices, startDate, endDate) };
+  },
+
+  // ── Base Currency ───────────────────────────────────────────
+  // ISO code all returns are reported in; drives currency attribution
+  baseCurrency: 'NGN',
+
+  setBaseCurrency: (baseCurrency) => set({ baseCurrency }),
 
   // ── Performance Results (computed) ──────────────────────────
   // Populated after running Modified Dietz calculations
@@ -49,9 +297,27 @@ const usePortfolioStore = create((set, get) => ({
   // ── Saved Periods (for multi-period report) ────────────────
   periods: [],
 
-  savePeriodSnapshot: () => {
-    const { startDate, endDate, assets, cashflows, performanceResults } = get();
-    if (!performanceResults || !startDate || !endDate) return;
+  // reconciliation: { status, acknowledgedAt } — a period is only saved once its report is acknowledged
+  savePeriodSnapshot: ({ reconciliation } = {}) => {
+    const {
+      startDate,
+      endDate,
+      assets,
+      cashflows,
+      valuations,
+      assetSource,
+      securities,
+      ledger,
+      methodology,
+      feeSchedule,
+      cashflowTiming,
+      largeFlowThreshold,
+      dayCount,
+      shortPeriodPolicy,
+      baseCurrency,
+      performanceResults,
+    } = get();
+    if (!performanceResults || !startDate || !endDate || !reconciliation?.acknowledgedAt) return;
 
     const id = `${startDate.getTime()}_${endDate.getTime()}`;
     const label = `${startDate.toLocaleDateString()} – ${endDate.toLocaleDateString()}`;
@@ -63,7 +329,19 @@ const usePortfolioStore = create((set, get) => ({
       endDate: new Date(endDate),
       assets: assets.map((a) => ({ ...a })),
       cashflows: cashflows.map((c) => ({ ...c })),
+      valuations: valuations.map((v) => ({ ...v })),
+      assetSource,
+      securities: securities.map((s) => ({ ...s })),
+      ledger: ledger.map((e) => ({ ...e })),
+      methodology,
+      feeSchedule: JSON.parse(JSON.stringify(feeSchedule)),
+      cashflowTiming,
+      largeFlowThreshold,
+      dayCount,
+      shortPeriodPolicy,
+      baseCurrency,
       performanceResults: JSON.parse(JSON.stringify(performanceResults)),
+      reconciliation: { status: reconciliation.status, acknowledgedAt: new Date(reconciliation.acknowledgedAt) },
       savedAt: new Date(),
     };
 
@@ -79,18 +357,141 @@ const usePortfolioStore = create((set, get) => ({
 
   clearPeriods: () => set({ periods: [] }),
 
+  // ── Risk Inputs ─────────────────────────────────────────────
+  // Return series for risk statistics come from saved periods or a returns CSV
+  riskSource: 'periods', // 'periods' | 'csv'
+  riskFreeRate: 0,       // annual, decimal
+  returnSeries: [],      // Array of { date, portfolio, benchmark } from CSV
+  periodBenchmarks: {},  // saved period id → benchmark return (decimal)
+
+  setRiskSource: (riskSource) => set({ riskSource }),
+
+  setRiskFreeRate: (riskFreeRate) => set({ riskFreeRate }),
+
+  setReturnSeries: (returnSeries) => set({ returnSeries }),
+
+  setPeriodBenchmark: (id, value) =>
+    set((state) => {
+      const { [id]: _removed, ...others } = state.periodBenchmarks;
+      return { periodBenchmarks: Number.isFinite(value) ? { ...others, [id]: value } : others };
+    }),
+
+  // ── Attribution Inputs ──────────────────────────────────────
+  // Tables and settings edited on the Attribution page, by name (data, tree, currencyData,
+  // bonds, mode, model, interactionTreatment, periodYears); a name not set uses the page default
+  attributionInputs: {},
+
+  setAttributionInput: (name, value) =>
+    set((state) => ({ attributionInputs: { ...state.attributionInputs, [name]: value } })),
+
+  // ── Portfolio Registry ──────────────────────────────────────
+  // Array of { id, name, archived, createdAt, data }; data holds the PORTFOLIO_FIELDS of an
+  // inactive portfolio and is null for the active one
+  portfolios: [{ id: 'portfolio_1', name: 'Main Portfolio', archived: false, createdAt: null, data: null }],
+  activePortfolioId: 'portfolio_1',
+
+  // Keep the active portfolio's fields in its entry and load those of another
+  switchPortfolio: (id) =>
+    set((state) => {
+      const target = state.portfolios.find((p) => p.id === id);
+      if (!target || id === state.activePortfolioId) return {};
+      return {
+        ...blankPortfolio(),
+        ...target.data,
+        activePortfolioId: id,
+        portfolios: state.portfolios.map((p) => {
+          if (p.id === state.activePortfolioId) return { ...p, data: pickPortfolio(state) };
+          return p.id === id ? { ...p, archived: false, data: null } : p;
+        }),
+      };
+    }),
+
+  // Add an empty portfolio and switch to it
+  createPortfolio: (name) => {
+    const id = nextPortfolioId(get().portfolios);
+    set((state) => ({
+      portfolios: [...state.portfolios, { id, name, archived: false, createdAt: new Date(), data: blankPortfolio() }],
+    }));
+    get().switchPortfolio(id);
+    return id;
+  },
+
+  // Copy a portfolio's data, periods and settings into a new portfolio
+  clonePortfolio: (id) => {
+    const { portfolios, getPortfolioData } = get();
+    const source = portfolios.find((p) => p.id === id);
+    if (!source) return null;
+    const cloneId = nextPortfolioId(portfolios);
+    const clone = { id: cloneId, name: `${source.name} (copy)`, archived: false, createdAt: new Date(), data: structuredClone(getPortfolioData(id)) };
+    set((state) => ({ portfolios: [...state.portfolios, clone] }));
+    return cloneId;
+  },
+
+  renamePortfolio: (id, name) =>
+    set((state) => ({ portfolios: state.portfolios.map((p) => (p.id === id ? { ...p, name } : p)) })),
+
+  // Archiving the active portfolio switches to another; the last open portfolio cannot be archived
+  setPortfolioArchived: (id, archived) => {
+    const { portfolios, activePortfolioId, switchPortfolio } = get();
+    if (archived && id === activePortfolioId) {
+      const next = portfolios.find((p) => p.id !== id && !p.archived);
+      if (!next) return;
+      switchPortfolio(next.id);
+    }
+    set((state) => ({ portfolios: state.portfolios.map((p) => (p.id === id ? { ...p, archived } : p)) }));
+  },
+
+  // A portfolio's fields, whether or not it is the active one
+  getPortfolioData: (id) => {
+    const state = get();
+    if (id === state.activePortfolioId) return pickPortfolio(state);
+    const entry = state.portfolios.find((p) => p.id === id);
+    return entry ? { ...blankPortfolio(), ...entry.data } : null;
+  },
+
   // ── Helper: convert performance results to attribution inputs ──
   getPerformanceAsAttributionInput: () => {
-    const { performanceResults } = get();
+    const { performanceResults, assetBenchmarks, getPolicyAttributionInputs } = get();
     if (!performanceResults || !performanceResults.assetResults) return null;
 
-    return performanceResults.assetResults.map((a) => ({
-      name: a.name,
-      portfolioWeight: a.weight,
-      portfolioReturn: a.periodReturn,
-      benchmarkWeight: 0,
-      benchmarkReturn: 0,
-    }));
+    // The active policy benchmark, when there is one, takes precedence over uploaded benchmarks
+    const policy = getPolicyAttributionInputs();
+    const benchmarks = policy?.rows ?? assetBenchmarks;
+
+    const rows = performanceResults.assetResults.map((a) => {
+      const benchmark = benchmarks.find((b) => b.name === a.name);
+      return {
+        name: a.name,
+        portfolioWeight: a.weight,
+        portfolioReturn: a.periodReturn,
+        benchmarkWeight: benchmark?.benchmarkWeight ?? 0,
+        benchmarkReturn: Number.isFinite(benchmark?.benchmarkReturn) ? benchmark.benchmarkReturn : 0,
+      };
+    });
+
+    // Policy asset classes the portfolio does not hold are still part of the benchmark
+    const unheld = (policy?.rows ?? [])
+      .filter((b) => !rows.some((r) => r.name === b.name))
+      .map((b) => ({
+        name: b.name,
+        portfolioWeight: 0,
+        portfolioReturn: 0,
+        benchmarkWeight: b.benchmarkWeight,
+        benchmarkReturn: Number.isFinite(b.benchmarkReturn) ? b.benchmarkReturn : 0,
+      }));
+    return [...rows, ...unheld];
+  },
+
+  // ── Helper: convert holdings to a multi-level attribution tree ──
+  getHoldingsHierarchy: () => {
+    const { securities, ledger, startDate, endDate } = get();
+    if (securities.length === 0 || !startDate || !endDate) return null;
+    try {
+      const { positions } = derivePositions({ securities, ledger, startDate, endDate });
+      return buildHoldingsHierarchy(positions, ledgerCashflows(securities, ledger, startDate, endDate), startDate, endDate);
+    } catch {
+      return null;
+    }
   },
 
   // ── Reset ───────────────────────────────────────────────────
@@ -100,8 +501,21 @@ const usePortfolioStore = create((set, get) => ({
       endDate: null,
       assets: [],
       cashflows: [],
+      valuations: [],
+      assetSource: 'manual',
+      securities: [],
+      ledger: [],
+      holdingsIssues: [],
+      assetBenchmarks: [],
       performanceResults: null,
+      attributionInputs: {},
     }),
+}), {
+  name: 'ipas.workspace',
+  storage: indexedDbStorage,
+  partialize: persistedState,
+  version: STORE_VERSION,
+  migrate: migrateState,
 }));
 
 export default usePortfolioStore;
@@ -1,17 +1,130 @@
 /**
- * ACT/365 annualization of a period return.
+ * Annualization of period returns under a selectable day-count convention.
  *
- * Formula: (1 + r)^(365 / days) - 1
+ * Formula: (1 + r)^(1 / t) - 1, where t is the period length in years:
+ *
+ *   ACT/365   actual days / 365
+ *   ACT/360   actual days / 360
+ *   ACT/ACT   days falling in each calendar year / days in that year (ISDA)
+ *   30/360    (360 × ΔY + 30 × ΔM + ΔD) / 360, bond basis day adjustments
+ *
+ * GIPS does not permit annualizing returns for periods shorter than one
+ * year; {@link annualizeWithPolicy} applies that rule.
+ *
+ * @module annualize
+ */
+
+const MS_PER_DAY = 86_400_000;
+
+/** @typedef {'act365'|'actact'|'act360'|'30360'} DayCount */
+
+/** @typedef {'annualize'|'flag'|'suppress'} ShortPeriodPolicy */
+
+/** Supported day-count conventions, in display order. */
+export const DAY_COUNTS = [
+  { id: 'act365', label: 'ACT/365', description: 'Actual days over a 365-day year.' },
+  { id: 'actact', label: 'ACT/ACT', description: 'Actual days over the actual length of each calendar year (ISDA).' },
+  { id: 'act360', label: 'ACT/360', description: 'Actual days over a 360-day year (money market).' },
+  { id: '30360', label: '30/360', description: 'Every month counted as 30 days (bond basis).' },
+];
+
+/** Whole calendar days from a to b (local dates, DST-safe). */
+function daysBetween(a, b) {
+  const ua = Date.UTC(a.getFullYear(), a.getMonth(), a.getDate());
+  const ub = Date.UTC(b.getFullYear(), b.getMonth(), b.getDate());
+  return Math.round((ub - ua) / MS_PER_DAY);
+}
+
+const isLeapYear = (y) => (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+
+/**
+ * Period length in years under a day-count convention.
+ *
+ * @param {Date} start
+ * @param {Date} end
+ * @param {DayCount} [dayCount='act365']
+ * @returns {number} Year fraction (≤ 0 when end is not after start)
+ * @throws {Error} If the convention is unknown
+ */
+export function yearFraction(start, end, dayCount = 'act365') {
+  switch (dayCount) {
+    case 'act365':
+      return daysBetween(start, end) / 365;
+    case 'act360':
+      return daysBetween(start, end) / 360;
+    case 'actact': {
+      if (daysBetween(start, end) <= 0) return daysBetween(start, end) / 365;
+      let fraction = 0;
+      for (let y = start.getFullYear(); y <= end.getFullYear(); y++) {
+        const from = y === start.getFullYear() ? start : new Date(y, 0, 1);
+        const to = y === end.getFullYear() ? end : new Date(y + 1, 0, 1);
+        fraction += daysBetween(from, to) / (isLeapYear(y) ? 366 : 365);
+      }
+      return fraction;
+    }
+    case '30360': {
+      const d1 = Math.min(start.getDate(), 30);
+      const d2 = end.getDate() === 31 && d1 === 30 ? 30 : end.getDate();
+      return (
+        360 * (end.getFullYear() - start.getFullYear()) +
+        30 * (end.getMonth() - start.getMonth()) +
+        (d2 - d1)
+      ) / 360;
+    }
+    default:
+      throw new Error(`Unknown day-count convention "${dayCount}".`);
+  }
+}
+
+/**
+ * Annualize a period return.
  *
  * @param {number} r     - Period return in decimal form (e.g. 0.05 for 5%)
  * @param {Date}   start - Period start date
  * @param {Date}   end   - Period end date
+ * @param {DayCount} [dayCount='act365'] - Day-count convention
  * @returns {number} Annualized return in decimal form
  */
-export function annualize(r, start, end) {
+export function annualize(r, start, end, dayCount = 'act365') {
   if (!Number.isFinite(r)) return NaN;
-  const msPerDay = 86_400_000;
-  const days = Math.round((end.getTime() - start.getTime()) / msPerDay);
-  if (days <= 0) return NaN;
-  return Math.pow(1 + r, 365 / days) - 1;
+  const years = yearFraction(start, end, dayCount);
+  if (years <= 0) return NaN;
+  return Math.pow(1 + r, 1 / years) - 1;
+}
+
+/**
+ * Annualize a period return, applying a policy to periods under one year.
+ *
+ * @param {number} r
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Object} [options]
+ * @param {DayCount} [options.dayCount='act365']
+ * @param {ShortPeriodPolicy} [options.shortPeriodPolicy='annualize']
+ *   'annualize' always annualizes, 'flag' annualizes but marks the figure,
+ *   'suppress' returns NaN for periods shorter than a year (GIPS).
+ * @returns {{ value: number, shortPeriod: boolean }}
+ * @throws {Error} If the convention or policy is unknown
+ */
+export function annualizeWithPolicy(r, start, end, { dayCount = 'act365', shortPeriodPolicy = 'annualize' } = {}) {
+  if (!['annualize', 'flag', 'suppress'].includes(shortPeriodPolicy)) {
+    throw new Error(`Unknown short-period policy "${shortPeriodPolicy}".`);
+  }
+  const shortPeriod = yearFraction(start, end, dayCount) < 1;
+  if (shortPeriod && shortPeriodPolicy === 'suppress') return { value: NaN, shortPeriod };
+  return { value: annualize(r, start, end, dayCount), shortPeriod };
+}
+
+/**
+ * Footnote for an annualized figure covering less than one year.
+ *
+ * @param {{shortPeriod: boolean, policy: ShortPeriodPolicy}|undefined} annualization
+ *   The `annualization` block returned by `computePortfolioReturns`
+ * @returns {string|null} Null when the period is a year or longer, or the policy is 'annualize'
+ */
+export function shortPeriodNote(annualization) {
+  if (!annualization?.shortPeriod || annualization.policy === 'annualize') return null;
+  return annualization.policy === 'suppress'
+    ? 'Not annualized — the period is shorter than one year (GIPS).'
+    : 'Period is shorter than one year — annualized figure is not GIPS-compliant.';
 }
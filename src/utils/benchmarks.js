@@ -0,0 +1,174 @@
+/**
+ * Benchmark library: index return series and blended policy benchmarks.
+ *
+ * An index is a series of periodic returns, each for the period ending on
+ * its date. A policy benchmark holds fixed weights in several indices, each
+ * standing for one asset class, e.g. 50% equity index + 40% bond index + 10%
+ * T-bills. Between rebalances the weights drift with the index returns; at
+ * the end of each calendar month, quarter or year (per the rebalancing
+ * frequency) they are reset to policy.
+ *
+ * For attribution each asset class gets its policy weight and the compound
+ * return of its index over the period.
+ *
+ * @module benchmarks
+ */
+
+import { isSameDay } from './twr';
+
+const MS_PER_DAY = 86_400_000;
+
+// An index whose last return falls this many days before the period end does not cover it
+const COVERAGE_GRACE_DAYS = 3;
+
+/** Rebalancing frequencies, in display order. `months` is null for buy and hold. */
+export const REBALANCE_FREQUENCIES = [
+  { id: 'monthly', label: 'Monthly', months: 1 },
+  { id: 'quarterly', label: 'Quarterly', months: 3 },
+  { id: 'annually', label: 'Annually', months: 12 },
+  { id: 'none', label: 'Buy and Hold', months: null },
+];
+
+/**
+ * @typedef {Object} BenchmarkIndex
+ * @property {string} id
+ * @property {string} name
+ * @property {Array<{date: Date, return: number}>} returns - Decimal returns, sorted by date
+ */
+
+/**
+ * @typedef {Object} PolicyComponent
+ * @property {string} assetClass - Asset class the index stands for in attribution
+ * @property {string} indexId
+ * @property {number} weight     - Decimal policy weight
+ */
+
+/**
+ * @typedef {Object} PolicyBenchmark
+ * @property {string} id
+ * @property {string} name
+ * @property {PolicyComponent[]} components
+ * @property {'monthly'|'quarterly'|'annually'|'none'} rebalance
+ */
+
+// Returns for periods ending after the start date and on or before the end date
+const returnsIn = (index, startDate, endDate) =>
+  index.returns.filter((o) => o.date.getTime() > startDate.getTime() && o.date.getTime() <= endDate.getTime());
+
+/**
+ * Compound return of an index over a period.
+ *
+ * @param {BenchmarkIndex} index
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {{ value: number, issues: string[] }} value is NaN when no return falls in the period
+ */
+export function indexReturn(index, startDate, endDate) {
+  const obs = returnsIn(index, startDate, endDate);
+  if (obs.length === 0) {
+    return { value: NaN, issues: [`${index.name}: no returns between ${startDate.toLocaleDateString()} and ${endDate.toLocaleDateString()}.`] };
+  }
+  const issues = [];
+  const last = obs[obs.length - 1].date;
+  if ((endDate.getTime() - last.getTime()) / MS_PER_DAY > COVERAGE_GRACE_DAYS) {
+    issues.push(`${index.name}: returns end on ${last.toLocaleDateString()}, before the period end.`);
+  }
+  const value = obs.reduce((g, o) => g * (1 + o.return), 1) - 1;
+  return { value, issues };
+}
+
+/**
+ * Return of a blended policy benchmark, rebalanced to policy weights at the
+ * end of each calendar month, quarter or year.
+ *
+ * Every date on which any component index reports is a step; an index with
+ * no return on a step earns nothing for it.
+ *
+ * @param {PolicyBenchmark} policy
+ * @param {BenchmarkIndex[]} indices
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {{ value: number, issues: string[] }}
+ * @throws {Error} If the rebalancing frequency is unknown
+ */
+export function blendedReturn(policy, indices, startDate, endDate) {
+  const frequency = REBALANCE_FREQUENCIES.find((f) => f.id === policy.rebalance);
+  if (!frequency) throw new Error(`Unknown rebalancing frequency "${policy.rebalance}".`);
+
+  const issues = [];
+  const totalWeight = policy.components.reduce((s, c) => s + c.weight, 0);
+  if (policy.components.length === 0 || totalWeight <= 0) {
+    return { value: NaN, issues: [`${policy.name}: add components with positive weights.`] };
+  }
+  if (Math.abs(totalWeight - 1) > 1e-6) {
+    issues.push(`${policy.name}: weights sum to ${(totalWeight * 100).toFixed(1)}% — returns are scaled to 100%.`);
+  }
+
+  const series = policy.components.map((c) => {
+    const index = indices.find((i) => i.id === c.indexId);
+    if (!index) {
+      issues.push(`${policy.name}: ${c.assetClass || 'a component'} has no index.`);
+      return [];
+    }
+    issues.push(...indexReturn(index, startDate, endDate).issues);
+    return returnsIn(index, startDate, endDate);
+  });
+
+  const dates = series
+    .flat()
+    .map((o) => o.date)
+    .sort((a, b) => a.getTime() - b.getTime())
+    .filter((d, i, all) => i === 0 || !isSameDay(d, all[i - 1]));
+  if (dates.length === 0) return { value: NaN, issues };
+
+  const bucket = (d) => (frequency.months ? Math.floor((d.getFullYear() * 12 + d.getMonth()) / frequency.months) : 0);
+  let values = policy.components.map((c) => c.weight / totalWeight);
+  dates.forEach((date, step) => {
+    values = values.map((v, k) => v * (1 + (series[k].find((o) => isSameDay(o.date, date))?.return ?? 0)));
+    const next = dates[step + 1];
+    if (frequency.months && next && bucket(next) !== bucket(date)) {
+      const total = values.reduce((s, v) => s + v, 0);
+      values = policy.components.map((c) => (c.weight / totalWeight) * total);
+    }
+  });
+
+  return { value: values.reduce((s, v) => s + v, 0) - 1, issues };
+}
+
+/**
+ * Benchmark weight and return per asset class for attribution. Components
+ * sharing an asset class are combined: weights add, returns are
+ * weight-averaged. Weights are scaled to sum to 100%, as in blendedReturn.
+ *
+ * @param {PolicyBenchmark} policy
+ * @param {BenchmarkIndex[]} indices
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {{
+ *   rows: Array<{name: string, benchmarkWeight: number, benchmarkReturn: number}>,
+ *   total: number,
+ *   issues: string[]
+ * }}
+ *   total is the blended (rebalanced) return; it can differ from Σ w × r when weights drift within the period.
+ */
+export function policyAttributionInputs(policy, indices, startDate, endDate) {
+  const { value: total, issues } = blendedReturn(policy, indices, startDate, endDate);
+  const totalWeight = policy.components.reduce((s, c) => s + c.weight, 0);
+  const scale = totalWeight > 0 ? totalWeight : 1;
+  const rows = [];
+  for (const c of policy.components) {
+    const index = indices.find((i) => i.id === c.indexId);
+    const r = index ? indexReturn(index, startDate, endDate).value : NaN;
+    const name = c.assetClass.trim();
+    const w = c.weight / scale;
+    const row = rows.find((x) => x.name === name);
+    if (row) {
+      const weight = row.benchmarkWeight + w;
+      row.benchmarkReturn = weight > 0 ? (row.benchmarkReturn * row.benchmarkWeight + r * w) / weight : 0;
+      row.benchmarkWeight = weight;
+    } else {
+      rows.push({ name, benchmarkWeight: w, benchmarkReturn: r });
+    }
+  }
+  return { rows, total, issues };
+}
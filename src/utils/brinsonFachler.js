@@ -1,11 +1,16 @@
 /**
- * Brinson-Fachler performance attribution model.
+ * Brinson-Fachler / Brinson-Hood-Beebower performance attribution models.
  *
  * Decomposes active return into:
- *   Allocation  = (Wp_i - Wb_i) × (Rb_i - Rb_total)
+ *   Allocation  = (Wp_i - Wb_i) × (Rb_i - Rb_total)     — Brinson-Fachler (BF)
+ *   Allocation  = (Wp_i - Wb_i) × Rb_i                  — Brinson-Hood-Beebower (BHB)
  *   Selection   = Wb_i × (Rp_i - Rb_i)
  *   Interaction = (Wp_i - Wb_i) × (Rp_i - Rb_i)
  *
+ * BF and BHB give the same total allocation when both weight sets sum to
+ * 100%; they differ per asset class. Interaction can be reported separately
+ * or folded into selection (Wp_i × (Rp_i - Rb_i)) or allocation.
+ *
  * Where:
  *   Wp_i = portfolio weight for asset i  (decimal)
  *   Wb_i = benchmark weight for asset i  (decimal)
@@ -39,9 +44,24 @@
  */
 
 /**
- * Run Brinson-Fachler attribution on a set of asset classes.
+ * @typedef {Object} AttributionOptions
+ * @property {'bf'|'bhb'} [model='bf']                                  - Allocation formula
+ * @property {'separate'|'selection'|'allocation'} [interaction='separate'] - Where interaction is reported
+ */
+
+const MODEL_NAMES = {
+  bf: 'Brinson-Fachler',
+  bhb: 'Brinson-Hood-Beebower',
+};
+
+/**
+ * Run Brinson attribution on a set of asset classes.
+ *
+ * When interaction is merged, the `interaction` fields are 0 and the merged
+ * amount is included in `selection` or `allocation`.
  *
  * @param {AssetInput[]} assets - Array of asset class data (weights and returns in DECIMAL form)
+ * @param {AttributionOptions} [options]
  * @returns {{
  *   attribution: AssetAttribution[],
  *   totals: { allocation: number, selection: number, interaction: number, activeReturn: number },
@@ -49,10 +69,20 @@
  *   benchmarkReturn: number,
  *   totalPortfolioWeight: number,
  *   totalBenchmarkWeight: number,
+ *   model: string,
+ *   interactionTreatment: string,
  *   insight: string
  * }}
+ * @throws {Error} If the model or interaction treatment is unknown
  */
-export function brinsonFachler(assets) {
+export function brinsonFachler(assets, { model = 'bf', interaction: interactionTreatment = 'separate' } = {}) {
+  if (!MODEL_NAMES[model]) {
+    throw new Error(`Unknown attribution model "${model}".`);
+  }
+  if (!['separate', 'selection', 'allocation'].includes(interactionTreatment)) {
+    throw new Error(`Unknown interaction treatment "${interactionTreatment}".`);
+  }
+
   if (!assets || assets.length === 0) {
     return {
       attribution: [],
@@ -61,6 +91,8 @@ export function brinsonFachler(assets) {
       benchmarkReturn: 0,
       totalPortfolioWeight: 0,
       totalBenchmarkWeight: 0,
+      model,
+      interactionTreatment,
       insight: 'No data to analyze.',
     };
   }
@@ -84,9 +116,19 @@ export function brinsonFachler(assets) {
   let totalInteraction = 0;
 
   const attribution = assets.map((a) => {
-    const allocation = (a.portfolioWeight - a.benchmarkWeight) * (a.benchmarkReturn - benchmarkReturn);
-    const selection = a.benchmarkWeight * (a.portfolioReturn - a.benchmarkReturn);
-    const interaction = (a.portfolioWeight - a.benchmarkWeight) * (a.portfolioReturn - a.benchmarkReturn);
+    const relativeBenchmark = model === 'bhb' ? a.benchmarkReturn : a.benchmarkReturn - benchmarkReturn;
+    let allocation = (a.portfolioWeight - a.benchmarkWeight) * relativeBenchmark;
+    let selection = a.benchmarkWeight * (a.portfolioReturn - a.benchmarkReturn);
+    let interaction = (a.portfolioWeight - a.benchmarkWeight) * (a.portfolioReturn - a.benchmarkReturn);
+
+    if (interactionTreatment === 'selection') {
+      selection += interaction;
+      interaction = 0;
+    } else if (interactionTreatment === 'allocation') {
+      allocation += interaction;
+      interaction = 0;
+    }
+
     const total = allocation + selection + interaction;
 
     totalAllocation += allocation;
@@ -98,17 +140,20 @@ export function brinsonFachler(assets) {
 
   const activeReturn = portfolioReturn - benchmarkReturn;
 
-  // Dynamic insight — tracks allocation, selection, AND interaction
+  // Dynamic insight — tracks the effects reported under the chosen treatment
   let insight = '';
   let maxPositive = { name: '', value: -Infinity, type: '' };
   let maxNegative = { name: '', value: Infinity, type: '' };
 
+  const allocationLabel = interactionTreatment === 'allocation' ? 'Asset Allocation (incl. interaction)' : 'Asset Allocation';
+  const selectionLabel = interactionTreatment === 'selection' ? 'Stock Selection (incl. interaction)' : 'Stock Selection';
+
   for (const d of attribution) {
     const effects = [
-      { value: d.allocation, type: 'Asset Allocation' },
-      { value: d.selection, type: 'Stock Selection' },
-      { value: d.interaction, type: 'Interaction' },
+      { value: d.allocation, type: allocationLabel },
+      { value: d.selection, type: selectionLabel },
     ];
+    if (interactionTreatment === 'separate') effects.push({ value: d.interaction, type: 'Interaction' });
     for (const e of effects) {
       if (e.value > maxPositive.value) maxPositive = { name: d.name, value: e.value, type: e.type };
       if (e.value < maxNegative.value) maxNegative = { name: d.name, value: e.value, type: e.type };
@@ -118,7 +163,7 @@ export function brinsonFachler(assets) {
   const outperforming = activeReturn > 0;
   const absPct = (v) => `${Math.abs(v * 100).toFixed(2)}%`;
 
-  insight = `The portfolio ${outperforming ? 'outperformed' : 'underperformed'} the benchmark by ${absPct(activeReturn)}. `;
+  insight = `Under ${MODEL_NAMES[model]}, the portfolio ${outperforming ? 'outperformed' : 'underperformed'} the benchmark by ${absPct(activeReturn)}. `;
   if (maxPositive.value > 0) {
     insight += `The largest positive contributor was ${maxPositive.type} in ${maxPositive.name} (+${absPct(maxPositive.value)}). `;
   }
@@ -138,6 +183,8 @@ export function brinsonFachler(assets) {
     benchmarkReturn,
     totalPortfolioWeight,
     totalBenchmarkWeight,
+    model,
+    interactionTreatment,
     insight,
   };
 }
@@ -5,11 +5,15 @@
  *   https://github.com/aonawunmi/investment-performance-portal/blob/main/app.py
  *
  * Uses PapaParse for robust CSV parsing (multi-encoding, auto-detect separator).
+ * Every parser also accepts an Excel worksheet converted with
+ * `sheetToTable` from the xlsxParser module in place of a file.
  *
  * @module csvParser
  */
 
 import Papa from 'papaparse';
+import { parseDateColumn, dateFormatLabel } from './dateParser';
+import { DEFAULT_TAXONOMY, classifyTransaction } from './transactionTypes';
 import { toFloat } from './formatters';
 
 /**
@@ -36,44 +40,178 @@ const CASHFLOW_COLUMN_ALIASES = {
   assetClass: ['assetclass', 'asset', 'class', 'sector', 'fund', 'category'],
 };
 
+// Ending price is listed first so a lone "Price" column maps to it
+const HOLDINGS_COLUMN_ALIASES = {
+  securityId: ['securityid', 'symbol', 'ticker', 'isin', 'cusip', 'sedol', 'code', 'id'],
+  name: ['securityname', 'name', 'security', 'instrument', 'description'],
+  assetClass: ['assetclass', 'asset', 'class', 'category'],
+  sector: ['sector', 'industry', 'subclass', 'classification', 'region'],
+  currency: ['currency', 'ccy', 'curr'],
+  quantity: ['quantity', 'qty', 'units', 'shares', 'nominal', 'position'],
+  endingPrice: ['endingprice', 'closingprice', 'endprice', 'lastprice', 'price'],
+  beginningPrice: ['beginningprice', 'openingprice', 'startprice', 'priorprice'],
+  beginningValue: [
+    'beginningmv', 'openingmv', 'startmv', 'beginningvalue', 'openingvalue', 'startvalue', 'bmv',
+    'beginningmarketvalue', 'openingmarketvalue', 'startmarketvalue', 'priormarketvalue',
+  ],
+  // No bare 'marketvalue': "Beginning Market Value" would head-match it
+  endingValue: [
+    'endingmv', 'closingmv', 'endmv', 'endingvalue', 'closingvalue', 'endvalue', 'emv',
+    'endingmarketvalue', 'closingmarketvalue', 'endmarketvalue', 'currentmarketvalue',
+  ],
+};
+
+const BENCHMARK_COLUMN_ALIASES = {
+  assetClass: ['assetclass', 'asset', 'class', 'sector', 'category'],
+  benchmarkWeight: ['benchmarkweight', 'bmweight', 'policyweight', 'targetweight', 'weight', 'wb'],
+  benchmarkReturn: ['benchmarkreturn', 'bmreturn', 'indexreturn', 'return', 'rb'],
+};
+
+const BOND_COLUMN_ALIASES = {
+  security: ['security', 'bond', 'name', 'issue', 'instrument', 'description', 'isin'],
+  marketValue: ['marketvalue', 'mv', 'value', 'holdingvalue', 'endingmv', 'beginningmv'],
+  modifiedDuration: ['modifiedduration', 'modduration', 'moddur', 'duration', 'dur'],
+  yield: ['yield', 'ytm', 'yieldtomaturity', 'startyield', 'beginningyield'],
+  treasuryChange: ['treasurychange', 'tsychange', 'treasuryshift', 'curvechange', 'govtyieldchange', 'benchmarkyieldchange'],
+  spreadChange: ['spreadchange', 'creditspreadchange', 'oaschange', 'spreadshift'],
+  totalReturn: ['totalreturn', 'return', 'periodreturn', 'bondreturn'],
+};
+
+const RETURNS_COLUMN_ALIASES = {
+  date: ['date', 'periodend', 'enddate', 'asat', 'asof', 'valuedate', 'month'],
+  portfolioReturn: ['portfolioreturn', 'portfolio', 'portreturn', 'fundreturn', 'fund', 'rp'],
+  benchmarkReturn: ['benchmarkreturn', 'benchmark', 'benchreturn', 'indexreturn', 'index', 'rb'],
+};
+
+/**
+ * Column schemas used by the parsers and the column-mapping wizard: the alias
+ * map, the fields every file must provide and a display label per field.
+ */
+export const COLUMN_SCHEMAS = {
+  assets: {
+    aliases: ASSET_COLUMN_ALIASES,
+    required: ['assetClass', 'beginningValue', 'endingValue'],
+    labels: { assetClass: 'Asset Class', beginningValue: 'Beginning MV', endingValue: 'Ending MV' },
+  },
+  cashflows: {
+    aliases: CASHFLOW_COLUMN_ALIASES,
+    required: ['transactionDate', 'amount', 'assetClass'],
+    labels: {
+      transactionDate: 'Transaction Date', transactionType: 'Transaction Type', details: 'Details',
+      amount: 'Amount', assetClass: 'Asset Class',
+    },
+  },
+  holdings: {
+    aliases: HOLDINGS_COLUMN_ALIASES,
+    required: ['securityId', 'assetClass'],
+    labels: {
+      securityId: 'Security ID', name: 'Name', assetClass: 'Asset Class', sector: 'Sector', currency: 'Currency',
+      quantity: 'Quantity', endingPrice: 'Ending Price', beginningPrice: 'Beginning Price',
+      beginningValue: 'Beginning MV', endingValue: 'Ending MV',
+    },
+  },
+  benchmark: {
+    aliases: BENCHMARK_COLUMN_ALIASES,
+    required: ['assetClass', 'benchmarkWeight', 'benchmarkReturn'],
+    labels: { assetClass: 'Asset Class', benchmarkWeight: 'Benchmark Weight (%)', benchmarkReturn: 'Benchmark Return (%)' },
+  },
+  bonds: {
+    aliases: BOND_COLUMN_ALIASES,
+    required: Object.keys(BOND_COLUMN_ALIASES),
+    labels: {
+      security: 'Security', marketValue: 'Market Value', modifiedDuration: 'Modified Duration', yield: 'Yield (%)',
+      treasuryChange: 'Treasury Change (bp)', spreadChange: 'Spread Change (bp)', totalReturn: 'Total Return (%)',
+    },
+  },
+  returns: {
+    aliases: RETURNS_COLUMN_ALIASES,
+    required: ['date', 'portfolioReturn'],
+    labels: { date: 'Date', portfolioReturn: 'Portfolio Return (%)', benchmarkReturn: 'Benchmark Return (%)' },
+  },
+};
+
+/**
+ * Split a header into lowercase word tokens, dropping bracketed units.
+ * Example: "Value Date" → ["value", "date"], "Beginning MV (NGN)" → ["beginning", "mv"]
+ */
+function tokenize(s) {
+  return String(s)
+    .replace(/[([{][^)\]}]*[)\]}]/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/** Confidence of each kind of header match. */
+export const MATCH_CONFIDENCE = {
+  exact: 1,     // header is an alias ("Amount", "Beginning MV (NGN)")
+  head: 0.75,   // header ends with an alias ("Cash Amount")
+  partial: 0.5, // alias appears elsewhere in the header ("Amount Settled")
+};
+
+/**
+ * Score one header against one alias, or 0 when they do not match.
+ */
+function matchScore(header, alias) {
+  const words = tokenize(header);
+  if (canon(header) === alias || words.join('') === alias) return MATCH_CONFIDENCE.exact;
+  for (let i = 1; i < words.length; i++) {
+    if (words.slice(i).join('') === alias) return MATCH_CONFIDENCE.head;
+  }
+  for (let i = 0; i < words.length; i++) {
+    for (let j = i + 1; j < words.length; j++) {
+      if (words.slice(i, j).join('') === alias) return MATCH_CONFIDENCE.partial;
+    }
+  }
+  return 0;
+}
+
 /**
  * Try to auto-map raw CSV column headers to expected field names.
  *
+ * Headers are matched on whole words: exact alias matches first, then
+ * headers ending with an alias (the head noun — "Value Date" is a date, not a
+ * value), then aliases elsewhere in the header. Each header is used at most
+ * once and the strongest matches are assigned first.
+ *
  * @param {string[]} rawHeaders - The actual CSV column headers
  * @param {Object} aliasMap     - Map of { targetField: [alias1, alias2, ...] }
- * @returns {{ mapping: Object<string, string>, missing: string[] }}
+ * @returns {{ mapping: Object<string, string>, missing: string[], confidence: Object<string, number> }}
  *   mapping: { targetField → rawHeader }
  *   missing: target fields that could not be matched
+ *   confidence: { targetField → MATCH_CONFIDENCE value }
  */
-function autoMapColumns(rawHeaders, aliasMap) {
-  const mapping = {};
-  const canonHeaders = rawHeaders.map((h) => ({ raw: h, canon: canon(h) }));
-
-  for (const [target, aliases] of Object.entries(aliasMap)) {
-    let matched = false;
-    for (const alias of aliases) {
-      const found = canonHeaders.find((h) => h.canon === alias);
-      if (found) {
-        mapping[target] = found.raw;
-        matched = true;
-        break;
-      }
-    }
-    if (!matched) {
-      // Try substring match as fallback
-      for (const alias of aliases) {
-        const found = canonHeaders.find((h) => h.canon.includes(alias) || alias.includes(h.canon));
-        if (found && !Object.values(mapping).includes(found.raw)) {
-          mapping[target] = found.raw;
-          matched = true;
-          break;
-        }
-      }
+export function autoMapColumns(rawHeaders, aliasMap) {
+  const candidates = [];
+  Object.entries(aliasMap).forEach(([target, aliases]) => {
+    for (const raw of rawHeaders) {
+      // Earlier aliases win ties
+      const best = aliases.reduce((m, alias, rank) => {
+        const score = matchScore(raw, alias);
+        return score > 0 && (!m || score > m.score) ? { score, rank } : m;
+      }, null);
+      if (best) candidates.push({ target, raw, score: best.score, rank: best.rank });
     }
+  });
+  candidates.sort((a, b) => b.score - a.score || a.rank - b.rank);
+
+  const mapping = {};
+  const confidence = {};
+  const used = new Set();
+  // A header whose head noun names another field is never a partial match ("Value Date" is not an amount)
+  const claimedBy = (raw, target) =>
+    candidates.some((o) => o.raw === raw && o.target !== target && o.score >= MATCH_CONFIDENCE.head);
+  for (const c of candidates) {
+    if (mapping[c.target] || used.has(c.raw)) continue;
+    if (c.score < MATCH_CONFIDENCE.head && claimedBy(c.raw, c.target)) continue;
+    mapping[c.target] = c.raw;
+    confidence[c.target] = c.score;
+    used.add(c.raw);
   }
 
   const missing = Object.keys(aliasMap).filter((k) => !mapping[k]);
-  return { mapping, missing };
+  return { mapping, missing, confidence };
 }
 
 /**
@@ -100,23 +238,71 @@ export function parseCSV(file) {
   });
 }
 
+/**
+ * Read a parser source into a table: CSV files are parsed, worksheet tables
+ * are used as they are.
+ *
+ * @param {File|import('./xlsxParser').SheetTable} source
+ * @returns {Promise<{data: Object[], headers: string[], errors: string[]}>}
+ */
+export function readTable(source) {
+  if (Array.isArray(source?.data) && Array.isArray(source?.headers)) return Promise.resolve(source);
+  return parseCSV(source);
+}
+
+/**
+ * Column mapping for a schema: a mapping chosen in the wizard replaces the
+ * automatic one; headers it names that are not in the file are dropped.
+ *
+ * @param {string[]} headers
+ * @param {keyof COLUMN_SCHEMAS} schema
+ * @param {Object<string, string>} [override] - { targetField → rawHeader }
+ * @returns {{ mapping: Object<string, string>, missing: string[] }}
+ */
+function resolveMapping(headers, schema, override) {
+  const { aliases } = COLUMN_SCHEMAS[schema];
+  if (!override) return autoMapColumns(headers, aliases);
+  const mapping = Object.fromEntries(Object.entries(override).filter(([, raw]) => raw && headers.includes(raw)));
+  return { mapping, missing: Object.keys(aliases).filter((k) => !mapping[k]) };
+}
+
+/**
+ * Read a date column with a pinned or detected format. An ambiguous column
+ * is an error rather than a guess.
+ *
+ * @param {Object[]} data
+ * @param {string} header
+ * @param {string} dateFormat - A dateParser DATE_FORMATS id, or 'auto'
+ * @param {string} label      - Column description for the error, e.g. "Transaction dates"
+ * @returns {{ column: ReturnType<typeof parseDateColumn>, error: string|null, expected: string }}
+ */
+function readDates(data, header, dateFormat, label) {
+  const column = parseDateColumn(data.map((row) => row[header]), dateFormat);
+  const error = column.ambiguous
+    ? `${label} are ambiguous: they read as ${column.candidates.map(dateFormatLabel).join(' or ')}. Choose the date format and upload again.`
+    : null;
+  const expected = column.format ? ` (expected ${dateFormatLabel(column.format)})` : '';
+  return { column, error, expected };
+}
+
 /**
  * Parse an assets CSV file and return structured asset data.
  *
  * Expected columns (flexible naming):
  *   Asset Class | Beginning MV | Ending MV
  *
- * @param {File} file
+ * @param {File|import('./xlsxParser').SheetTable} file
+ * @param {{mapping?: Object<string, string>}} [options] - Column mapping chosen in the wizard
  * @returns {Promise<{
  *   assets: Array<{name: string, beginningValue: number, endingValue: number}>,
  *   errors: string[]
  * }>}
  */
-export async function parseAssetsCSV(file) {
-  const { data, headers, errors } = await parseCSV(file);
+export async function parseAssetsCSV(file, { mapping: override } = {}) {
+  const { data, headers, errors } = await readTable(file);
   if (errors.length > 0) return { assets: [], errors };
 
-  const { mapping, missing } = autoMapColumns(headers, ASSET_COLUMN_ALIASES);
+  const { mapping, missing } = resolveMapping(headers, 'assets', override);
 
   if (missing.length > 0) {
     return {
@@ -143,23 +329,33 @@ export async function parseAssetsCSV(file) {
  *   Transaction Date | Transaction Type | Amount | Asset Class
  *   Optional: Transaction Details
  *
- * Transaction Type must be "INFLOW" or "OUTFLOW" (case-insensitive).
- * Amount is always stored as a signed value: + for INFLOW, - for OUTFLOW.
+ * Transaction Type codes are looked up in the transaction taxonomy
+ * (case-insensitive), which sets the category and the sign of the amount;
+ * see {@link module:transactionTypes}. Files without a type column are read
+ * as signed external flows: + for contributions, - for withdrawals.
+ * Amount is always stored as a signed value: + for INFLOW and INCOME, - for OUTFLOW, FEE and TAX.
+ * INCOME rows are internal income events (dividends, coupons, rent), not external flows.
  *
- * @param {File} file
+ * Dates may be ISO, DD/MM/YYYY, MM/DD/YYYY, DD-MMM-YY or Excel serials; the
+ * format is detected across the column unless pinned with `dateFormat`.
+ *
+ * @param {File|import('./xlsxParser').SheetTable} file
+ * @param {{mapping?: Object<string, string>, dateFormat?: string, taxonomy?: import('./transactionTypes').TaxonomyEntry[]}} [options]
+ *   Column mapping chosen in the wizard; date format id or 'auto' (default); type code taxonomy
  * @returns {Promise<{
- *   cashflows: Array<{date: Date, amount: number, assetClass: string, details: string, type: string}>,
- *   errors: string[]
+ *   cashflows: Array<{date: Date, amount: number, assetClass: string, details: string, type: string, code: string}>,
+ *   errors: string[],
+ *   dateFormat: string|null
  * }>}
  */
-export async function parseCashflowsCSV(file) {
-  const { data, headers, errors } = await parseCSV(file);
+export async function parseCashflowsCSV(file, { mapping: override, dateFormat = 'auto', taxonomy = DEFAULT_TAXONOMY } = {}) {
+  const { data, headers, errors } = await readTable(file);
   if (errors.length > 0) return { cashflows: [], errors };
 
-  const { mapping, missing } = autoMapColumns(headers, CASHFLOW_COLUMN_ALIASES);
+  const { mapping, missing } = resolveMapping(headers, 'cashflows', override);
 
-  // details is optional
-  const requiredMissing = missing.filter((m) => m !== 'details');
+  // details is optional; without a type column amounts are signed
+  const requiredMissing = missing.filter((m) => m !== 'details' && m !== 'transactionType');
   if (requiredMissing.length > 0) {
     return {
       cashflows: [],
@@ -167,42 +363,368 @@ export async function parseCashflowsCSV(file) {
     };
   }
 
+  const { column, error: dateError, expected } = readDates(data, mapping.transactionDate, dateFormat, 'Transaction dates');
+  if (dateError) return { cashflows: [], errors: [dateError], dateFormat: null };
+
   const parseErrors = [];
   const cashflows = [];
 
   data.forEach((row, idx) => {
     const rawDate = row[mapping.transactionDate];
-    const date = new Date(rawDate);
-    if (isNaN(date.getTime())) {
-      parseErrors.push(`Row ${idx + 1}: Invalid date "${rawDate}"`);
+    const date = column.dates[idx];
+    if (!date) {
+      parseErrors.push(`Row ${idx + 1}: Invalid date "${rawDate}"${expected}`);
       return;
     }
 
-    const rawType = String(row[mapping.transactionType] || '').trim().toUpperCase();
-    if (rawType !== 'INFLOW' && rawType !== 'OUTFLOW') {
-      parseErrors.push(`Row ${idx + 1}: Invalid transaction type "${rawType}" (must be INFLOW or OUTFLOW)`);
+    const amount = toFloat(row[mapping.amount]);
+    if (!Number.isFinite(amount)) {
+      parseErrors.push(`Row ${idx + 1}: Invalid amount "${row[mapping.amount]}"`);
       return;
     }
 
-    const rawAmount = toFloat(row[mapping.amount]);
-    if (!Number.isFinite(rawAmount) || rawAmount < 0) {
-      parseErrors.push(`Row ${idx + 1}: Invalid amount "${row[mapping.amount]}"`);
+    const rawType = mapping.transactionType ? String(row[mapping.transactionType] || '').trim() : null;
+    const flow = classifyTransaction(rawType, amount, taxonomy);
+    if (!flow) {
+      parseErrors.push(`Row ${idx + 1}: Unknown transaction type "${rawType}" — add it to the transaction types`);
       return;
     }
 
-    const signedAmount = rawType === 'INFLOW' ? rawAmount : -rawAmount;
     const assetClass = String(row[mapping.assetClass] || '').trim();
     const details = mapping.details ? String(row[mapping.details] || '').trim() : '';
 
     cashflows.push({
       date,
-      amount: signedAmount,
+      amount: flow.amount,
       assetClass,
       details,
-      type: rawType,
-      rawAmount,
+      type: flow.type,
+      code: flow.code,
+      rawAmount: Math.abs(flow.amount),
+    });
+  });
+
+  return { cashflows, errors: parseErrors, dateFormat: column.format };
+}
+
+/**
+ * Parse an asset-class benchmark CSV file for attribution.
+ *
+ * Expected columns (flexible naming):
+ *   Asset Class | Benchmark Weight (%) | Benchmark Return (%)
+ *
+ * Weights and returns are read as percentages and converted to decimals.
+ *
+ * @param {File|import('./xlsxParser').SheetTable} file
+ * @param {{mapping?: Object<string, string>}} [options] - Column mapping chosen in the wizard
+ * @returns {Promise<{
+ *   benchmarks: Array<{name: string, benchmarkWeight: number, benchmarkReturn: number}>,
+ *   errors: string[]
+ * }>}
+ */
+export async function parseBenchmarkCSV(file, { mapping: override } = {}) {
+  const { data, headers, errors } = await readTable(file);
+  if (errors.length > 0) return { benchmarks: [], errors };
+
+  const { mapping, missing } = resolveMapping(headers, 'benchmark', override);
+
+  if (missing.length > 0) {
+    return {
+      benchmarks: [],
+      errors: [`Could not auto-map columns: ${missing.join(', ')}. Found headers: ${headers.join(', ')}`],
+    };
+  }
+
+  const parseErrors = [];
+  const benchmarks = [];
+
+  data.forEach((row, idx) => {
+    const name = String(row[mapping.assetClass] || '').trim();
+    const weight = toFloat(row[mapping.benchmarkWeight]);
+    const ret = toFloat(row[mapping.benchmarkReturn]);
+    if (!name || !Number.isFinite(weight) || !Number.isFinite(ret)) {
+      parseErrors.push(`Row ${idx + 1}: Invalid ${name ? 'benchmark weight or return' : 'asset class'}`);
+      return;
+    }
+    benchmarks.push({ name, benchmarkWeight: weight / 100, benchmarkReturn: ret / 100 });
+  });
+
+  return { benchmarks, errors: parseErrors };
+}
+
+/**
+ * Parse a security-level holdings CSV file.
+ *
+ * Expected columns (flexible naming):
+ *   Security ID | Asset Class | and either
+ *     Quantity | Beginning Price | Ending Price, or
+ *     Beginning MV | Ending MV
+ *   Optional: Name, Sector, Currency
+ *
+ * When only market values are given, prices are derived from the quantity,
+ * or the holding is treated as a single unit priced at its market value.
+ *
+ * @param {File|import('./xlsxParser').SheetTable} file
+ * @param {{mapping?: Object<string, string>}} [options] - Column mapping chosen in the wizard
+ * @returns {Promise<{
+ *   holdings: import('./holdings').Security[],
+ *   errors: string[]
+ * }>}
+ */
+export async function parseHoldingsCSV(file, { mapping: override } = {}) {
+  const { data, headers, errors } = await readTable(file);
+  if (errors.length > 0) return { holdings: [], errors };
+
+  const { mapping, missing } = resolveMapping(headers, 'holdings', override);
+
+  const byPrice = mapping.quantity && mapping.beginningPrice && mapping.endingPrice;
+  const byValue = mapping.beginningValue && mapping.endingValue;
+  const requiredMissing = missing.filter((m) => m === 'securityId' || m === 'assetClass');
+  if (requiredMissing.length > 0 || (!byPrice && !byValue)) {
+    const needed = byPrice || byValue ? requiredMissing : [...requiredMissing, 'quantity + prices or beginningValue + endingValue'];
+    return {
+      holdings: [],
+      errors: [`Could not auto-map columns: ${needed.join(', ')}. Found headers: ${headers.join(', ')}`],
+    };
+  }
+
+  const parseErrors = [];
+  const holdings = [];
+  const seen = new Set();
+
+  data.forEach((row, idx) => {
+    const symbol = String(row[mapping.securityId] || '').trim();
+    const assetClass = String(row[mapping.assetClass] || '').trim();
+    if (!symbol || !assetClass) {
+      parseErrors.push(`Row ${idx + 1}: Missing ${symbol ? 'asset class' : 'security ID'}`);
+      return;
+    }
+    if (seen.has(symbol)) {
+      parseErrors.push(`Row ${idx + 1}: Duplicate security "${symbol}"`);
+      return;
+    }
+
+    let quantity = mapping.quantity ? toFloat(row[mapping.quantity]) : 1;
+    let price;
+    let endPrice;
+    if (byPrice) {
+      price = toFloat(row[mapping.beginningPrice]);
+      endPrice = toFloat(row[mapping.endingPrice]);
+    } else {
+      const beginningValue = toFloat(row[mapping.beginningValue]);
+      const endingValue = toFloat(row[mapping.endingValue]);
+      if (!Number.isFinite(quantity) || quantity === 0) quantity = 1;
+      price = beginningValue / quantity;
+      endPrice = endingValue / quantity;
+    }
+
+    if (![quantity, price, endPrice].every(Number.isFinite)) {
+      parseErrors.push(`Row ${idx + 1}: Invalid quantity, price or market value for "${symbol}"`);
+      return;
+    }
+
+    seen.add(symbol);
+    holdings.push({
+      symbol,
+      name: mapping.name ? String(row[mapping.name] || '').trim() || symbol : symbol,
+      assetClass,
+      classification: mapping.sector ? String(row[mapping.sector] || '').trim() : '',
+      currency: mapping.currency ? String(row[mapping.currency] || '').trim().toUpperCase() : '',
+      quantity,
+      price,
+      endPrice,
     });
   });
 
-  return { cashflows, errors: parseErrors };
+  return { holdings, errors: parseErrors };
+}
+
+/**
+ * Parse a bond holdings CSV file for fixed income (Campisi) attribution.
+ *
+ * Expected columns (flexible naming):
+ *   Security | Market Value | Modified Duration | Yield (%) |
+ *   Treasury Change (bp) | Spread Change (bp) | Total Return (%)
+ *
+ * Yields and returns are read as percentages, yield changes as basis points;
+ * all are converted to decimals.
+ *
+ * @param {File|import('./xlsxParser').SheetTable} file
+ * @param {{mapping?: Object<string, string>}} [options] - Column mapping chosen in the wizard
+ * @returns {Promise<{
+ *   holdings: import('./fixedIncomeAttribution').BondHolding[],
+ *   errors: string[]
+ * }>}
+ */
+export async function parseBondHoldingsCSV(file, { mapping: override } = {}) {
+  const { data, headers, errors } = await readTable(file);
+  if (errors.length > 0) return { holdings: [], errors };
+
+  const { mapping, missing } = resolveMapping(headers, 'bonds', override);
+
+  if (missing.length > 0) {
+    return {
+      holdings: [],
+      errors: [`Could not auto-map columns: ${missing.join(', ')}. Found headers: ${headers.join(', ')}`],
+    };
+  }
+
+  const parseErrors = [];
+  const holdings = [];
+
+  data.forEach((row, idx) => {
+    const name = String(row[mapping.security] || '').trim();
+    const values = {
+      marketValue: toFloat(row[mapping.marketValue]),
+      modifiedDuration: toFloat(row[mapping.modifiedDuration]),
+      yield: toFloat(row[mapping.yield]) / 100,
+      treasuryChange: toFloat(row[mapping.treasuryChange]) / 10000,
+      spreadChange: toFloat(row[mapping.spreadChange]) / 10000,
+      totalReturn: toFloat(row[mapping.totalReturn]) / 100,
+    };
+
+    const invalid = Object.keys(values).filter((k) => !Number.isFinite(values[k]));
+    if (!name || invalid.length > 0) {
+      parseErrors.push(`Row ${idx + 1}: Invalid ${name ? invalid.map((k) => mapping[k]).join(', ') : 'security name'}`);
+      return;
+    }
+
+    holdings.push({ name, ...values });
+  });
+
+  return { holdings, errors: parseErrors };
+}
+
+/**
+ * Parse a periodic returns CSV file for risk statistics.
+ *
+ * Expected columns (flexible naming):
+ *   Date | Portfolio Return (%)
+ *   Optional: Benchmark Return (%)
+ *
+ * Returns are read as percentages and converted to decimals. Rows are
+ * sorted by date. Date formats are detected as for
+ * {@link parseCashflowsCSV}.
+ *
+ * @param {File|import('./xlsxParser').SheetTable} file
+ * @param {{mapping?: Object<string, string>, dateFormat?: string}} [options]
+ *   Column mapping chosen in the wizard; date format id or 'auto' (default)
+ * @returns {Promise<{
+ *   series: Array<{date: Date, portfolio: number, benchmark: number|undefined}>,
+ *   errors: string[],
+ *   dateFormat: string|null
+ * }>}
+ */
+export async function parseReturnsCSV(file, { mapping: override, dateFormat = 'auto' } = {}) {
+  const { data, headers, errors } = await readTable(file);
+  if (errors.length > 0) return { series: [], errors };
+
+  const { mapping, missing } = resolveMapping(headers, 'returns', override);
+
+  // benchmarkReturn is optional
+  const requiredMissing = missing.filter((m) => m !== 'benchmarkReturn');
+  if (requiredMissing.length > 0) {
+    return {
+      series: [],
+      errors: [`Could not auto-map columns: ${requiredMissing.join(', ')}. Found headers: ${headers.join(', ')}`],
+    };
+  }
+
+  const { column, error: dateError, expected } = readDates(data, mapping.date, dateFormat, 'Dates');
+  if (dateError) return { series: [], errors: [dateError], dateFormat: null };
+
+  const parseErrors = [];
+  const series = [];
+
+  data.forEach((row, idx) => {
+    const rawDate = row[mapping.date];
+    const date = column.dates[idx];
+    if (!date) {
+      parseErrors.push(`Row ${idx + 1}: Invalid date "${rawDate}"${expected}`);
+      return;
+    }
+
+    const portfolio = toFloat(row[mapping.portfolioReturn]);
+    if (!Number.isFinite(portfolio)) {
+      parseErrors.push(`Row ${idx + 1}: Invalid portfolio return "${row[mapping.portfolioReturn]}"`);
+      return;
+    }
+
+    const benchmark = mapping.benchmarkReturn ? toFloat(row[mapping.benchmarkReturn]) : NaN;
+    series.push({
+      date,
+      portfolio: portfolio / 100,
+      benchmark: Number.isFinite(benchmark) ? benchmark / 100 : undefined,
+    });
+  });
+
+  series.sort((a, b) => a.date.getTime() - b.date.getTime());
+  return { series, errors: parseErrors, dateFormat: column.format };
+}
+
+/**
+ * Parse index returns for the benchmark library. One Date column, then one
+ * column per index, headed by the index name:
+ *
+ *   Date       | MSCI World | Bloomberg Agg | T-Bill
+ *   2025-01-31 | 2.1        | -0.4          | 0.35
+ *
+ * Values are periodic returns in % (default) or index levels, which are
+ * turned into returns between consecutive dates (the first level only sets
+ * the base). Blank cells are skipped, so indices may start on different dates.
+ *
+ * @param {File|import('./xlsxParser').SheetTable} file
+ * @param {{dateFormat?: string, values?: 'returns'|'levels'}} [options]
+ *   Date format id or 'auto' (default); what the index columns hold
+ * @returns {Promise<{
+ *   indices: Array<{name: string, returns: Array<{date: Date, return: number}>}>,
+ *   errors: string[],
+ *   dateFormat: string|null
+ * }>}
+ */
+export async function parseIndexReturnsCSV(file, { dateFormat = 'auto', values = 'returns' } = {}) {
+  const { data, headers, errors } = await readTable(file);
+  if (errors.length > 0) return { indices: [], errors };
+
+  const { mapping } = autoMapColumns(headers, { date: RETURNS_COLUMN_ALIASES.date });
+  if (!mapping.date) {
+    return { indices: [], errors: [`Could not find a date column. Found headers: ${headers.join(', ')}`] };
+  }
+  const names = headers.filter((h) => h !== mapping.date && String(h).trim());
+  if (names.length === 0) {
+    return { indices: [], errors: ['Add one column per index after the date column.'] };
+  }
+
+  const { column, error: dateError, expected } = readDates(data, mapping.date, dateFormat, 'Dates');
+  if (dateError) return { indices: [], errors: [dateError], dateFormat: null };
+
+  const parseErrors = [];
+  const rows = [];
+  data.forEach((row, idx) => {
+    const date = column.dates[idx];
+    if (!date) parseErrors.push(`Row ${idx + 1}: Invalid date "${row[mapping.date]}"${expected}`);
+    else rows.push({ row, idx, date });
+  });
+  rows.sort((a, b) => a.date.getTime() - b.date.getTime());
+
+  const indices = names.map((name) => {
+    const observations = [];
+    for (const { row, idx, date } of rows) {
+      const raw = row[name];
+      if (raw === undefined || raw === null || String(raw).trim() === '') continue;
+      const value = toFloat(raw);
+      if (!Number.isFinite(value) || (values === 'levels' && value <= 0)) {
+        parseErrors.push(`Row ${idx + 1}: Invalid ${values === 'levels' ? 'level' : 'return'} "${raw}" for ${name}`);
+        continue;
+      }
+      observations.push({ date, value });
+    }
+    const returns =
+      values === 'levels'
+        ? observations.slice(1).map((o, i) => ({ date: o.date, return: o.value / observations[i].value - 1 }))
+        : observations.map((o) => ({ date: o.date, return: o.value / 100 }));
+    return { name: String(name).trim(), returns };
+  });
+
+  return { indices, errors: parseErrors, dateFormat: column.format };
 }
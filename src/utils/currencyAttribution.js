@@ -0,0 +1,203 @@
+/**
+ * Currency attribution for multi-currency portfolios (Karnosky-Singer).
+ *
+ * Each asset class's base-currency return is split into a hedged local
+ * component and a currency component using the forward premium
+ * f = F / S - 1 (≈ base cash rate − local cash rate):
+ *
+ *   Hedged local return   = R_local + f
+ *   Currency surprise     x = e - f        (e = spot currency return vs base)
+ *
+ *   R = Σ w × (R_local + f)  +  Σ h × x,   h = w × (1 - hedge ratio)
+ *
+ * Active return then decomposes into four effects:
+ *
+ *   Local allocation     = (Wp - Wb) × (Rb_local + f - Lb)
+ *   Local selection      = Wp × (Rp_local - Rb_local)
+ *   Currency allocation  = (Wp - Wb) × (x - Xb)
+ *   Hedging              = -(Wp × hp - Wb × hb) × x
+ *
+ * where Lb = Σ Wb × (Rb_local + f) and Xb = Σ Hb × x. Assets held in the
+ * base currency carry no currency component. The model is arithmetic: the
+ * local × currency cross product is not attributed.
+ *
+ * Currency returns and forward premia are quoted against one currency. When
+ * the base differs from it, each rate is re-expressed against the base by
+ * dividing out the base currency's own move against the quote currency:
+ *
+ *   e' = (1 + e) / (1 + e_base) - 1      f' = (1 + f) / (1 + f_base) - 1
+ *
+ * @module currencyAttribution
+ */
+
+/**
+ * @typedef {Object} CurrencyAssetInput
+ * @property {string} name
+ * @property {string} currency                 - ISO code of the asset's market currency
+ * @property {number} portfolioWeight
+ * @property {number} benchmarkWeight
+ * @property {number} portfolioLocalReturn     - Return in local currency
+ * @property {number} benchmarkLocalReturn     - Return in local currency
+ * @property {number} currencyReturn           - Spot return of the currency against the quote currency
+ * @property {number} forwardPremium           - F / S - 1 over the period, against the quote currency
+ * @property {number} [portfolioHedgeRatio=0]  - Share of the exposure sold forward (0–1)
+ * @property {number} [benchmarkHedgeRatio=0]
+ */
+
+/**
+ * @typedef {Object} CurrencyAssetAttribution
+ * @property {string} name
+ * @property {string} currency
+ * @property {number} localAllocation
+ * @property {number} localSelection
+ * @property {number} currencyAllocation
+ * @property {number} hedging
+ * @property {number} total
+ */
+
+/**
+ * Run Karnosky-Singer attribution. All rates and weights in DECIMAL form.
+ *
+ * @param {CurrencyAssetInput[]} assets
+ * @param {Object} [options]
+ * @param {string} [options.baseCurrency] - Currency returns are measured in; its assets have no currency component
+ * @param {string} [options.quoteCurrency=baseCurrency] - Currency the rates are quoted against. When it
+ *   differs from the base, an asset in the base currency must carry the base's rates against it.
+ * @returns {{
+ *   attribution: CurrencyAssetAttribution[],
+ *   totals: { localAllocation: number, localSelection: number, currencyAllocation: number, hedging: number, local: number, currency: number, activeReturn: number },
+ *   portfolioReturn: number,
+ *   benchmarkReturn: number,
+ *   portfolioLocalReturn: number,
+ *   benchmarkLocalReturn: number,
+ *   portfolioCurrencyReturn: number,
+ *   benchmarkCurrencyReturn: number,
+ *   totalPortfolioWeight: number,
+ *   totalBenchmarkWeight: number,
+ *   baseCurrency: string|undefined,
+ *   quoteCurrency: string|undefined,
+ *   insight: string
+ * }}
+ *   Returns are in the base currency; `*LocalReturn` are the hedged local
+ *   components and `*CurrencyReturn` the currency components.
+ */
+export function karnoskySinger(assets, { baseCurrency, quoteCurrency = baseCurrency } = {}) {
+  if (!assets || assets.length === 0) {
+    return {
+      attribution: [],
+      totals: { localAllocation: 0, localSelection: 0, currencyAllocation: 0, hedging: 0, local: 0, currency: 0, activeReturn: 0 },
+      portfolioReturn: 0,
+      benchmarkReturn: 0,
+      portfolioLocalReturn: 0,
+      benchmarkLocalReturn: 0,
+      portfolioCurrencyReturn: 0,
+      benchmarkCurrencyReturn: 0,
+      totalPortfolioWeight: 0,
+      totalBenchmarkWeight: 0,
+      baseCurrency,
+      quoteCurrency,
+      insight: 'No data to analyze.',
+    };
+  }
+
+  // The base currency's own rates against the quote currency
+  let baseRates = { e: 0, f: 0 };
+  if (baseCurrency !== undefined && quoteCurrency !== undefined && baseCurrency !== quoteCurrency) {
+    const carrier = assets.find((a) => a.currency === baseCurrency);
+    if (!carrier) {
+      throw new Error(
+        `Rates are quoted against ${quoteCurrency}: add a ${baseCurrency} asset class with its currency return and forward premium against ${quoteCurrency}.`
+      );
+    }
+    baseRates = { e: carrier.currencyReturn || 0, f: carrier.forwardPremium || 0 };
+  }
+  const rebase = (rate, baseRate) => (baseRate ? (1 + rate) / (1 + baseRate) - 1 : rate);
+
+  // Base-currency assets have no currency return, forward premium or hedge;
+  // quote-currency assets have no rate against the quote currency itself
+  const rows = assets.map((a) => {
+    const isBase = baseCurrency !== undefined && a.currency === baseCurrency;
+    const isQuote = quoteCurrency !== undefined && a.currency === quoteCurrency;
+    const f = isBase ? 0 : rebase(isQuote ? 0 : a.forwardPremium || 0, baseRates.f);
+    const e = isBase ? 0 : rebase(isQuote ? 0 : a.currencyReturn || 0, baseRates.e);
+    const hp = isBase ? 0 : a.portfolioHedgeRatio || 0;
+    const hb = isBase ? 0 : a.benchmarkHedgeRatio || 0;
+    return { ...a, f, x: e - f, hp, hb };
+  });
+
+  // ── Total weighted returns ──────────────────────────────────
+  let portfolioLocalReturn = 0;
+  let benchmarkLocalReturn = 0;
+  let portfolioCurrencyReturn = 0;
+  let benchmarkCurrencyReturn = 0;
+  let totalPortfolioWeight = 0;
+  let totalBenchmarkWeight = 0;
+
+  for (const a of rows) {
+    portfolioLocalReturn += a.portfolioWeight * (a.portfolioLocalReturn + a.f);
+    benchmarkLocalReturn += a.benchmarkWeight * (a.benchmarkLocalReturn + a.f);
+    portfolioCurrencyReturn += a.portfolioWeight * (1 - a.hp) * a.x;
+    benchmarkCurrencyReturn += a.benchmarkWeight * (1 - a.hb) * a.x;
+    totalPortfolioWeight += a.portfolioWeight;
+    totalBenchmarkWeight += a.benchmarkWeight;
+  }
+
+  // ── Effects per asset class ─────────────────────────────────
+  const totals = { localAllocation: 0, localSelection: 0, currencyAllocation: 0, hedging: 0 };
+
+  const attribution = rows.map((a) => {
+    const activeWeight = a.portfolioWeight - a.benchmarkWeight;
+    const localAllocation = activeWeight * (a.benchmarkLocalReturn + a.f - benchmarkLocalReturn);
+    const localSelection = a.portfolioWeight * (a.portfolioLocalReturn - a.benchmarkLocalReturn);
+    const currencyAllocation = activeWeight * (a.x - benchmarkCurrencyReturn);
+    const hedging = -(a.portfolioWeight * a.hp - a.benchmarkWeight * a.hb) * a.x;
+
+    totals.localAllocation += localAllocation;
+    totals.localSelection += localSelection;
+    totals.currencyAllocation += currencyAllocation;
+    totals.hedging += hedging;
+
+    return {
+      name: a.name,
+      currency: a.currency,
+      portfolioWeight: a.portfolioWeight,
+      benchmarkWeight: a.benchmarkWeight,
+      localAllocation,
+      localSelection,
+      currencyAllocation,
+      hedging,
+      total: localAllocation + localSelection + currencyAllocation + hedging,
+    };
+  });
+
+  const portfolioReturn = portfolioLocalReturn + portfolioCurrencyReturn;
+  const benchmarkReturn = benchmarkLocalReturn + benchmarkCurrencyReturn;
+  const local = totals.localAllocation + totals.localSelection;
+  const currency = totals.currencyAllocation + totals.hedging;
+  const activeReturn = portfolioReturn - benchmarkReturn;
+
+  // Dynamic insight
+  const absPct = (v) => `${Math.abs(v * 100).toFixed(2)}%`;
+  const label = baseCurrency ? ` in ${baseCurrency} terms` : '';
+  let insight = `The portfolio ${activeReturn >= 0 ? 'outperformed' : 'underperformed'} the benchmark by ${absPct(activeReturn)}${label}. `;
+  insight += `Local market decisions ${local >= 0 ? 'added' : 'cost'} ${absPct(local)} and currency decisions ${currency >= 0 ? 'added' : 'cost'} ${absPct(currency)}`;
+  insight += totals.hedging !== 0
+    ? `, of which hedging ${totals.hedging >= 0 ? 'contributed' : 'cost'} ${absPct(totals.hedging)}.`
+    : '.';
+
+  return {
+    attribution,
+    totals: { ...totals, local, currency, activeReturn },
+    portfolioReturn,
+    benchmarkReturn,
+    portfolioLocalReturn,
+    benchmarkLocalReturn,
+    portfolioCurrencyReturn,
+    benchmarkCurrencyReturn,
+    totalPortfolioWeight,
+    totalBenchmarkWeight,
+    baseCurrency,
+    quoteCurrency,
+    insight,
+  };
+}
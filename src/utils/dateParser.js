@@ -0,0 +1,152 @@
+/**
+ * Calendar-date parsing for uploaded files.
+ *
+ * The format is detected across a whole column rather than cell by cell, so
+ * "03/04/2025" is read the same way as its neighbours. When both DD/MM and
+ * MM/DD fit every value and give different dates the column is reported as
+ * ambiguous instead of guessed; the caller then pins the format.
+ *
+ * Every date is returned as local midnight of the calendar day written in the
+ * file (the same convention as the date inputs), so no time zone can move it
+ * to the previous or next day.
+ *
+ * @module dateParser
+ */
+
+/** Supported formats, in detection order. */
+export const DATE_FORMATS = [
+  { id: 'iso', label: 'YYYY-MM-DD' },
+  { id: 'dmy', label: 'DD/MM/YYYY' },
+  { id: 'mdy', label: 'MM/DD/YYYY' },
+  { id: 'dmmmy', label: 'DD-MMM-YY' },
+  { id: 'serial', label: 'Excel serial number' },
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Two-digit years below the pivot are 20xx, the rest 19xx
+const TWO_DIGIT_YEAR_PIVOT = 50;
+
+// Largest serial Excel accepts (9999-12-31)
+const MAX_EXCEL_SERIAL = 2958465;
+
+/**
+ * Build a local-midnight date, rejecting impossible days such as 31/02.
+ * @returns {Date|null}
+ */
+function calendarDate(year, month, day) {
+  if (year < 100) year += year < TWO_DIGIT_YEAR_PIVOT ? 2000 : 1900;
+  const d = new Date(year, month - 1, day);
+  return d.getFullYear() === year && d.getMonth() === month - 1 && d.getDate() === day ? d : null;
+}
+
+function parseNumeric(s, dayFirst) {
+  const m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (!m) return null;
+  const [a, b, y] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  return dayFirst ? calendarDate(y, b, a) : calendarDate(y, a, b);
+}
+
+/**
+ * Excel serial: days since 1899-12-30. Serials before 61 skip Excel's
+ * non-existent 29 Feb 1900.
+ */
+function parseSerial(s) {
+  if (!/^\d+(\.\d+)?$/.test(s)) return null;
+  const serial = Math.floor(Number(s));
+  if (serial < 1 || serial > MAX_EXCEL_SERIAL) return null;
+  const utc = new Date(Date.UTC(1899, 11, serial < 61 ? 31 : 30) + serial * 86_400_000);
+  return calendarDate(utc.getUTCFullYear(), utc.getUTCMonth() + 1, utc.getUTCDate());
+}
+
+const PARSERS = {
+  // A time part, if any, is ignored: the calendar date is the one written
+  iso: (s) => {
+    const m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+    return m ? calendarDate(Number(m[1]), Number(m[2]), Number(m[3])) : null;
+  },
+  dmy: (s) => parseNumeric(s, true),
+  mdy: (s) => parseNumeric(s, false),
+  dmmmy: (s) => {
+    const m = s.match(/^(\d{1,2})[-\s/]([A-Za-z]{3,})[-\s/,]+(\d{2}|\d{4})$/);
+    const month = m ? MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1 : 0;
+    return month ? calendarDate(Number(m[3]), month, Number(m[1])) : null;
+  },
+  serial: parseSerial,
+};
+
+/**
+ * Parse one value in a given format.
+ *
+ * @param {string|number} raw
+ * @param {string} format - A DATE_FORMATS id
+ * @returns {Date|null} Local midnight, or null if the value does not fit
+ */
+export function parseDateAs(raw, format) {
+  const parser = PARSERS[format];
+  if (!parser) throw new Error(`Unknown date format "${format}".`);
+  const s = String(raw ?? '').trim();
+  return s ? parser(s) : null;
+}
+
+/**
+ * Label of a format id, e.g. "DD/MM/YYYY".
+ * @param {string} format
+ * @returns {string}
+ */
+export function dateFormatLabel(format) {
+  return DATE_FORMATS.find((f) => f.id === format)?.label || format;
+}
+
+/**
+ * Detect the format of a column of dates.
+ *
+ * Candidates are the formats that read every non-blank value. Candidates
+ * that give the same dates (e.g. 01/01 under DD/MM and MM/DD) are not in
+ * conflict. When no format reads every value the one reading the most is
+ * used, so the rest surface as row errors.
+ *
+ * @param {Array<string|number>} values
+ * @returns {{ format: string|null, candidates: string[], ambiguous: boolean }}
+ *   format: the detected id, or null when ambiguous or nothing fits
+ */
+export function detectDateFormat(values) {
+  const present = values.map((v) => String(v ?? '').trim()).filter(Boolean);
+  if (present.length === 0) return { format: null, candidates: [], ambiguous: false };
+
+  const results = DATE_FORMATS.map(({ id }) => {
+    const dates = present.map((s) => PARSERS[id](s));
+    return { id, dates, count: dates.filter(Boolean).length };
+  });
+
+  const full = results.filter((r) => r.count === present.length);
+  if (full.length > 0) {
+    const distinct = full.filter(
+      (r, i) => !full.slice(0, i).some((o) => o.dates.every((d, k) => d.getTime() === r.dates[k].getTime()))
+    );
+    const candidates = distinct.map((r) => r.id);
+    return distinct.length === 1
+      ? { format: candidates[0], candidates, ambiguous: false }
+      : { format: null, candidates, ambiguous: true };
+  }
+
+  const best = Math.max(...results.map((r) => r.count));
+  const leaders = results.filter((r) => r.count === best && best > 0);
+  return leaders.length === 1
+    ? { format: leaders[0].id, candidates: [], ambiguous: false }
+    : { format: null, candidates: leaders.map((r) => r.id), ambiguous: leaders.length > 1 };
+}
+
+/**
+ * Parse a column of dates with a pinned or detected format.
+ *
+ * @param {Array<string|number>} values
+ * @param {string} [format='auto'] - A DATE_FORMATS id, or 'auto' to detect
+ * @returns {{ dates: Array<Date|null>, format: string|null, candidates: string[], ambiguous: boolean }}
+ *   dates is empty when the format is ambiguous or undetectable
+ */
+export function parseDateColumn(values, format = 'auto') {
+  const detected = format === 'auto' ? detectDateFormat(values) : { format, candidates: [format], ambiguous: false };
+  if (!detected.format) return { ...detected, dates: [] };
+  return { ...detected, dates: values.map((v) => parseDateAs(v, detected.format)) };
+}
@@ -0,0 +1,118 @@
+/**
+ * Fee model for gross-of-fees and net-of-fees returns.
+ *
+ * Three kinds of fee are supported:
+ *
+ *   Ad-hoc fees       FEE cashflow transactions debited from the account
+ *   Management fee    Annual tiered rate on average invested capital, accrued
+ *                     for the period:  Σ rate_k × slice_k(C) × t
+ *   Performance fee   rate × max(0, EV − M − [max(BV, HWM) × (1 + h)^t + ΣCF])
+ *
+ * Where C = BV + Σ(w_i × CF_i) is the Modified Dietz average capital, t the
+ * period in years, M the management fee, h the annual hurdle rate, HWM the
+ * high-water mark and ΣCF the net external flows (fees excluded).
+ *
+ * Gross returns treat fees as external withdrawals; net returns keep them
+ * inside the portfolio as a cost. Scheduled fees are accrued at the period
+ * end — record fees that have actually been debited as FEE transactions
+ * instead, or they are counted twice.
+ *
+ * @module fees
+ */
+
+import { yearFraction } from './annualize';
+
+/**
+ * @typedef {Object} FeeTier
+ * @property {number|null} upTo - Upper bound of the tier (null = no limit)
+ * @property {number} rate      - Annual rate for capital within the tier (decimal)
+ */
+
+/**
+ * @typedef {Object} FeeSchedule
+ * @property {FeeTier[]} managementTiers   - Marginal tiers, ascending by `upTo`
+ * @property {number} performanceRate      - Share of outperformance charged (decimal)
+ * @property {number} hurdleRate           - Annual hurdle return (decimal)
+ * @property {number} highWaterMark        - Portfolio value the fee is only charged above (0 = none)
+ */
+
+/** A schedule that charges nothing. */
+export const EMPTY_FEE_SCHEDULE = {
+  managementTiers: [{ upTo: null, rate: 0 }],
+  performanceRate: 0,
+  hurdleRate: 0,
+  highWaterMark: 0,
+};
+
+/**
+ * Check whether a cashflow is a fee transaction.
+ * @param {{type?: string}} cf
+ * @returns {boolean}
+ */
+export function isFeeFlow(cf) {
+  return cf.type === 'FEE';
+}
+
+/**
+ * Annual management fee for a level of capital under marginal tiers.
+ *
+ * @param {number} capital
+ * @param {FeeTier[]} tiers
+ * @returns {number} Annual fee amount
+ */
+export function tieredManagementFee(capital, tiers) {
+  let fee = 0;
+  let floor = 0;
+  for (const tier of tiers) {
+    if (capital <= floor) break;
+    const ceiling = tier.upTo === null || !Number.isFinite(tier.upTo) ? capital : Math.min(capital, tier.upTo);
+    fee += Math.max(0, ceiling - floor) * tier.rate;
+    floor = tier.upTo ?? Infinity;
+  }
+  return fee;
+}
+
+/**
+ * Accrue scheduled fees for one period at portfolio level.
+ *
+ * @param {Object} params
+ * @param {number} params.beginningValue
+ * @param {number} params.endingValue     - Ending value before scheduled fees
+ * @param {number} params.averageCapital  - Modified Dietz denominator of the gross return
+ * @param {number} params.externalFlows   - Net external flows, fees excluded
+ * @param {Date} params.startDate
+ * @param {Date} params.endDate
+ * @param {FeeSchedule} params.schedule
+ * @param {import('./annualize').DayCount} [params.dayCount='act365']
+ * @returns {{ management: number, performance: number, total: number }}
+ * @throws {Error} If a tier or rate is invalid
+ */
+export function accrueScheduledFees({
+  beginningValue,
+  endingValue,
+  averageCapital,
+  externalFlows,
+  startDate,
+  endDate,
+  schedule,
+  dayCount = 'act365',
+}) {
+  const { managementTiers = [], performanceRate = 0, hurdleRate = 0, highWaterMark = 0 } = schedule || {};
+  if (managementTiers.some((t) => !Number.isFinite(t.rate) || t.rate < 0)) {
+    throw new Error('Management fee rates must be non-negative numbers.');
+  }
+  if (!Number.isFinite(performanceRate) || performanceRate < 0 || performanceRate > 1) {
+    throw new Error('Performance fee rate must be between 0% and 100%.');
+  }
+
+  const t = yearFraction(startDate, endDate, dayCount);
+  const management = tieredManagementFee(Math.max(0, averageCapital), managementTiers) * t;
+
+  let performance = 0;
+  if (performanceRate > 0) {
+    const hurdleValue = Math.max(beginningValue, highWaterMark || 0) * Math.pow(1 + (hurdleRate || 0), t) + externalFlows;
+    performance = performanceRate * Math.max(0, endingValue - management - hurdleValue);
+  }
+
+  return { management, performance, total: management + performance };
+}
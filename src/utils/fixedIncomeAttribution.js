@@ -0,0 +1,109 @@
+/**
+ * Fixed income return attribution (Campisi).
+ *
+ * Each bond's period return is decomposed into the parts a bond desk manages:
+ *
+ *   Income (carry)   = Yield × t
+ *   Treasury curve   = -ModDur × ΔTreasury yield
+ *   Spread change    = -ModDur × ΔSpread
+ *   Residual         = Total return - Income - Treasury - Spread
+ *
+ * t is the period length in years. The residual absorbs convexity, roll-down
+ * and pricing effects not captured by the duration approximation. Portfolio
+ * effects are the market-value-weighted sums of the holding effects.
+ *
+ * @module fixedIncomeAttribution
+ */
+
+const EFFECTS = ['income', 'treasury', 'spread', 'residual'];
+
+/**
+ * @typedef {Object} BondHolding
+ * @property {string} name
+ * @property {number} marketValue
+ * @property {number} modifiedDuration
+ * @property {number} yield            - Yield to maturity at period start (decimal, annual)
+ * @property {number} treasuryChange   - Change in the matched-maturity treasury yield (decimal)
+ * @property {number} spreadChange     - Change in the bond's spread over treasuries (decimal)
+ * @property {number} totalReturn      - Observed period return (decimal)
+ */
+
+/**
+ * @typedef {Object} BondAttribution
+ * @property {string} name
+ * @property {number} weight      - Share of portfolio market value
+ * @property {number} modifiedDuration
+ * @property {number} yield
+ * @property {number} totalReturn
+ * @property {number} income
+ * @property {number} treasury
+ * @property {number} spread
+ * @property {number} residual
+ */
+
+/**
+ * Run Campisi attribution over a set of bond holdings.
+ *
+ * @param {BondHolding[]} holdings
+ * @param {Object} options
+ * @param {number} options.periodYears - Length of the evaluation period in years
+ * @returns {{
+ *   holdings: BondAttribution[],
+ *   totals: { income: number, treasury: number, spread: number, residual: number, totalReturn: number },
+ *   portfolioDuration: number,
+ *   portfolioYield: number,
+ *   periodYears: number
+ * }}
+ *   Holding effects are in the holding's own return terms; `totals` are
+ *   contributions to the portfolio return.
+ * @throws {Error} If the period length is not positive or market values sum to zero
+ */
+export function campisiAttribution(holdings, { periodYears }) {
+  if (!Number.isFinite(periodYears) || periodYears <= 0) {
+    throw new Error('Period length must be a positive number of years.');
+  }
+
+  const totals = { income: 0, treasury: 0, spread: 0, residual: 0, totalReturn: 0 };
+  if (!holdings || holdings.length === 0) {
+    return { holdings: [], totals, portfolioDuration: 0, portfolioYield: 0, periodYears };
+  }
+
+  const totalValue = holdings.reduce((s, h) => s + h.marketValue, 0);
+  if (totalValue === 0) {
+    throw new Error('Bond market values sum to zero.');
+  }
+
+  let portfolioDuration = 0;
+  let portfolioYield = 0;
+
+  const results = holdings.map((h) => {
+    const weight = h.marketValue / totalValue;
+    const income = h.yield * periodYears;
+    const treasury = -h.modifiedDuration * h.treasuryChange;
+    const spread = -h.modifiedDuration * h.spreadChange;
+    const residual = h.totalReturn - income - treasury - spread;
+
+    const row = {
+      name: h.name,
+      weight,
+      modifiedDuration: h.modifiedDuration,
+      yield: h.yield,
+      treasuryChange: h.treasuryChange,
+      spreadChange: h.spreadChange,
+      totalReturn: h.totalReturn,
+      income,
+      treasury,
+      spread,
+      residual,
+    };
+
+    for (const effect of EFFECTS) totals[effect] += weight * row[effect];
+    totals.totalReturn += weight * h.totalReturn;
+    portfolioDuration += weight * h.modifiedDuration;
+    portfolioYield += weight * h.yield;
+
+    return row;
+  });
+
+  return { holdings: results, totals, portfolioDuration, portfolioYield, periodYears };
+}
@@ -0,0 +1,144 @@
+/**
+ * Geometric (Bacon) performance attribution.
+ *
+ * Decomposes the geometric excess return
+ *
+ *   G = (1 + Rp) / (1 + Rb) - 1
+ *
+ * into allocation and selection via the semi-notional return
+ * Rs = Σ(Wp_i × Rb_i) — the return of the portfolio's weights invested in
+ * the benchmark's asset-class returns:
+ *
+ *   Allocation_i = (Wp_i - Wb_i) × ((1 + Rb_i) / (1 + Rb) - 1)
+ *   Selection_i  = Wp_i × (Rp_i - Rb_i) / (1 + Rs)
+ *
+ * Totals compound rather than add: (1 + A) × (1 + S) = 1 + G, so period
+ * effects can be chained across periods like returns.
+ *
+ * @module geometricAttribution
+ */
+
+/**
+ * @typedef {Object} GeometricAssetAttribution
+ * @property {string} name
+ * @property {number} portfolioWeight
+ * @property {number} portfolioReturn
+ * @property {number} benchmarkWeight
+ * @property {number} benchmarkReturn
+ * @property {number} allocation   - Geometric allocation effect
+ * @property {number} selection    - Geometric selection effect
+ * @property {number} interaction  - Always 0 (selection uses portfolio weights)
+ * @property {number} total        - allocation + selection
+ */
+
+/**
+ * Run geometric attribution on a set of asset classes.
+ *
+ * Returns the same shape as {@link import('./brinsonFachler').brinsonFachler}
+ * so results can be rendered interchangeably; `totals.activeReturn` is the
+ * geometric excess return.
+ *
+ * @param {import('./brinsonFachler').AssetInput[]} assets - Weights and returns in DECIMAL form
+ * @returns {{
+ *   attribution: GeometricAssetAttribution[],
+ *   totals: { allocation: number, selection: number, interaction: number, activeReturn: number },
+ *   portfolioReturn: number,
+ *   benchmarkReturn: number,
+ *   semiNotionalReturn: number,
+ *   arithmeticActiveReturn: number,
+ *   totalPortfolioWeight: number,
+ *   totalBenchmarkWeight: number,
+ *   insight: string
+ * }}
+ */
+export function geometricAttribution(assets) {
+  if (!assets || assets.length === 0) {
+    return {
+      attribution: [],
+      totals: { allocation: 0, selection: 0, interaction: 0, activeReturn: 0 },
+      portfolioReturn: 0,
+      benchmarkReturn: 0,
+      semiNotionalReturn: 0,
+      arithmeticActiveReturn: 0,
+      totalPortfolioWeight: 0,
+      totalBenchmarkWeight: 0,
+      insight: 'No data to analyze.',
+    };
+  }
+
+  // Total weighted returns
+  let portfolioReturn = 0;
+  let benchmarkReturn = 0;
+  let semiNotionalReturn = 0;
+  let totalPortfolioWeight = 0;
+  let totalBenchmarkWeight = 0;
+
+  for (const a of assets) {
+    portfolioReturn += a.portfolioWeight * a.portfolioReturn;
+    benchmarkReturn += a.benchmarkWeight * a.benchmarkReturn;
+    semiNotionalReturn += a.portfolioWeight * a.benchmarkReturn;
+    totalPortfolioWeight += a.portfolioWeight;
+    totalBenchmarkWeight += a.benchmarkWeight;
+  }
+
+  // Attribution per asset
+  let totalAllocation = 0;
+  let totalSelection = 0;
+
+  const attribution = assets.map((a) => {
+    const allocation = (a.portfolioWeight - a.benchmarkWeight) * ((1 + a.benchmarkReturn) / (1 + benchmarkReturn) - 1);
+    const selection = (a.portfolioWeight * (a.portfolioReturn - a.benchmarkReturn)) / (1 + semiNotionalReturn);
+    const total = allocation + selection;
+
+    totalAllocation += allocation;
+    totalSelection += selection;
+
+    return { ...a, allocation, selection, interaction: 0, total };
+  });
+
+  const activeReturn = (1 + portfolioReturn) / (1 + benchmarkReturn) - 1;
+
+  // Dynamic insight
+  let maxPositive = { name: '', value: -Infinity, type: '' };
+  let maxNegative = { name: '', value: Infinity, type: '' };
+
+  for (const d of attribution) {
+    const effects = [
+      { value: d.allocation, type: 'Asset Allocation' },
+      { value: d.selection, type: 'Stock Selection' },
+    ];
+    for (const e of effects) {
+      if (e.value > maxPositive.value) maxPositive = { name: d.name, value: e.value, type: e.type };
+      if (e.value < maxNegative.value) maxNegative = { name: d.name, value: e.value, type: e.type };
+    }
+  }
+
+  const outperforming = activeReturn > 0;
+  const absPct = (v) => `${Math.abs(v * 100).toFixed(2)}%`;
+
+  let insight = `In geometric terms, the portfolio ${outperforming ? 'outperformed' : 'underperformed'} the benchmark by ${absPct(activeReturn)}. `;
+  insight += `Allocation ${totalAllocation >= 0 ? 'added' : 'cost'} ${absPct(totalAllocation)} and selection ${totalSelection >= 0 ? 'added' : 'cost'} ${absPct(totalSelection)}, compounding to the total. `;
+  if (maxPositive.value > 0) {
+    insight += `The largest positive contributor was ${maxPositive.type} in ${maxPositive.name} (+${absPct(maxPositive.value)}). `;
+  }
+  if (maxNegative.value < 0) {
+    insight += `The biggest detractor was ${maxNegative.type} in ${maxNegative.name} (-${absPct(maxNegative.value)}).`;
+  }
+
+  return {
+    attribution,
+    totals: {
+      allocation: totalAllocation,
+      selection: totalSelection,
+      interaction: 0,
+      activeReturn,
+    },
+    portfolioReturn,
+    benchmarkReturn,
+    semiNotionalReturn,
+    arithmeticActiveReturn: portfolioReturn - benchmarkReturn,
+    totalPortfolioWeight,
+    totalBenchmarkWeight,
+    insight,
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * Hierarchical (multi-level) Brinson attribution.
+ *
+ * Portfolios managed top-down (asset class → sector → security) are
+ * decomposed one decision layer at a time. Weights are RELATIVE to the parent
+ * node, so at every level the parent's active return is split Brinson-Fachler
+ * style among its children:
+ *
+ *   Rp_n - Rb_n = Σ_c (wp_c - wb_c)(Rb_c - Rb_n)      ← allocation at this level
+ *               + Σ_c  wp_c (Rp_c - Rb_c)              ← decomposed further below
+ *
+ * Each effect is scaled by the parent's absolute portfolio weight WP_n so it
+ * is expressed in total-portfolio terms. At leaves the remainder is split into
+ * selection Wb × (Rp - Rb) and interaction (Wp - Wb)(Rp - Rb).
+ *
+ * The node totals of the top level sum to the total active return. A flat
+ * tree (leaves only) reproduces single-level Brinson-Fachler exactly.
+ *
+ * @module hierarchicalAttribution
+ */
+
+const WEIGHT_TOLERANCE = 0.001;
+const RESIDUAL_TOLERANCE = 1e-10;
+
+/**
+ * @typedef {Object} HierarchyNode
+ * @property {string} name
+ * @property {number} portfolioWeight - Weight within the parent (decimal)
+ * @property {number} benchmarkWeight - Weight within the parent (decimal)
+ * @property {number} [portfolioReturn] - Required for leaves; derived from children otherwise
+ * @property {number} [benchmarkReturn] - Required for leaves; derived from children otherwise
+ * @property {HierarchyNode[]} [children]
+ */
+
+/**
+ * @typedef {Object} HierarchyAttribution
+ * @property {string} name
+ * @property {number} level                    - 0 for top-level groups
+ * @property {number} portfolioWeight          - Relative to parent
+ * @property {number} benchmarkWeight          - Relative to parent
+ * @property {number} absolutePortfolioWeight  - Share of the total portfolio
+ * @property {number} absoluteBenchmarkWeight  - Share of the total benchmark
+ * @property {number} portfolioReturn
+ * @property {number} benchmarkReturn
+ * @property {number} allocation   - Allocation decision at this node's level
+ * @property {number} selection    - Leaves: selection; groups: roll-up of everything below
+ * @property {number} interaction  - Leaves only (0 for groups)
+ * @property {number} total        - allocation + selection + interaction
+ * @property {HierarchyAttribution[]} children
+ */
+
+/**
+ * Weighted return of a set of children, normalizing by the weight sum.
+ */
+function weightedReturn(children, weightKey, returnKey) {
+  const totalWeight = children.reduce((s, c) => s + c[weightKey], 0);
+  if (totalWeight === 0) return 0;
+  return children.reduce((s, c) => s + c[weightKey] * c[returnKey], 0) / totalWeight;
+}
+
+/**
+ * Fill in group returns bottom-up from their children.
+ * @returns {Object} Copy of the node with returns resolved
+ */
+function resolveReturns(node) {
+  const children = (node.children || []).map(resolveReturns);
+  if (children.length === 0) {
+    return { ...node, children };
+  }
+  return {
+    ...node,
+    children,
+    portfolioReturn: weightedReturn(children, 'portfolioWeight', 'portfolioReturn'),
+    benchmarkReturn: weightedReturn(children, 'benchmarkWeight', 'benchmarkReturn'),
+  };
+}
+
+/**
+ * Run hierarchical attribution over a tree of groups.
+ *
+ * @param {HierarchyNode[]} roots - Top-level groups (weights relative to the total portfolio)
+ * @returns {{
+ *   nodes: HierarchyAttribution[],
+ *   totals: { allocation: number, selection: number, interaction: number, activeReturn: number },
+ *   allocationByLevel: number[],
+ *   portfolioReturn: number,
+ *   benchmarkReturn: number,
+ *   residual: number,
+ *   issues: string[]
+ * }}
+ *   `totals.selection` / `totals.interaction` are summed over leaves only;
+ *   `residual` is Σ effects − active return and should be ~0.
+ */
+export function hierarchicalAttribution(roots) {
+  if (!roots || roots.length === 0) {
+    return {
+      nodes: [],
+      totals: { allocation: 0, selection: 0, interaction: 0, activeReturn: 0 },
+      allocationByLevel: [],
+      portfolioReturn: 0,
+      benchmarkReturn: 0,
+      residual: 0,
+      issues: [],
+    };
+  }
+
+  const resolved = roots.map(resolveReturns);
+  const portfolioReturn = resolved.reduce((s, n) => s + n.portfolioWeight * n.portfolioReturn, 0);
+  const benchmarkReturn = resolved.reduce((s, n) => s + n.benchmarkWeight * n.benchmarkReturn, 0);
+
+  const issues = [];
+  const allocationByLevel = [];
+  let leafSelection = 0;
+  let leafInteraction = 0;
+
+  const checkWeights = (siblings, parentName) => {
+    const wp = siblings.reduce((s, c) => s + c.portfolioWeight, 0);
+    const wb = siblings.reduce((s, c) => s + c.benchmarkWeight, 0);
+    const where = parentName ? `within ${parentName}` : 'at the top level';
+    if (Math.abs(wp - 1) > WEIGHT_TOLERANCE) issues.push(`Portfolio weights ${where} sum to ${(wp * 100).toFixed(1)}% (expected 100%).`);
+    if (Math.abs(wb - 1) > WEIGHT_TOLERANCE) issues.push(`Benchmark weights ${where} sum to ${(wb * 100).toFixed(1)}% (expected 100%).`);
+  };
+
+  /**
+   * Attribute a set of siblings against their parent's benchmark return.
+   * @param {Object[]} siblings
+   * @param {{name: string, benchmarkReturn: number, absP: number, absB: number}} parent
+   * @param {number} level
+   */
+  const attributeLevel = (siblings, parent, level) => {
+    checkWeights(siblings, parent.name);
+
+    return siblings.map((node) => {
+      const absP = parent.absP * node.portfolioWeight;
+      const absB = parent.absB * node.benchmarkWeight;
+      const activeWeight = node.portfolioWeight - node.benchmarkWeight;
+      const allocation = parent.absP * activeWeight * (node.benchmarkReturn - parent.benchmarkReturn);
+      allocationByLevel[level] = (allocationByLevel[level] || 0) + allocation;
+
+      let selection;
+      let interaction;
+      let children = [];
+
+      if (node.children.length > 0) {
+        children = attributeLevel(node.children, { name: node.name, benchmarkReturn: node.benchmarkReturn, absP, absB }, level + 1);
+        selection = children.reduce((s, c) => s + c.total, 0);
+        interaction = 0;
+      } else {
+        selection = parent.absP * node.benchmarkWeight * (node.portfolioReturn - node.benchmarkReturn);
+        interaction = parent.absP * activeWeight * (node.portfolioReturn - node.benchmarkReturn);
+        leafSelection += selection;
+        leafInteraction += interaction;
+      }
+
+      return {
+        name: node.name,
+        level,
+        portfolioWeight: node.portfolioWeight,
+        benchmarkWeight: node.benchmarkWeight,
+        absolutePortfolioWeight: absP,
+        absoluteBenchmarkWeight: absB,
+        portfolioReturn: node.portfolioReturn,
+        benchmarkReturn: node.benchmarkReturn,
+        allocation,
+        selection,
+        interaction,
+        total: allocation + selection + interaction,
+        children,
+      };
+    });
+  };
+
+  const nodes = attributeLevel(resolved, { name: '', benchmarkReturn, absP: 1, absB: 1 }, 0);
+
+  const activeReturn = portfolioReturn - benchmarkReturn;
+  const totalAllocation = allocationByLevel.reduce((s, a) => s + (a || 0), 0);
+  const rollUp = nodes.reduce((s, n) => s + n.total, 0);
+  const residual = rollUp - activeReturn;
+  if (Math.abs(residual) > RESIDUAL_TOLERANCE) {
+    issues.push(`Roll-up differs from the active return by ${(residual * 100).toFixed(4)}% — check that weights sum to 100% at every level.`);
+  }
+
+  return {
+    nodes,
+    totals: {
+      allocation: totalAllocation,
+      selection: leafSelection,
+      interaction: leafInteraction,
+      activeReturn,
+    },
+    allocationByLevel,
+    portfolioReturn,
+    benchmarkReturn,
+    residual,
+    issues,
+  };
+}
@@ -0,0 +1,269 @@
+/**
+ * Security-level holdings and positions ledger.
+ *
+ * Each asset class is a sleeve of individual securities. Opening quantities
+ * and prices give the beginning value; the ledger rolls quantities forward to
+ * the end date, where closing prices give the ending value:
+ *
+ *   BV_class = Σ q0_s × P0_s
+ *   EV_class = Σ q1_s × P1_s + Σ dividends
+ *
+ * Ledger entries dated within [start, end] are applied in date order:
+ *
+ *   BUY       quantity × price enters the class   (INFLOW)
+ *   SELL      quantity × price leaves the class   (OUTFLOW)
+ *   DIVIDEND  cash earned inside the class         (INCOME, held in the sleeve)
+ *   SPLIT     corporate action — quantity × ratio, no cash
+ *
+ * {@link buildHoldingsHierarchy} groups the positions into an asset class →
+ * sector → security tree for multi-level attribution.
+ *
+ * @module holdings
+ */
+
+import { modifiedDietz, averageCapital } from './modifiedDietz';
+
+const EPS = 1e-9;
+
+/** Ledger transaction types, in display order. */
+export const LEDGER_TYPES = [
+  { id: 'BUY', label: 'Buy' },
+  { id: 'SELL', label: 'Sell' },
+  { id: 'DIVIDEND', label: 'Dividend' },
+  { id: 'SPLIT', label: 'Split (corporate action)' },
+];
+
+/**
+ * @typedef {Object} Security
+ * @property {string} symbol          - Unique identifier (ticker, ISIN)
+ * @property {string} name
+ * @property {string} assetClass      - Asset class the security belongs to
+ * @property {string} [classification] - Sector, region or sub-class
+ * @property {string} [currency]      - ISO currency code
+ * @property {number} quantity        - Quantity held at the start date
+ * @property {number} price           - Price at the start date
+ * @property {number|null} endPrice   - Price at the end date
+ */
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {Date} date
+ * @property {string} symbol
+ * @property {'BUY'|'SELL'|'DIVIDEND'|'SPLIT'} type
+ * @property {number} [quantity] - Units traded (BUY / SELL)
+ * @property {number} [price]    - Trade price (BUY / SELL)
+ * @property {number} [amount]   - Cash amount (DIVIDEND)
+ * @property {number} [ratio]    - New units per old unit (SPLIT)
+ * @property {string} [details]
+ */
+
+/**
+ * Cash value of a ledger entry, always positive.
+ * @param {LedgerEntry} entry
+ * @returns {number}
+ */
+export function ledgerAmount(entry) {
+  if (entry.type === 'BUY' || entry.type === 'SELL') return Math.abs((entry.quantity || 0) * (entry.price || 0));
+  if (entry.type === 'DIVIDEND') return Math.abs(entry.amount || 0);
+  return 0;
+}
+
+const inPeriod = (date, startDate, endDate) =>
+  date instanceof Date && date.getTime() >= startDate.getTime() && date.getTime() <= endDate.getTime();
+
+/**
+ * Roll opening holdings forward through the ledger.
+ *
+ * @param {Object} params
+ * @param {Security[]} params.securities
+ * @param {LedgerEntry[]} params.ledger
+ * @param {Date} params.startDate
+ * @param {Date} params.endDate
+ * @returns {{
+ *   positions: Array<{symbol, name, assetClass, classification, currency, beginningQuantity, endingQuantity,
+ *     beginningPrice, endingPrice, beginningValue, endingValue, income}>,
+ *   issues: string[]
+ * }}
+ * @throws {Error} If the period is invalid or a symbol is duplicated
+ */
+export function derivePositions({ securities, ledger = [], startDate, endDate }) {
+  if (!(startDate instanceof Date) || !(endDate instanceof Date) || endDate.getTime() <= startDate.getTime()) {
+    throw new Error('End date must be after start date.');
+  }
+
+  const issues = [];
+  const bySymbol = new Map();
+  for (const s of securities) {
+    if (bySymbol.has(s.symbol)) throw new Error(`Security "${s.symbol}" is listed more than once.`);
+    const endingPrice = Number.isFinite(s.endPrice) ? s.endPrice : s.price;
+    if (!Number.isFinite(s.endPrice)) issues.push(`${s.symbol}: no closing price — opening price used.`);
+    bySymbol.set(s.symbol, {
+      symbol: s.symbol,
+      name: s.name || s.symbol,
+      assetClass: s.assetClass,
+      classification: s.classification || '',
+      currency: s.currency || '',
+      beginningQuantity: s.quantity || 0,
+      endingQuantity: s.quantity || 0,
+      beginningPrice: s.price || 0,
+      endingPrice,
+      income: 0,
+    });
+  }
+
+  const entries = ledger
+    .filter((e) => inPeriod(e.date, startDate, endDate))
+    .sort((a, b) => a.date.getTime() - b.date.getTime());
+  const skipped = ledger.length - entries.length;
+  if (skipped > 0) issues.push(`${skipped} ledger entr${skipped !== 1 ? 'ies' : 'y'} outside the evaluation period ignored.`);
+
+  for (const e of entries) {
+    const position = bySymbol.get(e.symbol);
+    if (!position) {
+      issues.push(`${e.date.toLocaleDateString()}: unknown security "${e.symbol}" in ledger.`);
+      continue;
+    }
+    switch (e.type) {
+      case 'BUY':
+        position.endingQuantity += e.quantity || 0;
+        break;
+      case 'SELL':
+        position.endingQuantity -= e.quantity || 0;
+        if (position.endingQuantity < -EPS) {
+          issues.push(`${e.date.toLocaleDateString()}: sale of ${e.symbol} exceeds the quantity held.`);
+        }
+        break;
+      case 'DIVIDEND':
+        position.income += ledgerAmount(e);
+        break;
+      case 'SPLIT':
+        if (!Number.isFinite(e.ratio) || e.ratio <= 0) {
+          issues.push(`${e.date.toLocaleDateString()}: split of ${e.symbol} needs a positive ratio.`);
+        } else {
+          position.endingQuantity *= e.ratio;
+        }
+        break;
+      default:
+        issues.push(`${e.date.toLocaleDateString()}: unknown ledger type "${e.type}".`);
+    }
+  }
+
+  const positions = [...bySymbol.values()].map((p) => ({
+    ...p,
+    beginningValue: p.beginningQuantity * p.beginningPrice,
+    endingValue: p.endingQuantity * p.endingPrice,
+  }));
+
+  return { positions, issues };
+}
+
+/**
+ * Roll positions up to asset-class market values. Dividends stay in the
+ * sleeve, so they are part of the class ending value.
+ *
+ * @param {ReturnType<typeof derivePositions>['positions']} positions
+ * @returns {Array<{name: string, beginningValue: number, endingValue: number}>}
+ *   One entry per asset class, in first-seen order
+ */
+export function deriveAssetValues(positions) {
+  const classes = new Map();
+  for (const p of positions) {
+    const c = classes.get(p.assetClass) || { name: p.assetClass, beginningValue: 0, endingValue: 0 };
+    c.beginningValue += p.beginningValue;
+    c.endingValue += p.endingValue + p.income;
+    classes.set(p.assetClass, c);
+  }
+  return [...classes.values()];
+}
+
+/**
+ * Convert ledger entries into asset-class cashflows for the return engine.
+ * Splits carry no cash and are omitted.
+ *
+ * @param {Security[]} securities
+ * @param {LedgerEntry[]} ledger
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Array<{date, amount, assetClass, symbol, details, type, rawAmount, source: 'ledger'}>}
+ */
+export function ledgerCashflows(securities, ledger, startDate, endDate) {
+  const classOf = new Map(securities.map((s) => [s.symbol, s.assetClass]));
+  const TYPE_MAP = { BUY: 'INFLOW', SELL: 'OUTFLOW', DIVIDEND: 'INCOME' };
+  return ledger
+    .filter((e) => TYPE_MAP[e.type] && classOf.has(e.symbol) && inPeriod(e.date, startDate, endDate))
+    .map((e) => {
+      const rawAmount = ledgerAmount(e);
+      return {
+        date: e.date,
+        amount: e.type === 'SELL' ? -rawAmount : rawAmount,
+        assetClass: classOf.get(e.symbol),
+        symbol: e.symbol,
+        details: e.details || `${e.type} ${e.symbol}`,
+        type: TYPE_MAP[e.type],
+        rawAmount,
+        source: 'ledger',
+      };
+    });
+}
+
+/**
+ * Build an asset class → sector → security hierarchy for multi-level
+ * attribution. Security returns are Modified Dietz on the security's ledger
+ * flows, and weights are the matching average capital (BV + Σ w × CF)
+ * relative to the parent, so a security bought during the period is weighted
+ * for the time it was held. Benchmark weights and returns are left at zero
+ * for the user to fill in.
+ *
+ * @param {ReturnType<typeof derivePositions>['positions']} positions
+ * @param {ReturnType<typeof ledgerCashflows>} flows - Ledger cashflows (income is ignored)
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {import('./hierarchicalAttribution').HierarchyNode[]}
+ */
+export function buildHoldingsHierarchy(positions, flows, startDate, endDate) {
+  const share = (value, total) => (Math.abs(total) < EPS ? 0 : value / total);
+  const groupBy = (items, key) => {
+    const groups = new Map();
+    for (const item of items) {
+      const name = item[key] || 'Unclassified';
+      groups.set(name, [...(groups.get(name) || []), item]);
+    }
+    return groups;
+  };
+  const securityFlows = (p) => flows.filter((cf) => cf.symbol === p.symbol && cf.type !== 'INCOME');
+  const securityReturn = (p) => {
+    try {
+      return modifiedDietz({ beginningValue: p.beginningValue, endingValue: p.endingValue + p.income, cashflows: securityFlows(p), startDate, endDate });
+    } catch {
+      return 0;
+    }
+  };
+  const capitalOf = new Map(positions.map((p) => [p, averageCapital(p.beginningValue, securityFlows(p), startDate, endDate)]));
+  const capital = (items) => items.reduce((sum, p) => sum + capitalOf.get(p), 0);
+  const totalCapital = capital(positions);
+
+  return [...groupBy(positions, 'assetClass')].map(([className, classPositions]) => {
+    const classCapital = capital(classPositions);
+    return {
+      name: className,
+      portfolioWeight: share(classCapital, totalCapital),
+      benchmarkWeight: 0,
+      children: [...groupBy(classPositions, 'classification')].map(([sector, sectorPositions]) => {
+        const sectorCapital = capital(sectorPositions);
+        return {
+          name: sector,
+          portfolioWeight: share(sectorCapital, classCapital),
+          benchmarkWeight: 0,
+          children: sectorPositions.map((p) => ({
+            name: p.name,
+            portfolioWeight: share(capitalOf.get(p), sectorCapital),
+            portfolioReturn: securityReturn(p),
+            benchmarkWeight: 0,
+            benchmarkReturn: 0,
+            children: [],
+          })),
+        };
+      }),
+    };
+  });
+}
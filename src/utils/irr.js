@@ -0,0 +1,182 @@
+/**
+ * Internal rate of return (IRR) and money-weighted return (MWR).
+ *
+ * Solves for the rate r at which the net present value of a dated cashflow
+ * series is zero:
+ *
+ *   NPV(r) = Σ a_i / (1 + r)^t_i = 0
+ *
+ * Newton-Raphson is tried first from the supplied guess; if it fails to
+ * converge or leaves the domain r > -1, the root is bracketed and found by
+ * bisection. A series whose flows AND cumulative flows both change sign more
+ * than once may have several roots (Descartes / Norström) — the solution is
+ * still returned, with a warning.
+ *
+ * @module irr
+ */
+
+const MIN_RATE = -0.999999;
+
+// Rates scanned, in order, to bracket a root for the bisection fallback
+const BRACKET_GRID = (() => {
+  const grid = [MIN_RATE, -0.99, -0.9, -0.75, -0.5, -0.25, -0.1];
+  for (let r = 0; r < 1; r += 0.05) grid.push(Number(r.toFixed(2)));
+  for (let r = 1; r <= 1e6; r *= 2) grid.push(r);
+  return grid;
+})();
+
+/**
+ * Net present value and its derivative at rate r.
+ * @returns {{ npv: number, dnpv: number }}
+ */
+function npvAt(amounts, times, r) {
+  let npv = 0;
+  let dnpv = 0;
+  for (let i = 0; i < amounts.length; i++) {
+    const disc = Math.pow(1 + r, -times[i]);
+    npv += amounts[i] * disc;
+    dnpv += (-times[i] * amounts[i] * disc) / (1 + r);
+  }
+  return { npv, dnpv };
+}
+
+/**
+ * Count sign changes in a cashflow series ordered by time (zeros skipped).
+ * @param {number[]} amounts
+ * @returns {number}
+ */
+function countSignChanges(amounts) {
+  let changes = 0;
+  let prev = 0;
+  for (const a of amounts) {
+    if (a === 0) continue;
+    if (prev !== 0 && Math.sign(a) !== Math.sign(prev)) changes++;
+    prev = a;
+  }
+  return changes;
+}
+
+/**
+ * Solve for the IRR of a cashflow series at arbitrary time offsets.
+ *
+ * @param {number[]} amounts - Signed amounts (investor perspective: − paid in, + received)
+ * @param {number[]} times   - Time offset of each amount, in the unit the rate is expressed in
+ * @param {Object} [options]
+ * @param {number} [options.guess=0.1]          - Starting point for Newton-Raphson
+ * @param {number} [options.tolerance=1e-10]    - Convergence tolerance on the rate
+ * @param {number} [options.maxIterations=100]  - Iteration cap for each method
+ * @returns {{ rate: number, iterations: number, method: 'newton'|'bisection', warnings: string[] }}
+ * @throws {Error} If the series has no sign change or no root can be found
+ */
+export function irr(amounts, times, { guess = 0.1, tolerance = 1e-10, maxIterations = 100 } = {}) {
+  if (amounts.length !== times.length || amounts.length < 2) {
+    throw new Error('IRR needs at least two cashflows with matching time offsets.');
+  }
+  if (!amounts.every(Number.isFinite) || !times.every(Number.isFinite)) {
+    throw new Error('IRR cashflows and time offsets must be finite numbers.');
+  }
+
+  const ordered = amounts.map((_, i) => i).sort((a, b) => times[a] - times[b]).map((i) => amounts[i]);
+  const signChanges = countSignChanges(ordered);
+  if (signChanges === 0) {
+    throw new Error('Cashflows never change sign — IRR is undefined.');
+  }
+
+  const warnings = [];
+  let cumulative = 0;
+  const cumulativeChanges = countSignChanges(ordered.map((a) => (cumulative += a)));
+  if (signChanges > 1 && cumulativeChanges > 1) {
+    warnings.push(`Cashflows change sign ${signChanges} times — multiple IRRs may exist.`);
+  }
+
+  // ── Newton-Raphson ──────────────────────────────────────────
+  let r = guess;
+  for (let i = 1; i <= maxIterations; i++) {
+    const { npv, dnpv } = npvAt(amounts, times, r);
+    if (!Number.isFinite(npv) || !Number.isFinite(dnpv) || dnpv === 0) break;
+    const next = r - npv / dnpv;
+    if (!Number.isFinite(next) || next <= MIN_RATE) break;
+    if (Math.abs(next - r) < tolerance) {
+      return { rate: next, iterations: i, method: 'newton', warnings };
+    }
+    r = next;
+  }
+
+  // ── Bisection fallback: bracket the lowest root on the grid ──
+  let lo = NaN;
+  let hi = NaN;
+  let fLo = NaN;
+  for (let i = 1; i < BRACKET_GRID.length; i++) {
+    const a = npvAt(amounts, times, BRACKET_GRID[i - 1]).npv;
+    const b = npvAt(amounts, times, BRACKET_GRID[i]).npv;
+    if (Number.isFinite(a) && Number.isFinite(b) && Math.sign(a) !== Math.sign(b)) {
+      lo = BRACKET_GRID[i - 1];
+      hi = BRACKET_GRID[i];
+      fLo = a;
+      break;
+    }
+  }
+  if (!Number.isFinite(lo)) {
+    throw new Error('IRR did not converge — no rate in range sets NPV to zero.');
+  }
+
+  for (let i = 1; i <= maxIterations; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npvAt(amounts, times, mid).npv;
+    if (fMid === 0 || (hi - lo) / 2 < tolerance) {
+      return { rate: mid, iterations: i, method: 'bisection', warnings };
+    }
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+
+  throw new Error(`IRR did not converge within ${maxIterations} iterations.`);
+}
+
+/**
+ * Money-weighted (internal) rate of return over the evaluation period.
+ *
+ * Solves BV × (1 + R) + Σ CF_i × (1 + R)^w_i = EV for the period rate R,
+ * with w_i = (t1 − t_i) / (t1 − t0) — the exact form that Modified Dietz
+ * linearizes.
+ *
+ * @param {Object} params
+ * @param {number} params.beginningValue - Beginning market value (BV)
+ * @param {number} params.endingValue    - Ending market value (EV)
+ * @param {Array<{date: Date, amount: number}>} params.cashflows - Signed flows (+INFLOW, −OUTFLOW)
+ * @param {Date} params.startDate
+ * @param {Date} params.endDate
+ * @returns {{ periodReturn: number, warnings: string[] }} Period MWR in decimal form
+ * @throws {Error} If inputs are invalid or the solver fails
+ */
+export function moneyWeightedReturn({ beginningValue, endingValue, cashflows = [], startDate, endDate }) {
+  if (!Number.isFinite(beginningValue) || !Number.isFinite(endingValue)) {
+    throw new Error('Beginning value and ending value must be finite numbers.');
+  }
+  if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
+    throw new Error('Start date and end date must be valid Date objects.');
+  }
+  const T = endDate.getTime() - startDate.getTime();
+  if (T <= 0) {
+    throw new Error('End date must be after start date.');
+  }
+
+  const validFlows = cashflows.filter(
+    (cf) =>
+      cf.date instanceof Date &&
+      cf.date.getTime() >= startDate.getTime() &&
+      cf.date.getTime() <= endDate.getTime() &&
+      Number.isFinite(cf.amount)
+  );
+
+  // Investor perspective, time measured in fractions of the period
+  const amounts = [-beginningValue, ...validFlows.map((cf) => -cf.amount), endingValue];
+  const times = [0, ...validFlows.map((cf) => (cf.date.getTime() - startDate.getTime()) / T), 1];
+
+  const { rate, warnings } = irr(amounts, times, { guess: 0 });
+  return { periodReturn: rate, warnings };
+}
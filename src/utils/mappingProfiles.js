@@ -0,0 +1,74 @@
+/**
+ * Named column-mapping profiles, one per custodian file layout.
+ *
+ * Profiles are kept in the workspace store (`mappingProfiles`), shared by
+ * all portfolios and saved with the rest of the workspace. A profile is
+ * re-applied automatically when a new file of the same kind contains every
+ * header the profile maps.
+ *
+ * @module mappingProfiles
+ */
+
+// Where profiles were kept before they moved into the workspace store
+const LEGACY_STORAGE_KEY = 'ipas.mappingProfiles';
+
+/**
+ * @typedef {Object} MappingProfile
+ * @property {string} id
+ * @property {string} name                     - e.g. the custodian
+ * @property {string} schema                   - Key of csvParser COLUMN_SCHEMAS
+ * @property {Object<string, string>} mapping  - { targetField → rawHeader }
+ * @property {string} savedAt                  - ISO timestamp
+ */
+
+/**
+ * Profiles saved to localStorage by earlier releases, to seed the store.
+ * @returns {MappingProfile[]}
+ */
+export function loadLegacyProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Add a profile, replacing any profile of the same schema and name.
+ *
+ * @param {MappingProfile[]} profiles
+ * @param {{name: string, schema: string, mapping: Object<string, string>}} profile
+ * @returns {MappingProfile[]} The updated list
+ * @throws {Error} If the name is blank
+ */
+export function upsertProfile(profiles, { name, schema, mapping }) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Profile name is required.');
+  const others = profiles.filter((p) => !(p.schema === schema && p.name === trimmed));
+  const profile = {
+    id: `${schema}_${Date.now()}`,
+    name: trimmed,
+    schema,
+    mapping: Object.fromEntries(Object.entries(mapping).filter(([, raw]) => raw)),
+    savedAt: new Date().toISOString(),
+  };
+  return [...others, profile];
+}
+
+/**
+ * Most recently saved profile of a schema whose mapped headers all appear
+ * in the file.
+ *
+ * @param {MappingProfile[]} profiles
+ * @param {string} schema
+ * @param {string[]} headers
+ * @returns {MappingProfile|null}
+ */
+export function findProfile(profiles, schema, headers) {
+  return (
+    profiles
+      .filter((p) => p.schema === schema && Object.values(p.mapping).every((raw) => headers.includes(raw)))
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt))[0] || null
+  );
+}
@@ -8,15 +8,64 @@
  *   R = (EV - BV - ΣCF) / (BV + Σ(w_i × CF_i))
  *
  * Where:
- *   w_i = (t1 - t_i) / (t1 - t0)          — time weight clipped to [0, 1]
+ *   w_i = (CD - D_i + k) / CD            — time weight in [0, 1]
+ *   CD  = calendar days from t0 to t1
+ *   D_i = calendar days from t0 to the flow, counting a flow on t0 as day 1
+ *   k   = 1 (start of day), 0.5 (mid-day) or 0 (end of day)
  *   CF_i is signed: +INFLOW, −OUTFLOW
  *
+ * Weights are counted in whole calendar days, so the time of day and time
+ * zone of a cashflow's timestamp never change its weight. The start date is
+ * the period's first day, so the timing convention applies to its flows as
+ * to any other day's: a flow at the start of t0 is invested for the whole
+ * period, one at its end for all but one day. A flow on the end date is
+ * invested for k days.
+ *
  * @module modifiedDietz
  */
 
-import { annualize } from './annualize';
+import { annualizeWithPolicy, yearFraction } from './annualize';
+import { trueTimeWeightedReturn, chainReturns, isSameDay } from './twr';
+import { moneyWeightedReturn } from './irr';
+import { EMPTY_FEE_SCHEDULE, accrueScheduledFees, isFeeFlow } from './fees';
 
 const EPS = 1e-12;
+// Transfer legs on a day may differ by rounding, not by more
+const TRANSFER_TOLERANCE = 0.01;
+const MS_PER_DAY = 86_400_000;
+
+/** @typedef {'start'|'mid'|'end'} CashflowTiming */
+
+// Fraction of its own day a flow is invested for under each timing convention
+const TIMING_OFFSETS = { start: 1, mid: 0.5, end: 0 };
+
+/** Whole calendar days from a to b (local dates, DST-safe). */
+function daysBetween(a, b) {
+  const ua = Date.UTC(a.getFullYear(), a.getMonth(), a.getDate());
+  const ub = Date.UTC(b.getFullYear(), b.getMonth(), b.getDate());
+  return Math.round((ub - ua) / MS_PER_DAY);
+}
+
+/**
+ * Day-based Modified Dietz weight of a cashflow.
+ *
+ * @param {Date} date       - Cashflow date
+ * @param {Date} startDate  - Period start date (t0)
+ * @param {Date} endDate    - Period end date (t1)
+ * @param {CashflowTiming} [timing='end'] - When during its day the flow occurs
+ * @returns {number|null} Weight in [0, 1], or null when the flow falls outside the period
+ * @throws {Error} If the timing convention is unknown
+ */
+export function cashflowWeight(date, startDate, endDate, timing = 'end') {
+  const offset = TIMING_OFFSETS[timing];
+  if (offset === undefined) {
+    throw new Error(`Unknown cashflow timing convention "${timing}".`);
+  }
+  const totalDays = daysBetween(startDate, endDate);
+  const day = daysBetween(startDate, date);
+  if (totalDays <= 0 || day < 0 || day > totalDays) return null;
+  return (totalDays - Math.max(day, 1) + offset) / totalDays;
+}
 
 /**
  * Compute the Modified Dietz return for a single asset or portfolio.
@@ -29,10 +78,11 @@ const EPS = 1e-12;
  *   (positive = inflow, negative = outflow).
  * @param {Date} params.startDate - Period start date (t0)
  * @param {Date} params.endDate   - Period end date (t1)
+ * @param {CashflowTiming} [params.timing='end'] - Cashflow timing convention
  * @returns {number} Period return in decimal form (0.05 = 5%)
  * @throws {Error} If inputs are invalid or denominator is unstable
  */
-export function modifiedDietz({ beginningValue, endingValue, cashflows = [], startDate, endDate }) {
+export function modifiedDietz({ beginningValue, endingValue, cashflows = [], startDate, endDate, timing = 'end' }) {
   // ── Validation ──────────────────────────────────────────────
   if (!Number.isFinite(beginningValue) || !Number.isFinite(endingValue)) {
     throw new Error('Beginning value and ending value must be finite numbers.');
@@ -41,30 +91,18 @@ export function modifiedDietz({ beginningValue, endingValue, cashflows = [], sta
     throw new Error('Start date and end date must be valid Date objects.');
   }
 
-  const T = endDate.getTime() - startDate.getTime(); // total period in ms
-  if (T <= 0) {
+  if (daysBetween(startDate, endDate) <= 0) {
     throw new Error('End date must be after start date.');
   }
 
   // ── Filter & clean cashflows ────────────────────────────────
-  const validFlows = cashflows.filter(
-    (cf) =>
-      cf.date instanceof Date &&
-      cf.date.getTime() >= startDate.getTime() &&
-      cf.date.getTime() <= endDate.getTime() &&
-      Number.isFinite(cf.amount)
-  );
+  const validFlows = computeCashflowWeights(cashflows, startDate, endDate, timing);
 
   // ── Sum of cashflows ────────────────────────────────────────
   const sumCF = validFlows.reduce((acc, cf) => acc + cf.amount, 0);
 
   // ── Weighted cashflow sum for denominator ───────────────────
-  let weightedCF = 0;
-  for (const cf of validFlows) {
-    const wi = (endDate.getTime() - cf.date.getTime()) / T;
-    const wClamped = Math.max(0, Math.min(1, wi));
-    weightedCF += wClamped * cf.amount;
-  }
+  const weightedCF = validFlows.reduce((acc, cf) => acc + cf.weightedAmount, 0);
 
   // ── Denominator stability guard ─────────────────────────────
   const denominator = beginningValue + weightedCF;
@@ -84,115 +122,500 @@ export function modifiedDietz({ beginningValue, endingValue, cashflows = [], sta
  * @param {Array<{date: Date, amount: number}>} cashflows
  * @param {Date} startDate
  * @param {Date} endDate
+ * @param {CashflowTiming} [timing='end']
  * @returns {Array<{date: Date, amount: number, weight: number, weightedAmount: number}>}
+ *   Only flows dated within the period; weights are day-based.
  */
-export function computeCashflowWeights(cashflows, startDate, endDate) {
-  const T = endDate.getTime() - startDate.getTime();
-  if (T <= 0) return [];
+export function computeCashflowWeights(cashflows, startDate, endDate, timing = 'end') {
+  if (daysBetween(startDate, endDate) <= 0) return [];
 
   return cashflows
-    .filter(
-      (cf) =>
-        cf.date instanceof Date &&
-        cf.date.getTime() >= startDate.getTime() &&
-        cf.date.getTime() <= endDate.getTime() &&
-        Number.isFinite(cf.amount)
-    )
-    .map((cf) => {
-      const w = Math.max(0, Math.min(1, (endDate.getTime() - cf.date.getTime()) / T));
-      return {
-        ...cf,
-        weight: w,
-        weightedAmount: w * cf.amount,
-      };
+    .filter((cf) => cf.date instanceof Date && !isNaN(cf.date.getTime()) && Number.isFinite(cf.amount))
+    .map((cf) => ({ cf, w: cashflowWeight(cf.date, startDate, endDate, timing) }))
+    .filter(({ w }) => w !== null)
+    .map(({ cf, w }) => ({
+      ...cf,
+      weight: w,
+      weightedAmount: w * cf.amount,
+    }));
+}
+
+/**
+ * Check whether a cashflow is an internal income event (dividend, coupon,
+ * rent). Income is earned inside the asset and is not an external flow.
+ * @param {{type?: string}} cf
+ * @returns {boolean}
+ */
+export function isIncomeFlow(cf) {
+  return cf.type === 'INCOME';
+}
+
+/**
+ * Check whether a cashflow is an internal transfer between asset classes.
+ * A transfer is a flow for each asset class but not for the portfolio.
+ * @param {{type?: string}} cf
+ * @returns {boolean}
+ */
+export function isTransferFlow(cf) {
+  return cf.type === 'TRANSFER';
+}
+
+/**
+ * Modified Dietz average invested capital: BV + Σ(w_i × CF_i).
+ *
+ * @param {number} beginningValue
+ * @param {Array<{date: Date, amount: number}>} cashflows - External flows
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {CashflowTiming} [timing='end']
+ * @returns {number}
+ */
+export function averageCapital(beginningValue, cashflows, startDate, endDate, timing = 'end') {
+  return beginningValue + computeCashflowWeights(cashflows, startDate, endDate, timing).reduce((sum, cf) => sum + cf.weightedAmount, 0);
+}
+
+/**
+ * Find the days on which the net external cashflow is large enough, relative
+ * to the beginning value, to require revaluing the portfolio.
+ *
+ * Flows on the start and end dates are ignored — they already coincide with
+ * a valuation.
+ *
+ * @param {Array<{date: Date, amount: number}>} cashflows
+ * @param {number} beginningValue
+ * @param {number} threshold - Share of beginning value (0.1 = 10%); 0 or less disables detection
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Array<{date: Date, amount: number, share: number}>}
+ *   One entry per offending day, ascending; `amount` is the day's net flow.
+ */
+export function findLargeCashflows(cashflows, beginningValue, threshold, startDate, endDate) {
+  if (!(threshold > 0) || !(beginningValue > 0)) return [];
+  const totalDays = daysBetween(startDate, endDate);
+
+  const byDay = new Map();
+  for (const cf of cashflows) {
+    if (!(cf.date instanceof Date) || !Number.isFinite(cf.amount)) continue;
+    const day = daysBetween(startDate, cf.date);
+    if (day <= 0 || day >= totalDays) continue;
+    const entry = byDay.get(day) || { date: cf.date, amount: 0 };
+    entry.amount += cf.amount;
+    byDay.set(day, entry);
+  }
+
+  return [...byDay.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([, flow]) => ({ ...flow, share: Math.abs(flow.amount) / beginningValue }))
+    .filter((flow) => flow.share >= threshold);
+}
+
+/**
+ * Modified Dietz with revaluation: the period is split at each break date,
+ * Modified Dietz is applied to every sub-period and the results are chained.
+ *
+ * Valuations are taken immediately before the flows on their date, so those
+ * flows open the following sub-period with full weight.
+ *
+ * @param {Object} params - As for {@link modifiedDietz}, plus:
+ * @param {Array<{date: Date, value: number}>} params.valuations
+ * @param {Date[]} params.breakDates - Dates strictly inside the period, ascending
+ * @returns {{ periodReturn: number, subPeriods: Array<{start: Date, end: Date, beginningValue: number, endingValue: number, periodReturn: number}> }}
+ * @throws {Error} If a break date has no valuation or a sub-period return cannot be computed
+ */
+export function splitModifiedDietz({
+  beginningValue,
+  endingValue,
+  cashflows = [],
+  valuations = [],
+  breakDates,
+  startDate,
+  endDate,
+  timing = 'end',
+}) {
+  const closes = breakDates.map((date) => {
+    const valuation = valuations.find((v) => isSameDay(v.date, date));
+    if (!valuation || !Number.isFinite(valuation.value)) {
+      throw new Error(`Missing valuation on ${date.toLocaleDateString()}.`);
+    }
+    return { date, value: valuation.value };
+  });
+  closes.push({ date: endDate, value: endingValue });
+
+  const subPeriods = [];
+  let start = startDate;
+  let openValue = beginningValue;
+  for (const [i, close] of closes.entries()) {
+    const isLast = i === closes.length - 1;
+    const flows = cashflows.filter((cf) => {
+      if (!(cf.date instanceof Date)) return false;
+      const untilClose = daysBetween(cf.date, close.date);
+      return daysBetween(start, cf.date) >= 0 && (isLast ? untilClose >= 0 : untilClose > 0);
     });
+    // Flows on a break date were made after its valuation: they join the opening value
+    const opening = i > 0 ? flows.filter((cf) => daysBetween(start, cf.date) === 0) : [];
+    const periodReturn = modifiedDietz({
+      beginningValue: openValue + opening.reduce((sum, cf) => sum + cf.amount, 0),
+      endingValue: close.value,
+      cashflows: flows.filter((cf) => !opening.includes(cf)),
+      startDate: start,
+      endDate: close.date,
+      timing,
+    });
+    subPeriods.push({ start, end: close.date, beginningValue: openValue, endingValue: close.value, periodReturn });
+    start = close.date;
+    openValue = close.value;
+  }
+
+  return { periodReturn: chainReturns(subPeriods.map((sp) => sp.periodReturn)), subPeriods };
 }
 
 /**
  * Compute per-asset returns and portfolio-level aggregation.
  *
+ * Both Modified Dietz and true TWR are computed; `periodReturn` carries the
+ * one selected by `methodology`. If TWR cannot be computed (e.g. a missing
+ * valuation) the Modified Dietz return is used and the reason is reported.
+ * The money-weighted return (period IRR) is computed alongside for comparison.
+ *
+ * Days whose net portfolio flow reaches `largeFlowThreshold` × beginning value
+ * are reported in `issues`. Where every asset class has been valued on those
+ * days, Modified Dietz is applied per sub-period and chained; otherwise it
+ * runs across the whole period and the missing valuations are reported.
+ *
+ * Returns are gross of fees: FEE transactions count as external withdrawals.
+ * TAX transactions are withdrawals in both the gross and the net return.
+ * `netReturn` keeps them inside the portfolio and deducts the fees accrued
+ * under `feeSchedule` from the ending value; portfolio-level scheduled fees
+ * are allocated to asset classes by beginning value. Under true TWR the net
+ * return applies the Modified Dietz fee drag to the TWR.
+ *
+ * INCOME events are internal: they are excluded from the external flows and
+ * split each return into an income return (income / Modified Dietz average
+ * capital) and a capital return (the remainder).
+ *
+ * TRANSFER flows move money between asset classes: they are flows for each
+ * asset class but not for the portfolio, and transfers that do not net to
+ * zero on a day are reported.
+ *
  * @param {Object} params
  * @param {Array<{name: string, beginningValue: number, endingValue: number}>} params.assets
- * @param {Array<{date: Date, amount: number, assetClass: string}>} params.cashflows
+ * @param {Array<{date: Date, amount: number, assetClass: string, type?: string}>} params.cashflows
+ * @param {Array<{date: Date, assetClass: string, value: number}>} [params.valuations]
+ *   Intra-period valuations per asset class, taken immediately before the flows on that date.
  * @param {Date} params.startDate
  * @param {Date} params.endDate
+ * @param {'dietz'|'twr'} [params.methodology='dietz'] - Methodology used for `periodReturn`
+ * @param {import('./fees').FeeSchedule} [params.feeSchedule] - Scheduled fees; none by default
+ * @param {CashflowTiming} [params.timing='end'] - Cashflow timing convention for Modified Dietz weights
+ * @param {number} [params.largeFlowThreshold=0] - Large cashflow threshold as a share of portfolio BV; 0 disables
+ * @param {import('./annualize').DayCount} [params.dayCount='act365'] - Day-count convention for annualizing
+ * @param {import('./annualize').ShortPeriodPolicy} [params.shortPeriodPolicy='annualize']
+ *   Treatment of annualized figures for periods shorter than one year
  * @returns {{
- *   assetResults: Array<{name, beginningValue, endingValue, weight, periodReturn, annualizedReturn, contribution}>,
- *   portfolio: {beginningValue, endingValue, periodReturn, annualizedReturn},
+ *   assetResults: Array<{name, beginningValue, endingValue, weight, dietzReturn, twrReturn, mwrReturn, periodReturn, annualizedReturn, contribution, netReturn, netContribution, fees,
+ *     income, incomeReturn, capitalReturn, incomeContribution, capitalContribution}>,
+ *   portfolio: {beginningValue, endingValue, dietzReturn, twrReturn, mwrReturn, periodReturn, annualizedReturn, netReturn, netAnnualizedReturn,
+ *     income, incomeReturn, capitalReturn},
+ *   fees: {transactions: number, management: number, performance: number, total: number},
+ *   methodology: string,
+ *   timing: CashflowTiming,
+ *   largeCashflows: Array<{date: Date, amount: number, share: number, valued: boolean}>,
+ *   annualization: {dayCount: string, yearFraction: number, shortPeriod: boolean, policy: string},
  *   issues: string[]
  * }}
+ *   `annualizedReturn` is NaN when the period is under a year and the policy is 'suppress'.
  */
-export function computePortfolioReturns({ assets, cashflows = [], startDate, endDate }) {
+export function computePortfolioReturns({
+  assets,
+  cashflows = [],
+  valuations = [],
+  startDate,
+  endDate,
+  methodology = 'dietz',
+  feeSchedule = EMPTY_FEE_SCHEDULE,
+  timing = 'end',
+  largeFlowThreshold = 0,
+  dayCount = 'act365',
+  shortPeriodPolicy = 'annualize',
+}) {
   const totalBV = assets.reduce((sum, a) => sum + a.beginningValue, 0);
   if (totalBV <= 0) {
     throw new Error('Total beginning market value must be greater than zero.');
   }
 
   const issues = [];
+  const totalEV = assets.reduce((sum, a) => sum + a.endingValue, 0);
+  const allFlows = cashflows
+    .filter((cf) => !isIncomeFlow(cf))
+    .map((cf) => ({ date: cf.date, amount: cf.amount, type: cf.type, assetClass: cf.assetClass }));
+  // Transfers move money between asset classes; the portfolio only sees external flows
+  const portfolioFlows = allFlows.filter((cf) => !isTransferFlow(cf));
+  const periodIncome = (assetClass) =>
+    computeCashflowWeights(cashflows.filter((cf) => isIncomeFlow(cf) && (!assetClass || cf.assetClass === assetClass)), startDate, endDate)
+      .reduce((sum, cf) => sum + cf.amount, 0);
+
+  // Portfolio valuation on a day = sum of asset valuations, only when every asset is valued
+  const portfolioValuations = [];
+  for (const v of valuations) {
+    if (portfolioValuations.some((pv) => isSameDay(pv.date, v.date))) continue;
+    const sameDay = assets.map((a) => valuations.find((x) => x.assetClass === a.name && isSameDay(x.date, v.date)));
+    if (sameDay.every(Boolean)) {
+      portfolioValuations.push({ date: v.date, value: sameDay.reduce((sum, x) => sum + x.value, 0) });
+    }
+  }
+
+  // ── Large cashflows ─────────────────────────────────────────
+  const largeCashflows = findLargeCashflows(portfolioFlows, totalBV, largeFlowThreshold, startDate, endDate).map((flow) => ({
+    ...flow,
+    valued: portfolioValuations.some((v) => isSameDay(v.date, flow.date)),
+  }));
+  for (const flow of largeCashflows) {
+    issues.push(
+      `Portfolio: ${flow.amount >= 0 ? 'Inflow' : 'Outflow'} on ${flow.date.toLocaleDateString()} is ${(flow.share * 100).toFixed(1)}% of beginning value ` +
+        `(threshold ${(largeFlowThreshold * 100).toFixed(1)}%) — ` +
+        (flow.valued
+          ? 'the period was revalued and split on this date.'
+          : 'enter a valuation for every asset class on this date to split the period.')
+    );
+  }
+  const breakDates = largeCashflows.filter((flow) => flow.valued).map((flow) => flow.date);
+
+  // ── Transfers ───────────────────────────────────────────────
+  // The legs of a transfer cancel on the day; a remainder means a missing or misdated leg
+  const transferDays = [];
+  for (const cf of computeCashflowWeights(allFlows.filter(isTransferFlow), startDate, endDate)) {
+    const day = transferDays.find((d) => isSameDay(d.date, cf.date));
+    if (day) day.net += cf.amount;
+    else transferDays.push({ date: cf.date, net: cf.amount });
+  }
+  for (const day of transferDays.filter((d) => Math.abs(d.net) > TRANSFER_TOLERANCE)) {
+    issues.push(
+      `Portfolio: Transfers on ${day.date.toLocaleDateString()} do not net to zero (${day.net.toFixed(2)}) — ` +
+        'check for a missing or misdated leg; the remainder is left out of the portfolio return.'
+    );
+  }
+
+  // Modified Dietz, split at the large-flow dates when this series has been valued on all of them
+  const computeDietz = (params, seriesValuations) => {
+    const canSplit = breakDates.length > 0 && breakDates.every((d) => seriesValuations.some((v) => isSameDay(v.date, d)));
+    return canSplit
+      ? splitModifiedDietz({ ...params, valuations: seriesValuations, breakDates }).periodReturn
+      : modifiedDietz(params);
+  };
+
+  // Returns NaN (and records an issue) when TWR cannot be computed
+  const computeTwr = (label, params) => {
+    try {
+      return trueTimeWeightedReturn(params);
+    } catch (err) {
+      if (methodology === 'twr') issues.push(`${label}: True TWR unavailable — ${err.message} Modified Dietz used instead.`);
+      return NaN;
+    }
+  };
+
+  // Returns NaN (and records an issue) when the IRR solver fails; solver warnings are kept
+  const computeMwr = (label, params) => {
+    try {
+      const { periodReturn, warnings } = moneyWeightedReturn(params);
+      warnings.forEach((w) => issues.push(`${label}: ${w}`));
+      return periodReturn;
+    } catch (err) {
+      issues.push(`${label}: Money-weighted return unavailable — ${err.message}`);
+      return NaN;
+    }
+  };
+
+  const usesTwr = (twrReturn) => methodology === 'twr' && Number.isFinite(twrReturn);
+  const pickReturn = (dietzReturn, twrReturn) => (usesTwr(twrReturn) ? twrReturn : dietzReturn);
+
+  // ── Fees ────────────────────────────────────────────────────
+  const periodFlows = computeCashflowWeights(portfolioFlows, startDate, endDate, timing);
+  const feeTransactions = -periodFlows.filter(isFeeFlow).reduce((sum, cf) => sum + cf.amount, 0);
+  const scheduled = accrueScheduledFees({
+    beginningValue: totalBV,
+    endingValue: totalEV,
+    averageCapital: averageCapital(totalBV, portfolioFlows, startDate, endDate, timing),
+    externalFlows: periodFlows.filter((cf) => !isFeeFlow(cf)).reduce((sum, cf) => sum + cf.amount, 0),
+    startDate,
+    endDate,
+    schedule: feeSchedule,
+    dayCount,
+  });
+
+  // Income return on Modified Dietz average capital; capital return is the remainder
+  const splitIncome = (income, capital, periodReturn) => {
+    const incomeReturn = income === 0 ? 0 : Math.abs(capital) < EPS ? NaN : income / capital;
+    return { income, incomeReturn, capitalReturn: periodReturn - incomeReturn };
+  };
+
+  // Net of fees: FEE transactions stay inside the series and accrued fees come off the ending value.
+  // Under TWR the Modified Dietz fee drag is applied to the TWR.
+  const computeNet = (params, seriesValuations, accruedFees, dietzReturn, twrReturn) => {
+    const netDietz = computeDietz(
+      {
+        ...params,
+        endingValue: params.endingValue - accruedFees,
+        cashflows: params.cashflows.filter((cf) => !isFeeFlow(cf)),
+      },
+      seriesValuations
+    );
+    return usesTwr(twrReturn) ? ((1 + twrReturn) * (1 + netDietz)) / (1 + dietzReturn) - 1 : netDietz;
+  };
+
   const assetResults = assets.map((asset) => {
-    const assetFlows = cashflows
+    const assetFlows = allFlows
       .filter((cf) => cf.assetClass === asset.name)
-      .map((cf) => ({ date: cf.date, amount: cf.amount }));
+      .map((cf) => ({ date: cf.date, amount: cf.amount, type: cf.type }));
+    const assetValuations = valuations.filter((v) => v.assetClass === asset.name);
+    const weight = asset.beginningValue / totalBV;
+    const accruedFees = weight * scheduled.total;
+    const dietzParams = {
+      beginningValue: asset.beginningValue,
+      endingValue: asset.endingValue,
+      cashflows: assetFlows,
+      startDate,
+      endDate,
+      timing,
+    };
 
-    let periodReturn = 0;
+    let dietzReturn = 0;
+    let twrReturn = 0;
+    let mwrReturn = 0;
+    let netReturn = 0;
     try {
       if (asset.beginningValue === 0 && (assetFlows.length === 0 || Math.abs(assetFlows.reduce((s, f) => s + f.amount, 0)) < EPS)) {
-        periodReturn = 0;
+        dietzReturn = 0;
       } else {
-        periodReturn = modifiedDietz({
+        dietzReturn = computeDietz(dietzParams, assetValuations);
+        twrReturn = computeTwr(asset.name, {
           beginningValue: asset.beginningValue,
           endingValue: asset.endingValue,
           cashflows: assetFlows,
+          valuations: assetValuations,
           startDate,
           endDate,
         });
+        mwrReturn = computeMwr(asset.name, {
+          beginningValue: asset.beginningValue,
+          endingValue: asset.endingValue,
+          cashflows: assetFlows,
+          startDate,
+          endDate,
+        });
+        netReturn = computeNet(dietzParams, assetValuations, accruedFees, dietzReturn, twrReturn);
       }
     } catch (err) {
       issues.push(`${asset.name}: ${err.message}`);
-      periodReturn = 0;
+      dietzReturn = 0;
+      twrReturn = NaN;
+      mwrReturn = NaN;
+      netReturn = NaN;
     }
 
-    const weight = asset.beginningValue / totalBV;
+    const periodReturn = pickReturn(dietzReturn, twrReturn);
     const contribution = weight * periodReturn;
-    const annualizedReturn = annualize(periodReturn, startDate, endDate);
+    const split = splitIncome(
+      periodIncome(asset.name),
+      averageCapital(asset.beginningValue, assetFlows, startDate, endDate, timing),
+      periodReturn
+    );
+    const { value: annualizedReturn } = annualizeWithPolicy(periodReturn, startDate, endDate, { dayCount, shortPeriodPolicy });
 
     return {
       name: asset.name,
       beginningValue: asset.beginningValue,
       endingValue: asset.endingValue,
       weight,
+      dietzReturn,
+      twrReturn,
+      mwrReturn,
       periodReturn,
       annualizedReturn,
       contribution,
+      netReturn,
+      netContribution: weight * netReturn,
+      fees: accruedFees - assetFlows.filter(isFeeFlow).reduce((sum, cf) => sum + cf.amount, 0),
+      ...split,
+      incomeContribution: weight * split.incomeReturn,
+      capitalContribution: weight * split.capitalReturn,
     };
   });
 
   // Portfolio-level aggregate
-  const totalEV = assets.reduce((sum, a) => sum + a.endingValue, 0);
-  const allFlows = cashflows.map((cf) => ({ date: cf.date, amount: cf.amount }));
+  const portfolioParams = {
+    beginningValue: totalBV,
+    endingValue: totalEV,
+    cashflows: portfolioFlows,
+    startDate,
+    endDate,
+    timing,
+  };
 
-  let portfolioReturn = 0;
+  let portfolioDietz = 0;
   try {
-    portfolioReturn = modifiedDietz({
-      beginningValue: totalBV,
-      endingValue: totalEV,
-      cashflows: allFlows,
-      startDate,
-      endDate,
-    });
+    portfolioDietz = computeDietz(portfolioParams, portfolioValuations);
   } catch (err) {
     throw new Error(`Portfolio Dietz error: ${err.message}`);
   }
 
-  const portfolioAnnualized = annualize(portfolioReturn, startDate, endDate);
+  const portfolioTwr = computeTwr('Portfolio', {
+    beginningValue: totalBV,
+    endingValue: totalEV,
+    cashflows: portfolioFlows,
+    valuations: portfolioValuations,
+    startDate,
+    endDate,
+  });
+
+  const portfolioMwr = computeMwr('Portfolio', {
+    beginningValue: totalBV,
+    endingValue: totalEV,
+    cashflows: portfolioFlows,
+    startDate,
+    endDate,
+  });
+
+  const portfolioReturn = pickReturn(portfolioDietz, portfolioTwr);
+  const { value: portfolioAnnualized, shortPeriod } = annualizeWithPolicy(portfolioReturn, startDate, endDate, {
+    dayCount,
+    shortPeriodPolicy,
+  });
+
+  let portfolioNet = NaN;
+  try {
+    portfolioNet = computeNet(portfolioParams, portfolioValuations, scheduled.total, portfolioDietz, portfolioTwr);
+  } catch (err) {
+    issues.push(`Portfolio: Net-of-fees return unavailable — ${err.message}`);
+  }
 
   return {
     assetResults,
     portfolio: {
       beginningValue: totalBV,
       endingValue: totalEV,
+      dietzReturn: portfolioDietz,
+      twrReturn: portfolioTwr,
+      mwrReturn: portfolioMwr,
       periodReturn: portfolioReturn,
       annualizedReturn: portfolioAnnualized,
+      netReturn: portfolioNet,
+      netAnnualizedReturn: annualizeWithPolicy(portfolioNet, startDate, endDate, { dayCount, shortPeriodPolicy }).value,
+      ...splitIncome(periodIncome(), averageCapital(totalBV, portfolioFlows, startDate, endDate, timing), portfolioReturn),
+    },
+    fees: {
+      transactions: feeTransactions,
+      management: scheduled.management,
+      performance: scheduled.performance,
+      total: feeTransactions + scheduled.total,
+    },
+    methodology,
+    timing,
+    largeCashflows,
+    annualization: {
+      dayCount,
+      yearFraction: yearFraction(startDate, endDate, dayCount),
+      shortPeriod,
+      policy: shortPeriodPolicy,
     },
     issues,
   };
@@ -0,0 +1,215 @@
+/**
+ * Multi-period Brinson attribution with smoothing (linking) algorithms.
+ *
+ * Single-period Brinson effects are arithmetic, so summed across periods they
+ * do not add up to the cumulative active return:
+ *
+ *   Σ_t (Rp_t - Rb_t)  ≠  Π(1 + Rp_t) - Π(1 + Rb_t)
+ *
+ * Each algorithm rescales the period effects so that the linked effects sum
+ * exactly to the excess of the compounded portfolio and benchmark returns.
+ *
+ *   Carino     k_t = [ln(1+Rp_t) - ln(1+Rb_t)] / (Rp_t - Rb_t),  effect × k_t / K
+ *   Menchero   effect × (M + α_t), α_t optimized to minimize distortion
+ *   GRAP       effect × Π_{s<t}(1 + Rp_s) × Π_{s>t}(1 + Rb_s)
+ *   Frongello  G_t = effect_t × Π_{s<t}(1 + Rp_s) + Rb_t × Σ_{s<t} G_s
+ *
+ * GRAP and Frongello give identical totals; they are kept separate because
+ * mandates name one or the other.
+ *
+ * No page calls this yet: saved periods keep the portfolio's results but not
+ * the benchmark weights and returns of each period, so there is no series of
+ * attribution inputs to link until those are stored per period.
+ *
+ * @module multiPeriodAttribution
+ */
+
+import { brinsonFachler } from './brinsonFachler';
+import { chainReturns } from './twr';
+
+const EPS = 1e-12;
+const RESIDUAL_TOLERANCE = 1e-10;
+const EFFECTS = ['allocation', 'selection', 'interaction'];
+
+/**
+ * Carino log-ratio coefficient: [ln(1+Rp) - ln(1+Rb)] / (Rp - Rb).
+ */
+function carinoK(rp, rb) {
+  if (rp <= -1 || rb <= -1) return NaN; // log of a non-positive growth factor
+  if (Math.abs(rp - rb) < EPS) return 1 / (1 + rp);
+  return (Math.log(1 + rp) - Math.log(1 + rb)) / (rp - rb);
+}
+
+/**
+ * Per-period scaling coefficients for the coefficient-based methods.
+ * Coefficients multiply each period's effects; their weighted sum with the
+ * period active returns equals the cumulative excess return.
+ *
+ * @returns {number[]}
+ * @throws {Error} If a coefficient is not finite (a return of -100% or below)
+ */
+function linkingCoefficients(method, rp, rb, cumRp, cumRb) {
+  const T = rp.length;
+  const excess = cumRp - cumRb;
+
+  let coefficients;
+  switch (method) {
+    case 'carino': {
+      const K = carinoK(cumRp, cumRb);
+      coefficients = rp.map((r, t) => carinoK(r, rb[t]) / K);
+      break;
+    }
+    case 'menchero': {
+      const M = Math.abs(excess) < EPS
+        ? Math.pow(1 + cumRp, (T - 1) / T)
+        : (excess / T) / (Math.pow(1 + cumRp, 1 / T) - Math.pow(1 + cumRb, 1 / T));
+      const active = rp.map((r, t) => r - rb[t]);
+      const sumActive = active.reduce((s, a) => s + a, 0);
+      const sumSq = active.reduce((s, a) => s + a * a, 0);
+      const scale = sumSq < EPS ? 0 : (excess - M * sumActive) / sumSq;
+      coefficients = active.map((a) => M + scale * a);
+      break;
+    }
+    case 'grap':
+      coefficients = rp.map((_, t) => {
+        let k = 1;
+        for (let s = 0; s < t; s++) k *= 1 + rp[s];
+        for (let s = t + 1; s < T; s++) k *= 1 + rb[s];
+        return k;
+      });
+      break;
+    default:
+      throw new Error(`Unknown linking method "${method}".`);
+  }
+
+  // Carino takes logs of 1 + R and Menchero roots of it: both break down at R ≤ -100%
+  if (coefficients.some((k) => !Number.isFinite(k))) {
+    throw new Error(`${method === 'carino' ? 'Carino' : 'Menchero'} linking is undefined for returns of -100% or below — use GRAP or Frongello.`);
+  }
+  return coefficients;
+}
+
+/**
+ * Frongello recursive linking of one effect series.
+ *
+ * @param {number[]} effects - Period effects for one asset/effect
+ * @param {number[]} rp      - Period portfolio returns
+ * @param {number[]} rb      - Period benchmark returns
+ * @returns {number} Linked effect
+ */
+function frongelloLink(effects, rp, rb) {
+  let linked = 0;
+  let growth = 1; // Π_{s<t}(1 + Rp_s)
+  for (let t = 0; t < effects.length; t++) {
+    linked = linked + effects[t] * growth + rb[t] * linked;
+    growth *= 1 + rp[t];
+  }
+  return linked;
+}
+
+/**
+ * Link single-period Brinson attribution across several periods.
+ *
+ * @param {Array<{label?: string, assets: import('./brinsonFachler').AssetInput[]}>} periods
+ *   Per-period attribution inputs, in chronological order. Asset classes are
+ *   matched by name; a class absent from a period contributes nothing to it.
+ * @param {Object} [options]
+ * @param {'carino'|'menchero'|'grap'|'frongello'} [options.method='carino'] - Smoothing algorithm
+ * @param {'bf'|'bhb'} [options.model='bf']  - Single-period allocation formula
+ * @param {'separate'|'selection'|'allocation'} [options.interaction='separate'] - Interaction treatment
+ * @returns {{
+ *   method: string,
+ *   periods: Array<{label: string, portfolioReturn: number, benchmarkReturn: number, activeReturn: number, totals: Object}>,
+ *   attribution: Array<{name: string, allocation: number, selection: number, interaction: number, total: number}>,
+ *   totals: { allocation: number, selection: number, interaction: number, activeReturn: number },
+ *   portfolioReturn: number,
+ *   benchmarkReturn: number,
+ *   residual: number,
+ *   issues: string[]
+ * }}
+ *   `portfolioReturn` / `benchmarkReturn` are compounded over all periods;
+ *   `residual` is Σ linked effects − (portfolioReturn − benchmarkReturn).
+ * @throws {Error} If the method, model or interaction treatment is unknown, or
+ *   Carino/Menchero coefficients cannot be computed (a return of -100% or below)
+ */
+export function multiPeriodAttribution(periods, { method = 'carino', model = 'bf', interaction = 'separate' } = {}) {
+  if (!['carino', 'menchero', 'grap', 'frongello'].includes(method)) {
+    throw new Error(`Unknown linking method "${method}".`);
+  }
+
+  if (!periods || periods.length === 0) {
+    return {
+      method,
+      periods: [],
+      attribution: [],
+      totals: { allocation: 0, selection: 0, interaction: 0, activeReturn: 0 },
+      portfolioReturn: 0,
+      benchmarkReturn: 0,
+      residual: 0,
+      issues: [],
+    };
+  }
+
+  // ── Single-period attribution ───────────────────────────────
+  const single = periods.map((p, i) => ({ label: p.label || `Period ${i + 1}`, result: brinsonFachler(p.assets, { model, interaction }) }));
+  const rp = single.map((p) => p.result.portfolioReturn);
+  const rb = single.map((p) => p.result.benchmarkReturn);
+  const cumRp = chainReturns(rp);
+  const cumRb = chainReturns(rb);
+
+  const issues = [];
+  single.forEach(({ label, result }) => {
+    if (Math.abs(result.totalPortfolioWeight - 1) > 0.001 || Math.abs(result.totalBenchmarkWeight - 1) > 0.001) {
+      issues.push(`${label}: weights do not sum to 100% — linked effects may be distorted.`);
+    }
+  });
+
+  // ── Link each asset's effects ───────────────────────────────
+  const names = [...new Set(single.flatMap((p) => p.result.attribution.map((a) => a.name)))];
+  const coefficients = method === 'frongello' ? null : linkingCoefficients(method, rp, rb, cumRp, cumRb);
+
+  const seriesFor = (name, effect) =>
+    single.map((p) => p.result.attribution.find((a) => a.name === name)?.[effect] || 0);
+
+  const attribution = names.map((name) => {
+    const linked = { name };
+    for (const effect of EFFECTS) {
+      const series = seriesFor(name, effect);
+      linked[effect] = coefficients
+        ? series.reduce((sum, e, t) => sum + e * coefficients[t], 0)
+        : frongelloLink(series, rp, rb);
+    }
+    linked.total = linked.allocation + linked.selection + linked.interaction;
+    return linked;
+  });
+
+  const totals = { activeReturn: cumRp - cumRb };
+  for (const effect of EFFECTS) {
+    totals[effect] = attribution.reduce((sum, a) => sum + a[effect], 0);
+  }
+
+  // ── Residual check ──────────────────────────────────────────
+  const residual = totals.allocation + totals.selection + totals.interaction - totals.activeReturn;
+  if (!Number.isFinite(residual)) {
+    issues.push('Linked effects could not be reconciled with the compounded excess return — check for non-finite returns.');
+  } else if (Math.abs(residual) > RESIDUAL_TOLERANCE) {
+    issues.push(`Linked effects differ from the compounded excess return by ${(residual * 100).toFixed(6)}%.`);
+  }
+
+  return {
+    method,
+    periods: single.map(({ label, result }) => ({
+      label,
+      portfolioReturn: result.portfolioReturn,
+      benchmarkReturn: result.benchmarkReturn,
+      activeReturn: result.totals.activeReturn,
+      totals: result.totals,
+    })),
+    attribution,
+    totals,
+    portfolioReturn: cumRp,
+    benchmarkReturn: cumRb,
+    residual,
+    issues,
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * Multi-period return linking across saved period snapshots.
+ *
+ * Consecutive period returns are chained geometrically:
+ *
+ *   R_linked = Π(1 + R_t) - 1
+ *
+ * Periods are treated as contiguous when the next period starts on the same
+ * day the previous one ended, or the day after. Anything else is reported as
+ * a gap or an overlap.
+ *
+ * Trailing windows (YTD, QTD, 1Y, 3Y) are measured back from the last period
+ * end and are only reported when a saved period starts exactly on the window
+ * boundary — periods are never split. A window (or the cumulative figure)
+ * that spans a gap or an overlap is not reported either.
+ *
+ * @module periodLinking
+ */
+
+import { annualize, annualizeWithPolicy } from './annualize';
+import { chainReturns } from './twr';
+
+const MS_PER_DAY = 86_400_000;
+
+/** Whole calendar days from a to b (local time). */
+function daysBetween(a, b) {
+  const ua = Date.UTC(a.getFullYear(), a.getMonth(), a.getDate());
+  const ub = Date.UTC(b.getFullYear(), b.getMonth(), b.getDate());
+  return Math.round((ub - ua) / MS_PER_DAY);
+}
+
+/** True when each period starts on the day the previous one ends, or the day after. */
+function isContiguous(series) {
+  return series.every((p, i) => {
+    if (i === 0) return true;
+    const diff = daysBetween(series[i - 1].endDate, p.startDate);
+    return diff === 0 || diff === 1;
+  });
+}
+
+/**
+ * Window boundaries (the last day BEFORE the window) measured back from asOf.
+ * @param {Date} asOf
+ * @returns {Object<string, Date>}
+ */
+function windowBoundaries(asOf) {
+  const y = asOf.getFullYear();
+  const m = asOf.getMonth();
+  const quarterStartMonth = m - (m % 3);
+  const yearsBack = (n) => {
+    const d = new Date(asOf);
+    d.setFullYear(y - n);
+    return d;
+  };
+  return {
+    ytd: new Date(y, 0, 0),                   // Dec 31 of prior year
+    qtd: new Date(y, quarterStartMonth, 0),   // last day of prior quarter
+    oneYear: yearsBack(1),
+    threeYear: yearsBack(3),
+  };
+}
+
+/**
+ * Chain the returns of the periods that exactly cover (boundary, asOf].
+ *
+ * @param {Array<{startDate: Date, endDate: Date, value: number|undefined}>} series - Sorted, one entry per period
+ * @param {Date} boundary
+ * @returns {number|null} Linked return, or null if the window is not covered without gaps or overlaps
+ */
+function linkWindow(series, boundary) {
+  const firstIdx = series.findIndex((p) => daysBetween(boundary, p.startDate) >= 0);
+  if (firstIdx === -1) return null;
+  const offset = daysBetween(boundary, series[firstIdx].startDate);
+  if (offset > 1) return null;
+  // A period that starts before the boundary but ends after it would need splitting
+  if (series.some((p, i) => i < firstIdx && daysBetween(boundary, p.endDate) > 0)) return null;
+
+  const inWindow = series.slice(firstIdx);
+  if (inWindow.some((p) => !Number.isFinite(p.value)) || !isContiguous(inWindow)) return null;
+  return chainReturns(inWindow.map((p) => p.value));
+}
+
+/**
+ * Linked figures for one return series.
+ */
+function linkSeries(series, boundaries, inceptionDate, asOfDate, annualization) {
+  const complete = series.every((p) => Number.isFinite(p.value)) && isContiguous(series);
+  const cumulative = complete ? chainReturns(series.map((p) => p.value)) : null;
+  const threeYear = linkWindow(series, boundaries.threeYear);
+  const sinceInception = cumulative === null ? NaN : annualizeWithPolicy(cumulative, inceptionDate, asOfDate, annualization).value;
+
+  return {
+    cumulative,
+    annualized: Number.isFinite(sinceInception) ? sinceInception : null,
+    ytd: linkWindow(series, boundaries.ytd),
+    qtd: linkWindow(series, boundaries.qtd),
+    oneYear: linkWindow(series, boundaries.oneYear),
+    threeYear: threeYear === null ? null : annualize(threeYear, boundaries.threeYear, asOfDate, annualization.dayCount),
+  };
+}
+
+/**
+ * Link saved period snapshots into cumulative and trailing returns.
+ *
+ * @param {Array<{id: string, label: string, startDate: Date, endDate: Date, performanceResults: Object}>} periods
+ * @param {Object} [options]
+ * @param {import('./annualize').DayCount} [options.dayCount='act365']
+ * @param {import('./annualize').ShortPeriodPolicy} [options.shortPeriodPolicy='annualize']
+ * @returns {{
+ *   periods: Object[],
+ *   issues: Array<{type: 'gap'|'overlap'|'missing', message: string}>,
+ *   inceptionDate: Date|null,
+ *   asOfDate: Date|null,
+ *   portfolio: {cumulative, annualized, ytd, qtd, oneYear, threeYear},
+ *   assets: Array<{name: string, cumulative, annualized, ytd, qtd, oneYear, threeYear}>
+ * }}
+ *   Figures are decimals, or null when the saved periods do not cover them.
+ *   `threeYear` is annualized; `annualized` is since inception, and null when
+ *   the policy suppresses a history shorter than one year.
+ */
+export function linkPeriodReturns(periods, { dayCount = 'act365', shortPeriodPolicy = 'annualize' } = {}) {
+  const sorted = [...periods]
+    .map((p) => ({ ...p, startDate: new Date(p.startDate), endDate: new Date(p.endDate) }))
+    .sort((a, b) => a.startDate.getTime() - b.startDate.getTime());
+
+  if (sorted.length === 0) {
+    return { periods: [], issues: [], inceptionDate: null, asOfDate: null, portfolio: null, assets: [] };
+  }
+
+  // ── Continuity checks ───────────────────────────────────────
+  const issues = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1];
+    const next = sorted[i];
+    const diff = daysBetween(prev.endDate, next.startDate);
+    if (diff > 1) {
+      issues.push({
+        type: 'gap',
+        message: `Gap of ${diff - 1} day${diff - 1 !== 1 ? 's' : ''} between "${prev.label}" and "${next.label}" — returns spanning it are not linked.`,
+      });
+    } else if (diff < 0) {
+      issues.push({
+        type: 'overlap',
+        message: `"${prev.label}" and "${next.label}" overlap by ${-diff} day${-diff !== 1 ? 's' : ''} — returns spanning them are not linked.`,
+      });
+    }
+  }
+
+  const inceptionDate = sorted[0].startDate;
+  const asOfDate = sorted.reduce((latest, p) => (p.endDate > latest ? p.endDate : latest), sorted[0].endDate);
+  const boundaries = windowBoundaries(asOfDate);
+  const annualization = { dayCount, shortPeriodPolicy };
+
+  // ── Portfolio ───────────────────────────────────────────────
+  const portfolio = linkSeries(
+    sorted.map((p) => ({ startDate: p.startDate, endDate: p.endDate, value: p.performanceResults.portfolio.periodReturn })),
+    boundaries,
+    inceptionDate,
+    asOfDate,
+    annualization
+  );
+
+  // ── Asset classes ───────────────────────────────────────────
+  const assetNames = [...new Set(sorted.flatMap((p) => p.performanceResults.assetResults.map((a) => a.name)))];
+  const assets = assetNames.map((name) => {
+    const series = sorted.map((p) => ({
+      startDate: p.startDate,
+      endDate: p.endDate,
+      value: p.performanceResults.assetResults.find((a) => a.name === name)?.periodReturn,
+    }));
+    const missing = series.filter((p) => !Number.isFinite(p.value)).length;
+    if (missing > 0) {
+      issues.push({
+        type: 'missing',
+        message: `${name} is missing from ${missing} of ${series.length} periods — only windows it fully covers are linked.`,
+      });
+    }
+    return { name, ...linkSeries(series, boundaries, inceptionDate, asOfDate, annualization) };
+  });
+
+  return { periods: sorted, issues, inceptionDate, asOfDate, portfolio, assets };
+}
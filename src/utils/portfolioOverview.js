@@ -0,0 +1,77 @@
+/**
+ * Headline figures for the portfolio overview: each portfolio's latest
+ * return and its active return against the portfolio's benchmark.
+ *
+ * The latest return is that of the saved period ending last, or of the
+ * current (unsaved) results when they end later. Its benchmark return is, in
+ * order of preference:
+ *   1. the benchmark return entered for a saved period on the Risk page
+ *   2. the portfolio's policy benchmark over the period
+ *   3. Σ Wb × Rb of the uploaded asset-class benchmarks (current results only)
+ *
+ * @module portfolioOverview
+ */
+
+import { blendedReturn } from './benchmarks';
+
+/**
+ * @typedef {Object} LatestPerformance
+ * @property {string} label               - Period, e.g. "1/1/2025 – 6/30/2025"
+ * @property {Date} endDate
+ * @property {boolean} saved              - From a saved period rather than the current results
+ * @property {number} portfolioReturn
+ * @property {number} benchmarkReturn     - NaN when the portfolio has no benchmark for the period
+ * @property {number} activeReturn        - Portfolio − benchmark, NaN without a benchmark
+ */
+
+/**
+ * Latest return of one portfolio.
+ *
+ * @param {Object} portfolio - The portfolio's store fields (periods, performanceResults, ...)
+ * @param {{benchmarkIndices: Object[], policyBenchmarks: Object[]}} library - Shared benchmark library
+ * @returns {LatestPerformance|null} null when the portfolio has no results
+ */
+export function latestPerformance(portfolio, { benchmarkIndices, policyBenchmarks }) {
+  const policy = policyBenchmarks.find((p) => p.id === portfolio.activePolicyId);
+  const policyReturn = (startDate, endDate) => {
+    if (!policy) return NaN;
+    try {
+      return blendedReturn(policy, benchmarkIndices, startDate, endDate).value;
+    } catch {
+      return NaN;
+    }
+  };
+
+  const candidates = (portfolio.periods || []).map((p) => {
+    const startDate = new Date(p.startDate);
+    const endDate = new Date(p.endDate);
+    const entered = portfolio.periodBenchmarks?.[p.id];
+    return {
+      label: p.label,
+      endDate,
+      saved: true,
+      portfolioReturn: p.performanceResults.portfolio.periodReturn,
+      benchmarkReturn: Number.isFinite(entered) ? entered : policyReturn(startDate, endDate),
+    };
+  });
+
+  const { performanceResults: current, startDate, endDate, assetBenchmarks = [] } = portfolio;
+  if (current?.portfolio && startDate && endDate) {
+    const uploaded = assetBenchmarks.length > 0
+      ? assetBenchmarks.reduce((s, b) => s + b.benchmarkWeight * b.benchmarkReturn, 0)
+      : NaN;
+    const fromPolicy = policyReturn(startDate, endDate);
+    candidates.push({
+      label: `${startDate.toLocaleDateString()} – ${endDate.toLocaleDateString()}`,
+      endDate,
+      saved: false,
+      portfolioReturn: current.portfolio.periodReturn,
+      benchmarkReturn: Number.isFinite(fromPolicy) ? fromPolicy : uploaded,
+    });
+  }
+  if (candidates.length === 0) return null;
+
+  // Saved periods sort ahead of the current results for the same end date
+  const latest = candidates.reduce((best, c) => (c.endDate.getTime() > best.endDate.getTime() ? c : best));
+  return { ...latest, activeReturn: latest.portfolioReturn - latest.benchmarkReturn };
+}
@@ -0,0 +1,252 @@
+/**
+ * Reconciliation of uploaded data before its returns are trusted.
+ *
+ * Each asset class is rolled forward, BV + net flows + gain = EV, where the
+ * gain is what the values and flows imply. The identity holds by
+ * construction, so it is shown rather than checked: a missing cashflow
+ * turns into gain. The checks instead flag the usual causes: negative
+ * market values, flows booked to asset classes that are not in the asset
+ * list, duplicate rows, flows outside the period, transfers whose legs do
+ * not cancel and returns too large to be plausible.
+ *
+ * Every check is 'pass', 'warn' or 'fail'; the report takes the worst.
+ *
+ * @module reconciliation
+ */
+
+import { modifiedDietz, cashflowWeight, isIncomeFlow, isTransferFlow } from './modifiedDietz';
+import { isSameDay } from './twr';
+
+/** @typedef {'pass'|'warn'|'fail'} ReconStatus */
+
+const SEVERITY = { pass: 0, warn: 1, fail: 2 };
+
+/**
+ * Period-return magnitudes that need a second look (warn) or are treated as
+ * a data error (fail).
+ */
+export const PLAUSIBLE_RETURN = { warn: 0.25, fail: 1 };
+
+// Amounts within a cent are equal
+const TOLERANCE = 0.01;
+
+/**
+ * Worst of several statuses.
+ * @param {ReconStatus[]} statuses
+ * @returns {ReconStatus}
+ */
+export function worstStatus(statuses) {
+  return statuses.reduce((worst, s) => (SEVERITY[s] > SEVERITY[worst] ? s : worst), 'pass');
+}
+
+const sum = (flows) => flows.reduce((s, cf) => s + cf.amount, 0);
+const fmt = (x) => x.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const describe = (cf) => `${cf.date.toLocaleDateString()} ${cf.type} ${fmt(cf.amount)} (${cf.assetClass || 'no asset class'})`;
+
+/**
+ * Whether an acknowledgement still covers a report. The acknowledgement
+ * holds the report object it was given and any change to the data builds a
+ * new report, so an edit clears it.
+ *
+ * @param {{report: Object, at: Date}|null} acknowledgement
+ * @param {Object|null} report
+ * @returns {boolean}
+ */
+export function isAcknowledged(acknowledgement, report) {
+  return report !== null && acknowledgement?.report === report;
+}
+
+/**
+ * @typedef {Object} RollForwardRow
+ * @property {string} name
+ * @property {number} beginningValue
+ * @property {number} netFlows       - External flows and expenses in the period
+ * @property {number} transfers      - Net transfers in from other asset classes
+ * @property {number} income         - Income earned, part of the gain
+ * @property {number} gain           - EV − BV − net flows − transfers
+ * @property {number} endingValue
+ * @property {number} periodReturn   - Modified Dietz, NaN if it cannot be computed
+ * @property {ReconStatus} status
+ */
+
+/**
+ * @typedef {Object} ReconCheck
+ * @property {string} id
+ * @property {string} label
+ * @property {ReconStatus} status
+ * @property {string[]} messages
+ */
+
+/**
+ * Reconcile assets and cashflows for a period.
+ *
+ * @param {Object} params
+ * @param {Array<{name: string, beginningValue: number, endingValue: number}>} params.assets
+ * @param {Array<{date: Date, amount: number, assetClass: string, type?: string, details?: string}>} params.cashflows
+ * @param {Date} params.startDate
+ * @param {Date} params.endDate
+ * @param {import('./modifiedDietz').CashflowTiming} [params.timing='end'] - Cashflow timing for the returns
+ * @param {{warn: number, fail: number}} [params.plausibleReturn=PLAUSIBLE_RETURN]
+ * @returns {{
+ *   status: ReconStatus,
+ *   checks: ReconCheck[],
+ *   rollForward: RollForwardRow[],
+ *   unassigned: {netFlows: number, count: number},
+ *   portfolio: {beginningValue: number, netFlows: number, gain: number, endingValue: number}
+ * }}
+ *   `unassigned` counts the external flows booked to asset classes that are not in the asset list.
+ */
+export function reconcile({ assets, cashflows, startDate, endDate, timing = 'end', plausibleReturn = PLAUSIBLE_RETURN }) {
+  // Same rule as the return calculations: a flow with no Modified Dietz weight is outside the period
+  const isInPeriod = (cf) => cf.date instanceof Date && cashflowWeight(cf.date, startDate, endDate) !== null;
+  const inPeriod = cashflows.filter(isInPeriod);
+  const known = new Set(assets.map((a) => a.name));
+
+  // ── Roll-forward and plausibility per asset class ───────────
+  const rollForward = assets.map((asset) => {
+    const flows = inPeriod.filter((cf) => cf.assetClass === asset.name);
+    const external = flows.filter((cf) => !isIncomeFlow(cf) && !isTransferFlow(cf));
+    const transfers = flows.filter(isTransferFlow);
+    const netFlows = sum(external);
+    const netTransfers = sum(transfers);
+    const gain = asset.endingValue - asset.beginningValue - netFlows - netTransfers;
+
+    // An empty asset class (nothing held, nothing moved) returns 0%, as in computePortfolioReturns
+    const empty = asset.beginningValue === 0 && asset.endingValue === 0 && Math.abs(netFlows + netTransfers) < TOLERANCE;
+    let periodReturn = 0;
+    if (!empty) {
+      try {
+        periodReturn = modifiedDietz({
+          beginningValue: asset.beginningValue,
+          endingValue: asset.endingValue,
+          cashflows: [...external, ...transfers],
+          startDate,
+          endDate,
+          timing,
+        });
+      } catch {
+        periodReturn = NaN; // Reported below as an implausible return
+      }
+    }
+
+    return {
+      name: asset.name,
+      beginningValue: asset.beginningValue,
+      netFlows,
+      transfers: netTransfers,
+      income: sum(flows.filter(isIncomeFlow)),
+      gain,
+      endingValue: asset.endingValue,
+      periodReturn,
+    };
+  });
+
+  const valueMessages = [];
+  const returnMessages = [];
+  const returnStatuses = [];
+  for (const row of rollForward) {
+    const valueFail = row.beginningValue < 0 || row.endingValue < 0;
+    if (valueFail) valueMessages.push(`${row.name}: market values cannot be negative.`);
+    const absReturn = Math.abs(row.periodReturn);
+    let returnStatus = 'pass';
+    if (!Number.isFinite(row.periodReturn) || absReturn > plausibleReturn.fail || row.periodReturn <= -1) {
+      returnStatus = 'fail';
+      returnMessages.push(
+        Number.isFinite(row.periodReturn)
+          ? `${row.name}: return of ${(row.periodReturn * 100).toFixed(1)}% implies a gain of ${fmt(row.gain)} — check for a missing cashflow or a wrong market value.`
+          : `${row.name}: no return can be computed — there is no capital invested in the period.`
+      );
+    } else if (absReturn > plausibleReturn.warn) {
+      returnStatus = 'warn';
+      returnMessages.push(`${row.name}: return of ${(row.periodReturn * 100).toFixed(1)}% is above ${(plausibleReturn.warn * 100).toFixed(0)}% — confirm it is genuine performance.`);
+    }
+    returnStatuses.push(returnStatus);
+    row.status = worstStatus([valueFail ? 'fail' : 'pass', returnStatus]);
+  }
+
+  // ── Cashflow checks ─────────────────────────────────────────
+  const unknown = inPeriod.filter((cf) => !known.has(cf.assetClass));
+  const outside = cashflows.filter((cf) => !isInPeriod(cf));
+
+  const seen = new Map();
+  const duplicates = [];
+  for (const cf of cashflows) {
+    const key = [cf.date.getTime(), cf.assetClass, cf.type, cf.amount, cf.details || ''].join('|');
+    if (seen.has(key)) duplicates.push(cf);
+    else seen.set(key, cf);
+  }
+
+  const transferDays = [];
+  for (const cf of inPeriod.filter(isTransferFlow)) {
+    const day = transferDays.find((d) => isSameDay(d.date, cf.date));
+    if (day) day.net += cf.amount;
+    else transferDays.push({ date: cf.date, net: cf.amount });
+  }
+  const unbalanced = transferDays.filter((d) => Math.abs(d.net) > TOLERANCE);
+
+  // External flows still reach the portfolio return; income and transfers reach no return
+  const unassignedFlows = unknown.filter((cf) => !isIncomeFlow(cf) && !isTransferFlow(cf));
+  const unassignedOther = unknown.filter((cf) => isIncomeFlow(cf) || isTransferFlow(cf));
+  const unassigned = { netFlows: sum(unassignedFlows), count: unassignedFlows.length };
+
+  const beginningValue = assets.reduce((s, a) => s + a.beginningValue, 0);
+  const endingValue = assets.reduce((s, a) => s + a.endingValue, 0);
+  const netFlows = sum(inPeriod.filter((cf) => !isIncomeFlow(cf) && !isTransferFlow(cf)));
+
+  const checks = [
+    {
+      id: 'values',
+      label: 'Market values are not negative',
+      status: valueMessages.length > 0 ? 'fail' : 'pass',
+      messages: valueMessages,
+    },
+    {
+      id: 'assetClasses',
+      label: 'Every cashflow belongs to an asset class in the asset list',
+      status: unknown.length > 0 ? 'fail' : 'pass',
+      messages: [
+        ...(unassignedFlows.length > 0
+          ? [
+              `${unassignedFlows.length} external flow(s) totalling ${fmt(unassigned.netFlows)} are counted in the portfolio return but in no asset class:`,
+              ...unassignedFlows.map(describe),
+            ]
+          : []),
+        ...(unassignedOther.length > 0
+          ? [`${unassignedOther.length} income or transfer row(s) belong to no asset class:`, ...unassignedOther.map(describe)]
+          : []),
+      ],
+    },
+    {
+      id: 'duplicates',
+      label: 'No duplicate cashflows',
+      status: duplicates.length > 0 ? 'warn' : 'pass',
+      messages: duplicates.map((cf) => `Repeated: ${describe(cf)}`),
+    },
+    {
+      id: 'period',
+      label: 'Every cashflow falls inside the period',
+      status: outside.length > 0 ? 'warn' : 'pass',
+      messages: outside.map((cf) => `Ignored, outside the period: ${describe(cf)}`),
+    },
+    {
+      id: 'transfers',
+      label: 'Transfers between asset classes net to zero each day',
+      status: unbalanced.length > 0 ? 'warn' : 'pass',
+      messages: unbalanced.map((d) => `${d.date.toLocaleDateString()}: transfers net to ${fmt(d.net)}`),
+    },
+    {
+      id: 'returns',
+      label: 'Asset-class returns are plausible',
+      status: worstStatus(returnStatuses),
+      messages: returnMessages,
+    },
+  ];
+
+  return {
+    status: worstStatus(checks.map((c) => c.status)),
+    checks,
+    rollForward,
+    unassigned,
+    portfolio: { beginningValue, netFlows, gain: endingValue - beginningValue - netFlows, endingValue },
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * Risk statistics for a series of sub-period returns.
+ *
+ * Given per-period portfolio returns, an optional benchmark series and an
+ * annual risk-free rate:
+ *
+ *   Volatility        σ × √P                           (P = periods per year)
+ *   Sharpe            (R_ann − Rf) / σ_ann
+ *   Sortino           (R_ann − Rf) / downside deviation, target = per-period Rf
+ *   Tracking error    σ(Rp − Rb) × √P
+ *   Information ratio (Rp_ann − Rb_ann) / TE
+ *   Beta              cov(Rp, Rb) / var(Rb)
+ *   Jensen's alpha    Rp_ann − [Rf + β × (Rb_ann − Rf)]
+ *
+ * Annualized returns are geometric. Standard deviations use the sample (n − 1)
+ * estimator; downside deviation divides by n. Drawdowns are measured on the
+ * compounded wealth index.
+ *
+ * @module riskStatistics
+ */
+
+const MS_PER_DAY = 86_400_000;
+
+// Average days between observations → standard periods per year
+const FREQUENCIES = [
+  { maxDays: 4, periodsPerYear: 252, label: 'Daily' },
+  { maxDays: 10, periodsPerYear: 52, label: 'Weekly' },
+  { maxDays: 45, periodsPerYear: 12, label: 'Monthly' },
+  { maxDays: 135, periodsPerYear: 4, label: 'Quarterly' },
+  { maxDays: 270, periodsPerYear: 2, label: 'Semi-annual' },
+  { maxDays: Infinity, periodsPerYear: 1, label: 'Annual' },
+];
+
+function mean(xs) {
+  return xs.reduce((s, x) => s + x, 0) / xs.length;
+}
+
+function sampleCovariance(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  return xs.reduce((s, x, i) => s + (x - mx) * (ys[i] - my), 0) / (xs.length - 1);
+}
+
+function annualizeSeries(returns, periodsPerYear) {
+  const growth = returns.reduce((g, r) => g * (1 + r), 1);
+  return Math.pow(growth, periodsPerYear / returns.length) - 1;
+}
+
+/**
+ * Infer the observation frequency from the dates of a return series.
+ *
+ * @param {Date[]} dates - Period end dates, in order
+ * @returns {{ periodsPerYear: number, label: string }|null} Null with fewer than two dates
+ */
+export function inferFrequency(dates) {
+  if (dates.length < 2) return null;
+  const avgDays = (dates[dates.length - 1].getTime() - dates[0].getTime()) / MS_PER_DAY / (dates.length - 1);
+  const { periodsPerYear, label } = FREQUENCIES.find((f) => avgDays <= f.maxDays);
+  return { periodsPerYear, label };
+}
+
+/**
+ * Build a risk return series from saved period snapshots.
+ *
+ * @param {Array<{id: string, startDate: Date, endDate: Date, performanceResults: Object}>} periods
+ * @param {Object<string, number>} [benchmarks] - Period id → benchmark return (decimal)
+ * @returns {Array<{date: Date, portfolio: number, benchmark: number|undefined}>} Sorted by period start
+ */
+export function periodReturnSeries(periods, benchmarks = {}) {
+  return [...periods]
+    .sort((a, b) => new Date(a.startDate).getTime() - new Date(b.startDate).getTime())
+    .map((p) => ({
+      date: new Date(p.endDate),
+      portfolio: p.performanceResults.portfolio.periodReturn,
+      benchmark: benchmarks[p.id],
+    }));
+}
+
+/**
+ * Maximum drawdown of a return series and the time taken to recover from it.
+ *
+ * @param {number[]} returns
+ * @returns {{ depth: number, peakIndex: number, troughIndex: number, recoveryIndex: number|null, recoveryPeriods: number|null }}
+ *   Indices refer to `returns`; -1 as `peakIndex` means the starting value.
+ *   `recoveryIndex` is null when the series never regains its prior peak.
+ */
+export function maxDrawdown(returns) {
+  let wealth = 1;
+  let peak = 1;
+  let peakIndex = -1;
+  let worst = { depth: 0, peakIndex: -1, troughIndex: -1, peakWealth: 1 };
+
+  returns.forEach((r, i) => {
+    wealth *= 1 + r;
+    if (wealth > peak) {
+      peak = wealth;
+      peakIndex = i;
+    }
+    const depth = wealth / peak - 1;
+    if (depth < worst.depth) worst = { depth, peakIndex, troughIndex: i, peakWealth: peak };
+  });
+
+  let recoveryIndex = null;
+  if (worst.depth < 0) {
+    wealth = returns.slice(0, worst.troughIndex + 1).reduce((g, r) => g * (1 + r), 1);
+    for (let i = worst.troughIndex + 1; i < returns.length; i++) {
+      wealth *= 1 + returns[i];
+      if (wealth >= worst.peakWealth) {
+        recoveryIndex = i;
+        break;
+      }
+    }
+  }
+
+  return {
+    depth: worst.depth,
+    peakIndex: worst.peakIndex,
+    troughIndex: worst.troughIndex,
+    recoveryIndex,
+    recoveryPeriods: recoveryIndex === null ? null : recoveryIndex - worst.troughIndex,
+  };
+}
+
+/**
+ * Compute risk and risk-adjusted return statistics.
+ *
+ * @param {Array<{date?: Date, portfolio: number, benchmark?: number}>} series
+ *   Per-period returns in DECIMAL form, in chronological order
+ * @param {Object} [options]
+ * @param {number} [options.riskFreeRate=0]   - Annual risk-free rate (decimal)
+ * @param {number} [options.periodsPerYear]   - Observations per year; inferred from dates if omitted
+ * @returns {{
+ *   observations: number,
+ *   periodsPerYear: number,
+ *   frequency: string,
+ *   annualizedReturn: number,
+ *   volatility: number,
+ *   sharpe: number,
+ *   sortino: number,
+ *   downsideDeviation: number,
+ *   maxDrawdown: ReturnType<typeof maxDrawdown> & { peakDate: Date|null, troughDate: Date|null, recoveryDate: Date|null },
+ *   benchmark: null | {
+ *     annualizedReturn: number, volatility: number, trackingError: number,
+ *     informationRatio: number, beta: number, jensensAlpha: number
+ *   }
+ * }}
+ *   `benchmark` is null unless every period has a finite benchmark return.
+ *   Ratios are NaN when their denominator is zero.
+ * @throws {Error} If fewer than two returns are given or the frequency cannot be determined
+ */
+export function computeRiskStatistics(series, { riskFreeRate = 0, periodsPerYear } = {}) {
+  if (!series || series.length < 2) {
+    throw new Error('At least two period returns are needed to measure risk.');
+  }
+  if (!series.every((p) => Number.isFinite(p.portfolio))) {
+    throw new Error('Every period needs a finite portfolio return.');
+  }
+
+  let frequency = 'Custom';
+  if (!periodsPerYear) {
+    const dates = series.map((p) => p.date);
+    const inferred = dates.every((d) => d instanceof Date && !isNaN(d.getTime())) ? inferFrequency(dates) : null;
+    if (!inferred) {
+      throw new Error('Cannot infer the return frequency — supply dates or periods per year.');
+    }
+    ({ periodsPerYear, label: frequency } = inferred);
+  }
+
+  const rp = series.map((p) => p.portfolio);
+  const scale = Math.sqrt(periodsPerYear);
+  const periodRf = Math.pow(1 + riskFreeRate, 1 / periodsPerYear) - 1;
+
+  // ── Absolute risk ───────────────────────────────────────────
+  const annualizedReturn = annualizeSeries(rp, periodsPerYear);
+  const volatility = Math.sqrt(sampleCovariance(rp, rp)) * scale;
+  const downsideDeviation = Math.sqrt(rp.reduce((s, r) => s + Math.min(0, r - periodRf) ** 2, 0) / rp.length) * scale;
+  const excess = annualizedReturn - riskFreeRate;
+
+  const drawdown = maxDrawdown(rp);
+  const dateAt = (i) => (i === null || i < 0 ? null : series[i].date || null);
+
+  // ── Benchmark-relative risk ─────────────────────────────────
+  let benchmark = null;
+  if (series.every((p) => Number.isFinite(p.benchmark))) {
+    const rb = series.map((p) => p.benchmark);
+    const benchmarkReturn = annualizeSeries(rb, periodsPerYear);
+    const active = rp.map((r, i) => r - rb[i]);
+    const trackingError = Math.sqrt(sampleCovariance(active, active)) * scale;
+    const varB = sampleCovariance(rb, rb);
+    const beta = varB === 0 ? NaN : sampleCovariance(rp, rb) / varB;
+
+    benchmark = {
+      annualizedReturn: benchmarkReturn,
+      volatility: Math.sqrt(varB) * scale,
+      trackingError,
+      informationRatio: trackingError === 0 ? NaN : (annualizedReturn - benchmarkReturn) / trackingError,
+      beta,
+      jensensAlpha: annualizedReturn - (riskFreeRate + beta * (benchmarkReturn - riskFreeRate)),
+    };
+  }
+
+  return {
+    observations: series.length,
+    periodsPerYear,
+    frequency,
+    annualizedReturn,
+    volatility,
+    sharpe: volatility === 0 ? NaN : excess / volatility,
+    sortino: downsideDeviation === 0 ? NaN : excess / downsideDeviation,
+    downsideDeviation,
+    maxDrawdown: {
+      ...drawdown,
+      peakDate: drawdown.peakIndex < 0 ? null : dateAt(drawdown.peakIndex),
+      troughDate: dateAt(drawdown.troughIndex),
+      recoveryDate: dateAt(drawdown.recoveryIndex),
+    },
+    benchmark,
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Transaction taxonomy: maps the type codes found in custodian files
+ * (CONTRIBUTION, REDEMPTION, DIVIDEND, TRANSFER IN, TAX, ...) to the
+ * categories the return calculations understand.
+ *
+ *   external — contributions and withdrawals; flows for the asset class and the portfolio
+ *   transfer — money moved between asset classes; a flow for each asset class but not
+ *              for the portfolio, where the two legs cancel
+ *   income   — dividends, coupons, interest, rent; earned inside the asset, not a flow
+ *   expense  — fees paid out of the portfolio; a withdrawal gross of fees and a cost net of fees
+ *   tax      — taxes and other non-fee expenses paid out of the portfolio; a withdrawal in
+ *              both gross and net returns, never counted as a fee
+ *
+ * Each category becomes one cashflow `type` (INFLOW/OUTFLOW, TRANSFER, INCOME,
+ * FEE, TAX), so the rest of the app works with a fixed vocabulary whatever the
+ * custodian calls its transactions.
+ *
+ * @module transactionTypes
+ */
+
+/** Categories, in display order. */
+export const FLOW_CATEGORIES = [
+  { id: 'external', label: 'External Flow' },
+  { id: 'transfer', label: 'Internal Transfer' },
+  { id: 'income', label: 'Income' },
+  { id: 'expense', label: 'Fee' },
+  { id: 'tax', label: 'Tax / Other Expense' },
+];
+
+/**
+ * How the sign of a row is set: 'in' and 'out' force it from the type code,
+ * so custodians may report amounts signed or unsigned; 'signed' keeps the
+ * sign of the amount.
+ */
+export const FLOW_DIRECTIONS = [
+  { id: 'in', label: 'In (+)' },
+  { id: 'out', label: 'Out (−)' },
+  { id: 'signed', label: 'Sign of amount' },
+];
+
+/**
+ * @typedef {Object} TaxonomyEntry
+ * @property {string} code                                  - Normalised type code, e.g. "TRANSFER IN"
+ * @property {'external'|'transfer'|'income'|'expense'|'tax'} category
+ * @property {'in'|'out'|'signed'} direction
+ */
+
+/** @type {TaxonomyEntry[]} */
+export const DEFAULT_TAXONOMY = [
+  { code: 'INFLOW', category: 'external', direction: 'in' },
+  { code: 'CONTRIBUTION', category: 'external', direction: 'in' },
+  { code: 'DEPOSIT', category: 'external', direction: 'in' },
+  { code: 'SUBSCRIPTION', category: 'external', direction: 'in' },
+  { code: 'OUTFLOW', category: 'external', direction: 'out' },
+  { code: 'REDEMPTION', category: 'external', direction: 'out' },
+  { code: 'WITHDRAWAL', category: 'external', direction: 'out' },
+  { code: 'DISTRIBUTION', category: 'external', direction: 'out' },
+  { code: 'TRANSFER IN', category: 'transfer', direction: 'in' },
+  { code: 'TRANSFER OUT', category: 'transfer', direction: 'out' },
+  { code: 'TRANSFER', category: 'transfer', direction: 'signed' },
+  { code: 'INCOME', category: 'income', direction: 'in' },
+  { code: 'DIVIDEND', category: 'income', direction: 'in' },
+  { code: 'INTEREST', category: 'income', direction: 'in' },
+  { code: 'COUPON', category: 'income', direction: 'in' },
+  { code: 'RENT', category: 'income', direction: 'in' },
+  { code: 'FEE', category: 'expense', direction: 'out' },
+  { code: 'TAX', category: 'tax', direction: 'out' },
+  { code: 'WITHHOLDING TAX', category: 'tax', direction: 'out' },
+  { code: 'EXPENSE', category: 'tax', direction: 'out' },
+];
+
+/**
+ * Normalise a raw type code: upper case, with underscores, hyphens and
+ * repeated spaces collapsed ("Transfer_in" → "TRANSFER IN").
+ * @param {string} raw
+ * @returns {string}
+ */
+export function normalizeTypeCode(raw) {
+  return String(raw ?? '').trim().toUpperCase().replace(/[\s_-]+/g, ' ');
+}
+
+/**
+ * Cashflow type for a category and signed amount.
+ * @param {TaxonomyEntry['category']} category
+ * @param {number} amount - Signed
+ * @returns {'INFLOW'|'OUTFLOW'|'TRANSFER'|'INCOME'|'FEE'|'TAX'}
+ */
+export function flowType(category, amount) {
+  switch (category) {
+    case 'transfer':
+      return 'TRANSFER';
+    case 'income':
+      return 'INCOME';
+    case 'expense':
+      return 'FEE';
+    case 'tax':
+      return 'TAX';
+    default:
+      return amount < 0 ? 'OUTFLOW' : 'INFLOW';
+  }
+}
+
+/**
+ * Classify one transaction.
+ *
+ * With no type code (a signed-amount file) the row is an external flow
+ * whose sign is that of the amount.
+ *
+ * @param {string|null} rawType - Type code from the file, or null when the file has no type column
+ * @param {number} amount       - Amount as reported (signed or unsigned)
+ * @param {TaxonomyEntry[]} [taxonomy=DEFAULT_TAXONOMY]
+ * @returns {{ type: string, category: string, code: string, amount: number }|null}
+ *   null when the code is not in the taxonomy
+ */
+export function classifyTransaction(rawType, amount, taxonomy = DEFAULT_TAXONOMY) {
+  if (rawType === null) {
+    return { type: flowType('external', amount), category: 'external', code: '', amount };
+  }
+  const code = normalizeTypeCode(rawType);
+  const entry = taxonomy.find((t) => normalizeTypeCode(t.code) === code);
+  if (!entry) return null;
+  const signed =
+    entry.direction === 'in' ? Math.abs(amount) : entry.direction === 'out' ? -Math.abs(amount) : amount;
+  return { type: flowType(entry.category, signed), category: entry.category, code, amount: signed };
+}
@@ -0,0 +1,171 @@
+/**
+ * True time-weighted return (TWR) calculation.
+ *
+ * Breaks the evaluation period at every external cashflow date and chains
+ * the sub-period returns geometrically:
+ *
+ *   r_i = V_i / (V_{i-1} + CF_{i-1}) - 1
+ *   TWR = Π(1 + r_i) - 1
+ *
+ * Where:
+ *   V_i   = valuation immediately BEFORE the cashflow(s) on date i
+ *   CF_i  = net signed cashflow on date i (+INFLOW, −OUTFLOW)
+ *
+ * Flows dated on the start date are added to the beginning value; flows dated
+ * on the end date are assumed to be included in the ending value.
+ *
+ * @module twr
+ */
+
+const EPS = 1e-12;
+
+/**
+ * Calendar-day key for grouping cashflows and valuations (local time).
+ * @param {Date} d
+ * @returns {string} "YYYY-MM-DD"
+ */
+function dayKey(d) {
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Geometrically chain a series of period returns.
+ *
+ * @param {number[]} returns - Period returns in decimal form
+ * @returns {number} Chained return in decimal form
+ */
+export function chainReturns(returns) {
+  return returns.reduce((acc, r) => acc * (1 + r), 1) - 1;
+}
+
+/**
+ * Break a period into sub-periods at each external cashflow date.
+ *
+ * @param {Object} params
+ * @param {number} params.beginningValue - Beginning market value (BV)
+ * @param {number} params.endingValue    - Ending market value (EV)
+ * @param {Array<{date: Date, amount: number}>} params.cashflows
+ * @param {Array<{date: Date, value: number}>} params.valuations
+ *   Intra-period valuations, each taken immediately before the flows on that date.
+ * @param {Date} params.startDate
+ * @param {Date} params.endDate
+ * @returns {Array<{start: Date, end: Date, beginningValue: number, endingValue: number, cashflow: number, periodReturn: number}>}
+ *   `cashflow` is the net flow at the START of the sub-period (already included in beginningValue).
+ * @throws {Error} If a valuation is missing or a sub-period has no capital
+ */
+export function computeSubPeriods({ beginningValue, endingValue, cashflows = [], valuations = [], startDate, endDate }) {
+  if (!Number.isFinite(beginningValue) || !Number.isFinite(endingValue)) {
+    throw new Error('Beginning value and ending value must be finite numbers.');
+  }
+  if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
+    throw new Error('Start date and end date must be valid Date objects.');
+  }
+  if (endDate.getTime() <= startDate.getTime()) {
+    throw new Error('End date must be after start date.');
+  }
+
+  const startKey = dayKey(startDate);
+  const endKey = dayKey(endDate);
+
+  // ── Net flows per calendar day ──────────────────────────────
+  const flowsByDay = new Map();
+  for (const cf of cashflows) {
+    if (!(cf.date instanceof Date) || !Number.isFinite(cf.amount)) continue;
+    if (cf.date.getTime() < startDate.getTime() || cf.date.getTime() > endDate.getTime()) continue;
+    const key = dayKey(cf.date);
+    const entry = flowsByDay.get(key) || { date: cf.date, amount: 0 };
+    entry.amount += cf.amount;
+    flowsByDay.set(key, entry);
+  }
+
+  const valueByDay = new Map();
+  for (const v of valuations) {
+    if (v.date instanceof Date && Number.isFinite(v.value)) valueByDay.set(dayKey(v.date), v.value);
+  }
+
+  const openingFlow = flowsByDay.get(startKey)?.amount || 0;
+  const closingFlow = flowsByDay.get(endKey)?.amount || 0;
+  const breaks = [...flowsByDay.entries()]
+    .filter(([key]) => key !== startKey && key !== endKey)
+    .sort((a, b) => a[1].date.getTime() - b[1].date.getTime());
+
+  // ── Walk the sub-periods ────────────────────────────────────
+  const subPeriods = [];
+  let periodStart = startDate;
+  let openValue = beginningValue + openingFlow;
+  let openFlow = openingFlow;
+
+  const pushSubPeriod = (end, closeValue) => {
+    if (Math.abs(openValue) < EPS) {
+      throw new Error(`No invested capital at the start of sub-period beginning ${periodStart.toLocaleDateString()}.`);
+    }
+    subPeriods.push({
+      start: periodStart,
+      end,
+      beginningValue: openValue,
+      endingValue: closeValue,
+      cashflow: openFlow,
+      periodReturn: closeValue / openValue - 1,
+    });
+  };
+
+  for (const [key, flow] of breaks) {
+    if (!valueByDay.has(key)) {
+      throw new Error(`Missing valuation before cashflow on ${flow.date.toLocaleDateString()}.`);
+    }
+    const value = valueByDay.get(key);
+    pushSubPeriod(flow.date, value);
+    periodStart = flow.date;
+    openValue = value + flow.amount;
+    openFlow = flow.amount;
+  }
+
+  pushSubPeriod(endDate, endingValue - closingFlow);
+  return subPeriods;
+}
+
+/**
+ * Compute the true time-weighted return for a single asset or portfolio.
+ *
+ * @param {Object} params - Same shape as {@link computeSubPeriods}
+ * @returns {number} Period return in decimal form (0.05 = 5%)
+ * @throws {Error} If a valuation is missing or a sub-period has no capital
+ */
+export function trueTimeWeightedReturn(params) {
+  return chainReturns(computeSubPeriods(params).map((sp) => sp.periodReturn));
+}
+
+/**
+ * List the calendar days on which a valuation is needed to compute TWR,
+ * i.e. every distinct cashflow day strictly inside the period.
+ *
+ * @param {Array<{date: Date}>} cashflows
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Date[]} One representative Date per day, sorted ascending
+ */
+export function getValuationDates(cashflows, startDate, endDate) {
+  const startKey = dayKey(startDate);
+  const endKey = dayKey(endDate);
+  const byDay = new Map();
+  for (const cf of cashflows) {
+    if (!(cf.date instanceof Date)) continue;
+    if (cf.date.getTime() < startDate.getTime() || cf.date.getTime() > endDate.getTime()) continue;
+    const key = dayKey(cf.date);
+    if (key === startKey || key === endKey || byDay.has(key)) continue;
+    byDay.set(key, cf.date);
+  }
+  return [...byDay.values()].sort((a, b) => a.getTime() - b.getTime());
+}
+
+/**
+ * Check whether two dates fall on the same calendar day.
+ * @param {Date} a
+ * @param {Date} b
+ * @returns {boolean}
+ */
+export function isSameDay(a, b) {
+  return a instanceof Date && b instanceof Date && dayKey(a) === dayKey(b);
+}
@@ -0,0 +1,123 @@
+/**
+ * Excel (XLSX) workbook reading, entirely client-side.
+ *
+ * A worksheet is turned into the same `{ data, headers, errors }` table that
+ * {@link module:csvParser.parseCSV} produces, so every CSV parser accepts a
+ * sheet in place of a file and applies its usual column mapping and
+ * validation.
+ *
+ * @module xlsxParser
+ */
+
+import readXlsxFile from 'read-excel-file/browser';
+
+/**
+ * @typedef {Object} Worksheet
+ * @property {string} name
+ * @property {Array<Array<string|number|boolean|Date|null>>} rows - Raw cell values
+ */
+
+/**
+ * @typedef {Object} SheetTable
+ * @property {Object[]} data    - One object per row, keyed by header
+ * @property {string[]} headers
+ * @property {string[]} errors
+ */
+
+/** Sheet roles recognised in a combined workbook, in display order. */
+export const SHEET_ROLES = [
+  { id: 'assets', label: 'Assets', keywords: ['asset', 'holding', 'position', 'marketvalue'] },
+  { id: 'cashflows', label: 'Cashflows', keywords: ['cashflow', 'transaction', 'flow', 'movement'] },
+  { id: 'benchmark', label: 'Benchmark', keywords: ['benchmark', 'index', 'policy'] },
+];
+
+/**
+ * Check whether a file is an Excel workbook.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isWorkbookFile(file) {
+  return /\.xlsx$/i.test(file?.name || '');
+}
+
+/**
+ * Read every worksheet of an XLSX file.
+ *
+ * @param {File} file
+ * @returns {Promise<Worksheet[]>}
+ * @throws {Error} If the file is not a readable XLSX workbook
+ */
+export async function readWorkbook(file) {
+  try {
+    const sheets = await readXlsxFile(file);
+    return sheets.map(({ sheet, data }) => ({ name: sheet, rows: data }));
+  } catch (err) {
+    throw new Error(`Could not read workbook "${file.name}": ${err.message}`);
+  }
+}
+
+const isBlank = (cell) => cell === null || cell === undefined || String(cell).trim() === '';
+
+/**
+ * Guess the header row: the first row with at least two text cells,
+ * skipping titles and notes above the table.
+ *
+ * @param {Worksheet['rows']} rows
+ * @returns {number} Zero-based row index (0 when nothing better is found)
+ */
+export function detectHeaderRow(rows) {
+  const index = rows.findIndex(
+    (row) => row.filter((cell) => typeof cell === 'string' && cell.trim() !== '').length >= 2
+  );
+  return Math.max(0, index);
+}
+
+/**
+ * Suggest a role for a worksheet from its name.
+ * @param {string} name
+ * @returns {'assets'|'cashflows'|'benchmark'|null}
+ */
+export function classifySheet(name) {
+  const key = String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return SHEET_ROLES.find((role) => role.keywords.some((k) => key.includes(k)))?.id || null;
+}
+
+/**
+ * Format a date cell as "YYYY-MM-DD". Excel dates carry no time zone and are
+ * read as UTC midnight.
+ */
+function dateCell(d) {
+  const mm = String(d.getUTCMonth() + 1).padStart(2, '0');
+  const dd = String(d.getUTCDate()).padStart(2, '0');
+  return `${d.getUTCFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Convert a worksheet into a table using the given header row. Rows above
+ * the header and blank rows below it are skipped.
+ *
+ * @param {Worksheet['rows']} rows
+ * @param {number} [headerRow=0] - Zero-based index of the header row
+ * @returns {SheetTable}
+ */
+export function sheetToTable(rows, headerRow = 0) {
+  const headerCells = rows[headerRow];
+  if (!headerCells) {
+    return { data: [], headers: [], errors: [`Header row ${headerRow + 1} is beyond the end of the sheet.`] };
+  }
+
+  const headers = headerCells.map((cell, i) => (isBlank(cell) ? `Column ${i + 1}` : String(cell).trim()));
+  const data = rows
+    .slice(headerRow + 1)
+    .filter((row) => row.some((cell) => !isBlank(cell)))
+    .map((row) =>
+      Object.fromEntries(
+        headers.map((h, i) => {
+          const cell = row[i];
+          return [h, cell instanceof Date ? dateCell(cell) : isBlank(cell) ? '' : cell];
+        })
+      )
+    );
+
+  return { data, headers, errors: [] };
+}
@@ -19,63 +19,1982 @@ function assert(label, actual, expected, tolerance = 0.0001) {
 }
 
 // ── Inline: Modified Dietz ────────────────────────────────────
-function modifiedDietz({ beginningValue, endingValue, cashflows = [], startDate, endDate }) {
+const TIMING_OFFSETS = { start: 1, mid: 0.5, end: 0 };
+
+function cashflowWeight(date, startDate, endDate, timing = 'end') {
+  const offset = TIMING_OFFSETS[timing];
+  if (offset === undefined) throw new Error(`Unknown cashflow timing convention "${timing}".`);
+  const totalDays = daysBetween(startDate, endDate);
+  const day = daysBetween(startDate, date);
+  if (totalDays <= 0 || day < 0 || day > totalDays) return null;
+  return (totalDays - Math.max(day, 1) + offset) / totalDays;
+}
+
+function modifiedDietz({ beginningValue, endingValue, cashflows = [], startDate, endDate, timing = 'end' }) {
   const EPS = 1e-12;
   if (!Number.isFinite(beginningValue) || !Number.isFinite(endingValue)) throw new Error('Non-finite');
-  const T = endDate.getTime() - startDate.getTime();
-  if (T <= 0) throw new Error('Bad period');
+  if (daysBetween(startDate, endDate) <= 0) throw new Error('Bad period');
 
-  const valid = cashflows.filter(
-    cf => cf.date instanceof Date && cf.date.getTime() >= startDate.getTime() && cf.date.getTime() <= endDate.getTime() && Number.isFinite(cf.amount)
-  );
+  const valid = computeCashflowWeights(cashflows, startDate, endDate, timing);
   const sumCF = valid.reduce((s, cf) => s + cf.amount, 0);
-  let weightedCF = 0;
-  for (const cf of valid) {
-    const wi = Math.max(0, Math.min(1, (endDate.getTime() - cf.date.getTime()) / T));
-    weightedCF += wi * cf.amount;
-  }
+  const weightedCF = valid.reduce((s, cf) => s + cf.weightedAmount, 0);
   const denom = beginningValue + weightedCF;
   if (Math.abs(denom) < EPS) throw new Error('Unstable');
   return (endingValue - beginningValue - sumCF) / denom;
 }
 
 // ── Inline: Annualize ─────────────────────────────────────────
-function annualize(r, start, end) {
-  const days = Math.round((end.getTime() - start.getTime()) / 86400000);
-  if (days <= 0) return NaN;
-  return Math.pow(1 + r, 365 / days) - 1;
+function annualize(r, start, end, dayCount = 'act365') {
+  if (!Number.isFinite(r)) return NaN;
+  const years = yearFraction(start, end, dayCount);
+  if (years <= 0) return NaN;
+  return Math.pow(1 + r, 1 / years) - 1;
+}
+
+function annualizeWithPolicy(r, start, end, { dayCount = 'act365', shortPeriodPolicy = 'annualize' } = {}) {
+  if (!['annualize', 'flag', 'suppress'].includes(shortPeriodPolicy)) throw new Error(`Unknown short-period policy "${shortPeriodPolicy}".`);
+  const shortPeriod = yearFraction(start, end, dayCount) < 1;
+  if (shortPeriod && shortPeriodPolicy === 'suppress') return { value: NaN, shortPeriod };
+  return { value: annualize(r, start, end, dayCount), shortPeriod };
+}
+
+function shortPeriodNote(annualization) {
+  if (!annualization?.shortPeriod || annualization.policy === 'annualize') return null;
+  return annualization.policy === 'suppress'
+    ? 'Not annualized — the period is shorter than one year (GIPS).'
+    : 'Period is shorter than one year — annualized figure is not GIPS-compliant.';
+}
+
+// ── Inline: Day-count year fraction ───────────────────────────
+function yearFraction(start, end, dayCount) {
+  const days = (a, b) =>
+    Math.round((Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / 86400000);
+  if (dayCount === 'act365') return days(start, end) / 365;
+  if (dayCount === 'act360') return days(start, end) / 360;
+  if (dayCount === 'actact') {
+    let t = 0;
+    for (let y = start.getFullYear(); y <= end.getFullYear(); y++) {
+      const from = y === start.getFullYear() ? start : new Date(y, 0, 1);
+      const to = y === end.getFullYear() ? end : new Date(y + 1, 0, 1);
+      const leap = (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+      t += days(from, to) / (leap ? 366 : 365);
+    }
+    return t;
+  }
+  const d1 = Math.min(start.getDate(), 30);
+  const d2 = end.getDate() === 31 && d1 === 30 ? 30 : end.getDate();
+  return (360 * (end.getFullYear() - start.getFullYear()) + 30 * (end.getMonth() - start.getMonth()) + d2 - d1) / 360;
 }
 
-// ── Inline: Brinson-Fachler ───────────────────────────────────
-function brinsonFachler(assets) {
-  let portfolioReturn = 0, benchmarkReturn = 0, totalPW = 0, totalBW = 0;
+// ── Inline: Fees ──────────────────────────────────────────────
+const EMPTY_FEE_SCHEDULE = { managementTiers: [{ upTo: null, rate: 0 }], performanceRate: 0, hurdleRate: 0, highWaterMark: 0 };
+
+const isFeeFlow = (cf) => cf.type === 'FEE';
+
+function tieredManagementFee(capital, tiers) {
+  let fee = 0;
+  let floor = 0;
+  for (const tier of tiers) {
+    if (capital <= floor) break;
+    const ceiling = tier.upTo === null || !Number.isFinite(tier.upTo) ? capital : Math.min(capital, tier.upTo);
+    fee += Math.max(0, ceiling - floor) * tier.rate;
+    floor = tier.upTo ?? Infinity;
+  }
+  return fee;
+}
+
+function accrueScheduledFees({ beginningValue, endingValue, averageCapital, externalFlows, startDate, endDate, schedule, dayCount = 'act365' }) {
+  const { managementTiers = [], performanceRate = 0, hurdleRate = 0, highWaterMark = 0 } = schedule || {};
+  if (managementTiers.some((t) => !Number.isFinite(t.rate) || t.rate < 0)) throw new Error('Management fee rates must be non-negative numbers.');
+  if (!Number.isFinite(performanceRate) || performanceRate < 0 || performanceRate > 1) throw new Error('Performance fee rate must be between 0% and 100%.');
+  const t = yearFraction(startDate, endDate, dayCount);
+  const management = tieredManagementFee(Math.max(0, averageCapital), managementTiers) * t;
+  let performance = 0;
+  if (performanceRate > 0) {
+    const hurdleValue = Math.max(beginningValue, highWaterMark || 0) * Math.pow(1 + (hurdleRate || 0), t) + externalFlows;
+    performance = performanceRate * Math.max(0, endingValue - management - hurdleValue);
+  }
+  return { management, performance, total: management + performance };
+}
+
+// ── Inline: Brinson-Fachler / BHB ─────────────────────────────
+function brinsonFachler(assets, { model = 'bf', interaction = 'separate' } = {}) {
+  let portfolioReturn = 0, benchmarkReturn = 0, totalPortfolioWeight = 0, totalBenchmarkWeight = 0;
   for (const a of assets) {
     portfolioReturn += a.portfolioWeight * a.portfolioReturn;
     benchmarkReturn += a.benchmarkWeight * a.benchmarkReturn;
-    totalPW += a.portfolioWeight;
-    totalBW += a.benchmarkWeight;
+    totalPortfolioWeight += a.portfolioWeight;
+    totalBenchmarkWeight += a.benchmarkWeight;
   }
   let tA = 0, tS = 0, tI = 0;
   const attribution = assets.map(a => {
-    const alloc = (a.portfolioWeight - a.benchmarkWeight) * (a.benchmarkReturn - benchmarkReturn);
-    const sel = a.benchmarkWeight * (a.portfolioReturn - a.benchmarkReturn);
-    const inter = (a.portfolioWeight - a.benchmarkWeight) * (a.portfolioReturn - a.benchmarkReturn);
+    let alloc = (a.portfolioWeight - a.benchmarkWeight) * (model === 'bhb' ? a.benchmarkReturn : a.benchmarkReturn - benchmarkReturn);
+    let sel = a.benchmarkWeight * (a.portfolioReturn - a.benchmarkReturn);
+    let inter = (a.portfolioWeight - a.benchmarkWeight) * (a.portfolioReturn - a.benchmarkReturn);
+    if (interaction === 'selection') { sel += inter; inter = 0; }
+    if (interaction === 'allocation') { alloc += inter; inter = 0; }
     tA += alloc; tS += sel; tI += inter;
     return { ...a, allocation: alloc, selection: sel, interaction: inter, total: alloc + sel + inter };
   });
-  return { attribution, totals: { allocation: tA, selection: tS, interaction: tI, activeReturn: portfolioReturn - benchmarkReturn }, portfolioReturn, benchmarkReturn, totalPW, totalBW };
+  return { attribution, totals: { allocation: tA, selection: tS, interaction: tI, activeReturn: portfolioReturn - benchmarkReturn }, portfolioReturn, benchmarkReturn, totalPortfolioWeight, totalBenchmarkWeight };
+}
+
+// ── Inline: Multi-period attribution linking ──────────────────
+const LINK_EPS = 1e-12;
+const RESIDUAL_TOLERANCE = 1e-10;
+const EFFECTS = ['allocation', 'selection', 'interaction'];
+
+/**
+ * Carino log-ratio coefficient: [ln(1+Rp) - ln(1+Rb)] / (Rp - Rb).
+ */
+function carinoK(rp, rb) {
+  if (rp <= -1 || rb <= -1) return NaN; // log of a non-positive growth factor
+  if (Math.abs(rp - rb) < LINK_EPS) return 1 / (1 + rp);
+  return (Math.log(1 + rp) - Math.log(1 + rb)) / (rp - rb);
+}
+
+/**
+ * Per-period scaling coefficients for the coefficient-based methods.
+ * Coefficients multiply each period's effects; their weighted sum with the
+ * period active returns equals the cumulative excess return.
+ *
+ * @returns {number[]}
+ * @throws {Error} If a coefficient is not finite (a return of -100% or below)
+ */
+function linkingCoefficients(method, rp, rb, cumRp, cumRb) {
+  const T = rp.length;
+  const excess = cumRp - cumRb;
+
+  let coefficients;
+  switch (method) {
+    case 'carino': {
+      const K = carinoK(cumRp, cumRb);
+      coefficients = rp.map((r, t) => carinoK(r, rb[t]) / K);
+      break;
+    }
+    case 'menchero': {
+      const M = Math.abs(excess) < LINK_EPS
+        ? Math.pow(1 + cumRp, (T - 1) / T)
+        : (excess / T) / (Math.pow(1 + cumRp, 1 / T) - Math.pow(1 + cumRb, 1 / T));
+      const active = rp.map((r, t) => r - rb[t]);
+      const sumActive = active.reduce((s, a) => s + a, 0);
+      const sumSq = active.reduce((s, a) => s + a * a, 0);
+      const scale = sumSq < LINK_EPS ? 0 : (excess - M * sumActive) / sumSq;
+      coefficients = active.map((a) => M + scale * a);
+      break;
+    }
+    case 'grap':
+      coefficients = rp.map((_, t) => {
+        let k = 1;
+        for (let s = 0; s < t; s++) k *= 1 + rp[s];
+        for (let s = t + 1; s < T; s++) k *= 1 + rb[s];
+        return k;
+      });
+      break;
+    default:
+      throw new Error(`Unknown linking method "${method}".`);
+  }
+
+  // Carino takes logs of 1 + R and Menchero roots of it: both break down at R ≤ -100%
+  if (coefficients.some((k) => !Number.isFinite(k))) {
+    throw new Error(`${method === 'carino' ? 'Carino' : 'Menchero'} linking is undefined for returns of -100% or below — use GRAP or Frongello.`);
+  }
+  return coefficients;
+}
+
+/**
+ * Frongello recursive linking of one effect series.
+ *
+ * @param {number[]} effects - Period effects for one asset/effect
+ * @param {number[]} rp      - Period portfolio returns
+ * @param {number[]} rb      - Period benchmark returns
+ * @returns {number} Linked effect
+ */
+function frongelloLink(effects, rp, rb) {
+  let linked = 0;
+  let growth = 1; // Π_{s<t}(1 + Rp_s)
+  for (let t = 0; t < effects.length; t++) {
+    linked = linked + effects[t] * growth + rb[t] * linked;
+    growth *= 1 + rp[t];
+  }
+  return linked;
+}
+
+/**
+ * Link single-period Brinson attribution across several periods.
+ *
+ * @param {Array<{label?: string, assets: import('./brinsonFachler').AssetInput[]}>} periods
+ *   Per-period attribution inputs, in chronological order. Asset classes are
+ *   matched by name; a class absent from a period contributes nothing to it.
+ * @param {Object} [options]
+ * @param {'carino'|'menchero'|'grap'|'frongello'} [options.method='carino'] - Smoothing algorithm
+ * @param {'bf'|'bhb'} [options.model='bf']  - Single-period allocation formula
+ * @param {'separate'|'selection'|'allocation'} [options.interaction='separate'] - Interaction treatment
+ * @returns {{
+ *   method: string,
+ *   periods: Array<{label: string, portfolioReturn: number, benchmarkReturn: number, activeReturn: number, totals: Object}>,
+ *   attribution: Array<{name: string, allocation: number, selection: number, interaction: number, total: number}>,
+ *   totals: { allocation: number, selection: number, interaction: number, activeReturn: number },
+ *   portfolioReturn: number,
+ *   benchmarkReturn: number,
+ *   residual: number,
+ *   issues: string[]
+ * }}
+ *   `portfolioReturn` / `benchmarkReturn` are compounded over all periods;
+ *   `residual` is Σ linked effects − (portfolioReturn − benchmarkReturn).
+ * @throws {Error} If the method, model or interaction treatment is unknown, or
+ *   Carino/Menchero coefficients cannot be computed (a return of -100% or below)
+ */
+function multiPeriodAttribution(periods, { method = 'carino', model = 'bf', interaction = 'separate' } = {}) {
+  if (!['carino', 'menchero', 'grap', 'frongello'].includes(method)) {
+    throw new Error(`Unknown linking method "${method}".`);
+  }
+
+  if (!periods || periods.length === 0) {
+    return {
+      method,
+      periods: [],
+      attribution: [],
+      totals: { allocation: 0, selection: 0, interaction: 0, activeReturn: 0 },
+      portfolioReturn: 0,
+      benchmarkReturn: 0,
+      residual: 0,
+      issues: [],
+    };
+  }
+
+  // ── Single-period attribution ───────────────────────────────
+  const single = periods.map((p, i) => ({ label: p.label || `Period ${i + 1}`, result: brinsonFachler(p.assets, { model, interaction }) }));
+  const rp = single.map((p) => p.result.portfolioReturn);
+  const rb = single.map((p) => p.result.benchmarkReturn);
+  const cumRp = chainReturns(rp);
+  const cumRb = chainReturns(rb);
+
+  const issues = [];
+  single.forEach(({ label, result }) => {
+    if (Math.abs(result.totalPortfolioWeight - 1) > 0.001 || Math.abs(result.totalBenchmarkWeight - 1) > 0.001) {
+      issues.push(`${label}: weights do not sum to 100% — linked effects may be distorted.`);
+    }
+  });
+
+  // ── Link each asset's effects ───────────────────────────────
+  const names = [...new Set(single.flatMap((p) => p.result.attribution.map((a) => a.name)))];
+  const coefficients = method === 'frongello' ? null : linkingCoefficients(method, rp, rb, cumRp, cumRb);
+
+  const seriesFor = (name, effect) =>
+    single.map((p) => p.result.attribution.find((a) => a.name === name)?.[effect] || 0);
+
+  const attribution = names.map((name) => {
+    const linked = { name };
+    for (const effect of EFFECTS) {
+      const series = seriesFor(name, effect);
+      linked[effect] = coefficients
+        ? series.reduce((sum, e, t) => sum + e * coefficients[t], 0)
+        : frongelloLink(series, rp, rb);
+    }
+    linked.total = linked.allocation + linked.selection + linked.interaction;
+    return linked;
+  });
+
+  const totals = { activeReturn: cumRp - cumRb };
+  for (const effect of EFFECTS) {
+    totals[effect] = attribution.reduce((sum, a) => sum + a[effect], 0);
+  }
+
+  // ── Residual check ──────────────────────────────────────────
+  const residual = totals.allocation + totals.selection + totals.interaction - totals.activeReturn;
+  if (!Number.isFinite(residual)) {
+    issues.push('Linked effects could not be reconciled with the compounded excess return — check for non-finite returns.');
+  } else if (Math.abs(residual) > RESIDUAL_TOLERANCE) {
+    issues.push(`Linked effects differ from the compounded excess return by ${(residual * 100).toFixed(6)}%.`);
+  }
+
+  return {
+    method,
+    periods: single.map(({ label, result }) => ({
+      label,
+      portfolioReturn: result.portfolioReturn,
+      benchmarkReturn: result.benchmarkReturn,
+      activeReturn: result.totals.activeReturn,
+      totals: result.totals,
+    })),
+    attribution,
+    totals,
+    portfolioReturn: cumRp,
+    benchmarkReturn: cumRb,
+    residual,
+    issues,
+  };
+}
+
+// ── Inline: Geometric (Bacon) attribution ─────────────────────
+function geometricAttribution(assets) {
+  let rp = 0, rb = 0, rs = 0;
+  for (const a of assets) {
+    rp += a.portfolioWeight * a.portfolioReturn;
+    rb += a.benchmarkWeight * a.benchmarkReturn;
+    rs += a.portfolioWeight * a.benchmarkReturn;
+  }
+  let tA = 0, tS = 0;
+  for (const a of assets) {
+    tA += (a.portfolioWeight - a.benchmarkWeight) * ((1 + a.benchmarkReturn) / (1 + rb) - 1);
+    tS += a.portfolioWeight * (a.portfolioReturn - a.benchmarkReturn) / (1 + rs);
+  }
+  return { totals: { allocation: tA, selection: tS, activeReturn: (1 + rp) / (1 + rb) - 1 }, semiNotionalReturn: rs, rb };
+}
+
+// ── Inline: Cashflow Weights ──────────────────────────────────
+function computeCashflowWeights(cashflows, startDate, endDate, timing = 'end') {
+  if (daysBetween(startDate, endDate) <= 0) return [];
+  return cashflows
+    .filter(cf => cf.date instanceof Date && !isNaN(cf.date.getTime()) && Number.isFinite(cf.amount))
+    .map(cf => ({ cf, w: cashflowWeight(cf.date, startDate, endDate, timing) }))
+    .filter(({ w }) => w !== null)
+    .map(({ cf, w }) => ({ ...cf, weight: w, weightedAmount: w * cf.amount }));
+}
+
+// ── Inline: True TWR ──────────────────────────────────────────
+const TWR_EPS = 1e-12;
+
+function dayKey(d) {
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+function computeSubPeriods({ beginningValue, endingValue, cashflows = [], valuations = [], startDate, endDate }) {
+  if (!Number.isFinite(beginningValue) || !Number.isFinite(endingValue)) {
+    throw new Error('Beginning value and ending value must be finite numbers.');
+  }
+  if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
+    throw new Error('Start date and end date must be valid Date objects.');
+  }
+  if (endDate.getTime() <= startDate.getTime()) {
+    throw new Error('End date must be after start date.');
+  }
+
+  const startKey = dayKey(startDate);
+  const endKey = dayKey(endDate);
+
+  // ── Net flows per calendar day ──────────────────────────────
+  const flowsByDay = new Map();
+  for (const cf of cashflows) {
+    if (!(cf.date instanceof Date) || !Number.isFinite(cf.amount)) continue;
+    if (cf.date.getTime() < startDate.getTime() || cf.date.getTime() > endDate.getTime()) continue;
+    const key = dayKey(cf.date);
+    const entry = flowsByDay.get(key) || { date: cf.date, amount: 0 };
+    entry.amount += cf.amount;
+    flowsByDay.set(key, entry);
+  }
+
+  const valueByDay = new Map();
+  for (const v of valuations) {
+    if (v.date instanceof Date && Number.isFinite(v.value)) valueByDay.set(dayKey(v.date), v.value);
+  }
+
+  const openingFlow = flowsByDay.get(startKey)?.amount || 0;
+  const closingFlow = flowsByDay.get(endKey)?.amount || 0;
+  const breaks = [...flowsByDay.entries()]
+    .filter(([key]) => key !== startKey && key !== endKey)
+    .sort((a, b) => a[1].date.getTime() - b[1].date.getTime());
+
+  // ── Walk the sub-periods ────────────────────────────────────
+  const subPeriods = [];
+  let periodStart = startDate;
+  let openValue = beginningValue + openingFlow;
+  let openFlow = openingFlow;
+
+  const pushSubPeriod = (end, closeValue) => {
+    if (Math.abs(openValue) < TWR_EPS) {
+      throw new Error(`No invested capital at the start of sub-period beginning ${periodStart.toLocaleDateString()}.`);
+    }
+    subPeriods.push({
+      start: periodStart,
+      end,
+      beginningValue: openValue,
+      endingValue: closeValue,
+      cashflow: openFlow,
+      periodReturn: closeValue / openValue - 1,
+    });
+  };
+
+  for (const [key, flow] of breaks) {
+    if (!valueByDay.has(key)) {
+      throw new Error(`Missing valuation before cashflow on ${flow.date.toLocaleDateString()}.`);
+    }
+    const value = valueByDay.get(key);
+    pushSubPeriod(flow.date, value);
+    periodStart = flow.date;
+    openValue = value + flow.amount;
+    openFlow = flow.amount;
+  }
+
+  pushSubPeriod(endDate, endingValue - closingFlow);
+  return subPeriods;
+}
+
+function trueTimeWeightedReturn(params) {
+  return chainReturns(computeSubPeriods(params).map((sp) => sp.periodReturn));
+}
+
+// ── Inline: IRR (Newton with bisection fallback) ──────────────
+const MIN_RATE = -0.999999;
+
+// Rates scanned, in order, to bracket a root for the bisection fallback
+const BRACKET_GRID = (() => {
+  const grid = [MIN_RATE, -0.99, -0.9, -0.75, -0.5, -0.25, -0.1];
+  for (let r = 0; r < 1; r += 0.05) grid.push(Number(r.toFixed(2)));
+  for (let r = 1; r <= 1e6; r *= 2) grid.push(r);
+  return grid;
+})();
+
+/**
+ * Net present value and its derivative at rate r.
+ * @returns {{ npv: number, dnpv: number }}
+ */
+function npvAt(amounts, times, r) {
+  let npv = 0;
+  let dnpv = 0;
+  for (let i = 0; i < amounts.length; i++) {
+    const disc = Math.pow(1 + r, -times[i]);
+    npv += amounts[i] * disc;
+    dnpv += (-times[i] * amounts[i] * disc) / (1 + r);
+  }
+  return { npv, dnpv };
+}
+
+/**
+ * Count sign changes in a cashflow series ordered by time (zeros skipped).
+ * @param {number[]} amounts
+ * @returns {number}
+ */
+function countSignChanges(amounts) {
+  let changes = 0;
+  let prev = 0;
+  for (const a of amounts) {
+    if (a === 0) continue;
+    if (prev !== 0 && Math.sign(a) !== Math.sign(prev)) changes++;
+    prev = a;
+  }
+  return changes;
+}
+
+/**
+ * Solve for the IRR of a cashflow series at arbitrary time offsets.
+ *
+ * @param {number[]} amounts - Signed amounts (investor perspective: − paid in, + received)
+ * @param {number[]} times   - Time offset of each amount, in the unit the rate is expressed in
+ * @param {Object} [options]
+ * @param {number} [options.guess=0.1]          - Starting point for Newton-Raphson
+ * @param {number} [options.tolerance=1e-10]    - Convergence tolerance on the rate
+ * @param {number} [options.maxIterations=100]  - Iteration cap for each method
+ * @returns {{ rate: number, iterations: number, method: 'newton'|'bisection', warnings: string[] }}
+ * @throws {Error} If the series has no sign change or no root can be found
+ */
+function irr(amounts, times, { guess = 0.1, tolerance = 1e-10, maxIterations = 100 } = {}) {
+  if (amounts.length !== times.length || amounts.length < 2) {
+    throw new Error('IRR needs at least two cashflows with matching time offsets.');
+  }
+  if (!amounts.every(Number.isFinite) || !times.every(Number.isFinite)) {
+    throw new Error('IRR cashflows and time offsets must be finite numbers.');
+  }
+
+  const ordered = amounts.map((_, i) => i).sort((a, b) => times[a] - times[b]).map((i) => amounts[i]);
+  const signChanges = countSignChanges(ordered);
+  if (signChanges === 0) {
+    throw new Error('Cashflows never change sign — IRR is undefined.');
+  }
+
+  const warnings = [];
+  let cumulative = 0;
+  const cumulativeChanges = countSignChanges(ordered.map((a) => (cumulative += a)));
+  if (signChanges > 1 && cumulativeChanges > 1) {
+    warnings.push(`Cashflows change sign ${signChanges} times — multiple IRRs may exist.`);
+  }
+
+  // ── Newton-Raphson ──────────────────────────────────────────
+  let r = guess;
+  for (let i = 1; i <= maxIterations; i++) {
+    const { npv, dnpv } = npvAt(amounts, times, r);
+    if (!Number.isFinite(npv) || !Number.isFinite(dnpv) || dnpv === 0) break;
+    const next = r - npv / dnpv;
+    if (!Number.isFinite(next) || next <= MIN_RATE) break;
+    if (Math.abs(next - r) < tolerance) {
+      return { rate: next, iterations: i, method: 'newton', warnings };
+    }
+    r = next;
+  }
+
+  // ── Bisection fallback: bracket the lowest root on the grid ──
+  let lo = NaN;
+  let hi = NaN;
+  let fLo = NaN;
+  for (let i = 1; i < BRACKET_GRID.length; i++) {
+    const a = npvAt(amounts, times, BRACKET_GRID[i - 1]).npv;
+    const b = npvAt(amounts, times, BRACKET_GRID[i]).npv;
+    if (Number.isFinite(a) && Number.isFinite(b) && Math.sign(a) !== Math.sign(b)) {
+      lo = BRACKET_GRID[i - 1];
+      hi = BRACKET_GRID[i];
+      fLo = a;
+      break;
+    }
+  }
+  if (!Number.isFinite(lo)) {
+    throw new Error('IRR did not converge — no rate in range sets NPV to zero.');
+  }
+
+  for (let i = 1; i <= maxIterations; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npvAt(amounts, times, mid).npv;
+    if (fMid === 0 || (hi - lo) / 2 < tolerance) {
+      return { rate: mid, iterations: i, method: 'bisection', warnings };
+    }
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+
+  throw new Error(`IRR did not converge within ${maxIterations} iterations.`);
+}
+
+/**
+ * Money-weighted (internal) rate of return over the evaluation period.
+ *
+ * Solves BV × (1 + R) + Σ CF_i × (1 + R)^w_i = EV for the period rate R,
+ * with w_i = (t1 − t_i) / (t1 − t0) — the exact form that Modified Dietz
+ * linearizes.
+ *
+ * @param {Object} params
+ * @param {number} params.beginningValue - Beginning market value (BV)
+ * @param {number} params.endingValue    - Ending market value (EV)
+ * @param {Array<{date: Date, amount: number}>} params.cashflows - Signed flows (+INFLOW, −OUTFLOW)
+ * @param {Date} params.startDate
+ * @param {Date} params.endDate
+ * @returns {{ periodReturn: number, warnings: string[] }} Period MWR in decimal form
+ * @throws {Error} If inputs are invalid or the solver fails
+ */
+function moneyWeightedReturn({ beginningValue, endingValue, cashflows = [], startDate, endDate }) {
+  if (!Number.isFinite(beginningValue) || !Number.isFinite(endingValue)) {
+    throw new Error('Beginning value and ending value must be finite numbers.');
+  }
+  if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
+    throw new Error('Start date and end date must be valid Date objects.');
+  }
+  const T = endDate.getTime() - startDate.getTime();
+  if (T <= 0) {
+    throw new Error('End date must be after start date.');
+  }
+
+  const validFlows = cashflows.filter(
+    (cf) =>
+      cf.date instanceof Date &&
+      cf.date.getTime() >= startDate.getTime() &&
+      cf.date.getTime() <= endDate.getTime() &&
+      Number.isFinite(cf.amount)
+  );
+
+  // Investor perspective, time measured in fractions of the period
+  const amounts = [-beginningValue, ...validFlows.map((cf) => -cf.amount), endingValue];
+  const times = [0, ...validFlows.map((cf) => (cf.date.getTime() - startDate.getTime()) / T), 1];
+
+  const { rate, warnings } = irr(amounts, times, { guess: 0 });
+  return { periodReturn: rate, warnings };
+}
+
+// ── Inline: Hierarchical (multi-level) attribution ────────────
+function hierarchicalAttribution(roots) {
+  const resolve = (n) => {
+    const children = (n.children || []).map(resolve);
+    if (children.length === 0) return { ...n, children };
+    const wr = (w, r) => children.reduce((s, c) => s + c[w] * c[r], 0) / children.reduce((s, c) => s + c[w], 0);
+    return { ...n, children, portfolioReturn: wr('portfolioWeight', 'portfolioReturn'), benchmarkReturn: wr('benchmarkWeight', 'benchmarkReturn') };
+  };
+  const tree = roots.map(resolve);
+  const rp = tree.reduce((s, n) => s + n.portfolioWeight * n.portfolioReturn, 0);
+  const rb = tree.reduce((s, n) => s + n.benchmarkWeight * n.benchmarkReturn, 0);
+  const walk = (siblings, parentRb, absP) => siblings.map((n) => {
+    const aw = n.portfolioWeight - n.benchmarkWeight;
+    const allocation = absP * aw * (n.benchmarkReturn - parentRb);
+    if (n.children.length > 0) {
+      const children = walk(n.children, n.benchmarkReturn, absP * n.portfolioWeight);
+      const selection = children.reduce((s, c) => s + c.total, 0);
+      return { name: n.name, allocation, selection, interaction: 0, total: allocation + selection, children };
+    }
+    const selection = absP * n.benchmarkWeight * (n.portfolioReturn - n.benchmarkReturn);
+    const interaction = absP * aw * (n.portfolioReturn - n.benchmarkReturn);
+    return { name: n.name, allocation, selection, interaction, total: allocation + selection + interaction, children: [] };
+  });
+  const nodes = walk(tree, rb, 1);
+  return { nodes, portfolioReturn: rp, benchmarkReturn: rb, rollUp: nodes.reduce((s, n) => s + n.total, 0) };
+}
+
+// ── Inline: Karnosky-Singer currency attribution ──────────────
+function karnoskySinger(assets, { baseCurrency, quoteCurrency = baseCurrency } = {}) {
+  if (!assets || assets.length === 0) {
+    return {
+      attribution: [],
+      totals: { localAllocation: 0, localSelection: 0, currencyAllocation: 0, hedging: 0, local: 0, currency: 0, activeReturn: 0 },
+      portfolioReturn: 0,
+      benchmarkReturn: 0,
+      portfolioLocalReturn: 0,
+      benchmarkLocalReturn: 0,
+      portfolioCurrencyReturn: 0,
+      benchmarkCurrencyReturn: 0,
+      totalPortfolioWeight: 0,
+      totalBenchmarkWeight: 0,
+      baseCurrency,
+      quoteCurrency,
+      insight: 'No data to analyze.',
+    };
+  }
+
+  // The base currency's own rates against the quote currency
+  let baseRates = { e: 0, f: 0 };
+  if (baseCurrency !== undefined && quoteCurrency !== undefined && baseCurrency !== quoteCurrency) {
+    const carrier = assets.find((a) => a.currency === baseCurrency);
+    if (!carrier) {
+      throw new Error(
+        `Rates are quoted against ${quoteCurrency}: add a ${baseCurrency} asset class with its currency return and forward premium against ${quoteCurrency}.`
+      );
+    }
+    baseRates = { e: carrier.currencyReturn || 0, f: carrier.forwardPremium || 0 };
+  }
+  const rebase = (rate, baseRate) => (baseRate ? (1 + rate) / (1 + baseRate) - 1 : rate);
+
+  // Base-currency assets have no currency return, forward premium or hedge;
+  // quote-currency assets have no rate against the quote currency itself
+  const rows = assets.map((a) => {
+    const isBase = baseCurrency !== undefined && a.currency === baseCurrency;
+    const isQuote = quoteCurrency !== undefined && a.currency === quoteCurrency;
+    const f = isBase ? 0 : rebase(isQuote ? 0 : a.forwardPremium || 0, baseRates.f);
+    const e = isBase ? 0 : rebase(isQuote ? 0 : a.currencyReturn || 0, baseRates.e);
+    const hp = isBase ? 0 : a.portfolioHedgeRatio || 0;
+    const hb = isBase ? 0 : a.benchmarkHedgeRatio || 0;
+    return { ...a, f, x: e - f, hp, hb };
+  });
+
+  // ── Total weighted returns ──────────────────────────────────
+  let portfolioLocalReturn = 0;
+  let benchmarkLocalReturn = 0;
+  let portfolioCurrencyReturn = 0;
+  let benchmarkCurrencyReturn = 0;
+  let totalPortfolioWeight = 0;
+  let totalBenchmarkWeight = 0;
+
+  for (const a of rows) {
+    portfolioLocalReturn += a.portfolioWeight * (a.portfolioLocalReturn + a.f);
+    benchmarkLocalReturn += a.benchmarkWeight * (a.benchmarkLocalReturn + a.f);
+    portfolioCurrencyReturn += a.portfolioWeight * (1 - a.hp) * a.x;
+    benchmarkCurrencyReturn += a.benchmarkWeight * (1 - a.hb) * a.x;
+    totalPortfolioWeight += a.portfolioWeight;
+    totalBenchmarkWeight += a.benchmarkWeight;
+  }
+
+  // ── Effects per asset class ─────────────────────────────────
+  const totals = { localAllocation: 0, localSelection: 0, currencyAllocation: 0, hedging: 0 };
+
+  const attribution = rows.map((a) => {
+    const activeWeight = a.portfolioWeight - a.benchmarkWeight;
+    const localAllocation = activeWeight * (a.benchmarkLocalReturn + a.f - benchmarkLocalReturn);
+    const localSelection = a.portfolioWeight * (a.portfolioLocalReturn - a.benchmarkLocalReturn);
+    const currencyAllocation = activeWeight * (a.x - benchmarkCurrencyReturn);
+    const hedging = -(a.portfolioWeight * a.hp - a.benchmarkWeight * a.hb) * a.x;
+
+    totals.localAllocation += localAllocation;
+    totals.localSelection += localSelection;
+    totals.currencyAllocation += currencyAllocation;
+    totals.hedging += hedging;
+
+    return {
+      name: a.name,
+      currency: a.currency,
+      portfolioWeight: a.portfolioWeight,
+      benchmarkWeight: a.benchmarkWeight,
+      localAllocation,
+      localSelection,
+      currencyAllocation,
+      hedging,
+      total: localAllocation + localSelection + currencyAllocation + hedging,
+    };
+  });
+
+  const portfolioReturn = portfolioLocalReturn + portfolioCurrencyReturn;
+  const benchmarkReturn = benchmarkLocalReturn + benchmarkCurrencyReturn;
+  const local = totals.localAllocation + totals.localSelection;
+  const currency = totals.currencyAllocation + totals.hedging;
+  const activeReturn = portfolioReturn - benchmarkReturn;
+
+  // Dynamic insight
+  const absPct = (v) => `${Math.abs(v * 100).toFixed(2)}%`;
+  const label = baseCurrency ? ` in ${baseCurrency} terms` : '';
+  let insight = `The portfolio ${activeReturn >= 0 ? 'outperformed' : 'underperformed'} the benchmark by ${absPct(activeReturn)}${label}. `;
+  insight += `Local market decisions ${local >= 0 ? 'added' : 'cost'} ${absPct(local)} and currency decisions ${currency >= 0 ? 'added' : 'cost'} ${absPct(currency)}`;
+  insight += totals.hedging !== 0
+    ? `, of which hedging ${totals.hedging >= 0 ? 'contributed' : 'cost'} ${absPct(totals.hedging)}.`
+    : '.';
+
+  return {
+    attribution,
+    totals: { ...totals, local, currency, activeReturn },
+    portfolioReturn,
+    benchmarkReturn,
+    portfolioLocalReturn,
+    benchmarkLocalReturn,
+    portfolioCurrencyReturn,
+    benchmarkCurrencyReturn,
+    totalPortfolioWeight,
+    totalBenchmarkWeight,
+    baseCurrency,
+    quoteCurrency,
+    insight,
+  };
+}
+
+// ── Inline: Campisi fixed income attribution ──────────────────
+function campisi(h, t) {
+  const income = h.yield * t;
+  const treasury = -h.modifiedDuration * h.treasuryChange;
+  const spread = -h.modifiedDuration * h.spreadChange;
+  return { income, treasury, spread, residual: h.totalReturn - income - treasury - spread };
+}
+
+// ── Inline: Risk statistics (MS_PER_DAY shared with the benchmark library) ──
+// Average days between observations → standard periods per year
+const FREQUENCIES = [
+  { maxDays: 4, periodsPerYear: 252, label: 'Daily' },
+  { maxDays: 10, periodsPerYear: 52, label: 'Weekly' },
+  { maxDays: 45, periodsPerYear: 12, label: 'Monthly' },
+  { maxDays: 135, periodsPerYear: 4, label: 'Quarterly' },
+  { maxDays: 270, periodsPerYear: 2, label: 'Semi-annual' },
+  { maxDays: Infinity, periodsPerYear: 1, label: 'Annual' },
+];
+
+function mean(xs) {
+  return xs.reduce((s, x) => s + x, 0) / xs.length;
+}
+
+function sampleCovariance(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  return xs.reduce((s, x, i) => s + (x - mx) * (ys[i] - my), 0) / (xs.length - 1);
+}
+
+function annualizeSeries(returns, periodsPerYear) {
+  const growth = returns.reduce((g, r) => g * (1 + r), 1);
+  return Math.pow(growth, periodsPerYear / returns.length) - 1;
+}
+
+function inferFrequency(dates) {
+  if (dates.length < 2) return null;
+  const avgDays = (dates[dates.length - 1].getTime() - dates[0].getTime()) / MS_PER_DAY / (dates.length - 1);
+  const { periodsPerYear, label } = FREQUENCIES.find((f) => avgDays <= f.maxDays);
+  return { periodsPerYear, label };
+}
+
+function periodReturnSeries(periods, benchmarks = {}) {
+  return [...periods]
+    .sort((a, b) => new Date(a.startDate).getTime() - new Date(b.startDate).getTime())
+    .map((p) => ({
+      date: new Date(p.endDate),
+      portfolio: p.performanceResults.portfolio.periodReturn,
+      benchmark: benchmarks[p.id],
+    }));
+}
+
+function maxDrawdown(returns) {
+  let wealth = 1;
+  let peak = 1;
+  let peakIndex = -1;
+  let worst = { depth: 0, peakIndex: -1, troughIndex: -1, peakWealth: 1 };
+
+  returns.forEach((r, i) => {
+    wealth *= 1 + r;
+    if (wealth > peak) {
+      peak = wealth;
+      peakIndex = i;
+    }
+    const depth = wealth / peak - 1;
+    if (depth < worst.depth) worst = { depth, peakIndex, troughIndex: i, peakWealth: peak };
+  });
+
+  let recoveryIndex = null;
+  if (worst.depth < 0) {
+    wealth = returns.slice(0, worst.troughIndex + 1).reduce((g, r) => g * (1 + r), 1);
+    for (let i = worst.troughIndex + 1; i < returns.length; i++) {
+      wealth *= 1 + returns[i];
+      if (wealth >= worst.peakWealth) {
+        recoveryIndex = i;
+        break;
+      }
+    }
+  }
+
+  return {
+    depth: worst.depth,
+    peakIndex: worst.peakIndex,
+    troughIndex: worst.troughIndex,
+    recoveryIndex,
+    recoveryPeriods: recoveryIndex === null ? null : recoveryIndex - worst.troughIndex,
+  };
+}
+
+function computeRiskStatistics(series, { riskFreeRate = 0, periodsPerYear } = {}) {
+  if (!series || series.length < 2) {
+    throw new Error('At least two period returns are needed to measure risk.');
+  }
+  if (!series.every((p) => Number.isFinite(p.portfolio))) {
+    throw new Error('Every period needs a finite portfolio return.');
+  }
+
+  let frequency = 'Custom';
+  if (!periodsPerYear) {
+    const dates = series.map((p) => p.date);
+    const inferred = dates.every((d) => d instanceof Date && !isNaN(d.getTime())) ? inferFrequency(dates) : null;
+    if (!inferred) {
+      throw new Error('Cannot infer the return frequency — supply dates or periods per year.');
+    }
+    ({ periodsPerYear, label: frequency } = inferred);
+  }
+
+  const rp = series.map((p) => p.portfolio);
+  const scale = Math.sqrt(periodsPerYear);
+  const periodRf = Math.pow(1 + riskFreeRate, 1 / periodsPerYear) - 1;
+
+  // ── Absolute risk ───────────────────────────────────────────
+  const annualizedReturn = annualizeSeries(rp, periodsPerYear);
+  const volatility = Math.sqrt(sampleCovariance(rp, rp)) * scale;
+  const downsideDeviation = Math.sqrt(rp.reduce((s, r) => s + Math.min(0, r - periodRf) ** 2, 0) / rp.length) * scale;
+  const excess = annualizedReturn - riskFreeRate;
+
+  const drawdown = maxDrawdown(rp);
+  const dateAt = (i) => (i === null || i < 0 ? null : series[i].date || null);
+
+  // ── Benchmark-relative risk ─────────────────────────────────
+  let benchmark = null;
+  if (series.every((p) => Number.isFinite(p.benchmark))) {
+    const rb = series.map((p) => p.benchmark);
+    const benchmarkReturn = annualizeSeries(rb, periodsPerYear);
+    const active = rp.map((r, i) => r - rb[i]);
+    const trackingError = Math.sqrt(sampleCovariance(active, active)) * scale;
+    const varB = sampleCovariance(rb, rb);
+    const beta = varB === 0 ? NaN : sampleCovariance(rp, rb) / varB;
+
+    benchmark = {
+      annualizedReturn: benchmarkReturn,
+      volatility: Math.sqrt(varB) * scale,
+      trackingError,
+      informationRatio: trackingError === 0 ? NaN : (annualizedReturn - benchmarkReturn) / trackingError,
+      beta,
+      jensensAlpha: annualizedReturn - (riskFreeRate + beta * (benchmarkReturn - riskFreeRate)),
+    };
+  }
+
+  return {
+    observations: series.length,
+    periodsPerYear,
+    frequency,
+    annualizedReturn,
+    volatility,
+    sharpe: volatility === 0 ? NaN : excess / volatility,
+    sortino: downsideDeviation === 0 ? NaN : excess / downsideDeviation,
+    downsideDeviation,
+    maxDrawdown: {
+      ...drawdown,
+      peakDate: drawdown.peakIndex < 0 ? null : dateAt(drawdown.peakIndex),
+      troughDate: dateAt(drawdown.troughIndex),
+      recoveryDate: dateAt(drawdown.recoveryIndex),
+    },
+    benchmark,
+  };
+}
+
+// ── Inline: Portfolio returns (Modified Dietz path) ───────────
+const isSameDay = (a, b) => a instanceof Date && b instanceof Date && daysBetween(a, b) === 0;
+
+function findLargeCashflows(cashflows, beginningValue, threshold, startDate, endDate) {
+  if (!(threshold > 0) || !(beginningValue > 0)) return [];
+  const totalDays = daysBetween(startDate, endDate);
+  const byDay = new Map();
+  for (const cf of cashflows) {
+    if (!(cf.date instanceof Date) || !Number.isFinite(cf.amount)) continue;
+    const day = daysBetween(startDate, cf.date);
+    if (day <= 0 || day >= totalDays) continue;
+    const entry = byDay.get(day) || { date: cf.date, amount: 0 };
+    entry.amount += cf.amount;
+    byDay.set(day, entry);
+  }
+  return [...byDay.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([, flow]) => ({ ...flow, share: Math.abs(flow.amount) / beginningValue }))
+    .filter((flow) => flow.share >= threshold);
+}
+
+function splitModifiedDietz({ beginningValue, endingValue, cashflows = [], valuations = [], breakDates, startDate, endDate, timing = 'end' }) {
+  const closes = breakDates.map((date) => {
+    const valuation = valuations.find((v) => isSameDay(v.date, date));
+    if (!valuation || !Number.isFinite(valuation.value)) throw new Error(`Missing valuation on ${date.toLocaleDateString()}.`);
+    return { date, value: valuation.value };
+  });
+  closes.push({ date: endDate, value: endingValue });
+  const subPeriods = [];
+  let start = startDate;
+  let openValue = beginningValue;
+  for (const [i, close] of closes.entries()) {
+    const isLast = i === closes.length - 1;
+    const flows = cashflows.filter((cf) => {
+      const untilClose = daysBetween(cf.date, close.date);
+      return daysBetween(start, cf.date) >= 0 && (isLast ? untilClose >= 0 : untilClose > 0);
+    });
+    // Flows on a break date were made after its valuation: they join the opening value
+    const opening = i > 0 ? flows.filter((cf) => daysBetween(start, cf.date) === 0) : [];
+    const periodReturn = modifiedDietz({
+      beginningValue: openValue + opening.reduce((sum, cf) => sum + cf.amount, 0),
+      endingValue: close.value,
+      cashflows: flows.filter((cf) => !opening.includes(cf)),
+      startDate: start,
+      endDate: close.date,
+      timing,
+    });
+    subPeriods.push({ start, end: close.date, beginningValue: openValue, endingValue: close.value, periodReturn });
+    start = close.date;
+    openValue = close.value;
+  }
+  return { periodReturn: chainReturns(subPeriods.map((sp) => sp.periodReturn)), subPeriods };
+}
+
+const isIncomeFlow = (cf) => cf.type === 'INCOME';
+const isTransferFlow = (cf) => cf.type === 'TRANSFER';
+const TRANSFER_TOLERANCE = 0.01;
+
+function averageCapital(beginningValue, cashflows, startDate, endDate, timing = 'end') {
+  return beginningValue + computeCashflowWeights(cashflows, startDate, endDate, timing).reduce((sum, cf) => sum + cf.weightedAmount, 0);
+}
+
+// TWR, MWR and annualization are left out; periodReturn is the Modified Dietz return
+function computePortfolioReturns({
+  assets, cashflows = [], valuations = [], startDate, endDate, feeSchedule = EMPTY_FEE_SCHEDULE, timing = 'end', largeFlowThreshold = 0, dayCount = 'act365',
+}) {
+  const totalBV = assets.reduce((sum, a) => sum + a.beginningValue, 0);
+  if (totalBV <= 0) throw new Error('Total beginning market value must be greater than zero.');
+  const issues = [];
+  const totalEV = assets.reduce((sum, a) => sum + a.endingValue, 0);
+  const allFlows = cashflows
+    .filter((cf) => !isIncomeFlow(cf))
+    .map((cf) => ({ date: cf.date, amount: cf.amount, type: cf.type, assetClass: cf.assetClass }));
+  const portfolioFlows = allFlows.filter((cf) => !isTransferFlow(cf));
+  const periodIncome = (assetClass) =>
+    computeCashflowWeights(cashflows.filter((cf) => isIncomeFlow(cf) && (!assetClass || cf.assetClass === assetClass)), startDate, endDate)
+      .reduce((sum, cf) => sum + cf.amount, 0);
+  const splitIncome = (income, capital, periodReturn) => {
+    const incomeReturn = income === 0 ? 0 : Math.abs(capital) < 1e-12 ? NaN : income / capital;
+    return { income, incomeReturn, capitalReturn: periodReturn - incomeReturn };
+  };
+
+  const portfolioValuations = [];
+  for (const v of valuations) {
+    if (portfolioValuations.some((pv) => isSameDay(pv.date, v.date))) continue;
+    const sameDay = assets.map((a) => valuations.find((x) => x.assetClass === a.name && isSameDay(x.date, v.date)));
+    if (sameDay.every(Boolean)) portfolioValuations.push({ date: v.date, value: sameDay.reduce((sum, x) => sum + x.value, 0) });
+  }
+
+  const largeCashflows = findLargeCashflows(portfolioFlows, totalBV, largeFlowThreshold, startDate, endDate).map((flow) => ({
+    ...flow,
+    valued: portfolioValuations.some((v) => isSameDay(v.date, flow.date)),
+  }));
+  for (const flow of largeCashflows) {
+    issues.push(`Portfolio: ${flow.amount >= 0 ? 'Inflow' : 'Outflow'} on ${flow.date.toLocaleDateString()} is ${(flow.share * 100).toFixed(1)}% of beginning value — ` +
+      (flow.valued ? 'the period was revalued and split on this date.' : 'enter a valuation for every asset class on this date to split the period.'));
+  }
+  const breakDates = largeCashflows.filter((flow) => flow.valued).map((flow) => flow.date);
+
+  const transferDays = [];
+  for (const cf of computeCashflowWeights(allFlows.filter(isTransferFlow), startDate, endDate)) {
+    const day = transferDays.find((d) => isSameDay(d.date, cf.date));
+    if (day) day.net += cf.amount;
+    else transferDays.push({ date: cf.date, net: cf.amount });
+  }
+  for (const day of transferDays.filter((d) => Math.abs(d.net) > TRANSFER_TOLERANCE)) {
+    issues.push(`Portfolio: Transfers on ${day.date.toLocaleDateString()} do not net to zero (${day.net.toFixed(2)}) — ` +
+      'check for a missing or misdated leg; the remainder is left out of the portfolio return.');
+  }
+
+  const computeDietz = (params, seriesValuations) => {
+    const canSplit = breakDates.length > 0 && breakDates.every((d) => seriesValuations.some((v) => isSameDay(v.date, d)));
+    return canSplit ? splitModifiedDietz({ ...params, valuations: seriesValuations, breakDates }).periodReturn : modifiedDietz(params);
+  };
+
+  const assetResults = assets.map((asset) => {
+    const assetFlows = allFlows.filter((cf) => cf.assetClass === asset.name).map((cf) => ({ date: cf.date, amount: cf.amount, type: cf.type }));
+    const assetValuations = valuations.filter((v) => v.assetClass === asset.name);
+    const dietzParams = { beginningValue: asset.beginningValue, endingValue: asset.endingValue, cashflows: assetFlows, startDate, endDate, timing };
+    let periodReturn = 0;
+    try {
+      if (asset.beginningValue === 0 && (assetFlows.length === 0 || Math.abs(assetFlows.reduce((s, f) => s + f.amount, 0)) < 1e-12)) periodReturn = 0;
+      else periodReturn = computeDietz(dietzParams, assetValuations);
+    } catch (err) {
+      issues.push(`${asset.name}: ${err.message}`);
+    }
+    const split = splitIncome(periodIncome(asset.name), averageCapital(asset.beginningValue, assetFlows, startDate, endDate, timing), periodReturn);
+    return { name: asset.name, weight: asset.beginningValue / totalBV, periodReturn, ...split };
+  });
+
+  const periodFlows = computeCashflowWeights(portfolioFlows, startDate, endDate, timing);
+  const feeTransactions = -periodFlows.filter(isFeeFlow).reduce((sum, cf) => sum + cf.amount, 0);
+  const scheduled = accrueScheduledFees({
+    beginningValue: totalBV,
+    endingValue: totalEV,
+    averageCapital: averageCapital(totalBV, portfolioFlows, startDate, endDate, timing),
+    externalFlows: periodFlows.filter((cf) => !isFeeFlow(cf)).reduce((sum, cf) => sum + cf.amount, 0),
+    startDate,
+    endDate,
+    schedule: feeSchedule,
+    dayCount,
+  });
+
+  const portfolioParams = { beginningValue: totalBV, endingValue: totalEV, cashflows: portfolioFlows, startDate, endDate, timing };
+  const netReturn = computeDietz(
+    { ...portfolioParams, endingValue: totalEV - scheduled.total, cashflows: portfolioFlows.filter((cf) => !isFeeFlow(cf)) },
+    portfolioValuations
+  );
+  const periodReturn = computeDietz(portfolioParams, portfolioValuations);
+  return {
+    assetResults,
+    portfolio: {
+      periodReturn,
+      netReturn,
+      ...splitIncome(periodIncome(), averageCapital(totalBV, portfolioFlows, startDate, endDate, timing), periodReturn),
+    },
+    fees: { transactions: feeTransactions, management: scheduled.management, performance: scheduled.performance, total: feeTransactions + scheduled.total },
+    largeCashflows,
+    issues,
+  };
+}
+
+// ── Inline: Transaction taxonomy ──────────────────────────────
+const DEFAULT_TAXONOMY = [
+  { code: 'INFLOW', category: 'external', direction: 'in' },
+  { code: 'CONTRIBUTION', category: 'external', direction: 'in' },
+  { code: 'DEPOSIT', category: 'external', direction: 'in' },
+  { code: 'SUBSCRIPTION', category: 'external', direction: 'in' },
+  { code: 'OUTFLOW', category: 'external', direction: 'out' },
+  { code: 'REDEMPTION', category: 'external', direction: 'out' },
+  { code: 'WITHDRAWAL', category: 'external', direction: 'out' },
+  { code: 'DISTRIBUTION', category: 'external', direction: 'out' },
+  { code: 'TRANSFER IN', category: 'transfer', direction: 'in' },
+  { code: 'TRANSFER OUT', category: 'transfer', direction: 'out' },
+  { code: 'TRANSFER', category: 'transfer', direction: 'signed' },
+  { code: 'INCOME', category: 'income', direction: 'in' },
+  { code: 'DIVIDEND', category: 'income', direction: 'in' },
+  { code: 'INTEREST', category: 'income', direction: 'in' },
+  { code: 'COUPON', category: 'income', direction: 'in' },
+  { code: 'RENT', category: 'income', direction: 'in' },
+  { code: 'FEE', category: 'expense', direction: 'out' },
+  { code: 'TAX', category: 'tax', direction: 'out' },
+  { code: 'WITHHOLDING TAX', category: 'tax', direction: 'out' },
+  { code: 'EXPENSE', category: 'tax', direction: 'out' },
+];
+const normalizeTypeCode = (raw) => String(raw ?? '').trim().toUpperCase().replace(/[\s_-]+/g, ' ');
+function flowType(category, amount) {
+  switch (category) {
+    case 'transfer': return 'TRANSFER';
+    case 'income': return 'INCOME';
+    case 'expense': return 'FEE';
+    case 'tax': return 'TAX';
+    default: return amount < 0 ? 'OUTFLOW' : 'INFLOW';
+  }
+}
+function classifyTransaction(rawType, amount, taxonomy = DEFAULT_TAXONOMY) {
+  if (rawType === null) return { type: flowType('external', amount), category: 'external', code: '', amount };
+  const code = normalizeTypeCode(rawType);
+  const entry = taxonomy.find((t) => normalizeTypeCode(t.code) === code);
+  if (!entry) return null;
+  const signed = entry.direction === 'in' ? Math.abs(amount) : entry.direction === 'out' ? -Math.abs(amount) : amount;
+  return { type: flowType(entry.category, signed), category: entry.category, code, amount: signed };
+}
+
+// ── Inline: Reconciliation ────────────────────────────────────
+const SEVERITY = { pass: 0, warn: 1, fail: 2 };
+const PLAUSIBLE_RETURN = { warn: 0.25, fail: 1 };
+const TOLERANCE = 0.01;
+const worstStatus = (statuses) => statuses.reduce((worst, s) => (SEVERITY[s] > SEVERITY[worst] ? s : worst), 'pass');
+const sum = (flows) => flows.reduce((s, cf) => s + cf.amount, 0);
+const fmt = (x) => x.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const describe = (cf) => `${cf.date.toLocaleDateString()} ${cf.type} ${fmt(cf.amount)} (${cf.assetClass || 'no asset class'})`;
+const isAcknowledged = (acknowledgement, report) => report !== null && acknowledgement?.report === report;
+
+function reconcile({ assets, cashflows, startDate, endDate, timing = 'end', plausibleReturn = PLAUSIBLE_RETURN }) {
+  // Same rule as the return calculations: a flow with no Modified Dietz weight is outside the period
+  const isInPeriod = (cf) => cf.date instanceof Date && cashflowWeight(cf.date, startDate, endDate) !== null;
+  const inPeriod = cashflows.filter(isInPeriod);
+  const known = new Set(assets.map((a) => a.name));
+
+  // ── Roll-forward and plausibility per asset class ───────────
+  const rollForward = assets.map((asset) => {
+    const flows = inPeriod.filter((cf) => cf.assetClass === asset.name);
+    const external = flows.filter((cf) => !isIncomeFlow(cf) && !isTransferFlow(cf));
+    const transfers = flows.filter(isTransferFlow);
+    const netFlows = sum(external);
+    const netTransfers = sum(transfers);
+    const gain = asset.endingValue - asset.beginningValue - netFlows - netTransfers;
+
+    // An empty asset class (nothing held, nothing moved) returns 0%, as in computePortfolioReturns
+    const empty = asset.beginningValue === 0 && asset.endingValue === 0 && Math.abs(netFlows + netTransfers) < TOLERANCE;
+    let periodReturn = 0;
+    if (!empty) {
+      try {
+        periodReturn = modifiedDietz({
+          beginningValue: asset.beginningValue,
+          endingValue: asset.endingValue,
+          cashflows: [...external, ...transfers],
+          startDate,
+          endDate,
+          timing,
+        });
+      } catch {
+        periodReturn = NaN; // Reported below as an implausible return
+      }
+    }
+
+    return {
+      name: asset.name,
+      beginningValue: asset.beginningValue,
+      netFlows,
+      transfers: netTransfers,
+      income: sum(flows.filter(isIncomeFlow)),
+      gain,
+      endingValue: asset.endingValue,
+      periodReturn,
+    };
+  });
+
+  const valueMessages = [];
+  const returnMessages = [];
+  const returnStatuses = [];
+  for (const row of rollForward) {
+    const valueFail = row.beginningValue < 0 || row.endingValue < 0;
+    if (valueFail) valueMessages.push(`${row.name}: market values cannot be negative.`);
+    const absReturn = Math.abs(row.periodReturn);
+    let returnStatus = 'pass';
+    if (!Number.isFinite(row.periodReturn) || absReturn > plausibleReturn.fail || row.periodReturn <= -1) {
+      returnStatus = 'fail';
+      returnMessages.push(
+        Number.isFinite(row.periodReturn)
+          ? `${row.name}: return of ${(row.periodReturn * 100).toFixed(1)}% implies a gain of ${fmt(row.gain)} — check for a missing cashflow or a wrong market value.`
+          : `${row.name}: no return can be computed — there is no capital invested in the period.`
+      );
+    } else if (absReturn > plausibleReturn.warn) {
+      returnStatus = 'warn';
+      returnMessages.push(`${row.name}: return of ${(row.periodReturn * 100).toFixed(1)}% is above ${(plausibleReturn.warn * 100).toFixed(0)}% — confirm it is genuine performance.`);
+    }
+    returnStatuses.push(returnStatus);
+    row.status = worstStatus([valueFail ? 'fail' : 'pass', returnStatus]);
+  }
+
+  // ── Cashflow checks ─────────────────────────────────────────
+  const unknown = inPeriod.filter((cf) => !known.has(cf.assetClass));
+  const outside = cashflows.filter((cf) => !isInPeriod(cf));
+
+  const seen = new Map();
+  const duplicates = [];
+  for (const cf of cashflows) {
+    const key = [cf.date.getTime(), cf.assetClass, cf.type, cf.amount, cf.details || ''].join('|');
+    if (seen.has(key)) duplicates.push(cf);
+    else seen.set(key, cf);
+  }
+
+  const transferDays = [];
+  for (const cf of inPeriod.filter(isTransferFlow)) {
+    const day = transferDays.find((d) => isSameDay(d.date, cf.date));
+    if (day) day.net += cf.amount;
+    else transferDays.push({ date: cf.date, net: cf.amount });
+  }
+  const unbalanced = transferDays.filter((d) => Math.abs(d.net) > TOLERANCE);
+
+  // External flows still reach the portfolio return; income and transfers reach no return
+  const unassignedFlows = unknown.filter((cf) => !isIncomeFlow(cf) && !isTransferFlow(cf));
+  const unassignedOther = unknown.filter((cf) => isIncomeFlow(cf) || isTransferFlow(cf));
+  const unassigned = { netFlows: sum(unassignedFlows), count: unassignedFlows.length };
+
+  const beginningValue = assets.reduce((s, a) => s + a.beginningValue, 0);
+  const endingValue = assets.reduce((s, a) => s + a.endingValue, 0);
+  const netFlows = sum(inPeriod.filter((cf) => !isIncomeFlow(cf) && !isTransferFlow(cf)));
+
+  const checks = [
+    {
+      id: 'values',
+      label: 'Market values are not negative',
+      status: valueMessages.length > 0 ? 'fail' : 'pass',
+      messages: valueMessages,
+    },
+    {
+      id: 'assetClasses',
+      label: 'Every cashflow belongs to an asset class in the asset list',
+      status: unknown.length > 0 ? 'fail' : 'pass',
+      messages: [
+        ...(unassignedFlows.length > 0
+          ? [
+              `${unassignedFlows.length} external flow(s) totalling ${fmt(unassigned.netFlows)} are counted in the portfolio return but in no asset class:`,
+              ...unassignedFlows.map(describe),
+            ]
+          : []),
+        ...(unassignedOther.length > 0
+          ? [`${unassignedOther.length} income or transfer row(s) belong to no asset class:`, ...unassignedOther.map(describe)]
+          : []),
+      ],
+    },
+    {
+      id: 'duplicates',
+      label: 'No duplicate cashflows',
+      status: duplicates.length > 0 ? 'warn' : 'pass',
+      messages: duplicates.map((cf) => `Repeated: ${describe(cf)}`),
+    },
+    {
+      id: 'period',
+      label: 'Every cashflow falls inside the period',
+      status: outside.length > 0 ? 'warn' : 'pass',
+      messages: outside.map((cf) => `Ignored, outside the period: ${describe(cf)}`),
+    },
+    {
+      id: 'transfers',
+      label: 'Transfers between asset classes net to zero each day',
+      status: unbalanced.length > 0 ? 'warn' : 'pass',
+      messages: unbalanced.map((d) => `${d.date.toLocaleDateString()}: transfers net to ${fmt(d.net)}`),
+    },
+    {
+      id: 'returns',
+      label: 'Asset-class returns are plausible',
+      status: worstStatus(returnStatuses),
+      messages: returnMessages,
+    },
+  ];
+
+  return {
+    status: worstStatus(checks.map((c) => c.status)),
+    checks,
+    rollForward,
+    unassigned,
+    portfolio: { beginningValue, netFlows, gain: endingValue - beginningValue - netFlows, endingValue },
+  };
+}
+
+// ── Inline: Benchmark library ─────────────────────────────────
+const MS_PER_DAY = 86_400_000;
+const COVERAGE_GRACE_DAYS = 3;
+const REBALANCE_FREQUENCIES = [
+  { id: 'monthly', label: 'Monthly', months: 1 },
+  { id: 'quarterly', label: 'Quarterly', months: 3 },
+  { id: 'annually', label: 'Annually', months: 12 },
+  { id: 'none', label: 'Buy and Hold', months: null },
+];
+const returnsIn = (index, startDate, endDate) =>
+  index.returns.filter((o) => o.date.getTime() > startDate.getTime() && o.date.getTime() <= endDate.getTime());
+
+function indexReturn(index, startDate, endDate) {
+  const obs = returnsIn(index, startDate, endDate);
+  if (obs.length === 0) {
+    return { value: NaN, issues: [`${index.name}: no returns between ${startDate.toLocaleDateString()} and ${endDate.toLocaleDateString()}.`] };
+  }
+  const issues = [];
+  const last = obs[obs.length - 1].date;
+  if ((endDate.getTime() - last.getTime()) / MS_PER_DAY > COVERAGE_GRACE_DAYS) {
+    issues.push(`${index.name}: returns end on ${last.toLocaleDateString()}, before the period end.`);
+  }
+  const value = obs.reduce((g, o) => g * (1 + o.return), 1) - 1;
+  return { value, issues };
+}
+
+function blendedReturn(policy, indices, startDate, endDate) {
+  const frequency = REBALANCE_FREQUENCIES.find((f) => f.id === policy.rebalance);
+  if (!frequency) throw new Error(`Unknown rebalancing frequency "${policy.rebalance}".`);
+
+  const issues = [];
+  const totalWeight = policy.components.reduce((s, c) => s + c.weight, 0);
+  if (policy.components.length === 0 || totalWeight <= 0) {
+    return { value: NaN, issues: [`${policy.name}: add components with positive weights.`] };
+  }
+  if (Math.abs(totalWeight - 1) > 1e-6) {
+    issues.push(`${policy.name}: weights sum to ${(totalWeight * 100).toFixed(1)}% — returns are scaled to 100%.`);
+  }
+
+  const series = policy.components.map((c) => {
+    const index = indices.find((i) => i.id === c.indexId);
+    if (!index) {
+      issues.push(`${policy.name}: ${c.assetClass || 'a component'} has no index.`);
+      return [];
+    }
+    issues.push(...indexReturn(index, startDate, endDate).issues);
+    return returnsIn(index, startDate, endDate);
+  });
+
+  const dates = series
+    .flat()
+    .map((o) => o.date)
+    .sort((a, b) => a.getTime() - b.getTime())
+    .filter((d, i, all) => i === 0 || !isSameDay(d, all[i - 1]));
+  if (dates.length === 0) return { value: NaN, issues };
+
+  const bucket = (d) => (frequency.months ? Math.floor((d.getFullYear() * 12 + d.getMonth()) / frequency.months) : 0);
+  let values = policy.components.map((c) => c.weight / totalWeight);
+  dates.forEach((date, step) => {
+    values = values.map((v, k) => v * (1 + (series[k].find((o) => isSameDay(o.date, date))?.return ?? 0)));
+    const next = dates[step + 1];
+    if (frequency.months && next && bucket(next) !== bucket(date)) {
+      const total = values.reduce((s, v) => s + v, 0);
+      values = policy.components.map((c) => (c.weight / totalWeight) * total);
+    }
+  });
+
+  return { value: values.reduce((s, v) => s + v, 0) - 1, issues };
+}
+
+function policyAttributionInputs(policy, indices, startDate, endDate) {
+  const { value: total, issues } = blendedReturn(policy, indices, startDate, endDate);
+  const totalWeight = policy.components.reduce((s, c) => s + c.weight, 0);
+  const scale = totalWeight > 0 ? totalWeight : 1;
+  const rows = [];
+  for (const c of policy.components) {
+    const index = indices.find((i) => i.id === c.indexId);
+    const r = index ? indexReturn(index, startDate, endDate).value : NaN;
+    const name = c.assetClass.trim();
+    const w = c.weight / scale;
+    const row = rows.find((x) => x.name === name);
+    if (row) {
+      const weight = row.benchmarkWeight + w;
+      row.benchmarkReturn = weight > 0 ? (row.benchmarkReturn * row.benchmarkWeight + r * w) / weight : 0;
+      row.benchmarkWeight = weight;
+    } else {
+      rows.push({ name, benchmarkWeight: w, benchmarkReturn: r });
+    }
+  }
+  return { rows, total, issues };
+}
+
+// ── Inline: Workspace migrations and mapping profiles ─────────
+const STORE_VERSION = 4;
+
+// Transaction codes that were fees before version 3
+const TAX_CODES = ['TAX', 'WITHHOLDING TAX', 'EXPENSE'];
+
+const MIGRATIONS = {
+  // 2: one portfolio → portfolio registry; the saved data becomes the active portfolio
+  2: (state) => ({
+    ...state,
+    portfolios: [{ id: 'portfolio_1', name: 'Main Portfolio', archived: false, createdAt: null, data: null }],
+    activePortfolioId: 'portfolio_1',
+  }),
+  // 3: taxes and other expenses move out of the fee category into their own
+  3: (state) => {
+    const retag = (cashflows) => cashflows.map((cf) => (
+      cf.type === 'FEE' && TAX_CODES.includes(cf.code) ? { ...cf, type: 'TAX' } : cf
+    ));
+    const migrated = { ...state };
+    if (state.transactionTaxonomy) {
+      migrated.transactionTaxonomy = state.transactionTaxonomy.map((t) => (
+        t.category === 'expense' && TAX_CODES.includes(t.code) ? { ...t, category: 'tax' } : t
+      ));
+    }
+    if (state.cashflows) migrated.cashflows = retag(state.cashflows);
+    if (state.portfolios) {
+      migrated.portfolios = state.portfolios.map((p) => (
+        p.data?.cashflows ? { ...p, data: { ...p.data, cashflows: retag(p.data.cashflows) } } : p
+      ));
+    }
+    return migrated;
+  },
+  // 4: currency rates were entered against the base currency; record it as their quote currency
+  4: (state) => {
+    const withQuote = (data) => (
+      data?.attributionInputs?.currencyData && !data.attributionInputs.currencyQuote && data.baseCurrency
+        ? { ...data, attributionInputs: { ...data.attributionInputs, currencyQuote: data.baseCurrency } }
+        : data
+    );
+    const migrated = withQuote(state);
+    if (state.portfolios) {
+      return { ...migrated, portfolios: state.portfolios.map((p) => (p.data ? { ...p, data: withQuote(p.data) } : p)) };
+    }
+    return migrated;
+  },
+};
+
+function migrateState(state, version) {
+  let migrated = state;
+  for (let v = version + 1; v <= STORE_VERSION; v++) {
+    if (MIGRATIONS[v]) migrated = MIGRATIONS[v](migrated);
+  }
+  return migrated;
+}
+
+function upsertProfile(profiles, { name, schema, mapping }) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Profile name is required.');
+  const others = profiles.filter((p) => !(p.schema === schema && p.name === trimmed));
+  const profile = {
+    id: `${schema}_${Date.now()}`,
+    name: trimmed,
+    schema,
+    mapping: Object.fromEntries(Object.entries(mapping).filter(([, raw]) => raw)),
+    savedAt: new Date().toISOString(),
+  };
+  return [...others, profile];
+}
+
+// ── Inline: Portfolio registry (store actions on a plain set/get) ─
+const PORTFOLIO_FIELDS = [
+  'startDate', 'endDate', 'assets', 'cashflows', 'assetSource', 'securities', 'ledger', 'holdingsIssues',
+  'valuations', 'methodology', 'feeSchedule', 'cashflowTiming', 'largeFlowThreshold', 'dayCount',
+  'shortPeriodPolicy', 'assetBenchmarks', 'activePolicyId', 'baseCurrency', 'performanceResults', 'periods',
+  'riskSource', 'riskFreeRate', 'returnSeries', 'periodBenchmarks', 'attributionInputs',
+];
+const pickPortfolio = (state) => Object.fromEntries(PORTFOLIO_FIELDS.map((field) => [field, state[field]]));
+const EMPTY_PORTFOLIO = { ...Object.fromEntries(PORTFOLIO_FIELDS.map((field) => [field, null])), assets: [], cashflows: [], periods: [] };
+const blankPortfolio = () => pickPortfolio(EMPTY_PORTFOLIO);
+const nextPortfolioId = (portfolios) => {
+  const numbers = portfolios.map((p) => Number(/^portfolio_(\d+)$/.exec(p.id)?.[1] ?? 0));
+  return `portfolio_${Math.max(0, ...numbers) + 1}`;
+};
+
+function createRegistry(initial) {
+  let state;
+  const get = () => state;
+  const set = (update) => { state = { ...state, ...(typeof update === 'function' ? update(state) : update) }; };
+  state = {
+    ...EMPTY_PORTFOLIO,
+    portfolios: [{ id: 'portfolio_1', name: 'Main Portfolio', archived: false, createdAt: null, data: null }],
+    activePortfolioId: 'portfolio_1',
+    ...initial,
+    // Keep the active portfolio's fields in its entry and load those of another
+    switchPortfolio: (id) =>
+      set((state) => {
+        const target = state.portfolios.find((p) => p.id === id);
+        if (!target || id === state.activePortfolioId) return {};
+        return {
+          ...blankPortfolio(),
+          ...target.data,
+          activePortfolioId: id,
+          portfolios: state.portfolios.map((p) => {
+            if (p.id === state.activePortfolioId) return { ...p, data: pickPortfolio(state) };
+            return p.id === id ? { ...p, archived: false, data: null } : p;
+          }),
+        };
+      }),
+
+    // Add an empty portfolio and switch to it
+    createPortfolio: (name) => {
+      const id = nextPortfolioId(get().portfolios);
+      set((state) => ({
+        portfolios: [...state.portfolios, { id, name, archived: false, createdAt: new Date(), data: blankPortfolio() }],
+      }));
+      get().switchPortfolio(id);
+      return id;
+    },
+
+    // Copy a portfolio's data, periods and settings into a new portfolio
+    clonePortfolio: (id) => {
+      const { portfolios, getPortfolioData } = get();
+      const source = portfolios.find((p) => p.id === id);
+      if (!source) return null;
+      const cloneId = nextPortfolioId(portfolios);
+      const clone = { id: cloneId, name: `${source.name} (copy)`, archived: false, createdAt: new Date(), data: structuredClone(getPortfolioData(id)) };
+      set((state) => ({ portfolios: [...state.portfolios, clone] }));
+      return cloneId;
+    },
+
+    renamePortfolio: (id, name) =>
+      set((state) => ({ portfolios: state.portfolios.map((p) => (p.id === id ? { ...p, name } : p)) })),
+
+    // Archiving the active portfolio switches to another; the last open portfolio cannot be archived
+    setPortfolioArchived: (id, archived) => {
+      const { portfolios, activePortfolioId, switchPortfolio } = get();
+      if (archived && id === activePortfolioId) {
+        const next = portfolios.find((p) => p.id !== id && !p.archived);
+        if (!next) return;
+        switchPortfolio(next.id);
+      }
+      set((state) => ({ portfolios: state.portfolios.map((p) => (p.id === id ? { ...p, archived } : p)) }));
+    },
+
+    // A portfolio's fields, whether or not it is the active one
+    getPortfolioData: (id) => {
+      const state = get();
+      if (id === state.activePortfolioId) return pickPortfolio(state);
+      const entry = state.portfolios.find((p) => p.id === id);
+      return entry ? { ...blankPortfolio(), ...entry.data } : null;
+    },
+  };
+  return get;
+}
+
+// ── Inline: Portfolio overview ────────────────────────────────
+function latestPerformance(portfolio, { benchmarkIndices, policyBenchmarks }) {
+  const policy = policyBenchmarks.find((p) => p.id === portfolio.activePolicyId);
+  const policyReturn = (startDate, endDate) => {
+    if (!policy) return NaN;
+    try {
+      return blendedReturn(policy, benchmarkIndices, startDate, endDate).value;
+    } catch {
+      return NaN;
+    }
+  };
+
+  const candidates = (portfolio.periods || []).map((p) => {
+    const startDate = new Date(p.startDate);
+    const endDate = new Date(p.endDate);
+    const entered = portfolio.periodBenchmarks?.[p.id];
+    return {
+      label: p.label,
+      endDate,
+      saved: true,
+      portfolioReturn: p.performanceResults.portfolio.periodReturn,
+      benchmarkReturn: Number.isFinite(entered) ? entered : policyReturn(startDate, endDate),
+    };
+  });
+
+  const { performanceResults: current, startDate, endDate, assetBenchmarks = [] } = portfolio;
+  if (current?.portfolio && startDate && endDate) {
+    const uploaded = assetBenchmarks.length > 0
+      ? assetBenchmarks.reduce((s, b) => s + b.benchmarkWeight * b.benchmarkReturn, 0)
+      : NaN;
+    const fromPolicy = policyReturn(startDate, endDate);
+    candidates.push({
+      label: `${startDate.toLocaleDateString()} – ${endDate.toLocaleDateString()}`,
+      endDate,
+      saved: false,
+      portfolioReturn: current.portfolio.periodReturn,
+      benchmarkReturn: Number.isFinite(fromPolicy) ? fromPolicy : uploaded,
+    });
+  }
+  if (candidates.length === 0) return null;
+
+  // Saved periods sort ahead of the current results for the same end date
+  const latest = candidates.reduce((best, c) => (c.endDate.getTime() > best.endDate.getTime() ? c : best));
+  return { ...latest, activeReturn: latest.portfolioReturn - latest.benchmarkReturn };
+}
+
+// ── Inline: Positions ledger ──────────────────────────────────
+function ledgerAmount(entry) {
+  if (entry.type === 'BUY' || entry.type === 'SELL') return Math.abs((entry.quantity || 0) * (entry.price || 0));
+  if (entry.type === 'DIVIDEND') return Math.abs(entry.amount || 0);
+  return 0;
+}
+
+const inPeriod = (date, startDate, endDate) => date instanceof Date && date.getTime() >= startDate.getTime() && date.getTime() <= endDate.getTime();
+
+function derivePositions({ securities, ledger = [], startDate, endDate }) {
+  if (!(startDate instanceof Date) || !(endDate instanceof Date) || endDate.getTime() <= startDate.getTime()) throw new Error('End date must be after start date.');
+  const issues = [];
+  const bySymbol = new Map();
+  for (const s of securities) {
+    if (bySymbol.has(s.symbol)) throw new Error(`Security "${s.symbol}" is listed more than once.`);
+    const endingPrice = Number.isFinite(s.endPrice) ? s.endPrice : s.price;
+    if (!Number.isFinite(s.endPrice)) issues.push(`${s.symbol}: no closing price — opening price used.`);
+    bySymbol.set(s.symbol, {
+      symbol: s.symbol, name: s.name || s.symbol, assetClass: s.assetClass, classification: s.classification || '', currency: s.currency || '',
+      beginningQuantity: s.quantity || 0, endingQuantity: s.quantity || 0, beginningPrice: s.price || 0, endingPrice, income: 0,
+    });
+  }
+  const entries = ledger.filter((e) => inPeriod(e.date, startDate, endDate)).sort((a, b) => a.date.getTime() - b.date.getTime());
+  const skipped = ledger.length - entries.length;
+  if (skipped > 0) issues.push(`${skipped} ledger entr${skipped !== 1 ? 'ies' : 'y'} outside the evaluation period ignored.`);
+  for (const e of entries) {
+    const position = bySymbol.get(e.symbol);
+    if (!position) { issues.push(`${e.date.toLocaleDateString()}: unknown security "${e.symbol}" in ledger.`); continue; }
+    switch (e.type) {
+      case 'BUY': position.endingQuantity += e.quantity || 0; break;
+      case 'SELL':
+        position.endingQuantity -= e.quantity || 0;
+        if (position.endingQuantity < -1e-9) issues.push(`${e.date.toLocaleDateString()}: sale of ${e.symbol} exceeds the quantity held.`);
+        break;
+      case 'DIVIDEND': position.income += ledgerAmount(e); break;
+      case 'SPLIT':
+        if (!Number.isFinite(e.ratio) || e.ratio <= 0) issues.push(`${e.date.toLocaleDateString()}: split of ${e.symbol} needs a positive ratio.`);
+        else position.endingQuantity *= e.ratio;
+        break;
+      default: issues.push(`${e.date.toLocaleDateString()}: unknown ledger type "${e.type}".`);
+    }
+  }
+  const positions = [...bySymbol.values()].map((p) => ({ ...p, beginningValue: p.beginningQuantity * p.beginningPrice, endingValue: p.endingQuantity * p.endingPrice }));
+  return { positions, issues };
+}
+
+function deriveAssetValues(positions) {
+  const classes = new Map();
+  for (const p of positions) {
+    const c = classes.get(p.assetClass) || { name: p.assetClass, beginningValue: 0, endingValue: 0 };
+    c.beginningValue += p.beginningValue;
+    c.endingValue += p.endingValue + p.income;
+    classes.set(p.assetClass, c);
+  }
+  return [...classes.values()];
+}
+
+function ledgerCashflows(securities, ledger, startDate, endDate) {
+  const classOf = new Map(securities.map((s) => [s.symbol, s.assetClass]));
+  const TYPE_MAP = { BUY: 'INFLOW', SELL: 'OUTFLOW', DIVIDEND: 'INCOME' };
+  return ledger
+    .filter((e) => TYPE_MAP[e.type] && classOf.has(e.symbol) && inPeriod(e.date, startDate, endDate))
+    .map((e) => {
+      const rawAmount = ledgerAmount(e);
+      return { date: e.date, amount: e.type === 'SELL' ? -rawAmount : rawAmount, assetClass: classOf.get(e.symbol), symbol: e.symbol, type: TYPE_MAP[e.type], rawAmount };
+    });
+}
+
+function buildHoldingsHierarchy(positions, flows, startDate, endDate) {
+  const share = (value, total) => (Math.abs(total) < 1e-9 ? 0 : value / total);
+  const groupBy = (items, key) => {
+    const groups = new Map();
+    for (const item of items) {
+      const name = item[key] || 'Unclassified';
+      groups.set(name, [...(groups.get(name) || []), item]);
+    }
+    return groups;
+  };
+  const securityFlows = (p) => flows.filter((cf) => cf.symbol === p.symbol && cf.type !== 'INCOME');
+  const securityReturn = (p) => {
+    try {
+      return modifiedDietz({ beginningValue: p.beginningValue, endingValue: p.endingValue + p.income, cashflows: securityFlows(p), startDate, endDate });
+    } catch {
+      return 0;
+    }
+  };
+  const capitalOf = new Map(positions.map((p) => [p, averageCapital(p.beginningValue, securityFlows(p), startDate, endDate)]));
+  const capital = (items) => items.reduce((sum, p) => sum + capitalOf.get(p), 0);
+  const totalCapital = capital(positions);
+
+  return [...groupBy(positions, 'assetClass')].map(([className, classPositions]) => {
+    const classCapital = capital(classPositions);
+    return {
+      name: className,
+      portfolioWeight: share(classCapital, totalCapital),
+      benchmarkWeight: 0,
+      children: [...groupBy(classPositions, 'classification')].map(([sector, sectorPositions]) => {
+        const sectorCapital = capital(sectorPositions);
+        return {
+          name: sector,
+          portfolioWeight: share(sectorCapital, classCapital),
+          benchmarkWeight: 0,
+          children: sectorPositions.map((p) => ({
+            name: p.name,
+            portfolioWeight: share(capitalOf.get(p), sectorCapital),
+            portfolioReturn: securityReturn(p),
+            benchmarkWeight: 0,
+            benchmarkReturn: 0,
+            children: [],
+          })),
+        };
+      }),
+    };
+  });
+}
+
+// ── Inline: Column auto-mapping ───────────────────────────────
+const canon = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const tokenize = (s) =>
+  String(s).replace(/[([{][^)\]}]*[)\]}]/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+const MATCH_CONFIDENCE = { exact: 1, head: 0.75, partial: 0.5 };
+
+function matchScore(header, alias) {
+  const words = tokenize(header);
+  if (canon(header) === alias || words.join('') === alias) return MATCH_CONFIDENCE.exact;
+  for (let i = 1; i < words.length; i++) {
+    if (words.slice(i).join('') === alias) return MATCH_CONFIDENCE.head;
+  }
+  for (let i = 0; i < words.length; i++) {
+    for (let j = i + 1; j < words.length; j++) {
+      if (words.slice(i, j).join('') === alias) return MATCH_CONFIDENCE.partial;
+    }
+  }
+  return 0;
+}
+
+function autoMapColumns(rawHeaders, aliasMap) {
+  const candidates = [];
+  Object.entries(aliasMap).forEach(([target, aliases]) => {
+    for (const raw of rawHeaders) {
+      const best = aliases.reduce((m, alias, rank) => {
+        const score = matchScore(raw, alias);
+        return score > 0 && (!m || score > m.score) ? { score, rank } : m;
+      }, null);
+      if (best) candidates.push({ target, raw, score: best.score, rank: best.rank });
+    }
+  });
+  candidates.sort((a, b) => b.score - a.score || a.rank - b.rank);
+  const mapping = {};
+  const confidence = {};
+  const used = new Set();
+  const claimedBy = (raw, target) => candidates.some((o) => o.raw === raw && o.target !== target && o.score >= MATCH_CONFIDENCE.head);
+  for (const c of candidates) {
+    if (mapping[c.target] || used.has(c.raw)) continue;
+    if (c.score < MATCH_CONFIDENCE.head && claimedBy(c.raw, c.target)) continue;
+    mapping[c.target] = c.raw;
+    confidence[c.target] = c.score;
+    used.add(c.raw);
+  }
+  return { mapping, missing: Object.keys(aliasMap).filter((k) => !mapping[k]), confidence };
+}
+
+function resolveMapping(headers, aliases, override) {
+  if (!override) return autoMapColumns(headers, aliases);
+  const mapping = Object.fromEntries(Object.entries(override).filter(([, raw]) => raw && headers.includes(raw)));
+  return { mapping, missing: Object.keys(aliases).filter((k) => !mapping[k]) };
+}
+
+const CASHFLOW_COLUMN_ALIASES = {
+  transactionDate: ['transactiondate', 'date', 'tradedate', 'valuedate', 'txdate', 'txndate'],
+  transactionType: ['transactiontype', 'type', 'txtype', 'txntype', 'direction', 'flowtype'],
+  details: ['transactiondetails', 'details', 'description', 'narration', 'memo', 'notes', 'reference'],
+  amount: ['amount', 'amt', 'value', 'cashflow', 'cf', 'flow'],
+  assetClass: ['assetclass', 'asset', 'class', 'sector', 'fund', 'category'],
+};
+
+function findProfile(profiles, schema, headers) {
+  return profiles
+    .filter((p) => p.schema === schema && Object.values(p.mapping).every((raw) => headers.includes(raw)))
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt))[0] || null;
+}
+
+// ── Inline: Holdings import (worksheet table, so no CSV reader) ─
+const HOLDINGS_COLUMN_ALIASES = {
+  securityId: ['securityid', 'symbol', 'ticker', 'isin', 'cusip', 'sedol', 'code', 'id'],
+  name: ['securityname', 'name', 'security', 'instrument', 'description'],
+  assetClass: ['assetclass', 'asset', 'class', 'category'],
+  sector: ['sector', 'industry', 'subclass', 'classification', 'region'],
+  currency: ['currency', 'ccy', 'curr'],
+  quantity: ['quantity', 'qty', 'units', 'shares', 'nominal', 'position'],
+  endingPrice: ['endingprice', 'closingprice', 'endprice', 'lastprice', 'price'],
+  beginningPrice: ['beginningprice', 'openingprice', 'startprice', 'priorprice'],
+  beginningValue: [
+    'beginningmv', 'openingmv', 'startmv', 'beginningvalue', 'openingvalue', 'startvalue', 'bmv',
+    'beginningmarketvalue', 'openingmarketvalue', 'startmarketvalue', 'priormarketvalue',
+  ],
+  // No bare 'marketvalue': "Beginning Market Value" would head-match it
+  endingValue: [
+    'endingmv', 'closingmv', 'endmv', 'endingvalue', 'closingvalue', 'endvalue', 'emv',
+    'endingmarketvalue', 'closingmarketvalue', 'endmarketvalue', 'currentmarketvalue',
+  ],
+};
+
+const toFloat = (x) => {
+  if (x === null || x === undefined) return NaN;
+  if (typeof x === 'number') return x;
+  const cleaned = String(x).replace(/[,\s$£€₦]/g, '').trim();
+  return cleaned === '' ? NaN : parseFloat(cleaned);
+};
+
+function parseHoldingsTable({ data, headers }, { mapping: override } = {}) {
+  const { mapping, missing } = resolveMapping(headers, HOLDINGS_COLUMN_ALIASES, override);
+  const byPrice = mapping.quantity && mapping.beginningPrice && mapping.endingPrice;
+  const byValue = mapping.beginningValue && mapping.endingValue;
+  const requiredMissing = missing.filter((m) => m === 'securityId' || m === 'assetClass');
+  if (requiredMissing.length > 0 || (!byPrice && !byValue)) {
+    const needed = byPrice || byValue ? requiredMissing : [...requiredMissing, 'quantity + prices or beginningValue + endingValue'];
+    return { holdings: [], errors: [`Could not auto-map columns: ${needed.join(', ')}. Found headers: ${headers.join(', ')}`] };
+  }
+  const parseErrors = [];
+  const holdings = [];
+  const seen = new Set();
+  data.forEach((row, idx) => {
+    const symbol = String(row[mapping.securityId] || '').trim();
+    const assetClass = String(row[mapping.assetClass] || '').trim();
+    if (!symbol || !assetClass) { parseErrors.push(`Row ${idx + 1}: Missing ${symbol ? 'asset class' : 'security ID'}`); return; }
+    if (seen.has(symbol)) { parseErrors.push(`Row ${idx + 1}: Duplicate security "${symbol}"`); return; }
+    let quantity = mapping.quantity ? toFloat(row[mapping.quantity]) : 1;
+    let price;
+    let endPrice;
+    if (byPrice) {
+      price = toFloat(row[mapping.beginningPrice]);
+      endPrice = toFloat(row[mapping.endingPrice]);
+    } else {
+      const beginningValue = toFloat(row[mapping.beginningValue]);
+      const endingValue = toFloat(row[mapping.endingValue]);
+      if (!Number.isFinite(quantity) || quantity === 0) quantity = 1;
+      price = beginningValue / quantity;
+      endPrice = endingValue / quantity;
+    }
+    if (![quantity, price, endPrice].every(Number.isFinite)) { parseErrors.push(`Row ${idx + 1}: Invalid quantity, price or market value for "${symbol}"`); return; }
+    seen.add(symbol);
+    holdings.push({
+      symbol,
+      name: mapping.name ? String(row[mapping.name] || '').trim() || symbol : symbol,
+      assetClass,
+      classification: mapping.sector ? String(row[mapping.sector] || '').trim() : '',
+      currency: mapping.currency ? String(row[mapping.currency] || '').trim().toUpperCase() : '',
+      quantity,
+      price,
+      endPrice,
+    });
+  });
+  return { holdings, errors: parseErrors };
+}
+
+// ── Inline: Excel worksheets ──────────────────────────────────
+const SHEET_ROLES = [
+  { id: 'assets', keywords: ['asset', 'holding', 'position', 'marketvalue'] },
+  { id: 'cashflows', keywords: ['cashflow', 'transaction', 'flow', 'movement'] },
+  { id: 'benchmark', keywords: ['benchmark', 'index', 'policy'] },
+];
+
+const isBlank = (cell) => cell === null || cell === undefined || String(cell).trim() === '';
+
+function detectHeaderRow(rows) {
+  const index = rows.findIndex((row) => row.filter((cell) => typeof cell === 'string' && cell.trim() !== '').length >= 2);
+  return Math.max(0, index);
+}
+
+function classifySheet(name) {
+  const key = String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return SHEET_ROLES.find((role) => role.keywords.some((k) => key.includes(k)))?.id || null;
+}
+
+const dateCell = (d) => `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}-${String(d.getUTCDate()).padStart(2, '0')}`;
+
+function sheetToTable(rows, headerRow = 0) {
+  const headerCells = rows[headerRow];
+  if (!headerCells) return { data: [], headers: [], errors: [`Header row ${headerRow + 1} is beyond the end of the sheet.`] };
+  const headers = headerCells.map((cell, i) => (isBlank(cell) ? `Column ${i + 1}` : String(cell).trim()));
+  const data = rows
+    .slice(headerRow + 1)
+    .filter((row) => row.some((cell) => !isBlank(cell)))
+    .map((row) => Object.fromEntries(headers.map((h, i) => {
+      const cell = row[i];
+      return [h, cell instanceof Date ? dateCell(cell) : isBlank(cell) ? '' : cell];
+    })));
+  return { data, headers, errors: [] };
+}
+
+// ── Inline: Date parsing ──────────────────────────────────────
+const DATE_FORMATS = ['iso', 'dmy', 'mdy', 'dmmmy', 'serial'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function calendarDate(year, month, day) {
+  if (year < 100) year += year < 50 ? 2000 : 1900;
+  const d = new Date(year, month - 1, day);
+  return d.getFullYear() === year && d.getMonth() === month - 1 && d.getDate() === day ? d : null;
+}
+
+function parseNumeric(s, dayFirst) {
+  const m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (!m) return null;
+  const [a, b, y] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  return dayFirst ? calendarDate(y, b, a) : calendarDate(y, a, b);
+}
+
+function parseSerial(s) {
+  if (!/^\d+(\.\d+)?$/.test(s)) return null;
+  const serial = Math.floor(Number(s));
+  if (serial < 1 || serial > 2958465) return null;
+  const utc = new Date(Date.UTC(1899, 11, serial < 61 ? 31 : 30) + serial * 86_400_000);
+  return calendarDate(utc.getUTCFullYear(), utc.getUTCMonth() + 1, utc.getUTCDate());
+}
+
+const DATE_PARSERS = {
+  iso: (s) => {
+    const m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+    return m ? calendarDate(Number(m[1]), Number(m[2]), Number(m[3])) : null;
+  },
+  dmy: (s) => parseNumeric(s, true),
+  mdy: (s) => parseNumeric(s, false),
+  dmmmy: (s) => {
+    const m = s.match(/^(\d{1,2})[-\s/]([A-Za-z]{3,})[-\s/,]+(\d{2}|\d{4})$/);
+    const month = m ? MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1 : 0;
+    return month ? calendarDate(Number(m[3]), month, Number(m[1])) : null;
+  },
+  serial: parseSerial,
+};
+
+function parseDateAs(raw, format) {
+  const parser = DATE_PARSERS[format];
+  if (!parser) throw new Error(`Unknown date format "${format}".`);
+  const s = String(raw ?? '').trim();
+  return s ? parser(s) : null;
+}
+
+function detectDateFormat(values) {
+  const present = values.map((v) => String(v ?? '').trim()).filter(Boolean);
+  if (present.length === 0) return { format: null, candidates: [], ambiguous: false };
+  const results = DATE_FORMATS.map((id) => {
+    const dates = present.map((s) => DATE_PARSERS[id](s));
+    return { id, dates, count: dates.filter(Boolean).length };
+  });
+  const full = results.filter((r) => r.count === present.length);
+  if (full.length > 0) {
+    const distinct = full.filter((r, i) => !full.slice(0, i).some((o) => o.dates.every((d, k) => d.getTime() === r.dates[k].getTime())));
+    const candidates = distinct.map((r) => r.id);
+    return distinct.length === 1 ? { format: candidates[0], candidates, ambiguous: false } : { format: null, candidates, ambiguous: true };
+  }
+  const best = Math.max(...results.map((r) => r.count));
+  const leaders = results.filter((r) => r.count === best && best > 0);
+  return leaders.length === 1
+    ? { format: leaders[0].id, candidates: [], ambiguous: false }
+    : { format: null, candidates: leaders.map((r) => r.id), ambiguous: leaders.length > 1 };
+}
+
+function parseDateColumn(values, format = 'auto') {
+  const detected = format === 'auto' ? detectDateFormat(values) : { format, candidates: [format], ambiguous: false };
+  if (!detected.format) return { ...detected, dates: [] };
+  return { ...detected, dates: values.map((v) => parseDateAs(v, detected.format)) };
+}
+
+// ── Inline: Period linking (portfolio series) ─────────────────
+function daysBetween(a, b) {
+  return Math.round((Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / 86400000);
+}
+
+const chainReturns = (returns) => returns.reduce((acc, r) => acc * (1 + r), 1) - 1;
+
+function isContiguous(series) {
+  return series.every((p, i) => {
+    if (i === 0) return true;
+    const diff = daysBetween(series[i - 1].endDate, p.startDate);
+    return diff === 0 || diff === 1;
+  });
 }
 
-// ── Inline: Cashflow Weights ──────────────────────────────────
-function computeCashflowWeights(cashflows, startDate, endDate) {
-  const T = endDate.getTime() - startDate.getTime();
-  if (T <= 0) return [];
-  return cashflows
-    .filter(cf => cf.date instanceof Date && cf.date.getTime() >= startDate.getTime() && cf.date.getTime() <= endDate.getTime() && Number.isFinite(cf.amount))
-    .map(cf => {
-      const w = Math.max(0, Math.min(1, (endDate.getTime() - cf.date.getTime()) / T));
-      return { ...cf, weight: w, weightedAmount: w * cf.amount };
-    });
+function linkWindow(series, boundary) {
+  const firstIdx = series.findIndex((p) => daysBetween(boundary, p.startDate) >= 0);
+  if (firstIdx === -1) return null;
+  if (daysBetween(boundary, series[firstIdx].startDate) > 1) return null;
+  if (series.some((p, i) => i < firstIdx && daysBetween(boundary, p.endDate) > 0)) return null;
+  const inWindow = series.slice(firstIdx);
+  if (inWindow.some((p) => !Number.isFinite(p.value)) || !isContiguous(inWindow)) return null;
+  return chainReturns(inWindow.map((p) => p.value));
+}
+
+function linkPeriodReturns(periods, { dayCount = 'act365', shortPeriodPolicy = 'annualize' } = {}) {
+  const sorted = [...periods].sort((a, b) => a.startDate.getTime() - b.startDate.getTime());
+  const issues = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const diff = daysBetween(sorted[i - 1].endDate, sorted[i].startDate);
+    if (diff > 1) issues.push({ type: 'gap' });
+    else if (diff < 0) issues.push({ type: 'overlap' });
+  }
+  const inceptionDate = sorted[0].startDate;
+  const asOf = sorted.reduce((latest, p) => (p.endDate > latest ? p.endDate : latest), sorted[0].endDate);
+  const y = asOf.getFullYear();
+  const m = asOf.getMonth();
+  const yearsBack = (n) => { const d = new Date(asOf); d.setFullYear(y - n); return d; };
+  const boundaries = { ytd: new Date(y, 0, 0), qtd: new Date(y, m - (m % 3), 0), oneYear: yearsBack(1), threeYear: yearsBack(3) };
+
+  const series = sorted.map((p) => ({ startDate: p.startDate, endDate: p.endDate, value: p.periodReturn }));
+  const complete = series.every((p) => Number.isFinite(p.value)) && isContiguous(series);
+  const cumulative = complete ? chainReturns(series.map((p) => p.value)) : null;
+  const threeYear = linkWindow(series, boundaries.threeYear);
+  const sinceInception = cumulative === null ? NaN : annualizeWithPolicy(cumulative, inceptionDate, asOf, { dayCount, shortPeriodPolicy }).value;
+  return {
+    issues,
+    portfolio: {
+      cumulative,
+      annualized: Number.isFinite(sinceInception) ? sinceInception : null,
+      ytd: linkWindow(series, boundaries.ytd),
+      qtd: linkWindow(series, boundaries.qtd),
+      oneYear: linkWindow(series, boundaries.oneYear),
+      threeYear: threeYear === null ? null : annualize(threeYear, boundaries.threeYear, asOf, dayCount),
+    },
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -90,14 +2009,13 @@ console.log('\n=== Modified Dietz Validation ===\n');
   assert('No cashflows (BV=1000, EV=1100)', r, 0.10);
 }
 
-// Test 2: Mid-period inflow
+// Test 2: Mid-period inflow — 1 Apr is day 90 of 181, so the flow is invested for 91/181
 {
-  const s = new Date('2025-01-01'), e = new Date('2025-07-01');
-  const cfDate = new Date('2025-04-01');
-  const r = modifiedDietz({ beginningValue: 1000, endingValue: 1150, cashflows: [{ date: cfDate, amount: 100 }], startDate: s, endDate: e });
-  const w = (e.getTime() - cfDate.getTime()) / (e.getTime() - s.getTime());
-  const expected = 50 / (1000 + w * 100);
-  assert('Mid-period inflow', r, expected);
+  const s = new Date(2025, 0, 1), e = new Date(2025, 6, 1);
+  const r = modifiedDietz({ beginningValue: 1000, endingValue: 1150, cashflows: [{ date: new Date(2025, 3, 1), amount: 100 }], startDate: s, endDate: e });
+  assert('Mid-period inflow', r, 50 / (1000 + 100 * 91 / 181), 1e-12);
+  const mid = modifiedDietz({ beginningValue: 1000, endingValue: 1150, cashflows: [{ date: new Date(2025, 3, 1), amount: 100 }], startDate: s, endDate: e, timing: 'mid' });
+  assert('Mid-day timing adds half a day', mid, 50 / (1000 + 100 * 91.5 / 181), 1e-12);
 }
 
 // Test 3: Outflow break-even
@@ -106,18 +2024,15 @@ console.log('\n=== Modified Dietz Validation ===\n');
   assert('Outflow break-even', r, 0.0);
 }
 
-// Test 4: Large portfolio — BV=1,000,000, EV=1,050,000, two cashflows
+// Test 4: Large portfolio — BV=1,000,000, EV=1,050,000, flows on day 59 and day 243 of 364
 {
-  const s = new Date('2025-01-01'), e = new Date('2025-12-31');
-  const cf1 = { date: new Date('2025-03-01'), amount: 50000 };
-  const cf2 = { date: new Date('2025-09-01'), amount: -30000 };
+  const s = new Date(2025, 0, 1), e = new Date(2025, 11, 31);
+  const cf1 = { date: new Date(2025, 2, 1), amount: 50000 };
+  const cf2 = { date: new Date(2025, 8, 1), amount: -30000 };
   const r = modifiedDietz({ beginningValue: 1000000, endingValue: 1050000, cashflows: [cf1, cf2], startDate: s, endDate: e });
-  const T = e.getTime() - s.getTime();
-  const w1 = (e.getTime() - cf1.date.getTime()) / T;
-  const w2 = (e.getTime() - cf2.date.getTime()) / T;
   const num = 1050000 - 1000000 - (50000 - 30000);
-  const den = 1000000 + w1 * 50000 + w2 * (-30000);
-  assert('Large portfolio with 2 cashflows', r, num / den);
+  const den = 1000000 + 50000 * 305 / 364 - 30000 * 121 / 364;
+  assert('Large portfolio with 2 cashflows', r, num / den, 1e-12);
 }
 
 console.log('\n=== Annualization Validation ===\n');
@@ -179,6 +2094,36 @@ console.log('\n=== Brinson-Fachler Validation ===\n');
   assert('Single asset: active return', result.totals.activeReturn, 0.03);
 }
 
+// Test 9b: BHB vs BF and merged interaction
+{
+  const input = [
+    { name: 'Equities', portfolioWeight: 0.60, portfolioReturn: 0.12, benchmarkWeight: 0.50, benchmarkReturn: 0.10 },
+    { name: 'Fixed Income', portfolioWeight: 0.30, portfolioReturn: 0.04, benchmarkWeight: 0.40, benchmarkReturn: 0.05 },
+    { name: 'Cash', portfolioWeight: 0.10, portfolioReturn: 0.01, benchmarkWeight: 0.10, benchmarkReturn: 0.01 },
+  ];
+  const bf = brinsonFachler(input);
+  const bhb = brinsonFachler(input, { model: 'bhb' });
+  assert('BHB total allocation = BF total allocation', bhb.totals.allocation, bf.totals.allocation);
+  assert('BHB equities allocation = (Wp - Wb) × Rb', bhb.attribution[0].allocation, 0.10 * 0.10);
+
+  const merged = brinsonFachler(input, { interaction: 'selection' });
+  assert('Merged selection = Wp × (Rp - Rb)', merged.attribution[0].selection, 0.60 * 0.02);
+  assert('Merged interaction = 0', merged.totals.interaction, 0.0);
+  assert('Merged effects = active return', merged.totals.allocation + merged.totals.selection, merged.totals.activeReturn);
+}
+
+// Test 9c: Geometric effects compound to the geometric excess return
+{
+  const g = geometricAttribution([
+    { name: 'Equities', portfolioWeight: 0.60, portfolioReturn: 0.12, benchmarkWeight: 0.50, benchmarkReturn: 0.10 },
+    { name: 'Fixed Income', portfolioWeight: 0.30, portfolioReturn: 0.04, benchmarkWeight: 0.40, benchmarkReturn: 0.05 },
+    { name: 'Cash', portfolioWeight: 0.10, portfolioReturn: 0.01, benchmarkWeight: 0.10, benchmarkReturn: 0.01 },
+  ]);
+  assert('Geometric excess = 1.085 / 1.071 - 1', g.totals.activeReturn, 1.085 / 1.071 - 1);
+  assert('Geometric allocation = (1 + Rs) / (1 + Rb) - 1', g.totals.allocation, (1 + g.semiNotionalReturn) / (1 + g.rb) - 1);
+  assert('(1 + A)(1 + S) - 1 = geometric excess', (1 + g.totals.allocation) * (1 + g.totals.selection) - 1, g.totals.activeReturn);
+}
+
 console.log('\n=== Cashflow Weights Validation ===\n');
 
 // Test 10: Weights at boundaries
@@ -199,6 +2144,1098 @@ console.log('\n=== Cashflow Weights Validation ===\n');
   assert('Weighted amount (mid)', weights[1].weightedAmount, weights[1].weight * 200, 1);
 }
 
+// Test 37: Timing conventions are day-based — time of day never changes a weight
+{
+  const start = new Date(2025, 0, 1);
+  const end = new Date(2025, 0, 11);
+  const flows = [{ date: new Date(2025, 0, 6, 17, 45), amount: 100 }, { date: new Date(2025, 0, 11, 9, 0), amount: 100 }];
+  const [eod, eodLast] = computeCashflowWeights(flows, start, end, 'end');
+  const [sod, sodLast] = computeCashflowWeights(flows, start, end, 'start');
+  const [mid] = computeCashflowWeights(flows, start, end, 'mid');
+  assert('End-of-day weight (CD - Di) / CD', eod.weight, 0.5, 1e-12);
+  assert('Start-of-day weight (CD - Di + 1) / CD', sod.weight, 0.6, 1e-12);
+  assert('Mid-day weight (CD - Di + 0.5) / CD', mid.weight, 0.55, 1e-12);
+  assert('End-date flow: 0 at end of day, 1/CD at start of day', sodLast.weight - eodLast.weight, 0.1, 1e-12);
+}
+
+// Test 72: Start- and end-date flows under each timing convention (CD = 10)
+{
+  const start = new Date(2025, 0, 1);
+  const end = new Date(2025, 0, 11);
+  const flows = [{ date: new Date(2025, 0, 1, 9, 30), amount: 100 }, { date: new Date(2025, 0, 11, 16, 0), amount: 100 }];
+  const expected = { start: [1, 0.1], mid: [0.95, 0.05], end: [0.9, 0] };
+  for (const [timing, [first, last]] of Object.entries(expected)) {
+    const [onStart, onEnd] = computeCashflowWeights(flows, start, end, timing);
+    assert(`Start-date weight, ${timing} of day`, onStart.weight, first, 1e-12);
+    assert(`End-date weight, ${timing} of day`, onEnd.weight, last, 1e-12);
+  }
+  // An end-of-day flow on the start date is invested from the end of day 1, like one on the day after
+  assert('Start date counts as day 1', cashflowWeight(start, start, end), cashflowWeight(new Date(2025, 0, 2), start, end), 1e-12);
+  // (1,200 - 1,000 - 100) / (1,000 + 0.9 × 100)
+  const r = modifiedDietz({ beginningValue: 1000, endingValue: 1200, cashflows: [flows[0]], startDate: start, endDate: end });
+  assert('Start-date flow weighted by its timing in the return', r, 100 / 1090, 1e-12);
+}
+
+console.log('\n=== True TWR Validation ===\n');
+
+// Test 11: No cashflows — TWR equals simple return (and Modified Dietz)
+{
+  const r = trueTimeWeightedReturn({ beginningValue: 1000, endingValue: 1100, startDate: new Date(2025, 0, 1), endDate: new Date(2025, 5, 30) });
+  assert('TWR without cashflows', r, 0.10);
+}
+
+// Test 12: One intra-period inflow — chain (1050/1000) × (1300/1250)
+{
+  const r = trueTimeWeightedReturn({
+    beginningValue: 1000,
+    endingValue: 1300,
+    cashflows: [{ date: new Date(2025, 2, 1), amount: 200 }],
+    valuations: [{ date: new Date(2025, 2, 1), value: 1050 }],
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2025, 5, 30),
+  });
+  assert('TWR chains sub-periods', r, 1.05 * 1.04 - 1);
+}
+
+// Test 13: TWR is unaffected by the size of the flow, unlike Modified Dietz
+{
+  const params = (amount, ev) => ({
+    beginningValue: 1000,
+    endingValue: ev,
+    cashflows: [{ date: new Date(2025, 3, 1), amount }],
+    valuations: [{ date: new Date(2025, 3, 1), value: 900 }],
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2025, 6, 1),
+  });
+  const small = trueTimeWeightedReturn(params(100, 1100));
+  const large = trueTimeWeightedReturn(params(9100, 11000));
+  assert('TWR independent of flow size', small, large);
+}
+
+// Test 14: Missing valuation is reported
+{
+  let threw = false;
+  try {
+    trueTimeWeightedReturn({ beginningValue: 1000, endingValue: 1200, cashflows: [{ date: new Date(2025, 2, 1), amount: 100 }], startDate: new Date(2025, 0, 1), endDate: new Date(2025, 5, 30) });
+  } catch {
+    threw = true;
+  }
+  assert('TWR throws on missing valuation', threw ? 1 : 0, 1);
+}
+
+// Test 67: A flow and its valuation logged at different times of the same local day share one break
+{
+  const params = {
+    beginningValue: 1000,
+    endingValue: 1300,
+    cashflows: [{ date: new Date(2025, 2, 1, 23, 30), amount: 200 }],
+    valuations: [{ date: new Date(2025, 2, 1, 0, 15), value: 1050 }],
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2025, 5, 30),
+  };
+  const subPeriods = computeSubPeriods(params);
+  assert('One break on the local day', subPeriods.length, 2);
+  assert('Valuation used before the flow', subPeriods[0].endingValue, 1050, 1e-12);
+  assert('TWR chains (1050/1000) × (1300/1250)', trueTimeWeightedReturn(params), 1.05 * 1.04 - 1, 1e-12);
+  const atStart = computeSubPeriods({ ...params, cashflows: [{ date: new Date(2025, 0, 1, 18, 0), amount: 200 }], valuations: [] });
+  assert('Flow later on the start day joins the beginning value', atStart.length === 1 && atStart[0].beginningValue === 1200 ? 1 : 0, 1);
+}
+
+console.log('\n=== IRR / Money-Weighted Return Validation ===\n');
+
+// Test 15: Single period, no flows — IRR equals simple return, found by Newton
+{
+  const { rate, method, warnings } = irr([-1000, 1100], [0, 1], { guess: 0 });
+  assert('IRR without cashflows', rate, 0.10, 1e-10);
+  assert('Newton converges from 0', method === 'newton' && warnings.length === 0 ? 1 : 0, 1);
+}
+
+// Test 16: Period MWR is close to (but not exactly) Modified Dietz
+{
+  const s = new Date(2025, 0, 1), e = new Date(2025, 11, 31);
+  const cfDate = new Date(2025, 3, 1);
+  const w = (e.getTime() - cfDate.getTime()) / (e.getTime() - s.getTime());
+  const params = { beginningValue: 1000000, endingValue: 1300000, cashflows: [{ date: cfDate, amount: 200000 }], startDate: s, endDate: e };
+  const { periodReturn: mwr, warnings } = moneyWeightedReturn(params);
+  const dietz = modifiedDietz(params);
+  assert('MWR satisfies BV(1+R) + CF(1+R)^w = EV', 1000000 * (1 + mwr) + 200000 * Math.pow(1 + mwr, w), 1300000, 0.01);
+  assert('MWR ≈ Modified Dietz', mwr, dietz, 0.001);
+  assert('One contribution raises no warning', warnings.length, 0);
+}
+
+// Test 17: Bisection fallback when Newton starts far from the root
+{
+  const amounts = [-100, 230, -132];
+  const { rate, method } = irr(amounts, [0, 1, 2], { guess: 50 });
+  assert('Newton leaves the domain, bisection used', method === 'bisection' ? 1 : 0, 1);
+  assert('Lowest root on the grid: 10%', rate, 0.1, 1e-9);
+  assert('IRR root via fallback (NPV = 0)', -100 + 230 / (1 + rate) - 132 / Math.pow(1 + rate, 2), 0, 1e-8);
+}
+
+// Test 68: Solver errors and warnings — no sign change, several possible roots
+{
+  let message = '';
+  try { irr([-100, -50], [0, 1]); } catch (err) { message = err.message; }
+  assert('No sign change rejected', message.includes('never change sign') ? 1 : 0, 1);
+  message = '';
+  try { moneyWeightedReturn({ beginningValue: 0, endingValue: 0, cashflows: [], startDate: new Date(2025, 0, 1), endDate: new Date(2025, 11, 31) }); } catch (err) { message = err.message; }
+  assert('Empty period has no MWR', message.includes('never change sign') ? 1 : 0, 1);
+  const { periodReturn, warnings } = moneyWeightedReturn({
+    beginningValue: 100,
+    endingValue: 5,
+    cashflows: [{ date: new Date(2025, 3, 1), amount: -230 }, { date: new Date(2025, 8, 1), amount: 140 }],
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2025, 11, 31),
+  });
+  assert('Flows and cumulative flows both change sign twice: warned', warnings.length === 1 && warnings[0].includes('multiple IRRs') ? 1 : 0, 1);
+  assert('A rate is still returned', Number.isFinite(periodReturn) ? 1 : 0, 1);
+}
+
+console.log('\n=== Multi-Period Attribution Linking Validation ===\n');
+
+// Test 18-20: Two periods linked by each method — hand coefficients × the Brinson-Fachler effects
+{
+  // Q1: Rp = 7.2%, Rb = 5%; Q2: Rp = -1.5%, Rb = -0.5%
+  const periods = [
+    { label: 'Q1', assets: [
+      { name: 'Equities', portfolioWeight: 0.6, portfolioReturn: 0.10, benchmarkWeight: 0.5, benchmarkReturn: 0.08 },
+      { name: 'Bonds', portfolioWeight: 0.4, portfolioReturn: 0.03, benchmarkWeight: 0.5, benchmarkReturn: 0.02 },
+    ] },
+    { label: 'Q2', assets: [
+      { name: 'Equities', portfolioWeight: 0.5, portfolioReturn: -0.04, benchmarkWeight: 0.5, benchmarkReturn: -0.02 },
+      { name: 'Bonds', portfolioWeight: 0.5, portfolioReturn: 0.01, benchmarkWeight: 0.5, benchmarkReturn: 0.01 },
+    ] },
+  ];
+  // Equities: selection 1% then -1%; allocation 0.3% then 0. Bonds: allocation 0.3% then 0.
+  const cumRp = 1.072 * 0.985 - 1;
+  const cumRb = 1.05 * 0.995 - 1;
+  const excess = cumRp - cumRb;
+  const logK = (p, b) => (Math.log(1 + p) - Math.log(1 + b)) / (p - b);
+  const M = (excess / 2) / (Math.sqrt(1 + cumRp) - Math.sqrt(1 + cumRb));
+  const scale = (excess - M * (0.022 - 0.01)) / (0.022 ** 2 + 0.01 ** 2);
+  const coefficients = {
+    carino: [logK(0.072, 0.05) / logK(cumRp, cumRb), logK(-0.015, -0.005) / logK(cumRp, cumRb)],
+    menchero: [M + scale * 0.022, M - scale * 0.01],
+    grap: [0.995, 1.072],
+    frongello: [0.995, 1.072], // Same per-effect totals as GRAP
+  };
+  for (const [method, [c1, c2]] of Object.entries(coefficients)) {
+    const r = multiPeriodAttribution(periods, { method });
+    const equities = r.attribution.find((a) => a.name === 'Equities');
+    assert(`${method}: Equities selection = 1% × c1 - 1% × c2`, equities.selection, 0.01 * c1 - 0.01 * c2, 1e-12);
+    assert(`${method}: total allocation = 0.6% × c1`, r.totals.allocation, 0.006 * c1, 1e-12);
+    assert(`${method}: linked effects = compounded excess`, r.totals.allocation + r.totals.selection + r.totals.interaction, excess, 1e-12);
+    assert(`${method}: no residual reported`, r.issues.length, 0);
+  }
+  const naive = multiPeriodAttribution(periods).periods.reduce((s, p) => s + p.activeReturn, 0);
+  assert('Unlinked sum leaves a residual', Math.abs(naive - excess) > 1e-6 ? 1 : 0, 1);
+}
+
+// Test 69: Linking error paths — unknown method, -100% periods, non-finite returns, bad weights
+{
+  const wipeout = [
+    { assets: [{ name: 'Equities', portfolioWeight: 1, portfolioReturn: -1, benchmarkWeight: 1, benchmarkReturn: -0.5 }] },
+    { assets: [{ name: 'Equities', portfolioWeight: 1, portfolioReturn: 0.1, benchmarkWeight: 1, benchmarkReturn: 0.05 }] },
+  ];
+  const message = (fn) => { try { fn(); return ''; } catch (err) { return err.message; } };
+  assert('Unknown method rejected', message(() => multiPeriodAttribution(wipeout, { method: 'linear' })).includes('Unknown linking method') ? 1 : 0, 1);
+  assert('Carino rejects a -100% period', message(() => multiPeriodAttribution(wipeout, { method: 'carino' })).includes('use GRAP or Frongello') ? 1 : 0, 1);
+  const leveraged = [{ assets: [{ name: 'Equities', portfolioWeight: 1, portfolioReturn: -1.2, benchmarkWeight: 1, benchmarkReturn: 0 }] }, wipeout[1]];
+  assert('Menchero rejects a -120% period', message(() => multiPeriodAttribution(leveraged, { method: 'menchero' })).includes('Menchero linking is undefined') ? 1 : 0, 1);
+  const grap = multiPeriodAttribution(wipeout, { method: 'grap' });
+  assert('GRAP links through a -100% period', grap.residual, 0, 1e-12);
+  const broken = [{ assets: [{ name: 'Equities', portfolioWeight: 1, portfolioReturn: NaN, benchmarkWeight: 1, benchmarkReturn: 0.01 }] }];
+  const frongello = multiPeriodAttribution(broken, { method: 'frongello' });
+  assert('Non-finite residual reported', frongello.issues.some((i) => i.includes('could not be reconciled')) ? 1 : 0, 1);
+  const underweight = [{ label: 'Q1', assets: [{ name: 'Equities', portfolioWeight: 0.9, portfolioReturn: 0.05, benchmarkWeight: 1, benchmarkReturn: 0.04 }] }];
+  assert('Weights not summing to 100% reported', multiPeriodAttribution(underweight).issues.filter((i) => i.startsWith('Q1: weights')).length, 1);
+  assert('No periods, nothing linked', multiPeriodAttribution([]).attribution.length, 0);
+}
+
+console.log('\n=== Hierarchical Attribution Validation ===\n');
+
+// Test 21-23: Multi-level roll-up reconciles with the top-level active return
+{
+  const tree = [
+    { name: 'Equities', portfolioWeight: 0.6, benchmarkWeight: 0.5, children: [
+      { name: 'Banking', portfolioWeight: 0.7, benchmarkWeight: 0.5, portfolioReturn: 0.20, benchmarkReturn: 0.15 },
+      { name: 'Telecoms', portfolioWeight: 0.3, benchmarkWeight: 0.5, portfolioReturn: 0.05, benchmarkReturn: 0.08 },
+    ] },
+    { name: 'Fixed Income', portfolioWeight: 0.4, benchmarkWeight: 0.5, portfolioReturn: 0.06, benchmarkReturn: 0.07 },
+  ];
+  const h = hierarchicalAttribution(tree);
+  // Rp = 0.6 × 0.155 + 0.4 × 0.06 = 11.70%; Rb = 0.5 × 0.115 + 0.5 × 0.07 = 9.25%
+  assert('Group returns derived from members', h.portfolioReturn, 0.117, 1e-12);
+  assert('Roll-up = Rp - Rb', h.rollUp, h.portfolioReturn - h.benchmarkReturn, 1e-12);
+
+  // A flat tree is plain Brinson-Fachler
+  const flat = [
+    { name: 'Equities', portfolioWeight: 0.6, portfolioReturn: 0.12, benchmarkWeight: 0.5, benchmarkReturn: 0.10 },
+    { name: 'Fixed Income', portfolioWeight: 0.3, portfolioReturn: 0.04, benchmarkWeight: 0.4, benchmarkReturn: 0.05 },
+    { name: 'Cash', portfolioWeight: 0.1, portfolioReturn: 0.01, benchmarkWeight: 0.1, benchmarkReturn: 0.01 },
+  ];
+  const bf = brinsonFachler(flat);
+  const hf = hierarchicalAttribution(flat);
+  assert('Flat tree allocation = BF allocation', hf.nodes[0].allocation, bf.attribution[0].allocation, 1e-12);
+}
+
+console.log('\n=== Currency Attribution (Karnosky-Singer) Validation ===\n');
+
+// Test 24-26: Local + currency effects reconcile; unhedged return = Σ w × (R_local + e)
+{
+  const ccy = (name, wp, wb, rpl, rbl, e, f, hp = 0) => ({
+    name, portfolioWeight: wp, benchmarkWeight: wb, portfolioLocalReturn: rpl, benchmarkLocalReturn: rbl,
+    currencyReturn: e, forwardPremium: f, portfolioHedgeRatio: hp,
+  });
+  const unhedged = [
+    ccy('Domestic Equities', 0.5, 0.45, 0.14, 0.12, 0, 0),
+    ccy('US Equities', 0.3, 0.35, 0.08, 0.09, 0.09, 0.06),
+    ccy('UK Equities', 0.2, 0.2, 0.03, 0.04, 0.04, 0.05),
+  ];
+  const ks = karnoskySinger(unhedged);
+  // 0.5 × 0.14 + 0.3 × 0.17 + 0.2 × 0.07 = 13.50%
+  assert('Unhedged portfolio return = Σ w(R_local + e)', ks.portfolioReturn, 0.135, 1e-12);
+  const sum = ks.totals.localAllocation + ks.totals.localSelection + ks.totals.currencyAllocation + ks.totals.hedging;
+  assert('Four effects sum to active return', sum, ks.portfolioReturn - ks.benchmarkReturn, 1e-12);
+
+  // Hedging half of US exposure forgoes half of its currency surprise (9% - 6%)
+  const hedged = karnoskySinger(unhedged.map((a) => (a.name === 'US Equities' ? { ...a, portfolioHedgeRatio: 0.5 } : a)));
+  assert('Hedging effect = -(Wp × hp) × (e - f)', hedged.totals.hedging, -0.3 * 0.5 * 0.03, 1e-12);
+}
+
+// Test 70: Rates quoted against NGN, returns measured in USD
+{
+  const ccy = (name, currency, rl, e, f) => ({
+    name, currency, portfolioWeight: 0.5, benchmarkWeight: 0.5, portfolioLocalReturn: rl, benchmarkLocalReturn: rl,
+    currencyReturn: e, forwardPremium: f,
+  });
+  const assets = [ccy('Nigerian Equities', 'NGN', 0.1, 0, 0), ccy('US Equities', 'USD', 0.05, 0.1, 0.06)];
+  const inNgn = karnoskySinger(assets, { baseCurrency: 'NGN' });
+  // 0.5 × 10% + 0.5 × (5% + 10%)
+  assert('Base = quote: rates used as entered', inNgn.portfolioReturn, 0.125, 1e-12);
+  const inUsd = karnoskySinger(assets, { baseCurrency: 'USD', quoteCurrency: 'NGN' });
+  // NGN against USD: 1 / 1.10 - 1; USD assets carry no currency return
+  assert('Currency return re-expressed against USD', inUsd.portfolioCurrencyReturn, 0.5 * (1 / 1.1 - 1 - (1 / 1.06 - 1)), 1e-12);
+  assert('Forward premium re-expressed against USD', inUsd.portfolioLocalReturn, 0.5 * (0.1 + 1 / 1.06 - 1) + 0.5 * 0.05, 1e-12);
+  assert('Base change moves the base-currency return', inUsd.portfolioReturn, 0.075 - 0.5 / 11, 1e-12);
+  let threw = 0;
+  try { karnoskySinger(assets, { baseCurrency: 'GBP', quoteCurrency: 'NGN' }); } catch { threw = 1; }
+  assert('Base with no rates against the quote rejected', threw, 1);
+  const saved = { baseCurrency: 'USD', attributionInputs: { currencyData: [] }, portfolios: [{ id: 'portfolio_2', data: { baseCurrency: 'GBP', attributionInputs: { currencyData: [] } } }] };
+  const migrated = migrateState(saved, 3);
+  assert('Saved rates keep the base they were entered against',
+    migrated.attributionInputs.currencyQuote === 'USD' && migrated.portfolios[0].data.attributionInputs.currencyQuote === 'GBP' ? 1 : 0, 1);
+}
+
+console.log('\n=== Fixed Income (Campisi) Validation ===\n');
+
+// Test 27-29: 6-month hold, yield 15.2%, duration 3.2, treasuries +50bp, spreads -25bp
+{
+  const fi = campisi({ modifiedDuration: 3.2, yield: 0.152, treasuryChange: 0.005, spreadChange: -0.0025, totalReturn: 0.068 }, 0.5);
+  assert('Income = 15.2% × 0.5', fi.income, 0.076, 1e-12);
+  assert('Treasury = -3.2 × 50bp', fi.treasury, -0.016, 1e-12);
+  // 7.60% - 1.60% + 0.80% = 6.80% → no residual
+  assert('Residual = total - income - treasury - spread', fi.residual, 0, 1e-12);
+}
+
+console.log('\n=== Risk Statistics Validation ===\n');
+
+// Test 30-33: Monthly returns — volatility, tracking error, beta and drawdown
+{
+  const rp = [0.02, -0.03, 0.01, -0.04, 0.05, 0.03];
+  const series = rp.map((r, i) => ({ date: new Date(2025, i + 1, 0), portfolio: r, benchmark: r * 0.5 + 0.001 }));
+  const stats = computeRiskStatistics(series);
+  // Sample σ of rp = 3.5024%, annualized × √12 = 12.13%
+  assert('Annualized volatility = σ × √12', stats.volatility, 0.0350238 * Math.sqrt(12), 1e-6);
+  // Rp − Rb = 0.5 × Rp − 0.001 → TE is half the volatility
+  assert('Tracking error = σ(Rp - Rb) × √12', stats.benchmark.trackingError, stats.volatility * 0.5, 1e-12);
+  // Rp = 2 × Rb - 0.002 → beta exactly 2
+  assert('Beta = cov(Rp, Rb) / var(Rb)', stats.benchmark.beta, 2, 1e-12);
+  // Peak after month 1 (1.02), trough after month 4: 1.02 × 0.97 × 1.01 × 0.96 = 0.95932224
+  assert('Max drawdown from running peak', stats.maxDrawdown.depth, 0.95932224 / 1.02 - 1, 1e-8);
+}
+
+// Test 71: Risk-adjusted ratios on the same months with a 12% risk-free rate
+{
+  const rp = [0.02, -0.03, 0.01, -0.04, 0.05, 0.03];
+  const series = rp.map((r, i) => ({ date: new Date(2025, i + 1, 0), portfolio: r, benchmark: r * 0.5 + 0.001 }));
+  const stats = computeRiskStatistics(series, { riskFreeRate: 0.12 });
+  assert('Month-end dates read as monthly', stats.periodsPerYear === 12 && stats.frequency === 'Monthly' ? 1 : 0, 1);
+  // Wealth 1.03750697 after six months, compounded over a year
+  const growth = 1.02 * 0.97 * 1.01 * 0.96 * 1.05 * 1.03;
+  assert('Annualized return = growth^(12/6) - 1', stats.annualizedReturn, growth ** 2 - 1, 1e-12);
+  assert('Sharpe = (R_ann - Rf) / σ_ann', stats.sharpe, (growth ** 2 - 1 - 0.12) / stats.volatility, 1e-12);
+  // Monthly Rf = 1.12^(1/12) - 1 ≈ 0.949%; only months 2 and 4 fall short (1% in month 3 clears it)
+  const rf = 1.12 ** (1 / 12) - 1;
+  const downside = Math.sqrt(((-0.03 - rf) ** 2 + (-0.04 - rf) ** 2) / 6) * Math.sqrt(12);
+  assert('Downside deviation against the monthly Rf', stats.downsideDeviation, downside, 1e-12);
+  assert('Sortino = (R_ann - Rf) / downside deviation', stats.sortino, (growth ** 2 - 1 - 0.12) / downside, 1e-12);
+  const benchmarkGrowth = rp.reduce((g, r) => g * (1 + r * 0.5 + 0.001), 1);
+  const rb = benchmarkGrowth ** 2 - 1;
+  assert('Information ratio = (Rp_ann - Rb_ann) / TE', stats.benchmark.informationRatio, (growth ** 2 - 1 - rb) / stats.benchmark.trackingError, 1e-12);
+  assert("Jensen's alpha = Rp_ann - [Rf + 2 × (Rb_ann - Rf)]", stats.benchmark.jensensAlpha, growth ** 2 - 1 - (0.12 + 2 * (rb - 0.12)), 1e-12);
+  // 1.02 is regained in June: 0.95932224 × 1.05 × 1.03 = 1.0375
+  const dd = stats.maxDrawdown;
+  assert('Drawdown peak in January, trough in April', dd.peakDate.getMonth() === 0 && dd.troughDate.getMonth() === 3 ? 1 : 0, 1);
+  assert('Recovered two months after the trough', dd.recoveryPeriods, 2);
+  assert('Recovery dated June', dd.recoveryDate.getMonth(), 5);
+  assert('Quarter-end dates read as quarterly', inferFrequency([new Date(2025, 2, 31), new Date(2025, 5, 30), new Date(2025, 8, 30)]).periodsPerYear, 4);
+
+  // No return below the risk-free rate → no downside deviation, Sortino undefined
+  const rising = computeRiskStatistics([{ portfolio: 0.02 }, { portfolio: 0.03 }], { periodsPerYear: 4 });
+  assert('Zero downside deviation', rising.downsideDeviation, 0);
+  assert('Sortino is NaN, Sharpe still defined', Number.isNaN(rising.sortino) && Number.isFinite(rising.sharpe) ? 1 : 0, 1);
+  assert('Given periods per year reported as custom', rising.frequency === 'Custom' ? 1 : 0, 1);
+  assert('No benchmark series, no relative statistics', rising.benchmark === null ? 1 : 0, 1);
+
+  let tooShort = 0;
+  try { computeRiskStatistics([{ date: new Date(2025, 0, 31), portfolio: 0.01 }]); } catch { tooShort = 1; }
+  assert('One return rejected', tooShort, 1);
+  let undated = 0;
+  try { computeRiskStatistics([{ portfolio: 0.01 }, { portfolio: 0.02 }]); } catch { undated = 1; }
+  assert('Undated returns without periods per year rejected', undated, 1);
+}
+
+console.log('\n=== Day-Count Convention Validation ===\n');
+
+// Test 34: ACT/360 — 180 actual days is exactly half a year
+{
+  const t = yearFraction(new Date(2025, 0, 1), new Date(2025, 5, 30), 'act360');
+  assert('ACT/360 year fraction (180 days)', t, 0.5, 1e-12);
+  assert('ACT/360 annualized 5%', Math.pow(1.05, 1 / t) - 1, 0.1025, 1e-12);
+}
+
+// Test 35: ACT/ACT — 1 Jul 2023 to 1 Jul 2024 spans a leap year: 184/365 + 182/366
+{
+  const t = yearFraction(new Date(2023, 6, 1), new Date(2024, 6, 1), 'actact');
+  assert('ACT/ACT splits days by calendar year', t, 184 / 365 + 182 / 366, 1e-12);
+}
+
+// Test 36: 30/360 — 31 Jan to 31 Mar counts as 60 days
+{
+  const t = yearFraction(new Date(2024, 0, 31), new Date(2024, 2, 31), '30360');
+  assert('30/360 bond basis (31st treated as 30th)', t, 60 / 360, 1e-12);
+}
+
+// Test 51: Six-month 5% return under each short-period policy
+{
+  const [start, end] = [new Date(2025, 0, 1), new Date(2025, 6, 1)];
+  const note = (policy) => shortPeriodNote({ ...annualizeWithPolicy(0.05, start, end, { shortPeriodPolicy: policy }), policy });
+  const suppressed = annualizeWithPolicy(0.05, start, end, { shortPeriodPolicy: 'suppress' });
+  assert('Suppress: six months is a short period', suppressed.shortPeriod ? 1 : 0, 1);
+  assert('Suppress: period return is not annualized', Number.isNaN(suppressed.value) ? 1 : 0, 1);
+  assert('Suppress: GIPS note shown', note('suppress') === 'Not annualized — the period is shorter than one year (GIPS).' ? 1 : 0, 1);
+  const flagged = annualizeWithPolicy(0.05, start, end, { shortPeriodPolicy: 'flag' });
+  assert('Flag: annualized over 181/365 years', flagged.value, Math.pow(1.05, 365 / 181) - 1, 1e-12);
+  assert('Flag: non-compliance note shown', note('flag')?.startsWith('Period is shorter than one year') ? 1 : 0, 1);
+  assert('Annualize: no note', note('annualize') === null ? 1 : 0, 1);
+  const fullYear = annualizeWithPolicy(0.05, start, new Date(2026, 0, 1), { shortPeriodPolicy: 'suppress' });
+  assert('Full year is annualized under suppress', fullYear.value, 0.05, 1e-12);
+  assert('Full year has no note', shortPeriodNote({ ...fullYear, policy: 'suppress' }) === null ? 1 : 0, 1);
+}
+
+console.log('\n=== Large Cashflow Revaluation Validation ===\n');
+
+// Test 38: 40% contribution mid-period — split at the flow and chain the sub-periods
+{
+  const params = {
+    // EV 2,000 includes the 500 received on the end date, which carries no weight
+    assets: [{ name: 'Equities', beginningValue: 1000, endingValue: 2000 }],
+    cashflows: [{ date: new Date(2025, 1, 1), amount: 400, assetClass: 'Equities' }, { date: new Date(2025, 2, 31), amount: 500, assetClass: 'Equities' }],
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2025, 2, 31),
+    largeFlowThreshold: 0.1,
+  };
+  const unvalued = computePortfolioReturns(params);
+  assert('One large flow flagged (end-date flow ignored)', unvalued.largeCashflows.length, 1, 1e-12);
+  assert('Flagged flow share of BV', unvalued.largeCashflows[0].share, 0.4, 1e-12);
+  assert('Unvalued flow asks for a valuation', !unvalued.largeCashflows[0].valued && unvalued.issues[0].includes('enter a valuation') ? 1 : 0, 1);
+  assert('Unsplit Modified Dietz distorted by the flow', unvalued.portfolio.periodReturn, 100 / (1000 + 400 * 58 / 89), 1e-12);
+
+  // Valuation of 1,100 immediately before the flow; 2,000 at the end → 10% then 0%
+  const valued = computePortfolioReturns({ ...params, valuations: [{ date: new Date(2025, 1, 1), assetClass: 'Equities', value: 1100 }] });
+  assert('Valued flow splits the period', valued.largeCashflows[0].valued && valued.issues[0].includes('revalued and split') ? 1 : 0, 1);
+  assert('Revalued portfolio return = chained sub-periods', valued.portfolio.periodReturn, 0.1, 1e-12);
+  assert('Revalued asset-class return', valued.assetResults[0].periodReturn, 0.1, 1e-12);
+  assert('Flows under the threshold are not flagged', computePortfolioReturns({ ...params, largeFlowThreshold: 0.5 }).largeCashflows.length, 0, 1e-12);
+}
+
+console.log('\n=== Fee Model Validation ===\n');
+
+// Test 39: Marginal tiers — 1% on the first 1m, 0.5% above
+{
+  const tiers = [{ upTo: 1_000_000, rate: 0.01 }, { upTo: null, rate: 0.005 }];
+  assert('Tiered fee below first break', tieredManagementFee(800_000, tiers), 8_000, 1e-9);
+  assert('Tiered fee across tiers', tieredManagementFee(3_000_000, tiers), 10_000 + 10_000, 1e-9);
+}
+
+// Test 40: Gross treats fees as withdrawals, net keeps them and deducts scheduled fees
+{
+  const params = {
+    assets: [{ name: 'Equities', beginningValue: 1000, endingValue: 1090 }],
+    cashflows: [{ date: new Date(2025, 6, 2), amount: -10, type: 'FEE', assetClass: 'Equities' }],
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2026, 0, 1),
+  };
+  const { portfolio, fees } = computePortfolioReturns(params);
+  assert('Gross return adds the fee back', portfolio.periodReturn, 100 / (1000 - 10 * 183 / 365), 1e-12);
+  assert('Net return = (EV - BV) / BV when only fees flow', portfolio.netReturn, 0.09, 1e-12);
+  assert('Fee transactions total', fees.transactions, 10, 1e-12);
+  // 1% flat on average capital of 1,000 over one year comes off EV
+  const scheduled = computePortfolioReturns({ ...params, cashflows: [], feeSchedule: { ...EMPTY_FEE_SCHEDULE, managementTiers: [{ upTo: null, rate: 0.01 }] } });
+  assert('Net return after a scheduled 1% management fee', scheduled.portfolio.netReturn, 0.08, 1e-12);
+}
+
+// Test 52: Performance fee over a hurdle and a high-water mark
+{
+  const base = {
+    beginningValue: 1000, endingValue: 1200, averageCapital: 1000, externalFlows: 0,
+    startDate: new Date(2025, 0, 1), endDate: new Date(2026, 0, 1),
+  };
+  const schedule = { managementTiers: [{ upTo: null, rate: 0.01 }], performanceRate: 0.2, hurdleRate: 0.05, highWaterMark: 0 };
+  const fees = accrueScheduledFees({ ...base, schedule });
+  assert('Management fee 1% of average capital', fees.management, 10, 1e-9);
+  assert('Performance fee 20% × (1,190 - 1,050)', fees.performance, 28, 1e-9);
+  assert('HWM above BV raises the hurdle: 20% × (1,190 - 1,155)', accrueScheduledFees({ ...base, schedule: { ...schedule, highWaterMark: 1100 } }).performance, 7, 1e-9);
+  assert('Contributions raise the hurdle: 20% × (1,190 - 1,150)', accrueScheduledFees({ ...base, externalFlows: 100, schedule }).performance, 8, 1e-9);
+  assert('No performance fee below the hurdle', accrueScheduledFees({ ...base, endingValue: 1050, schedule }).performance, 0, 1e-12);
+  const throws = (s) => { try { accrueScheduledFees({ ...base, schedule: s }); return 0; } catch { return 1; } };
+  assert('Negative management rate rejected', throws({ ...schedule, managementTiers: [{ upTo: null, rate: -0.01 }] }), 1);
+  assert('Performance rate above 100% rejected', throws({ ...schedule, performanceRate: 1.5 }), 1);
+  assert('Non-numeric performance rate rejected', throws({ ...schedule, performanceRate: NaN }), 1);
+}
+
+console.log('\n=== Income / Capital Split Validation ===\n');
+
+// Test 41: Rent of 30 on 1,000 — income is internal, so the total return is (EV - BV) / BV
+{
+  const params = {
+    assets: [{ name: 'Real Estate', beginningValue: 1000, endingValue: 1080 }],
+    cashflows: [{ date: new Date(2025, 5, 30), amount: 30, type: 'INCOME', assetClass: 'Real Estate' }],
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2026, 0, 1),
+  };
+  const [asset] = computePortfolioReturns(params).assetResults;
+  assert('Income event is not an external flow', asset.periodReturn, 0.08, 1e-12);
+  assert('Income return = income / average capital', asset.incomeReturn, 0.03, 1e-12);
+  assert('Income + capital = total', asset.incomeReturn + asset.capitalReturn, asset.periodReturn, 1e-12);
+
+  // A 500 contribution on 2 Jul is invested 183/365 of the year: average capital 1,000 + 500 × 183/365
+  const withFlow = computePortfolioReturns({
+    ...params,
+    assets: [{ name: 'Real Estate', beginningValue: 1000, endingValue: 1620 }],
+    cashflows: [...params.cashflows, { date: new Date(2025, 6, 2), amount: 500, assetClass: 'Real Estate' }],
+  });
+  const capital = averageCapital(1000, [{ date: new Date(2025, 6, 2), amount: 500 }], params.startDate, params.endDate);
+  assert('Average capital weights the contribution', capital, 1000 + 500 * 183 / 365, 1e-9);
+  assert('Income return on average capital', withFlow.portfolio.incomeReturn, 30 / capital, 1e-12);
+  assert('Total return with a flow = 120 / average capital', withFlow.portfolio.periodReturn, 120 / capital, 1e-12);
+  assert('Income + capital = total with a flow', withFlow.portfolio.incomeReturn + withFlow.portfolio.capitalReturn, withFlow.portfolio.periodReturn, 1e-12);
+}
+
+// Test 53: Revalued split — sub-period returns chain and income still reconciles
+{
+  const startDate = new Date(2025, 0, 1);
+  const endDate = new Date(2026, 0, 1);
+  const flow = { date: new Date(2025, 6, 2), amount: 1000 };
+  const { periodReturn, subPeriods } = splitModifiedDietz({
+    beginningValue: 1000, endingValue: 2200, cashflows: [flow], valuations: [{ date: flow.date, value: 1050 }], breakDates: [flow.date], startDate, endDate,
+  });
+  assert('Two sub-periods', subPeriods.length, 2, 1e-12);
+  assert('Flow opens the second sub-period', subPeriods[1].beginningValue, 1050, 1e-12);
+  assert('First sub-period 5%', subPeriods[0].periodReturn, 0.05, 1e-12);
+  assert('Second sub-period (2,200 - 1,050 - 1,000) / (1,050 + 1,000)', subPeriods[1].periodReturn, 150 / 2050, 1e-12);
+  assert('Chained split return', periodReturn, 1.05 * (1 + 150 / 2050) - 1, 1e-12);
+  const split = computePortfolioReturns({
+    assets: [{ name: 'Equities', beginningValue: 1000, endingValue: 2200 }],
+    cashflows: [{ ...flow, assetClass: 'Equities' }, { date: new Date(2025, 9, 1), amount: 20, type: 'INCOME', assetClass: 'Equities' }],
+    valuations: [{ date: flow.date, assetClass: 'Equities', value: 1050 }],
+    startDate,
+    endDate,
+    largeFlowThreshold: 0.1,
+  }).portfolio;
+  assert('Revalued portfolio uses the split return', split.periodReturn, periodReturn, 1e-12);
+  assert('Income + capital = revalued total', split.incomeReturn + split.capitalReturn, split.periodReturn, 1e-12);
+}
+
+console.log('\n=== Positions Ledger Validation ===\n');
+
+// Test 42: 100 @ 10 → buy 10 @ 11, 2-for-1 split, sell 20 @ 12, close 12; bond 10 @ 100 → 101 with a 30 coupon
+{
+  const startDate = new Date(2025, 0, 1);
+  const endDate = new Date(2026, 0, 1);
+  const securities = [
+    { symbol: 'EQ1', assetClass: 'Equities', quantity: 100, price: 10, endPrice: 12 },
+    { symbol: 'BND', assetClass: 'Fixed Income', quantity: 10, price: 100, endPrice: 101 },
+  ];
+  const ledger = [
+    { date: new Date(2025, 8, 1), symbol: 'EQ1', type: 'SELL', quantity: 20, price: 12 },
+    { date: new Date(2025, 2, 1), symbol: 'EQ1', type: 'BUY', quantity: 10, price: 11 },
+    { date: new Date(2025, 5, 1), symbol: 'EQ1', type: 'SPLIT', ratio: 2 },
+    { date: new Date(2025, 6, 1), symbol: 'BND', type: 'DIVIDEND', amount: 30 },
+    { date: new Date(2026, 1, 1), symbol: 'EQ1', type: 'BUY', quantity: 1000, price: 12 },
+  ];
+  const { positions, issues } = derivePositions({ securities, ledger, startDate, endDate });
+  const eq = positions.find((p) => p.symbol === 'EQ1');
+  assert('Quantity: (100 + 10) × 2 - 20, applied in date order', eq.endingQuantity, 200, 1e-12);
+  assert('Coupon held as income on the bond', positions.find((p) => p.symbol === 'BND').income, 30, 1e-12);
+  assert('Entry after the end date ignored and reported', issues.length === 1 && issues[0].includes('1 ledger entry outside') ? 1 : 0, 1);
+
+  const [equities, bonds] = deriveAssetValues(positions);
+  assert('Class BV = Σ opening quantity × price', equities.beginningValue, 1000, 1e-12);
+  assert('Class EV = 200 × 12', equities.endingValue, 2400, 1e-12);
+  assert('Bond EV includes the coupon: 10 × 101 + 30', bonds.endingValue, 1040, 1e-12);
+
+  const flows = ledgerCashflows(securities, ledger, startDate, endDate);
+  const equityFlows = flows.filter((cf) => cf.assetClass === 'Equities').map((cf) => cf.amount);
+  assert('Buy and sell become flows, the split does not', equityFlows.length === 2 && equityFlows.includes(110) && equityFlows.includes(-240) ? 1 : 0, 1);
+  const { assetResults } = computePortfolioReturns({ assets: [equities, bonds], cashflows: flows, startDate, endDate });
+  // Buy on day 59 and sale on day 243 of 365
+  assert('Equities return on ledger flows', assetResults[0].periodReturn, (2400 - 1000 - (110 - 240)) / (1000 + 110 * 306 / 365 - 240 * 122 / 365), 1e-12);
+  assert('Coupon stays in the sleeve: (1,010 + 30 - 1,000) / 1,000', assetResults[1].periodReturn, 0.04, 1e-12);
+  assert('Coupon is the income return', assetResults[1].incomeReturn, 0.03, 1e-12);
+
+  const oversold = derivePositions({ securities, ledger: [{ date: new Date(2025, 3, 1), symbol: 'BND', type: 'SELL', quantity: 11, price: 100 }], startDate, endDate });
+  assert('Overselling reported', oversold.issues.some((i) => i.includes('exceeds the quantity held')) ? 1 : 0, 1);
+}
+
+console.log('\n=== Holdings Import Validation ===\n');
+
+// Test 43: Holdings file → asset-class roll-up → asset class / sector / security tree
+{
+  const headers = ['Ticker', 'Security Name', 'Asset Class', 'Sector', 'Quantity', 'Opening Price', 'Closing Price'];
+  const row = (...values) => Object.fromEntries(headers.map((h, i) => [h, values[i]]));
+  const table = {
+    headers,
+    data: [
+      row('ZENITH', 'Zenith Bank', 'Equities', 'Banking', '1,000', '30', '33'),
+      row('MTNN', 'MTN Nigeria', 'Equities', 'Telecoms', '500', '200', '190'),
+      row('FGN29', 'FGN 2029', 'Fixed Income', 'Government', '100', '98', '99'),
+      row('ZENITH', 'Zenith Bank', 'Equities', 'Banking', '10', '30', '33'),
+      row('DANGCEM', 'Dangote Cement', '', 'Industrials', '10', '300', '310'),
+    ],
+  };
+  const { holdings, errors } = parseHoldingsTable(table);
+  assert('Three securities imported', holdings.length, 3, 1e-12);
+  assert('Duplicate and unclassified rows reported', errors.length === 2 && errors[0].includes('Duplicate') && errors[1].includes('Missing asset class') ? 1 : 0, 1);
+  assert('Thousands separator read', holdings[0].quantity, 1000, 1e-12);
+
+  const startDate = new Date(2025, 0, 1);
+  const endDate = new Date(2025, 11, 31);
+  const { positions } = derivePositions({ securities: holdings, startDate, endDate });
+  const [equities, fixedIncome] = deriveAssetValues(positions);
+  assert('Equities BV = 30,000 + 100,000', equities.beginningValue, 130_000, 1e-9);
+  assert('Equities EV = 33,000 + 95,000', equities.endingValue, 128_000, 1e-9);
+  assert('Fixed Income BV', fixedIncome.beginningValue, 9_800, 1e-9);
+
+  const [eqNode, fiNode] = buildHoldingsHierarchy(positions, [], startDate, endDate);
+  assert('Equities weight of portfolio', eqNode.portfolioWeight, 130_000 / 139_800, 1e-12);
+  assert('Banking weight within Equities', eqNode.children[0].portfolioWeight, 3 / 13, 1e-12);
+  assert('Security return from opening and closing prices', eqNode.children[1].children[0].portfolioReturn, -0.05, 1e-12);
+  assert('Government sector holds all of Fixed Income', fiNode.children[0].portfolioWeight, 1, 1e-12);
+
+  // Market values without quantities → one unit priced at the value
+  const byValue = parseHoldingsTable({ headers: ['Symbol', 'Asset Class', 'Beginning MV', 'Ending MV'], data: [{ Symbol: 'T-BILL', 'Asset Class': 'Cash', 'Beginning MV': '5000', 'Ending MV': '5100' }] });
+  assert('Value-only file: quantity 1 at the market value', byValue.holdings[0].quantity * byValue.holdings[0].endPrice, 5100, 1e-12);
+  const unmapped = parseHoldingsTable({ headers: ['Symbol', 'Asset Class'], data: [] });
+  assert('Values or prices required', unmapped.errors[0]?.includes('quantity + prices or beginningValue + endingValue') ? 1 : 0, 1);
+}
+
+// Test 73: A security bought during the period is weighted by the capital it held
+{
+  const startDate = new Date(2025, 0, 1);
+  const endDate = new Date(2026, 0, 1);
+  const securities = [
+    { symbol: 'OLD', name: 'Held all year', assetClass: 'Equities', classification: 'Banking', quantity: 100, price: 10, endPrice: 12 },
+    { symbol: 'NEW', name: 'Bought in July', assetClass: 'Equities', classification: 'Banking', quantity: 0, price: 0, endPrice: 22 },
+  ];
+  const ledger = [{ date: new Date(2025, 6, 2), symbol: 'NEW', type: 'BUY', quantity: 100, price: 20 }];
+  const { positions } = derivePositions({ securities, ledger, startDate, endDate });
+  const [equities] = buildHoldingsHierarchy(positions, ledgerCashflows(securities, ledger, startDate, endDate), startDate, endDate);
+  const [held, bought] = equities.children[0].children;
+  // Bought on day 182 of 365: average capital 2,000 × 183 / 365
+  const capital = 2000 * 183 / 365;
+  assert('Bought security keeps a weight', bought.portfolioWeight, capital / (1000 + capital), 1e-12);
+  assert('Bought security return on its average capital', bought.portfolioReturn, 200 / capital, 1e-12);
+  // Σ w × r = (200 + 200) / (1,000 + 1,002.74) — the sector's own Modified Dietz return
+  assert('Weighted returns add up to the sector return', held.portfolioWeight * held.portfolioReturn + bought.portfolioWeight * bought.portfolioReturn, 400 / (1000 + capital), 1e-12);
+}
+
+console.log('\n=== Date Parsing Validation ===\n');
+
+// Test 44: Column-wide format detection, pinned formats, DD-MMM-YY and Excel serials — all at local midnight
+{
+  const ymd = (d) => (d ? d.getFullYear() * 10000 + (d.getMonth() + 1) * 100 + d.getDate() : 0);
+  const localMidnight = (d) => d.getHours() === 0 && d.getMinutes() === 0 && d.getSeconds() === 0 ? 1 : 0;
+
+  const ambiguous = parseDateColumn(['03/04/2025', '05/06/2025']);
+  assert('DD/MM vs MM/DD column reported as ambiguous', ambiguous.ambiguous && ambiguous.dates.length === 0 ? 1 : 0, 1);
+  assert('Both readings offered', ambiguous.candidates.join() === 'dmy,mdy' ? 1 : 0, 1);
+  const resolved = detectDateFormat(['03/04/2025', '25/06/2025']);
+  assert('One day above 12 settles the column as DD/MM', resolved.format === 'dmy' && !resolved.ambiguous ? 1 : 0, 1);
+  assert('Day and month equal under both readings is not a conflict', detectDateFormat(['01/01/2025', '25/06/2025']).format === 'dmy' ? 1 : 0, 1);
+
+  const pinned = parseDateColumn(['03/04/2025', '05/06/2025'], 'mdy');
+  assert('Pinned MM/DD applied: 4 March', ymd(pinned.dates[0]), 20250304, 1e-12);
+  assert('Impossible day rejected', parseDateAs('31/02/2025', 'dmy') === null ? 1 : 0, 1);
+
+  const dmmmy = parseDateColumn(['15-Jan-25', '1 Mar 2025', '30-Sept-49']);
+  assert('DD-MMM-YY detected', dmmmy.format === 'dmmmy' ? 1 : 0, 1);
+  assert('15-Jan-25 is 15 Jan 2025', ymd(dmmmy.dates[0]), 20250115, 1e-12);
+  assert('Long month names and 4-digit years read', ymd(dmmmy.dates[1]), 20250301, 1e-12);
+  assert('Two-digit years below 50 are 20xx', ymd(dmmmy.dates[2]), 20490930, 1e-12);
+
+  const serial = parseDateColumn(['45672', 45748]);
+  assert('Serials detected', serial.format === 'serial' ? 1 : 0, 1);
+  assert('Serial 45672 is 15 Jan 2025', ymd(serial.dates[0]), 20250115, 1e-12);
+  assert('Serial 45748 is 1 Apr 2025 (after DST starts)', ymd(serial.dates[1]), 20250401, 1e-12);
+  assert('Serial 59 is 28 Feb 1900', ymd(parseDateAs(59, 'serial')), 19000228, 1e-12);
+
+  const iso = parseDateAs('2025-03-30T23:30:00Z', 'iso');
+  assert('ISO timestamp keeps the written calendar day', ymd(iso), 20250330, 1e-12);
+  const all = [...pinned.dates, ...dmmmy.dates, ...serial.dates, iso];
+  assert('Every parsed date is local midnight', all.reduce((n, d) => n + localMidnight(d), 0), all.length, 1e-12);
+  assert('Calendar days 1 Jan → 3 Apr 2025 (across DST)', daysBetween(parseDateAs('01/01/2025', 'dmy'), parseDateAs('03/04/2025', 'dmy')), 92, 1e-12);
+}
+
+console.log('\n=== Inter-Class Transfer Validation ===\n');
+
+// Test 45: Transfer of 500 from Equities to Bonds mid-year — a flow for each class, none for the portfolio
+{
+  const mid = new Date(2025, 6, 2);
+  const params = {
+    assets: [
+      { name: 'Equities', beginningValue: 10_000, endingValue: 10_000 },
+      { name: 'Bonds', beginningValue: 10_000, endingValue: 10_500 },
+    ],
+    cashflows: [
+      { date: mid, amount: -500, type: 'TRANSFER', assetClass: 'Equities' },
+      { date: mid, amount: 500, type: 'TRANSFER', assetClass: 'Bonds' },
+    ],
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2026, 0, 1),
+  };
+  const result = computePortfolioReturns(params);
+  const [equities, bonds] = result.assetResults;
+  assert('Equities: transfer out is a withdrawal invested 183/365 of the year', equities.periodReturn, 500 / (10_000 - 500 * 183 / 365), 1e-12);
+  assert('Bonds: transfer in is a contribution, no gain', bonds.periodReturn, 0, 1e-12);
+  assert('Portfolio: legs cancel, 500 / 20,000', result.portfolio.periodReturn, 0.025, 1e-12);
+  assert('Matched legs raise no issue', result.issues.length, 0);
+  const oneLeg = computePortfolioReturns({ ...params, cashflows: params.cashflows.slice(0, 1) });
+  assert('Portfolio ignores an unmatched leg', oneLeg.portfolio.periodReturn, 0.025, 1e-12);
+  assert('Unmatched leg is flagged', oneLeg.issues.filter((i) => i.includes('do not net to zero')).length, 1);
+}
+
+// Test 58: Type codes — taxes are their own category, not fees; no type column keeps the sign
+{
+  const tax = classifyTransaction('Withholding_Tax', 150);
+  assert('Withholding tax is TAX, not FEE', tax.type === 'TAX' && tax.category === 'tax' ? 1 : 0, 1);
+  assert('Tax is forced negative', tax.amount, -150, 1e-12);
+  assert('EXPENSE is TAX', classifyTransaction('expense', 20).type === 'TAX' ? 1 : 0, 1);
+  assert('FEE stays FEE', classifyTransaction('FEE', -40).type === 'FEE' ? 1 : 0, 1);
+  assert('"Transfer-out" is normalised and forced negative', classifyTransaction('Transfer-out', 500).amount, -500, 1e-12);
+  assert('Signed TRANSFER keeps the sign', classifyTransaction('TRANSFER', -300).amount, -300, 1e-12);
+  assert('Contribution forced positive', classifyTransaction('CONTRIBUTION', -1000).amount, 1000, 1e-12);
+  assert('Unknown code is unclassified', classifyTransaction('SWAP', 10) === null ? 1 : 0, 1);
+  const inflow = classifyTransaction(null, 2500);
+  const outflow = classifyTransaction(null, -800);
+  assert('No type column: positive amount is an INFLOW', inflow.type === 'INFLOW' && inflow.amount === 2500 ? 1 : 0, 1);
+  assert('No type column: negative amount is an OUTFLOW', outflow.type === 'OUTFLOW' && outflow.amount === -800 ? 1 : 0, 1);
+}
+
+// Test 59: Gross and net of fees — a FEE is added back net of fees, a TAX is a withdrawal in both
+{
+  const date = new Date(2025, 6, 2);
+  const base = {
+    assets: [{ name: 'Equities', beginningValue: 10_000, endingValue: 10_400 }],
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2026, 0, 1),
+  };
+  const withFee = computePortfolioReturns({ ...base, cashflows: [{ date, amount: -100, type: 'FEE', assetClass: 'Equities' }] });
+  const withTax = computePortfolioReturns({ ...base, cashflows: [{ date, amount: -100, type: 'TAX', assetClass: 'Equities' }] });
+  const grossDietz = 500 / (10_000 - 100 * 183 / 365);
+  assert('Fee: gross treats it as a withdrawal', withFee.portfolio.periodReturn, grossDietz, 1e-12);
+  assert('Fee: net keeps it in the portfolio', withFee.portfolio.netReturn, 0.04, 1e-12);
+  assert('Fee: counted in the fee total', withFee.fees.total, 100, 1e-12);
+  assert('Tax: gross treats it as a withdrawal', withTax.portfolio.periodReturn, grossDietz, 1e-12);
+  assert('Tax: net is the same as gross', withTax.portfolio.netReturn, grossDietz, 1e-12);
+  assert('Tax: not counted as a fee', withTax.fees.total, 0, 1e-12);
+}
+
+console.log('\n=== Policy Benchmark Validation ===\n');
+
+// Test 46: 60/40 policy benchmark over two months — weights drift without rebalancing, reset monthly
+{
+  const equity = { id: 'eq', name: 'Equity Index', returns: [{ date: new Date(2025, 0, 31), return: 0.05 }, { date: new Date(2025, 1, 28), return: -0.03 }] };
+  const bonds = { id: 'bd', name: 'Bond Index', returns: [{ date: new Date(2025, 0, 31), return: 0.01 }, { date: new Date(2025, 1, 28), return: 0.005 }] };
+  const indices = [equity, bonds];
+  const start = new Date(2024, 11, 31);
+  const end = new Date(2025, 1, 28);
+  const policy = (rebalance) => ({
+    id: 'p', name: '60/40', rebalance,
+    components: [{ assetClass: 'Equities', indexId: 'eq', weight: 0.6 }, { assetClass: 'Fixed Income', indexId: 'bd', weight: 0.4 }],
+  });
+  assert('Index return compounds its months', indexReturn(equity, start, end).value, 1.05 * 0.97 - 1, 1e-12);
+  const monthly = blendedReturn(policy('monthly'), indices, start, end);
+  const buyAndHold = blendedReturn(policy('none'), indices, start, end);
+  assert('Monthly rebalanced: (1.034)(0.984) - 1', monthly.value, 1.034 * 0.984 - 1, 1e-12);
+  assert('Buy and hold: weights drift with the indices', buyAndHold.value, 0.6 * 1.05 * 0.97 + 0.4 * 1.01 * 1.005 - 1, 1e-12);
+  // After +5% / +1% the drifted equity weight is 0.63 / 1.034; its -3% month costs more than at 60%
+  assert('Drift: buy and hold − monthly = (0.63/1.034 − 0.6) × (−3% − 0.5%) × 1.034', buyAndHold.value - monthly.value, (0.63 / 1.034 - 0.6) * (-0.03 - 0.005) * 1.034, 1e-12);
+  assert('Quarterly does not rebalance inside the quarter', blendedReturn(policy('quarterly'), indices, start, end).value, buyAndHold.value, 1e-12);
+  assert('Weights summing to 100% raise no issue', monthly.issues.length, 0);
+}
+
+// Test 62: Policy weights that do not sum to 100% are scaled the same way for attribution and the blend
+{
+  const month = new Date(2025, 0, 31);
+  const indices = [
+    { id: 'eq', name: 'Equity Index', returns: [{ date: month, return: 0.04 }] },
+    { id: 'gl', name: 'Global Equity Index', returns: [{ date: month, return: 0.02 }] },
+    { id: 'bd', name: 'Bond Index', returns: [{ date: month, return: 0.01 }] },
+  ];
+  for (const total of [0.99, 1.01]) {
+    const policy = {
+      id: 'p', name: 'Policy', rebalance: 'monthly',
+      components: [
+        { assetClass: 'Equities', indexId: 'eq', weight: 0.3 },
+        { assetClass: 'Equities ', indexId: 'gl', weight: 0.3 },
+        { assetClass: 'Fixed Income', indexId: 'bd', weight: total - 0.6 },
+      ],
+    };
+    const { rows, total: blended, issues } = policyAttributionInputs(policy, indices, new Date(2024, 11, 31), month);
+    const label = `${(total * 100).toFixed(0)}%`;
+    assert(`${label}: attribution weights sum to 100%`, rows.reduce((s, r) => s + r.benchmarkWeight, 0), 1, 1e-12);
+    assert(`${label}: Σ Wb × Rb equals the blended return`, rows.reduce((s, r) => s + r.benchmarkWeight * r.benchmarkReturn, 0), blended, 1e-12);
+    assert(`${label}: components of one asset class combined`, rows.length, 2);
+    assert(`${label}: combined return weight-averaged`, rows[0].benchmarkReturn, 0.03, 1e-12);
+    assert(`${label}: scaling reported`, issues.filter((i) => i.includes('scaled to 100%')).length, 1);
+  }
+}
+
+console.log('\n=== Period Linking Validation ===\n');
+
+const period = (start, end, periodReturn) => ({ startDate: new Date(...start), endDate: new Date(...end), periodReturn });
+
+// Test 47: Q1 2%, Q2 3%, Q4 1% — the missing Q3 breaks every window that spans it
+{
+  const { issues, portfolio } = linkPeriodReturns([
+    period([2025, 0, 1], [2025, 2, 31], 0.02),
+    period([2025, 3, 1], [2025, 5, 30], 0.03),
+    period([2025, 9, 1], [2025, 11, 31], 0.01),
+  ]);
+  assert('Gap reported between Q2 and Q4', issues.length === 1 && issues[0].type === 'gap' ? 1 : 0, 1);
+  assert('YTD not linked across the gap', portfolio.ytd === null ? 1 : 0, 1);
+  assert('1Y not linked across the gap', portfolio.oneYear === null ? 1 : 0, 1);
+  assert('Cumulative not linked across the gap', portfolio.cumulative === null ? 1 : 0, 1);
+  assert('QTD covered by Q4 alone', portfolio.qtd, 0.01, 1e-12);
+}
+
+// Test 48: H1 and a second period starting 1 June overlap by 30 days
+{
+  const { issues, portfolio } = linkPeriodReturns([
+    period([2025, 0, 1], [2025, 5, 30], 0.02),
+    period([2025, 5, 1], [2025, 11, 31], 0.03),
+  ]);
+  assert('Overlap reported', issues.length === 1 && issues[0].type === 'overlap' ? 1 : 0, 1);
+  assert('YTD not linked across the overlap', portfolio.ytd === null ? 1 : 0, 1);
+  assert('Cumulative not linked across the overlap', portfolio.cumulative === null ? 1 : 0, 1);
+}
+
+// Test 49: H2 2025 + Q1 2026 — YTD and cumulative covered, 1Y reaches back before the first period
+{
+  const { issues, portfolio } = linkPeriodReturns([
+    period([2025, 6, 1], [2025, 11, 31], 0.04),
+    period([2026, 0, 1], [2026, 2, 31], -0.01),
+  ]);
+  assert('Contiguous periods raise no issue', issues.length, 0, 1e-12);
+  assert('YTD = Q1 2026', portfolio.ytd, -0.01, 1e-12);
+  assert('Cumulative = 1.04 × 0.99 - 1', portfolio.cumulative, 1.04 * 0.99 - 1, 1e-12);
+  assert('1Y not reported when the window is partly covered', portfolio.oneYear === null ? 1 : 0, 1);
+}
+
+// Test 50: 3Y window — null with two years saved, annualized over 1,096 days with three
+{
+  const years = [period([2023, 0, 1], [2023, 11, 31], 0.1), period([2024, 0, 1], [2024, 11, 31], 0.05), period([2025, 0, 1], [2025, 11, 31], -0.02)];
+  const twoYears = linkPeriodReturns(years.slice(1)).portfolio;
+  assert('3Y not reported before the first saved period', twoYears.threeYear === null ? 1 : 0, 1);
+  assert('1Y = the last calendar year', twoYears.oneYear, -0.02, 1e-12);
+  const threeYears = linkPeriodReturns(years).portfolio;
+  assert('3Y annualized from 31 Dec 2022', threeYears.threeYear, Math.pow(1.1 * 1.05 * 0.98, 365 / 1096) - 1, 1e-12);
+}
+
+console.log('\n=== Excel Import Validation ===\n');
+
+// Test 54: Title rows above the table, a blank header cell and empty trailing rows
+{
+  const rows = [
+    ['Quarterly Valuation Report', null, null, null],
+    ['As at 31 March 2025', null, null, null],
+    [null, null, null, null],
+    ['Asset Class', 'Beginning MV', 'Ending MV', null],
+    ['Equities', 100_000, 110_000, 'rebalanced'],
+    [null, '', null, null],
+    ['Cash', 10_000, 10_500, null],
+    [null, null, null, null],
+    ['   ', '', null, undefined],
+  ];
+  const headerRow = detectHeaderRow(rows);
+  assert('Header row found below two title rows', headerRow, 3, 1e-12);
+  const { data, headers } = sheetToTable(rows, headerRow);
+  assert('Blank header cell named by position', headers[3] === 'Column 4' ? 1 : 0, 1);
+  assert('Blank rows inside and after the table dropped', data.length, 2, 1e-12);
+  assert('Cells keyed by header', data[1]['Ending MV'], 10_500, 1e-12);
+  assert('Missing cells read as empty strings', data[1]['Column 4'] === '' ? 1 : 0, 1);
+  assert('Header row past the end of the sheet reported', sheetToTable(rows, 20).errors.length, 1, 1e-12);
+  assert('Sheet without a text header falls back to the first row', detectHeaderRow([[1, 2], [3, 4]]), 0, 1e-12);
+  const dated = sheetToTable([['Date', 'Amount'], [new Date(Date.UTC(2025, 2, 31)), 500]]);
+  assert('Excel date cell read as its UTC calendar day', dated.data[0].Date === '2025-03-31' ? 1 : 0, 1);
+}
+
+// Test 55: Sheet roles guessed from sheet names
+{
+  const roles = ['Asset Values', 'Holdings Q1', 'Cash Flows 2025', 'Transactions', 'Policy Index', 'Notes'].map(classifySheet);
+  assert('Asset and holdings sheets → assets', roles[0] === 'assets' && roles[1] === 'assets' ? 1 : 0, 1);
+  assert('Cash flow and transaction sheets → cashflows', roles[2] === 'cashflows' && roles[3] === 'cashflows' ? 1 : 0, 1);
+  assert('Policy index sheet → benchmark', roles[4] === 'benchmark' ? 1 : 0, 1);
+  assert('Unrecognised sheet left unassigned', roles[5] === null ? 1 : 0, 1);
+}
+
+console.log('\n=== Column Mapping Validation ===\n');
+
+// Test 56: Headers competing for one field — the stronger match wins and the weaker stays free
+{
+  const { mapping, confidence } = autoMapColumns(['Amount Settled', 'Cash Amount', 'Date', 'Settlement Date', 'Fund'], CASHFLOW_COLUMN_ALIASES);
+  assert('Head-noun match beats a partial match', mapping.amount === 'Cash Amount' ? 1 : 0, 1);
+  assert('Amount confidence is a head match', confidence.amount, MATCH_CONFIDENCE.head, 1e-12);
+  assert('Exact header beats a head-noun match', mapping.transactionDate === 'Date' ? 1 : 0, 1);
+  assert('Date confidence is exact', confidence.transactionDate, MATCH_CONFIDENCE.exact, 1e-12);
+
+  // "Value Date" names a date; with the date field taken it is still not a partial "value" amount
+  const claimed = autoMapColumns(['Trade Date', 'Value Date', 'Asset Class', 'Type'], CASHFLOW_COLUMN_ALIASES);
+  assert('Earlier alias wins a tie between exact headers', claimed.mapping.transactionDate === 'Trade Date' ? 1 : 0, 1);
+  assert('Header claimed by another field is not a partial match', claimed.mapping.amount === undefined && claimed.missing.includes('amount') ? 1 : 0, 1);
+  assert('Bracketed units ignored', autoMapColumns(['Amt (NGN)'], CASHFLOW_COLUMN_ALIASES).confidence.amount, MATCH_CONFIDENCE.exact, 1e-12);
+}
+
+// Test 57: A saved profile replaces the automatic mapping when the file has every header it maps
+{
+  const headers = ['Txn Dt', 'Amt (NGN)', 'Fund', 'Portfolio', 'Narrative'];
+  const profiles = [
+    { name: 'Old layout', schema: 'cashflows', savedAt: '2025-01-01T00:00:00Z', mapping: { transactionDate: 'Txn Dt', amount: 'Amt (NGN)', assetClass: 'Fund' } },
+    { name: 'Custodian', schema: 'cashflows', savedAt: '2025-06-01T00:00:00Z', mapping: { transactionDate: 'Txn Dt', amount: 'Amt (NGN)', assetClass: 'Portfolio' } },
+    { name: 'Other layout', schema: 'cashflows', savedAt: '2025-09-01T00:00:00Z', mapping: { transactionDate: 'Date', amount: 'Amount', assetClass: 'Fund' } },
+    { name: 'Assets', schema: 'assets', savedAt: '2025-12-01T00:00:00Z', mapping: { assetClass: 'Fund' } },
+  ];
+  const auto = resolveMapping(headers, CASHFLOW_COLUMN_ALIASES);
+  assert('Automatic mapping picks "Fund" and misses the date', auto.mapping.assetClass === 'Fund' && auto.missing.includes('transactionDate') ? 1 : 0, 1);
+  const profile = findProfile(profiles, 'cashflows', headers);
+  assert('Latest matching profile of the schema chosen', profile?.name === 'Custodian' ? 1 : 0, 1);
+  const { mapping, missing } = resolveMapping(headers, CASHFLOW_COLUMN_ALIASES, profile.mapping);
+  assert('Profile overrides the automatic asset class', mapping.assetClass === 'Portfolio' ? 1 : 0, 1);
+  assert('Profile maps the date auto-mapping missed', mapping.transactionDate === 'Txn Dt' && !missing.includes('transactionDate') ? 1 : 0, 1);
+  assert('No profile for a file missing a mapped header', findProfile(profiles, 'cashflows', ['Date', 'Amount']) === null ? 1 : 0, 1);
+}
+
+// Test 74: Beginning and ending market values each map to their own field
+{
+  const both = autoMapColumns(['Ticker', 'Asset Class', 'Beginning Market Value', 'Ending Market Value'], HOLDINGS_COLUMN_ALIASES);
+  assert('"Beginning Market Value" → beginningValue', both.mapping.beginningValue === 'Beginning Market Value' ? 1 : 0, 1);
+  assert('"Ending Market Value" → endingValue', both.mapping.endingValue === 'Ending Market Value' ? 1 : 0, 1);
+  const startOnly = autoMapColumns(['Ticker', 'Asset Class', 'Start Market Value'], HOLDINGS_COLUMN_ALIASES);
+  assert('"Start Market Value" is never an ending value', startOnly.mapping.beginningValue === 'Start Market Value' && startOnly.missing.includes('endingValue') ? 1 : 0, 1);
+}
+
+console.log('\n=== Reconciliation Validation ===\n');
+
+// Test 60: Clean data passes; a large return warns; a return above 100% fails
+{
+  const start = new Date(2025, 0, 1);
+  const end = new Date(2026, 0, 1);
+  const cashflows = [
+    { date: new Date(2025, 6, 2), amount: 1000, type: 'INFLOW', assetClass: 'Equities' },
+    { date: new Date(2025, 8, 30), amount: -400, type: 'TRANSFER', assetClass: 'Equities' },
+    { date: new Date(2025, 8, 30), amount: 400, type: 'TRANSFER', assetClass: 'Bonds' },
+  ];
+  const assets = (equitiesEV) => [
+    { name: 'Equities', beginningValue: 10_000, endingValue: equitiesEV },
+    { name: 'Bonds', beginningValue: 5_000, endingValue: 5_600 },
+  ];
+  const clean = reconcile({ assets: assets(11_500), cashflows, startDate: start, endDate: end });
+  assert('Clean data passes', clean.status === 'pass' && clean.checks.every((c) => c.status === 'pass') ? 1 : 0, 1);
+  assert('Roll-forward gain = EV - BV - flows - transfers', clean.rollForward[0].gain, 11_500 - 10_000 - 1000 + 400, 1e-9);
+  assert('Portfolio net flows leave transfers out', clean.portfolio.netFlows, 1000, 1e-12);
+  const warn = reconcile({ assets: assets(14_000), cashflows, startDate: start, endDate: end });
+  assert('Return above 25% warns', warn.status === 'warn' && warn.rollForward[0].status === 'warn' ? 1 : 0, 1);
+  const fail = reconcile({ assets: assets(25_000), cashflows, startDate: start, endDate: end });
+  assert('Return above 100% fails', fail.status === 'fail' && fail.checks.find((c) => c.id === 'returns').status === 'fail' ? 1 : 0, 1);
+  const unknown = reconcile({ assets: assets(11_500), cashflows: [...cashflows, { date: new Date(2025, 3, 1), amount: 50, type: 'INFLOW', assetClass: 'Cash' }], startDate: start, endDate: end });
+  assert('Flow in an unknown asset class fails', unknown.checks.find((c) => c.id === 'assetClasses').status === 'fail' ? 1 : 0, 1);
+  const repeated = reconcile({ assets: assets(11_500), cashflows: [...cashflows, cashflows[0]], startDate: start, endDate: end });
+  assert('Duplicate row warns', repeated.checks.find((c) => c.id === 'duplicates').status === 'warn' ? 1 : 0, 1);
+  const negative = reconcile({ assets: [...assets(11_500), { name: 'Cash', beginningValue: 0, endingValue: -10 }], cashflows, startDate: start, endDate: end });
+  assert('Negative market value fails', negative.checks.find((c) => c.id === 'values').status === 'fail' ? 1 : 0, 1);
+}
+
+// Test 61: An empty asset class returns 0% and passes; acknowledging a report does not cover the next one
+{
+  const params = {
+    assets: [
+      { name: 'Equities', beginningValue: 10_000, endingValue: 10_500 },
+      { name: 'Private Equity', beginningValue: 0, endingValue: 0 },
+    ],
+    cashflows: [],
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2026, 0, 1),
+  };
+  const report = reconcile(params);
+  assert('Empty asset class returns 0%', report.rollForward[1].periodReturn, 0, 1e-12);
+  assert('Empty asset class passes', report.status === 'pass' && report.rollForward[1].status === 'pass' ? 1 : 0, 1);
+  const acknowledgement = { report, at: new Date() };
+  assert('Acknowledgement covers its report', isAcknowledged(acknowledgement, report) ? 1 : 0, 1);
+  const edited = reconcile({ ...params, cashflows: [{ date: new Date(2025, 5, 30), amount: 200, type: 'INFLOW', assetClass: 'Equities' }] });
+  assert('A changed report needs a new acknowledgement', isAcknowledged(acknowledgement, edited) ? 1 : 0, 0);
+  assert('No report, nothing acknowledged', isAcknowledged(acknowledgement, null) ? 1 : 0, 0);
+}
+
+// Test 75: Returns follow the cashflow timing; an unassigned income row is no external flow
+{
+  const startDate = new Date(2025, 0, 1);
+  const endDate = new Date(2026, 0, 1);
+  const inflow = { date: new Date(2025, 6, 2), amount: 1000, type: 'INFLOW', assetClass: 'Equities' };
+  const params = { assets: [{ name: 'Equities', beginningValue: 10_000, endingValue: 11_500 }], cashflows: [inflow], startDate, endDate };
+  const atStart = reconcile({ ...params, timing: 'start' });
+  const expected = modifiedDietz({ beginningValue: 10_000, endingValue: 11_500, cashflows: [inflow], startDate, endDate, timing: 'start' });
+  assert('Start-of-day timing used for the return', atStart.rollForward[0].periodReturn, expected, 1e-12);
+  // (11,500 - 10,000 - 1,000) / (10,000 + 1,000 × 184/365) vs × 183/365
+  assert('Timing changes the return', atStart.rollForward[0].periodReturn - reconcile(params).rollForward[0].periodReturn, 500 / (10_000 + 1000 * 184 / 365) - 500 / (10_000 + 1000 * 183 / 365), 1e-12);
+
+  const dividend = { date: new Date(2025, 8, 30), amount: 50, type: 'INCOME', assetClass: 'Hedge Funds' };
+  const report = reconcile({ ...params, cashflows: [inflow, dividend] });
+  const check = report.checks.find((c) => c.id === 'assetClasses');
+  assert('Unassigned income fails the asset-class check', check.status === 'fail' ? 1 : 0, 1);
+  assert('No external flow unassigned', report.unassigned.count, 0);
+  assert('Unassigned external total stays 0', report.unassigned.netFlows, 0, 1e-12);
+  assert('Income row listed apart from external flows',
+    check.messages[0] === '1 income or transfer row(s) belong to no asset class:' && !check.messages.some((m) => m.includes('portfolio return')) ? 1 : 0, 1);
+}
+
+console.log('\n=== Workspace Persistence Validation ===\n');
+
+// Test 63: A version-1 workspace (one portfolio, fees and taxes both FEE) upgraded to the current shape
+{
+  const saved = {
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2025, 11, 31),
+    assets: [{ name: 'Equities', beginningValue: 1000, endingValue: 1100 }],
+    cashflows: [
+      { date: new Date(2025, 2, 31), amount: -10, type: 'FEE', code: 'FEE', assetClass: 'Equities' },
+      { date: new Date(2025, 5, 30), amount: -5, type: 'FEE', code: 'WITHHOLDING TAX', assetClass: 'Equities' },
+    ],
+    transactionTaxonomy: [
+      { code: 'FEE', category: 'expense', direction: 'out' },
+      { code: 'TAX', category: 'expense', direction: 'out' },
+      { code: 'CUSTODY', category: 'expense', direction: 'out' },
+    ],
+    periods: [{ id: 'period_1', label: 'FY 2024' }],
+  };
+  const state = migrateState(saved, 1);
+  assert('One portfolio in the registry', state.portfolios.length, 1);
+  const [entry] = state.portfolios;
+  assert('Saved data becomes the active portfolio', state.activePortfolioId === entry.id && entry.id === 'portfolio_1' && entry.data === null ? 1 : 0, 1);
+  assert('Registry entry is open and named', entry.name === 'Main Portfolio' && entry.archived === false ? 1 : 0, 1);
+  assert('Portfolio fields stay at the top level', state.assets === saved.assets && state.periods === saved.periods ? 1 : 0, 1);
+  assert('Saved fee stays a FEE', state.cashflows[0].type === 'FEE' ? 1 : 0, 1);
+  assert('Saved withholding tax becomes a TAX', state.cashflows[1].type === 'TAX' ? 1 : 0, 1);
+  assert('TAX code moves to the tax category', state.transactionTaxonomy[1].category === 'tax' ? 1 : 0, 1);
+  assert('Custom fee code stays a fee', state.transactionTaxonomy[2].category === 'expense' ? 1 : 0, 1);
+  assert('Current version left unchanged', migrateState(state, STORE_VERSION) === state ? 1 : 0, 1);
+  const inactive = migrateState({ ...state, portfolios: [entry, { id: 'portfolio_2', name: 'Fund B', archived: false, data: { cashflows: [saved.cashflows[1]] } }] }, 2);
+  assert('Inactive portfolio cashflows retagged too', inactive.portfolios[1].data.cashflows[0].type === 'TAX' ? 1 : 0, 1);
+}
+
+// Test 64: Saving a mapping profile replaces the one of the same schema and name
+{
+  const first = upsertProfile([], { name: ' Custodian ', schema: 'cashflows', mapping: { amount: 'Amt', assetClass: '' } });
+  assert('Name trimmed, unmapped fields dropped', first[0].name === 'Custodian' && Object.keys(first[0].mapping).join() === 'amount' ? 1 : 0, 1);
+  const second = upsertProfile(first, { name: 'Custodian', schema: 'cashflows', mapping: { amount: 'Value' } });
+  assert('Same schema and name replaced', second.length === 1 && second[0].mapping.amount === 'Value' ? 1 : 0, 1);
+  assert('Same name in another schema kept apart', upsertProfile(second, { name: 'Custodian', schema: 'assets', mapping: { assetClass: 'Fund' } }).length, 2);
+  let threw = 0;
+  try { upsertProfile(second, { name: '  ', schema: 'cashflows', mapping: {} }); } catch { threw = 1; }
+  assert('Blank name rejected', threw, 1);
+}
+
+console.log('\n=== Portfolio Registry Validation ===\n');
+
+// Test 65: Latest return — the saved period ending last, or the current results when they end later
+{
+  const equity = { id: 'eq', name: 'Equity Index', returns: [{ date: new Date(2025, 11, 31), return: 0.1 }] };
+  const bonds = { id: 'bd', name: 'Bond Index', returns: [{ date: new Date(2025, 11, 31), return: 0.02 }] };
+  const policy = { id: 'pol', name: '50/50', rebalance: 'monthly', components: [{ assetClass: 'Equities', indexId: 'eq', weight: 0.5 }, { assetClass: 'Bonds', indexId: 'bd', weight: 0.5 }] };
+  const library = { benchmarkIndices: [equity, bonds], policyBenchmarks: [policy] };
+  const period = (id, year, periodReturn) => ({
+    id, label: `FY ${year}`, startDate: new Date(year - 1, 11, 31), endDate: new Date(year, 11, 31), performanceResults: { portfolio: { periodReturn } },
+  });
+  const saved = { periods: [period('p2025', 2025, 0.07), period('p2024', 2024, 0.05)], periodBenchmarks: { p2025: 0.04 } };
+  const latest = latestPerformance(saved, library);
+  assert('Saved period ending last chosen', latest.label === 'FY 2025' && latest.saved ? 1 : 0, 1);
+  assert('Entered benchmark return preferred', latest.activeReturn, 0.03, 1e-12);
+  const withPolicy = latestPerformance({ ...saved, periodBenchmarks: {}, activePolicyId: 'pol' }, library);
+  assert('Policy benchmark when none is entered: 7% − 6%', withPolicy.activeReturn, 0.01, 1e-12);
+  const current = {
+    ...saved,
+    startDate: new Date(2025, 11, 31), endDate: new Date(2026, 2, 31),
+    performanceResults: { portfolio: { periodReturn: 0.02 } },
+    assetBenchmarks: [{ benchmarkWeight: 0.6, benchmarkReturn: 0.03 }, { benchmarkWeight: 0.4, benchmarkReturn: 0.01 }],
+  };
+  const unsaved = latestPerformance(current, library);
+  assert('Later current results chosen, marked unsaved', unsaved.saved ? 0 : 1, 1);
+  assert('Uploaded benchmarks: 2% − (60% × 3% + 40% × 1%)', unsaved.activeReturn, 0.02 - 0.022, 1e-12);
+  const sameEnd = latestPerformance({ ...current, endDate: new Date(2025, 11, 31) }, library);
+  assert('Saved period wins a tie on the end date', sameEnd.saved ? 1 : 0, 1);
+  const noBenchmark = latestPerformance({ periods: [period('p2025', 2025, 0.07)] }, library);
+  assert('No benchmark, no active return', Number.isNaN(noBenchmark.activeReturn) ? 1 : 0, 1);
+  assert('No results, nothing to show', latestPerformance({ periods: [] }, library) === null ? 1 : 0, 1);
+}
+
+// Test 66: Create, switch, clone and archive — each portfolio keeps its own data and a unique id
+{
+  const equities = [{ name: 'Equities', beginningValue: 1000, endingValue: 1100 }];
+  const get = createRegistry({ assets: equities });
+  const fundB = get().createPortfolio('Fund B');
+  assert('New portfolio gets the next id', fundB === 'portfolio_2' ? 1 : 0, 1);
+  assert('Creating switches to the new, empty portfolio', get().activePortfolioId === fundB && get().assets.length === 0 ? 1 : 0, 1);
+  assert('Previous portfolio data kept in its entry', get().portfolios[0].data.assets === equities ? 1 : 0, 1);
+  get().switchPortfolio('portfolio_1');
+  assert('Switching back restores its data', get().assets === equities && get().portfolios[0].data === null ? 1 : 0, 1);
+
+  const cloneId = get().clonePortfolio('portfolio_1');
+  const clone = get().portfolios.find((p) => p.id === cloneId);
+  assert('Clone named after its source', clone.name === 'Main Portfolio (copy)' ? 1 : 0, 1);
+  assert('Clone copies the data', clone.data.assets[0].endingValue, 1100, 1e-12);
+  assert('Clone does not share the data', clone.data.assets !== equities ? 1 : 0, 1);
+  assert('Cloning keeps the active portfolio', get().activePortfolioId === 'portfolio_1' ? 1 : 0, 1);
+
+  get().setPortfolioArchived('portfolio_1', true);
+  const open = get().portfolios.filter((p) => !p.archived);
+  assert('Archiving the active portfolio switches to an open one', get().activePortfolioId !== 'portfolio_1' && open.some((p) => p.id === get().activePortfolioId) ? 1 : 0, 1);
+  get().setPortfolioArchived(fundB, true);
+  get().setPortfolioArchived(cloneId, true);
+  assert('The last open portfolio cannot be archived', get().portfolios.filter((p) => !p.archived).length, 1);
+  get().switchPortfolio('portfolio_1');
+  assert('Opening an archived portfolio restores it', get().portfolios[0].archived ? 0 : 1, 1);
+
+  const gapped = createRegistry({
+    portfolios: [
+      { id: 'portfolio_1', name: 'Main Portfolio', archived: false, createdAt: null, data: null },
+      { id: 'portfolio_3', name: 'Fund C', archived: false, createdAt: null, data: {} },
+    ],
+  });
+  const next = gapped().createPortfolio('Fund D');
+  assert('Id after a gap does not collide', next === 'portfolio_4' && new Set(gapped().portfolios.map((p) => p.id)).size === 3 ? 1 : 0, 1);
+}
+
 console.log(`\n${'='.repeat(50)}`);
 console.log(`  RESULTS: ${passed} passed, ${failed} failed`);
 console.log('='.repeat(50));